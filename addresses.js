@@ -0,0 +1,327 @@
+/**
+ * Addresses for TikTok Order Exporter
+ *
+ * extractOrderData keeps the shipping address as one line, e.g.
+ * "No 1, Jalan Mawar, Taman Melati, 50000 Kuala Lumpur, Wilayah Persekutuan".
+ * Courier bulk uploads and regional reports need its parts, so stored orders
+ * also keep:
+ * - `address_line1` / `address_line2`: the street part (house and street first)
+ * - `address_postcode`, `address_city`, `address_state`, `address_country`
+ * - `address_confidence`: 'high', 'medium' or 'low' (null without an address)
+ * - `address_flags`: what the parser could not find or check - no_postcode,
+ *   unknown_postcode, postcode_state_mismatch, state_from_postcode, no_city,
+ *   no_state ([] = every part found and checked)
+ *
+ * Malaysian postcodes are checked against the state with a bundled postcode
+ * table, which also fills in the state when the address has none.
+ *
+ * Shared script - loaded by background.js (importScripts) and dashboard.html,
+ * after regions.js.
+ */
+
+// Malaysian postcode ranges and their state (first matching range wins)
+const MY_POSTCODE_STATES = [
+  [1000, 2800, 'Perlis'],
+  [5000, 9810, 'Kedah'],
+  [10000, 14400, 'Pulau Pinang'],
+  [15000, 18500, 'Kelantan'],
+  [20000, 24300, 'Terengganu'],
+  [25000, 28800, 'Pahang'],
+  [30000, 36810, 'Perak'],
+  [39000, 39200, 'Pahang'], // Cameron Highlands
+  [40000, 48300, 'Selangor'],
+  [49000, 49000, 'Pahang'], // Genting Highlands
+  [50000, 60000, 'Kuala Lumpur'],
+  [62000, 62988, 'Putrajaya'],
+  [63000, 68100, 'Selangor'],
+  [69000, 69000, 'Pahang'], // Genting Highlands
+  [70000, 73509, 'Negeri Sembilan'],
+  [75000, 78309, 'Melaka'],
+  [79000, 86900, 'Johor'],
+  [87000, 87033, 'Labuan'],
+  [88000, 91309, 'Sabah'],
+  [93000, 98859, 'Sarawak']
+];
+
+// Malaysian states as written in addresses (lowercase words, punctuation as spaces)
+const MY_STATE_NAMES = {
+  'Johor': ['johor', 'johore', 'johor darul takzim', 'johor darul tazim'],
+  'Kedah': ['kedah', 'kedah darul aman'],
+  'Kelantan': ['kelantan', 'kelantan darul naim'],
+  'Melaka': ['melaka', 'malacca'],
+  'Negeri Sembilan': ['negeri sembilan', 'n sembilan', 'negeri sembilan darul khusus'],
+  'Pahang': ['pahang', 'pahang darul makmur'],
+  'Perak': ['perak', 'perak darul ridzuan'],
+  'Perlis': ['perlis', 'perlis indera kayangan'],
+  'Pulau Pinang': ['pulau pinang', 'p pinang', 'penang'],
+  'Sabah': ['sabah'],
+  'Sarawak': ['sarawak'],
+  'Selangor': ['selangor', 'selangor darul ehsan'],
+  'Terengganu': ['terengganu', 'trengganu', 'terengganu darul iman'],
+  'Kuala Lumpur': ['kuala lumpur', 'wilayah persekutuan kuala lumpur', 'wp kuala lumpur', 'w p kuala lumpur'],
+  'Putrajaya': ['putrajaya', 'wilayah persekutuan putrajaya', 'wp putrajaya', 'w p putrajaya'],
+  'Labuan': ['labuan', 'wilayah persekutuan labuan', 'wp labuan', 'w p labuan'],
+  // One of the three federal territories - which one is told by the postcode
+  'Wilayah Persekutuan': ['wilayah persekutuan', 'wp', 'w p']
+};
+
+const MY_FEDERAL_TERRITORIES = ['Kuala Lumpur', 'Putrajaya', 'Labuan'];
+
+// How addresses of a region end:
+// postcodeWith - the part written with the postcode, "50000 Kuala Lumpur" (city) or "Chiang Mai 50200" (state)
+// states - state names to look for (else the part before the postcode is the state), false without states
+// postcodeStates - postcode table the state is checked against
+// city - the one city of the region
+const ADDRESS_PLANS = {
+  MY: { postcodeWith: 'city', states: MY_STATE_NAMES, postcodeStates: MY_POSTCODE_STATES },
+  SG: { postcodeWith: 'city', states: false, city: 'Singapore' },
+  TH: { postcodeWith: 'state' },
+  PH: { postcodeWith: 'state' },
+  ID: { postcodeWith: 'state' }
+};
+
+const ADDRESS_FLAG_LABELS = {
+  no_postcode: 'No postcode',
+  unknown_postcode: 'Unknown postcode',
+  postcode_state_mismatch: 'Postcode not in state',
+  state_from_postcode: 'State from postcode',
+  no_city: 'No city',
+  no_state: 'No state'
+};
+
+const ADDRESS_CONFIDENCE_LABELS = {
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low'
+};
+
+// Flags that make a parse unreliable for a courier
+const LOW_CONFIDENCE_ADDRESS_FLAGS = ['no_postcode', 'unknown_postcode', 'postcode_state_mismatch'];
+
+/**
+ * Normalize address text for matching, e.g. "W.P. Kuala Lumpur" → "w p kuala lumpur"
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeAddressText(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Remove punctuation and spacing left around a part, e.g. ", Kuala Lumpur -" → "Kuala Lumpur"
+ * @param {string} text
+ * @returns {string}
+ */
+function trimAddressPart(text) {
+  return String(text || '').replace(/^[\s,.\-/]+|[\s,.\-/]+$/g, '');
+}
+
+/**
+ * Look up the state of a Malaysian postcode
+ * @param {string} postcode - 5 digits
+ * @param {Array[]} table - [from, to, state] ranges
+ * @returns {string|null} - null if no range has it
+ */
+function getPostcodeState(postcode, table) {
+  const value = parseInt(postcode, 10);
+  const range = table.find(([from, to]) => value >= from && value <= to);
+  return range ? range[2] : null;
+}
+
+/**
+ * Find a state name at the end of an address part
+ * e.g. "Shah Alam Selangor" → { state: 'Selangor', rest: 'Shah Alam' }
+ * @param {string} part - Address part
+ * @param {Object} states - State names ({ state: [names] })
+ * @returns {{state: string, rest: string}|null} - rest: the part without the name
+ */
+function matchStateName(part, states) {
+  const text = normalizeAddressText(part);
+  let best = null;
+  Object.keys(states).forEach(state => {
+    states[state].forEach(name => {
+      if ((text === name || text.endsWith(' ' + name)) && (!best || name.length > best.name.length)) {
+        best = { state, name };
+      }
+    });
+  });
+  if (!best) return null;
+
+  // Cut the name's words off the original part
+  const words = Array.from(part.matchAll(/[\p{L}\p{N}]+/gu));
+  const cut = words[words.length - best.name.split(' ').length].index;
+  return { state: best.state, rest: trimAddressPart(part.slice(0, cut)) };
+}
+
+/**
+ * Whether a part ends with a street or area word, e.g. "Jalan" of "Jalan Perak"
+ * @param {string} text - Part before a state name
+ * @param {Object} profile - Region profile
+ * @returns {boolean}
+ */
+function isNamedStreet(text, profile) {
+  const words = normalizeAddressText(text).split(' ');
+  return profile.addressKeywords.some(keyword => normalizeAddressText(keyword) === words[words.length - 1]);
+}
+
+/**
+ * Split the street parts of an address into two lines - house and street first
+ * e.g. ["No 1", "Jalan Mawar", "Taman Melati"] → ["No 1, Jalan Mawar", "Taman Melati"]
+ * @param {string[]} parts
+ * @returns {string[]} - [line 1, line 2]
+ */
+function splitAddressLines(parts) {
+  const lines = parts.slice();
+  // A house or unit number on its own ("No 1", "12-3A", "#05-12") stays with the street
+  while (lines.length > 1 && lines[0].length <= 12 && /\d/.test(lines[0]) && !/\s\p{L}{4,}/u.test(lines[0])) {
+    lines.splice(0, 2, `${lines[0]}, ${lines[1]}`);
+  }
+  return [lines[0] || '', lines.slice(1).join(', ')];
+}
+
+/**
+ * Parse an address into its parts
+ * e.g. ("No 1, Jalan Mawar, 50000 Kuala Lumpur, Wilayah Persekutuan", 'MY') →
+ *   { line1: 'No 1, Jalan Mawar', postcode: '50000', city: 'Kuala Lumpur', state: 'Kuala Lumpur', confidence: 'high' }
+ * @param {string} address - Address as extracted
+ * @param {string} region - Region code of the order (default region if unknown)
+ * @returns {{line1: string, line2: string, postcode: string, city: string, state: string, country: string,
+ *   confidence: string|null, flags: string[]}} - confidence null without an address
+ */
+function parseAddress(address, region) {
+  const profile = getRegionProfile(region);
+  const plan = ADDRESS_PLANS[profile.code];
+  const result = { line1: '', line2: '', postcode: '', city: '', state: '', country: profile.country, confidence: null, flags: [] };
+  const country = normalizeAddressText(profile.country);
+  const parts = String(address || '').split(/[,\n]/).map(trimAddressPart).filter(Boolean);
+  if (parts.length === 0) return result;
+
+  if (parts.length > 1 && normalizeAddressText(parts[parts.length - 1]) === country) parts.pop();
+
+  // Postcode - the last number of the region's postcode form; the rest of its part is the city or state
+  let postcodeAt = parts.length - 1; // Where the postcode was (the last part without one)
+  let withPostcode = -1; // Part written with the postcode
+  for (let i = parts.length - 1; i >= 0 && !result.postcode; i--) {
+    const match = parts[i].match(profile.postcodePattern);
+    if (!match) continue;
+    result.postcode = match[0];
+    postcodeAt = i;
+    const rest = trimAddressPart(parts[i].replace(match[0], ' ').replace(/\s+/g, ' '));
+    if (rest && normalizeAddressText(rest) !== country) {
+      parts[i] = rest;
+      withPostcode = i;
+    } else {
+      parts.splice(i, 1);
+    }
+  }
+
+  // State - a known name after the postcode, or just before a postcode on its own (not the street),
+  // else the part written with the postcode
+  if (plan.states) {
+    const from = withPostcode >= 0 ? withPostcode : Math.max(postcodeAt - 1, 1);
+    for (let i = parts.length - 1; i >= from && !result.state; i--) {
+      const match = matchStateName(parts[i], plan.states);
+      if (!match || isNamedStreet(match.rest, profile)) continue;
+      result.state = match.state;
+      if (match.rest) {
+        parts[i] = match.rest;
+      } else if (i !== withPostcode) { // "50000 Kuala Lumpur" - the city has the state's name
+        parts.splice(i, 1);
+        if (i < withPostcode) withPostcode--;
+      }
+    }
+  } else if (plan.states !== false && parts.length > 1) {
+    const at = plan.postcodeWith === 'state' && withPostcode >= 0 ? withPostcode : parts.length - 1;
+    result.state = parts.splice(at, 1)[0];
+    withPostcode = at === withPostcode ? -1 : withPostcode;
+  }
+
+  // City - the part written with the postcode, else the last part left after the street
+  if (plan.city) {
+    result.city = plan.city;
+    if (withPostcode >= 0 && normalizeAddressText(parts[withPostcode]) === normalizeAddressText(plan.city)) parts.splice(withPostcode, 1);
+  } else if (plan.postcodeWith === 'city' && withPostcode >= 0) {
+    result.city = parts.splice(withPostcode, 1)[0];
+  } else if (parts.length > 1) {
+    result.city = parts.pop();
+  }
+
+  [result.line1, result.line2] = splitAddressLines(parts);
+  result.flags = checkAddressParts(result, plan);
+  result.confidence = result.flags.some(flag => LOW_CONFIDENCE_ADDRESS_FLAGS.includes(flag)) ? 'low'
+    : result.flags.length > 0 ? 'medium' : 'high';
+  return result;
+}
+
+/**
+ * Check the parts of a parsed address - Malaysian states are checked against
+ * (or filled in from) the postcode table
+ * @param {Object} parsed - From parseAddress(), state may be updated
+ * @param {Object} plan - Address plan of the region
+ * @returns {string[]} - Flags
+ */
+function checkAddressParts(parsed, plan) {
+  const flags = [];
+  if (!parsed.postcode) flags.push('no_postcode');
+
+  if (plan.postcodeStates && parsed.postcode) {
+    const postcodeState = getPostcodeState(parsed.postcode, plan.postcodeStates);
+    const federalTerritory = parsed.state === 'Wilayah Persekutuan' && MY_FEDERAL_TERRITORIES.includes(postcodeState);
+    if (!postcodeState) {
+      flags.push('unknown_postcode');
+    } else if (!parsed.state || federalTerritory) {
+      if (!parsed.state) flags.push('state_from_postcode');
+      parsed.state = postcodeState;
+    } else if (parsed.state !== postcodeState) {
+      flags.push('postcode_state_mismatch');
+    }
+  }
+
+  if (!parsed.city) flags.push('no_city');
+  if (!parsed.state && plan.states !== false) flags.push('no_state');
+  return flags;
+}
+
+/**
+ * Address fields of an order record for an extracted address
+ * @param {string} address - Address as extracted
+ * @param {string} region - Region code of the order
+ * @returns {Object} - address_line1, address_line2, address_postcode, address_city, address_state,
+ *   address_country, address_confidence, address_flags
+ */
+function toOrderAddressFields(address, region) {
+  const parsed = parseAddress(address, region);
+  return {
+    address_line1: parsed.line1,
+    address_line2: parsed.line2,
+    address_postcode: parsed.postcode,
+    address_city: parsed.city,
+    address_state: parsed.state,
+    address_country: parsed.confidence ? parsed.country : '',
+    address_confidence: parsed.confidence,
+    address_flags: parsed.flags
+  };
+}
+
+/**
+ * Parse the address of an order stored before addresses were parsed
+ * (encrypted ones are parsed once decrypted)
+ * @param {Object} order - Order record with plain customer details
+ * @returns {Object} - Copy with the address fields, or the order itself if it has them or no address
+ */
+function normalizeOrderAddress(order) {
+  if (!order.full_address || order.address_confidence !== undefined) return order;
+  return { ...order, ...toOrderAddressFields(order.full_address, order.region) };
+}
+
+/**
+ * Describe the parse confidence of an order's address, e.g. "High" or "Medium (No city)"
+ * @param {Object} order - Order record
+ * @returns {string} - '' without a parsed address
+ */
+function describeAddressConfidence(order) {
+  const label = ADDRESS_CONFIDENCE_LABELS[order.address_confidence];
+  if (!label) return '';
+  const flags = (order.address_flags || []).map(flag => ADDRESS_FLAG_LABELS[flag] || flag);
+  return flags.length === 0 ? label : `${label} (${flags.join(', ')})`;
+}
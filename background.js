@@ -3,57 +3,165 @@
  * v2.9.1 - Added watchdog timer for stalled processing
  *
  * Flow:
- * 1. Open TikTok Seller Center → Shipped tab
+ * 1. Open TikTok Seller Center → selected order tab (Shipped by default)
  * 2. Collect order IDs from the list page
- * 3. Go to each order detail page
+ * 3. Go to each order detail page (optionally in several tabs in parallel)
  * 4. Click reveal buttons to unmask data
  * 5. Extract customer data
- * 6. Store in chrome.storage.local (persistent)
+ * 6. Store in the IndexedDB order store (persistent, see order-store.js)
  * 7. Export to CSV or XLSX anytime
  */
 
 // Import SheetJS library for XLSX export
 importScripts('lib/xlsx.full.min.js');
 
+// Import shared region profiles (seller host, URLs, currency)
+importScripts('regions.js');
+
+// Import shared date range helpers (presets, legacy single-date filters)
+importScripts('date-range.js');
+
+// Import shared order store (IndexedDB, indexed by order ID, shop, date, status and run)
+importScripts('order-store.js');
+
+// Import shared order tab definitions (To ship, Shipped, Delivered, ...)
+importScripts('order-tabs.js');
+
+// Import shared run state machine (idle, navigating, collecting, extracting, ...)
+importScripts('run-machine.js');
+
+// Import shared scheduled export helpers (next run time, saved job defaults)
+importScripts('scheduler.js');
+
+// Import shared selector packs (bundled selectors/labels, imported overrides)
+importScripts('selector-pack.js');
+
+// Import schema versions and migrations of stored orders and settings
+importScripts('migrations.js');
+
+// Import customer data encryption (passphrase, lock/unlock)
+importScripts('pii-vault.js');
+
+// Import customer data retention (policy, redaction, erase requests)
+importScripts('retention.js');
+
+// Import export privacy profiles (full, masked, hashed, no customer details)
+importScripts('privacy-profiles.js');
+
+// Import phone number normalization (E.164, type and validation flags)
+importScripts('phone-numbers.js');
+
+// Import address parsing (street lines, postcode, city, state, parse confidence)
+importScripts('addresses.js');
+
+// Import the customer book (matching orders to customers, per-customer aggregates)
+importScripts('customers.js');
+
 // Constants
 const MAX_RETRIES = 3;
 const NOTIFICATION_ID = 'tiktok-export-complete';
+const SCHEDULE_NOTIFICATION_ID = 'tiktok-scheduled-export';
 const DEBUG = false; // Set to true for verbose logging
 const ORDER_TIMEOUT_MS = 30000; // 30 seconds max per order before auto-refresh
+const MAX_WORKER_TABS = 3; // Upper limit of tabs extracting orders in parallel
+const ORDERS_PER_PAGE = 20; // Orders on a full order list page
+const ESTIMATED_ORDER_OVERHEAD_MS = 9000; // Detail page load, reveal clicks and extraction (for projections)
+const ESTIMATED_PAGE_OVERHEAD_MS = 20000; // Loading the list, applying filters and collecting IDs (for projections)
+const RETRY_FAILED_MODE = 'retry-failed'; // Run mode that only processes the failed-orders store
+const REFRESH_MODE = 'refresh'; // Run mode that re-reads the status of stored orders
+const INCREMENTAL_MODE = 'incremental'; // Run mode that stops at the shop's last sync (watermark)
+const LIST_ONLY_MODE = 'list-only'; // Run mode that stores the list rows without opening the detail pages
+const PII_BATCH_SIZE = 200; // Orders encrypted, decrypted or redacted per write
+const PII_MIN_PASSPHRASE_LENGTH = 8;
+
+// State fields that are rebuilt when a run is restored instead of being persisted
+const TRANSIENT_STATE_KEYS = ['existingOrderIds'];
 
 // Debug logger
 function debugLog(...args) {
   if (DEBUG) console.log('[Background]', ...args);
 }
 
-// Watchdog timer for detecting stalled processing
-let orderWatchdogTimer = null;
-let orderStartTime = null;
+// Timer of the run's 'waiting' state (cancelled when the run leaves it)
+let waitTimer = null;
+
+// Worker pool: tabId -> worker (see createWorker). The export tab is always worker #1.
+const workers = new Map();
+
+// Pending read-modify-write of chrome.storage (workers can finish orders at the same moment)
+let storageWrites = Promise.resolve();
+
+// Number of the latest session state save - an older one still encrypting is not written over it
+let sessionStateSaves = 0;
+
+// Run state machine - the single source of truth for what the run is doing
+const runMachine = createRunMachine();
+
+runMachine.onTransition((entry) => {
+  debugLog(`Run: ${entry.from} → ${entry.to}`, entry.reason);
+
+  // Pause/stop cancels a pending delay
+  if (entry.from === 'waiting' && waitTimer) {
+    clearTimeout(waitTimer);
+    waitTimer = null;
+  }
+
+  // Leaving 'extracting' (page done, pause, stop) idles every worker and
+  // puts their unfinished orders back in the queue
+  if (entry.from === 'extracting') {
+    stopWorkers(entry.to);
+  }
+
+  // A finished run no longer needs the extra worker tabs
+  if (['done', 'failed', 'idle'].includes(entry.to)) {
+    closeExtraWorkers();
+  }
+
+  // Persist every transition so a service worker restart can continue the run
+  saveSessionState();
+});
 
 // State
 let state = {
-  isRunning: false,
-  shouldStop: false,
-  isPaused: false, // New: pause state (human-initiated, no auto-resume)
-  pausedByHuman: false, // New: track if paused by user
   currentTabId: null,
   maxOrders: 100,
   delayMinMs: 2000,
   delayMaxMs: 7000,
+  workerCount: 1, // Number of tabs extracting orders in parallel (1 - MAX_WORKER_TABS)
+  startPage: 1,
+  endPage: 1, // Grows with the pagination in "all pages" mode
+  currentPage: 1,
+  allPages: false, // Keep going until the pagination is exhausted
+  projectedOrders: null, // Filtered order count reported by the list page (all pages mode)
+  mode: 'pages', // 'pages' (collect from the order list), RETRY_FAILED_MODE, REFRESH_MODE, INCREMENTAL_MODE or LIST_ONLY_MODE
+  retryOrders: {}, // Retry failed mode: { orderId: { page, tab } } of the failed-orders records
+  refreshFilter: null, // Refresh mode: { maxAgeDays, status } the stored orders were selected by
+  runId: null, // ID of the run, stored with its orders (run index of the order store)
+  shopCode: null, // Shop the run was started for (shop index of the order store) - from the popup, or the first list page
+  shopName: null, // Its name in the Seller Center header, if the popup found it
+  shopKey: null, // Incremental mode: 'REGION:SHOPCODE' of the shop being synced
+  watermark: null, // Incremental mode: { time, orderId } of the last sync - the run stops there
+  watermarkReached: false, // Incremental mode: the last sync was found, no more pages
+  orderTimes: {}, // Incremental mode: list time of each order on the current page (ms or null)
+  syncHighWater: null, // Incremental mode: newest exported order of this run { time, orderId, page, index }
   orderIds: [],
+  pendingOrderIds: [], // Orders handed back to the queue (pause, closed tab) - taken before orderIds
   collectedData: [],
-  existingOrderIds: [],
-  currentOrderIndex: 0,
+  existingOrderIds: new Set(), // Checked for every order, so a Set (never persisted)
+  currentOrderIndex: 0, // Next order of orderIds to hand to a worker
   processed: 0,
   success: 0,
   failed: 0,
   skipped: 0,
+  updated: 0, // Refresh mode: stored orders whose status, tracking or amount changed
   totalAmount: 0,
-  isProcessingOrder: false,
-  phase: 'idle', // idle, collecting, processing, done, paused
   retryCount: {}, // Track retry attempts per order: { orderId: attemptCount }
   retried: 0, // Count of orders that succeeded after retry
-  dateFilter: null // Optional date filter: { startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD' }
+  dateFilter: null, // Optional date filter: { startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD', preset }
+  region: DEFAULT_REGION, // Region profile code (MY, SG, TH, PH, ID)
+  tab: DEFAULT_ORDER_TAB, // Order list tab being exported (see order-tabs.js)
+  trigger: 'manual', // 'manual' (popup) or 'schedule' (chrome.alarms, see scheduler.js)
+  startedAt: null // ISO time the run started
 };
 
 // Listen for messages from popup
@@ -62,11 +170,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   switch (message.type) {
     case 'START_EXPORT':
-      handleStart(message).then(sendResponse);
+      stateRestored.then(() => handleStart(message)).then(sendResponse);
+      return true;
+
+    case 'PREVIEW_EXPORT':
+      previewExport(message).then(sendResponse);
       return true;
 
     case 'RESUME_EXPORT':
-      handleResume(message).then(sendResponse);
+      stateRestored.then(() => handleResume(message)).then(sendResponse);
       return true;
 
     case 'PAUSE_EXPORT':
@@ -75,7 +187,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return false;
 
     case 'RESUME_PAUSED':
-      handleResumePaused().then(sendResponse);
+      stateRestored.then(() => handleResumePaused()).then(sendResponse);
       return true;
 
     case 'STOP_EXPORT':
@@ -84,87 +196,514 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return false;
 
     case 'GET_STATUS':
-      sendResponse(getStatus());
+      // Wait for an interrupted run to be restored so the popup sees it
+      stateRestored.then(() => sendResponse(getStatus()));
+      return true;
+
+    case 'GET_RUN_LOG':
+      sendResponse(getRunLog());
       return false;
 
     case 'DOWNLOAD_CSV':
-      downloadCSV().then(sendResponse);
+      downloadCSV({ sourceTab: message.sourceTab, shopCode: message.shopCode, profile: message.profile }).then(sendResponse);
       return true;
 
     case 'DOWNLOAD_XLSX':
-      downloadXLSX().then(sendResponse);
+      downloadXLSX({ sourceTab: message.sourceTab, shopCode: message.shopCode, profile: message.profile }).then(sendResponse);
+      return true;
+
+    case 'DOWNLOAD_CUSTOMERS_CSV':
+      downloadCustomers('csv', { shopCode: message.shopCode, profile: message.profile }).then(sendResponse);
+      return true;
+
+    case 'DOWNLOAD_CUSTOMERS_XLSX':
+      downloadCustomers('xlsx', { shopCode: message.shopCode, profile: message.profile }).then(sendResponse);
+      return true;
+
+    case 'UPDATE_CUSTOMER_BOOK':
+      updateCustomerBook({ full: true }).then(result => sendResponse(result ? { success: true, ...result } : { error: 'The customer book could not be updated' }));
+      return true;
+
+    case 'RECORD_EXPORT':
+      // Exports made by the dashboard's table buttons
+      saveExportHistory(message.format, message.count, message.filename, message.shopCode || null, message.profile)
+        .then(() => sendResponse({ success: true }));
+      return true;
+
+    case 'GET_FAILED_ORDERS':
+      getFailedOrders().then(failedOrders => sendResponse({ success: true, failedOrders }));
+      return true;
+
+    case 'DISMISS_FAILED_ORDERS':
+      dismissFailedOrders(message.orderIds || []).then(() => sendResponse({ success: true }));
+      return true;
+
+    case 'GET_SYNC_WATERMARKS':
+      chrome.storage.local.get(['syncWatermarks']).then(storage => {
+        sendResponse({ success: true, watermarks: storage.syncWatermarks || {} });
+      });
       return true;
 
     case 'GET_EXPORT_HISTORY':
       getExportHistory().then(sendResponse);
       return true;
 
+    case 'GET_SCHEDULE':
+      getSchedule().then(sendResponse);
+      return true;
+
+    case 'SAVE_SCHEDULE':
+      saveSchedule(message.schedule).then(sendResponse);
+      return true;
+
+    case 'GET_SELECTOR_PACK':
+      getSelectorPack().then(sendResponse);
+      return true;
+
+    case 'SAVE_SELECTOR_PACK':
+      // pack: null goes back to the bundled pack
+      saveSelectorPack(message.pack).then(sendResponse);
+      return true;
+
+    case 'GET_MIGRATION_REPORT':
+      chrome.storage.local.get([MIGRATION_REPORT_KEY]).then(storage => {
+        sendResponse({
+          success: true,
+          report: storage[MIGRATION_REPORT_KEY] || null,
+          orderVersion: ORDER_SCHEMA_VERSION,
+          settingsVersion: SETTINGS_SCHEMA_VERSION
+        });
+      });
+      return true;
+
+    case 'GET_PII_STATUS':
+      getPiiStatus().then(sendResponse);
+      return true;
+
+    case 'ENABLE_PII_ENCRYPTION':
+      enablePiiEncryption(message.passphrase, message.autoLockMinutes).then(sendResponse);
+      return true;
+
+    case 'DISABLE_PII_ENCRYPTION':
+      disablePiiEncryption(message.passphrase).then(sendResponse);
+      return true;
+
+    case 'UNLOCK_PII':
+      unlockPii(message.passphrase).then(sendResponse);
+      return true;
+
+    case 'LOCK_PII':
+      lockPii().then(sendResponse);
+      return true;
+
+    case 'SET_PII_AUTO_LOCK':
+      setPiiAutoLock(message.minutes).then(sendResponse);
+      return true;
+
+    case 'GET_RETENTION':
+      getRetention().then(sendResponse);
+      return true;
+
+    case 'SAVE_RETENTION_POLICY':
+      saveRetentionPolicy(message.policy).then(sendResponse);
+      return true;
+
+    case 'RUN_RETENTION_PURGE':
+      purgeExpiredCustomerData('manual').then(sendResponse);
+      return true;
+
+    case 'ERASE_CUSTOMER':
+      eraseCustomer({ phone: message.phone, name: message.name }).then(sendResponse);
+      return true;
+
+    case 'RUN_SCHEDULE_NOW':
+      stateRestored.then(() => runScheduledExport('run now')).then(sendResponse);
+      return true;
+
     case 'ORDER_IDS_COLLECTED':
-      handleOrderIdsCollected(message.orderIds, message.actualMaxPages);
+      handleOrderIdsCollected(message.orderIds, message.actualMaxPages, message.totalOrders, message.orderTimes, message.shopCode, message.orderRows);
       sendResponse({ success: true });
       return false;
 
     case 'ORDER_DATA_EXTRACTED':
-      handleOrderDataExtracted(message.data);
+      // Tagged with the worker's tab ID (older content scripts: use the sender tab)
+      handleOrderDataExtracted(message.data, message.tabId || (sender.tab && sender.tab.id), message.orderId);
       sendResponse({ success: true });
       return false;
   }
 });
 
-// Flag to prevent multiple collect calls
-let collectCalled = false;
-
 // Listen for tab updates
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (tabId === state.currentTabId && changeInfo.status === 'complete' && state.isRunning) {
+  if (changeInfo.status !== 'complete') return;
+
+  // Export tab finished loading the order list
+  if (tabId === state.currentTabId && runMachine.is('navigating')) {
     debugLog('Tab loaded:', tab.url);
 
+    // Give the page time to render. Duplicate "complete" events are harmless:
+    // the first one moves the run out of this navigation
+    const target = runMachine.context;
     setTimeout(() => {
-      if (!state.isRunning || state.shouldStop) return;
-
-      if (state.phase === 'collecting' && tab.url.includes('/order') && !tab.url.includes('/detail')) {
-        // Only call collect once per session
-        if (!collectCalled) {
-          collectCalled = true;
-          collectOrderIds();
-        } else {
-          debugLog('collectOrderIds already called, skipping');
-        }
-      } else if (state.phase === 'processing' && tab.url.includes('/order/detail')) {
-        if (!state.isProcessingOrder) {
-          processCurrentOrder();
-        }
+      if (!runMachine.is('navigating') || runMachine.context !== target) return;
+      if (!tab.url.includes('/order') || tab.url.includes('/detail')) return;
+
+      // A resumed run continues its queue, otherwise collect the current page
+      // (retry failed and refresh runs never collect - their queue is set at the start)
+      if (hasQueuedOrders() || !usesOrderList()) {
+        startWorkers('resume');
+      } else {
+        collectOrderIds();
       }
     }, 2000);
+    return;
+  }
+
+  // Worker tab finished loading an order detail page
+  const worker = workers.get(tabId);
+  if (worker && worker.machine.is('navigating')) {
+    debugLog('Tab loaded:', tab.url);
+
+    const target = worker.machine.context;
+    setTimeout(() => {
+      if (!worker.machine.is('navigating') || worker.machine.context !== target) return;
+      if (tab.url.includes('/order/detail')) {
+        processCurrentOrder(worker);
+      }
+    }, 2000);
+  }
+});
+
+// Worker tabs closed by the user hand their order back to the queue
+chrome.tabs.onRemoved.addListener((tabId) => {
+  const worker = workers.get(tabId);
+  if (!worker) return;
+
+  releaseWorker(worker, 'tab closed');
+  workers.delete(tabId);
+
+  if (tabId === state.currentTabId) {
+    failRun('Export tab was closed');
+    return;
+  }
+
+  log(`Worker tab ${worker.number} was closed`, 'warn');
+  workers.forEach(other => assignNextOrder(other));
+});
+
+// Scheduled exports
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM_NAME) {
+    stateRestored.then(() => runScheduledExport('alarm'));
+  }
+  if (alarm.name === PII_LOCK_ALARM_NAME) {
+    lockPii();
+  }
+  if (alarm.name === RETENTION_ALARM_NAME) {
+    purgeExpiredCustomerData('schedule');
   }
 });
 
+// Alarms are cleared when the extension is updated - arm the schedule again
+chrome.runtime.onInstalled.addListener((details) => {
+  armScheduleAlarm();
+  armRetentionAlarm();
+  migrateStoredData(details && details.reason);
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  armScheduleAlarm();
+  armRetentionAlarm();
+});
+
+/**
+ * Upgrade the orders and settings stored by earlier versions
+ * @param {string} reason - chrome.runtime.onInstalled reason
+ * @returns {Promise<Object|null>} - Migration report, or null if it failed
+ */
+async function migrateStoredData(reason) {
+  try {
+    const report = await runMigrations(reason);
+    log(`Stored data: ${describeMigrationReport(report)}`);
+    report.orders.steps.forEach(step => {
+      debugLog(`Orders v${step.version} (${step.description}): ${step.count}`);
+    });
+    // Orders of versions before the customer book are linked by a first full build
+    await updateCustomerBook({ full: (await countOrders({ index: 'customer' })) === 0 });
+    return report;
+  } catch (error) {
+    log('Stored data migration failed: ' + error.message, 'error');
+    return null;
+  }
+}
+
+/**
+ * Check whether a run is in progress (not idle, paused or finished)
+ * @returns {boolean}
+ */
+function isRunActive() {
+  return runMachine.is(...RUN_ACTIVE_STATES);
+}
+
+/**
+ * Check whether the current page still has orders to hand out
+ * @returns {boolean}
+ */
+function hasQueuedOrders() {
+  return state.pendingOrderIds.length > 0 || state.currentOrderIndex < state.orderIds.length;
+}
+
+/**
+ * Check whether the run collects its orders from the order list pages
+ * Retry failed and refresh runs get their whole queue when they start
+ * @returns {boolean}
+ */
+function usesOrderList() {
+  return state.mode !== RETRY_FAILED_MODE && state.mode !== REFRESH_MODE;
+}
+
+/**
+ * Get a known run mode, falling back to 'pages'
+ * @param {string} mode - Requested or saved run mode
+ * @returns {string}
+ */
+function normalizeRunMode(mode) {
+  return [RETRY_FAILED_MODE, REFRESH_MODE, INCREMENTAL_MODE, LIST_ONLY_MODE].includes(mode) ? mode : 'pages';
+}
+
+/**
+ * Get the IDs of the stored orders a run skips as already exported
+ * List-only records (customer_revealed: false) count for list-only runs
+ * only - any other run visits them to fill in the customer details.
+ * Only the run's shop's orders count (and those of no known shop).
+ * @param {string} mode - Run mode
+ * @param {string|null} shopCode - Shop of the run (all shops while it is not known)
+ * @returns {Promise<Set<string>>}
+ */
+async function getExistingOrderIds(mode, shopCode) {
+  return new Set(await getStoredOrderIds(mode === LIST_ONLY_MODE, shopCode || null));
+}
+
+/**
+ * Normalize the shop a run is started for
+ * @param {Object} shop - { code, name } detected by the popup (may be missing)
+ * @returns {{code: string|null, name: string|null}}
+ */
+function normalizeShop(shop) {
+  const code = shop && typeof shop.code === 'string' ? shop.code.trim().toUpperCase() : '';
+  const name = shop && typeof shop.name === 'string' ? shop.name.trim() : '';
+  return { code: code || null, name: code && name ? name : null };
+}
+
+/**
+ * Create the ID a run's orders are stored with
+ * @returns {string} - e.g. 'lq3k2v9c-i7x2'
+ */
+function createRunId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Orders the workers are currently working on
+ * @returns {string[]}
+ */
+function getActiveOrderIds() {
+  return Array.from(workers.values()).filter(w => w.orderId).map(w => w.orderId);
+}
+
+/**
+ * Clamp the requested number of worker tabs
+ * @param {number} count - Requested number of tabs
+ * @returns {number} - 1 to MAX_WORKER_TABS
+ */
+function normalizeWorkerCount(count) {
+  return Math.min(MAX_WORKER_TABS, Math.max(1, parseInt(count) || 1));
+}
+
+/**
+ * Enter the run's waiting state and run the next step after a delay
+ * Pausing or stopping leaves 'waiting', which cancels the step
+ * @param {number} ms - Delay in milliseconds
+ * @param {Function} next - Step to run
+ * @param {string} reason - Reason for the transition log
+ * @returns {boolean} - False if the run could not wait (e.g. already paused)
+ */
+function waitThen(ms, next, reason) {
+  if (!runMachine.transition('waiting', { delayMs: Math.round(ms) }, reason)) return false;
+
+  waitTimer = setTimeout(() => {
+    waitTimer = null;
+    if (runMachine.is('waiting')) next();
+  }, ms);
+  return true;
+}
+
+/**
+ * Create a worker for a tab and add it to the pool
+ * Each worker has its own state machine, watchdog, delay timer and counters
+ * @param {number} tabId - Tab the worker extracts orders in
+ * @returns {Object} - Worker
+ */
+function createWorker(tabId) {
+  const worker = {
+    tabId,
+    number: workers.size + 1, // 1-based, shown in logs
+    machine: createWorkerMachine(),
+    orderId: null, // Order the worker is extracting (including its retries)
+    success: 0,
+    failed: 0,
+    retries: 0,
+    waitTimer: null,
+    watchdogTimer: null,
+    startedAt: null
+  };
+
+  worker.machine.onTransition((entry) => {
+    debugLog(`Tab ${worker.number}: ${entry.from} → ${entry.to}`, entry.reason);
+
+    if (entry.from === 'waiting' && worker.waitTimer) {
+      clearTimeout(worker.waitTimer);
+      worker.waitTimer = null;
+    }
+
+    // The watchdog only guards loading and extracting an order
+    if (entry.to !== 'navigating' && entry.to !== 'extracting') {
+      stopOrderWatchdog(worker);
+    }
+  });
+
+  workers.set(tabId, worker);
+  return worker;
+}
+
+/**
+ * Log prefix for a worker - only shown when several tabs are working
+ * @param {Object} worker
+ * @returns {string}
+ */
+function workerLabel(worker) {
+  return state.workerCount > 1 ? `[Tab ${worker.number}] ` : '';
+}
+
+/**
+ * Enter a worker's waiting state and run its next step after a delay
+ * @param {Object} worker
+ * @param {number} ms - Delay in milliseconds
+ * @param {Function} next - Step to run
+ * @param {string} reason - Reason for the transition log
+ */
+function workerWaitThen(worker, ms, next, reason) {
+  if (!worker.machine.transition('waiting', { delayMs: Math.round(ms) }, reason)) return;
+
+  worker.waitTimer = setTimeout(() => {
+    worker.waitTimer = null;
+    if (worker.machine.is('waiting') && runMachine.is('extracting')) next();
+  }, ms);
+}
+
+/**
+ * Stop a worker and hand its unfinished order back to the queue
+ * @param {Object} worker
+ * @param {string} reason - Reason for the transition log
+ */
+function releaseWorker(worker, reason) {
+  if (worker.orderId) {
+    state.pendingOrderIds.unshift(worker.orderId);
+    worker.orderId = null;
+  }
+  if (!worker.machine.is('idle')) {
+    worker.machine.transition('idle', {}, reason);
+  }
+}
+
+/**
+ * Stop all workers (the run left 'extracting')
+ * @param {string} runState - State the run moved to
+ */
+function stopWorkers(runState) {
+  workers.forEach(worker => releaseWorker(worker, `run ${runState}`));
+}
+
+/**
+ * Close the extra worker tabs - the export tab stays open
+ */
+function closeExtraWorkers() {
+  workers.forEach(worker => {
+    releaseWorker(worker, 'closed');
+    if (worker.tabId !== state.currentTabId) {
+      workers.delete(worker.tabId);
+      chrome.tabs.remove(worker.tabId).catch(() => {});
+    }
+  });
+}
+
 /**
  * Handle start command (fresh start)
  */
 async function handleStart(message) {
-  if (state.isRunning) {
+  if (isRunActive()) {
     return { error: 'Already running' };
   }
 
-  // Reset collect flag for new session
-  collectCalled = false;
+  // Load the IDs of the shop's orders already in the store
+  const mode = normalizeRunMode(message.mode);
+  const shop = normalizeShop(message.shop);
+  const existingOrderIds = await getExistingOrderIds(mode, shop.code);
+  const region = getRegionProfile(message.region).code;
+
+  // Refresh: the queue is the region's stored orders (of the shop) that match the filter
+  const refresh = message.mode === REFRESH_MODE;
+  const refreshFilter = refresh ? normalizeRefreshFilter(message.refreshFilter) : null;
+  const refreshOrderIds = refresh
+    ? selectOrdersToRefresh(await getRefreshCandidates(refreshFilter, shop.code), region, refreshFilter)
+    : [];
+  if (refresh && refreshOrderIds.length === 0) {
+    return { error: 'No stored orders match the refresh filter' };
+  }
+
+  // Incremental: every page from the first one, until the last sync is reached
+  const incremental = message.mode === INCREMENTAL_MODE;
 
-  // Load existing orders from storage
-  const storage = await chrome.storage.local.get(['exportedOrders']);
-  const existingOrderIds = storage.exportedOrders ? storage.exportedOrders.map(o => o.order_id) : [];
+  // Retry failed: the queue is the region's failed orders (or the ones asked for)
+  const retryFailed = message.mode === RETRY_FAILED_MODE;
+  const retryOrders = {};
+  if (retryFailed) {
+    const failedOrders = await getRetryableFailedOrders(region, message.orderIds);
+    if (failedOrders.length === 0) {
+      return { error: 'No failed orders to retry' };
+    }
+    failedOrders.forEach(order => {
+      retryOrders[order.order_id] = { page: order.page || 1, tab: getOrderTab(order.tab).key };
+    });
+  }
 
   // Reset state
+  closeExtraWorkers();
+  workers.clear();
   state = {
-    isRunning: true,
-    shouldStop: false,
     currentTabId: null,
     startPage: message.startPage || 1,
-    endPage: message.endPage || 1,
+    // All pages: the pagination of the first page sets the real end page
+    endPage: message.allPages ? (message.startPage || 1) : (message.endPage || 1),
     currentPage: message.startPage || 1, // Track current page being processed
+    allPages: incremental || (!!message.allPages && !retryFailed && !refresh),
+    projectedOrders: null,
+    mode: mode,
+    retryOrders: retryOrders,
+    refreshFilter: refreshFilter,
+    runId: createRunId(),
+    shopCode: shop.code,
+    shopName: shop.name,
+    shopKey: null,
+    watermark: null,
+    watermarkReached: false,
+    orderTimes: {},
+    syncHighWater: null,
     delayMinMs: message.delayMinMs || 2000,
     delayMaxMs: message.delayMaxMs || 6000,
-    orderIds: [],
+    workerCount: normalizeWorkerCount(message.workers),
+    orderIds: refresh ? refreshOrderIds : Object.keys(retryOrders),
+    pendingOrderIds: [],
     collectedData: [],
     existingOrderIds: existingOrderIds,
     currentOrderIndex: 0,
@@ -172,35 +711,59 @@ async function handleStart(message) {
     success: 0,
     failed: 0,
     skipped: 0,
+    updated: 0,
     totalAmount: 0,
-    isProcessingOrder: false,
-    phase: 'collecting',
     retryCount: {},
     retried: 0,
-    dateFilter: message.dateFilter || null // Store date filter (single date)
+    dateFilter: retryFailed || refresh || incremental ? null : normalizeDateFilter(message.dateFilter), // Date range (inclusive)
+    region: region,
+    tab: getOrderTab(message.tab).key,
+    trigger: message.trigger === 'schedule' ? 'schedule' : 'manual',
+    startedAt: new Date().toISOString()
   };
 
-  // Log date filter if present
-  if (state.dateFilter) {
-    log(`Date: ${state.dateFilter.date}, Pages: ${state.startPage}-${state.endPage}`);
+  if (retryFailed || refresh || incremental) {
+    state.startPage = state.endPage = state.currentPage = 1;
+  }
+  if (retryFailed) {
+    log(`Retry failed: ${state.orderIds.length} failed orders queued`);
+  } else if (refresh) {
+    log(`Refresh: ${state.orderIds.length} stored orders (${describeRefreshFilter(refreshFilter)})`);
+  } else if (incremental) {
+    log(`Tab: ${getOrderTab(state.tab).label}, incremental since the last sync`);
+  } else if (mode === LIST_ONLY_MODE) {
+    log(`Tab: ${getOrderTab(state.tab).label}, list only (no customer details), Pages: ${describePageRange()}`);
+  } else if (state.dateFilter) {
+    // Log date filter if present
+    log(`Tab: ${getOrderTab(state.tab).label}, Date: ${describeDateFilter(state.dateFilter)}, Pages: ${describePageRange()}`);
+  }
+
+  if (shop.code) {
+    log(`Shop: ${formatShopLabel(shop)}`);
+    await rememberShop(shop, region);
   }
 
   // Clear previous session
+  sessionStateSaves++;
   await chrome.storage.local.remove(['sessionState']);
 
   broadcastStatus('Opening TikTok Seller Center...');
-  log(`Starting export... (${existingOrderIds.length} orders already in storage)`);
+  const tabsText = state.workerCount > 1 ? ` with ${state.workerCount} tabs` : '';
+  log(`Starting ${getRegionProfile(state.region).name} export${tabsText}... (${existingOrderIds.size} orders already in storage)`);
 
   try {
+    // The tab listener collects the page once the order list has loaded
+    runMachine.transition('navigating', { page: 'list' }, 'start');
     const tab = await chrome.tabs.create({
-      url: 'https://seller-my.tiktok.com/order?selected_sort=6&tab=shipped',
+      url: buildOrderListUrl(state.region, getOrderTab(state.tab).urlTab),
       active: true
     });
     state.currentTabId = tab.id;
+    await saveSessionState();
 
     return { success: true };
   } catch (error) {
-    state.isRunning = false;
+    runMachine.transition('failed', { error: error.message }, 'tab not opened');
     log('Error: ' + error.message, 'error');
     return { error: error.message };
   }
@@ -210,50 +773,39 @@ async function handleStart(message) {
  * Handle resume command (continue from previous session)
  */
 async function handleResume(message) {
-  if (state.isRunning) {
+  if (isRunActive()) {
     return { error: 'Already running' };
   }
 
   // Load session state
-  const sessionData = await chrome.storage.local.get(['sessionState', 'exportedOrders']);
+  const sessionData = await chrome.storage.local.get(['sessionState']);
   const session = sessionData.sessionState;
 
-  if (!session || !session.orderIds || session.orderIds.length === 0) {
+  if (!isResumableSession(session)) {
     return { error: 'No previous session found' };
   }
 
-  const existingOrderIds = sessionData.exportedOrders ? sessionData.exportedOrders.map(o => o.order_id) : [];
+  const existingOrderIds = await getExistingOrderIds(normalizeRunMode(session.mode), session.shopCode);
 
   // Restore state from session
-  state = {
-    isRunning: true,
-    shouldStop: false,
-    currentTabId: null,
-    maxOrders: session.maxOrders || 100,
-    delayMinMs: message.delayMinMs || 2000,
-    delayMaxMs: message.delayMaxMs || 6000,
-    orderIds: session.orderIds,
-    collectedData: [],
-    existingOrderIds: existingOrderIds,
-    currentOrderIndex: session.currentOrderIndex || 0,
-    processed: session.processed || 0,
-    success: session.success || 0,
-    failed: session.failed || 0,
-    skipped: session.skipped || 0,
-    totalAmount: session.totalAmount || 0,
-    isProcessingOrder: false,
-    phase: 'processing',
-    retryCount: session.retryCount || {},
-    retried: session.retried || 0
-  };
-
-  const remaining = state.orderIds.length - state.currentOrderIndex;
-  broadcastStatus(`Resuming... ${remaining} orders remaining`);
-  log(`Resuming export from order ${state.currentOrderIndex + 1}/${state.orderIds.length}`);
+  closeExtraWorkers();
+  workers.clear();
+  state = buildStateFromSession(session, existingOrderIds);
+  state.delayMinMs = message.delayMinMs || state.delayMinMs;
+  state.delayMaxMs = message.delayMaxMs || state.delayMaxMs;
+
+  if (hasQueuedOrders()) {
+    const remaining = state.pendingOrderIds.length + state.orderIds.length - state.currentOrderIndex;
+    broadcastStatus(`Resuming... ${remaining} orders remaining`);
+    log(`Resuming export with ${remaining} orders left on page ${state.currentPage}/${state.endPage}`);
+  } else {
+    broadcastStatus(`Resuming... collecting page ${state.currentPage}/${state.endPage}`);
+    log(`Resuming export from page ${state.currentPage}/${state.endPage}`);
+  }
 
   try {
     // Close any existing TikTok Seller Center tabs (they may be stale/expired)
-    const existingTabs = await chrome.tabs.query({ url: '*://seller-my.tiktok.com/*' });
+    const existingTabs = await chrome.tabs.query({ url: buildRegionMatchPattern(state.region) });
     for (const tab of existingTabs) {
       try {
         await chrome.tabs.remove(tab.id);
@@ -263,24 +815,19 @@ async function handleResume(message) {
       }
     }
 
-    // Open a fresh new tab
+    // Open a fresh new tab - the tab listener continues once the list has loaded
+    runMachine.transition('navigating', { page: 'list' }, 'resume');
     const tab = await chrome.tabs.create({
-      url: 'https://seller-my.tiktok.com/order?tab=shipped',
+      url: buildOrderListUrl(state.region, getOrderTab(state.tab).urlTab),
       active: true
     });
     state.currentTabId = tab.id;
+    await saveSessionState();
     log('Opened fresh TikTok tab');
 
-    // Wait for tab to fully load then start processing
-    setTimeout(() => {
-      if (state.isRunning && !state.shouldStop) {
-        processNextOrder();
-      }
-    }, 4000);
-
     return { success: true };
   } catch (error) {
-    state.isRunning = false;
+    runMachine.transition('failed', { error: error.message }, 'tab not opened');
     log('Error: ' + error.message, 'error');
     return { error: error.message };
   }
@@ -290,15 +837,8 @@ async function handleResume(message) {
  * Handle pause command (HUMAN PAUSE - no auto-resume)
  */
 function handlePause() {
-  state.isPaused = true;
-  state.pausedByHuman = true;
-  state.isRunning = false;
-
-  // Stop watchdog timer
-  stopOrderWatchdog();
-
-  // Save session state (but mark as paused by human)
-  saveSessionState();
+  // Entering 'paused' stops the workers, cancels any pending delay and saves the session
+  if (!runMachine.transition('paused', {}, 'user')) return;
 
   broadcastStatus('Export paused by user', false, false, false, null, true);
   log('Export paused by user - manual resume required');
@@ -308,19 +848,34 @@ function handlePause() {
  * Handle resume from paused state
  */
 async function handleResumePaused() {
-  if (!state.isPaused) {
+  if (!runMachine.is('paused')) {
     return { error: 'Not paused' };
   }
 
-  state.isPaused = false;
-  state.pausedByHuman = false;
-  state.isRunning = true;
-
   broadcastStatus('Resuming export...');
   log('Resuming from pause...');
 
-  // Continue processing
-  processNextOrder();
+  try {
+    // The export tab may have been closed while paused
+    if (await getRunTab()) {
+      await continueRun('resume');
+    } else {
+      closeExtraWorkers();
+      workers.clear();
+      runMachine.transition('navigating', { page: 'list' }, 'resume');
+      const tab = await chrome.tabs.create({
+        url: buildOrderListUrl(state.region, getOrderTab(state.tab).urlTab),
+        active: true
+      });
+      state.currentTabId = tab.id;
+      await saveSessionState();
+      log('Opened fresh TikTok tab');
+    }
+  } catch (error) {
+    runMachine.transition('failed', { error: error.message }, 'resume failed');
+    log('Error: ' + error.message, 'error');
+    return { error: error.message };
+  }
 
   return { success: true };
 }
@@ -329,95 +884,334 @@ async function handleResumePaused() {
  * Handle stop command (FORCE STOP - no auto-resume)
  */
 async function handleStop() {
-  state.shouldStop = true;
-  state.isRunning = false;
-  state.isPaused = false;
-  state.pausedByHuman = false;
+  const scheduledRun = state.trigger === 'schedule' && (isRunActive() || runMachine.is('paused'));
+  runMachine.transition('idle', { stopped: true }, 'user');
 
-  // Stop watchdog timer
-  stopOrderWatchdog();
+  if (scheduledRun) {
+    await completeScheduledRun('stopped', 'Stopped by user');
+  }
 
   // FORCE STOP: Clear session state so it won't auto-resume
   await clearSessionState();
 
   broadcastStatus('Export stopped', false, true);
   log('Export force stopped - session cleared');
+  updateCustomerBook(); // Orders of the pages not completed
 }
 
 /**
- * Save current session state for resume
+ * Abort the run after an unrecoverable error
+ * The last saved session is kept, so the popup can resume the run later
+ * @param {string} reason - Error description
  */
-async function saveSessionState() {
-  if (state.orderIds.length > 0) {
-    await chrome.storage.local.set({
-      sessionState: {
-        orderIds: state.orderIds,
-        currentOrderIndex: state.currentOrderIndex,
-        maxOrders: state.maxOrders,
-        processed: state.processed,
-        success: state.success,
-        failed: state.failed,
-        skipped: state.skipped,
-        totalAmount: state.totalAmount,
-        retryCount: state.retryCount,
-        retried: state.retried,
-        pausedByHuman: state.pausedByHuman, // Track if paused by user
-        savedAt: new Date().toISOString()
-      }
-    });
-    debugLog('Session state saved');
+function failRun(reason) {
+  if (!runMachine.transition('failed', { error: reason }, reason)) return;
+
+  log('Export failed: ' + reason, 'error');
+  broadcastStatus('Export failed: ' + reason, false, true);
+
+  if (state.trigger === 'schedule') {
+    completeScheduledRun('failed', reason);
   }
 }
 
 /**
- * Clear session state (when completed)
+ * Finish the run once all pages are processed
  */
-async function clearSessionState() {
-  await chrome.storage.local.remove(['sessionState']);
-  debugLog('Session state cleared');
-}
+async function finishRun() {
+  if (!runMachine.transition('done', {}, 'all pages processed')) return;
 
-/**
- * Collect order IDs from list page
- */
-async function collectOrderIds() {
-  if (!state.isRunning || state.shouldStop) return;
+  await saveToStorage();
+  updateCustomerBook();
 
-  const currentPage = state.currentPage || state.startPage;
-  log(`Collecting order IDs from page ${currentPage}...`);
-  broadcastStatus(`Collecting orders from page ${currentPage}...`);
+  // The watermark only moves when the whole range up to the last sync is done
+  if (state.mode === INCREMENTAL_MODE) {
+    await saveSyncWatermark();
+  }
 
-  try {
-    // Build message with page number and date filter
-    const message = {
-      type: 'COLLECT_ORDER_IDS',
+  const retriedMsg = state.retried > 0 ? `, ${state.retried} recovered by retry` : '';
+  if (state.mode === REFRESH_MODE) {
+    log(`Refresh completed! ${state.success} refreshed, ${state.updated} changed, ${state.failed} failed`);
+  } else {
+    log(`Export completed! ${state.success} success, ${state.failed} failed, ${state.skipped} skipped${retriedMsg}`);
+  }
+  broadcastStatus('Export completed!', false, false, true);
+
+  // Show desktop notification (scheduled runs show their own summary)
+  if (state.trigger === 'schedule') {
+    await completeScheduledRun('completed');
+  } else {
+    showCompletionNotification(state.success, state.failed, state.skipped, state.retried);
+  }
+
+  await clearSessionState();
+}
+
+/**
+ * Save the full run state so the run survives a service worker restart
+ * Called on every run transition and whenever progress counters change
+ */
+async function saveSessionState() {
+  if (!isRunActive() && !runMachine.is('paused')) return;
+
+  const sessionState = {
+    runState: runMachine.state,
+    pausedByHuman: runMachine.is('paused'), // Popup shows a manual resume instead of auto-resuming
+    activeOrderIds: getActiveOrderIds(), // In-flight orders are re-queued on resume
+    workerTabIds: Array.from(workers.keys()).filter(tabId => tabId !== state.currentTabId)
+  };
+  for (const [key, value] of Object.entries(state)) {
+    if (!TRANSIENT_STATE_KEYS.includes(key)) {
+      sessionState[key] = value;
+    }
+  }
+  sessionState.savedAt = new Date().toISOString();
+
+  // Orders not saved yet are kept like stored ones - encrypted, if encryption is on
+  const save = ++sessionStateSaves;
+  if (state.collectedData.length > 0) {
+    sessionState.collectedData = await protectOrders(state.collectedData);
+    if (save !== sessionStateSaves) return;
+  }
+
+  await chrome.storage.local.set({ sessionState });
+  debugLog('Session state saved');
+}
+
+/**
+ * Check whether a saved session still has work left
+ * @param {Object} session - Saved session state
+ * @returns {boolean}
+ */
+function isResumableSession(session) {
+  if (!session) return false;
+  // phase: sessions saved before the run state machine
+  if (session.runState || session.phase === 'collecting') return true;
+  return Array.isArray(session.orderIds) && session.orderIds.length > 0;
+}
+
+/**
+ * Build the in-memory state from a saved session
+ * Sessions saved by older versions only have the order queue and counters -
+ * they resume processing on a single page.
+ * @param {Object} session - Saved session state
+ * @param {Set<string>} existingOrderIds - Order IDs already in storage
+ * @returns {Object} - State object
+ */
+function buildStateFromSession(session, existingOrderIds) {
+  const startPage = session.startPage || 1;
+  const currentPage = session.currentPage || startPage;
+
+  // Orders that were in flight when the session was saved go first
+  const pendingOrderIds = [...(session.activeOrderIds || []), ...(session.pendingOrderIds || [])];
+
+  return {
+    currentTabId: session.currentTabId || null,
+    maxOrders: session.maxOrders || 100,
+    delayMinMs: session.delayMinMs || 2000,
+    delayMaxMs: session.delayMaxMs || 6000,
+    workerCount: normalizeWorkerCount(session.workerCount),
+    startPage: startPage,
+    endPage: Math.max(session.endPage || 1, currentPage),
+    currentPage: currentPage,
+    allPages: !!session.allPages,
+    projectedOrders: session.projectedOrders || null,
+    mode: normalizeRunMode(session.mode),
+    retryOrders: session.retryOrders || {},
+    refreshFilter: session.refreshFilter || null,
+    runId: session.runId || createRunId(), // Sessions from before the order store have none
+    shopCode: session.shopCode || null,
+    shopName: session.shopName || null,
+    shopKey: session.shopKey || null,
+    watermark: session.watermark || null,
+    watermarkReached: !!session.watermarkReached,
+    orderTimes: session.orderTimes || {},
+    syncHighWater: session.syncHighWater || null,
+    orderIds: session.orderIds || [],
+    pendingOrderIds: pendingOrderIds.filter((id, index) => pendingOrderIds.indexOf(id) === index),
+    collectedData: session.collectedData || [],
+    existingOrderIds: existingOrderIds,
+    currentOrderIndex: session.currentOrderIndex || 0,
+    processed: session.processed || 0,
+    success: session.success || 0,
+    failed: session.failed || 0,
+    skipped: session.skipped || 0,
+    updated: session.updated || 0,
+    totalAmount: session.totalAmount || 0,
+    retryCount: session.retryCount || {},
+    retried: session.retried || 0,
+    dateFilter: normalizeDateFilter(session.dateFilter),
+    region: getRegionProfile(session.region).code,
+    tab: getOrderTab(session.tab).key,
+    trigger: session.trigger || 'manual',
+    startedAt: session.startedAt || session.savedAt || null
+  };
+}
+
+/**
+ * Get the tab the run is working in, if it is still open on Seller Center
+ * @param {number} tabId - Tab ID (defaults to the current run's tab)
+ * @param {string} region - Region code (defaults to the current run's region)
+ * @returns {Promise<Object|null>} - Chrome tab or null
+ */
+async function getRunTab(tabId = state.currentTabId, region = state.region) {
+  if (!tabId) return null;
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const host = getRegionProfile(region).sellerHost;
+    return tab && tab.url && tab.url.includes(host) ? tab : null;
+  } catch (error) {
+    return null; // Tab was closed
+  }
+}
+
+/**
+ * Continue the run in the export tab (after a pause or worker restart)
+ * Restarts the workers on the queue, or reloads the order list to collect the current page
+ * @param {string} reason - Reason for the transition log
+ */
+async function continueRun(reason) {
+  if (hasQueuedOrders() || !usesOrderList()) {
+    await startWorkers(reason);
+  } else {
+    await openOrderList(reason);
+  }
+}
+
+/**
+ * Restore an interrupted run when the service worker starts
+ * Chrome shuts idle MV3 workers down during long delays - if the run's tab
+ * is still open, continue in it. Otherwise (browser restart) the popup
+ * offers the auto-resume in a fresh tab.
+ */
+async function restoreRunState() {
+  try {
+    const storage = await chrome.storage.local.get(['sessionState']);
+    const session = storage.sessionState;
+    if (!isResumableSession(session)) return;
+
+    const existingOrderIds = await getExistingOrderIds(normalizeRunMode(session.mode), session.shopCode);
+    const restored = buildStateFromSession(session, existingOrderIds);
+
+    // Paused runs wait for the user to press resume
+    if (session.runState === 'paused' || session.pausedByHuman) {
+      state = restored;
+      runMachine.transition('paused', {}, 'restore');
+      return;
+    }
+
+    // Sessions from older versions never record their run state
+    if (!RUN_ACTIVE_STATES.includes(session.runState) || !(await getRunTab(restored.currentTabId, restored.region))) {
+      debugLog('Run tab is gone, leaving session for auto-resume');
+      return;
+    }
+
+    // Worker tabs of the old worker are not tracked any more - fresh ones are opened
+    for (const tabId of session.workerTabIds || []) {
+      chrome.tabs.remove(tabId).catch(() => {});
+    }
+
+    state = restored;
+    log(`Service worker restarted - continuing page ${state.currentPage}/${state.endPage} (${session.runState})`);
+    await continueRun('restore');
+  } catch (error) {
+    debugLog('Failed to restore run state:', error);
+  }
+}
+
+/**
+ * Clear session state (when completed)
+ */
+async function clearSessionState() {
+  sessionStateSaves++;
+  await chrome.storage.local.remove(['sessionState']);
+  debugLog('Session state cleared');
+}
+
+/**
+ * Navigate the export tab to the order list
+ * The tab listener collects the page (or continues the queue) once it has loaded
+ * @param {string} reason - Reason for the transition log
+ */
+async function openOrderList(reason) {
+  if (!runMachine.transition('navigating', { page: 'list' }, reason)) return;
+
+  try {
+    await chrome.tabs.update(state.currentTabId, {
+      url: buildOrderListUrl(state.region, getOrderTab(state.tab).urlTab)
+    });
+  } catch (error) {
+    failRun('Navigation error: ' + error.message);
+  }
+}
+
+/**
+ * Collect order IDs from list page
+ */
+async function collectOrderIds() {
+  const currentPage = state.currentPage;
+  if (!runMachine.transition('collecting', { page: currentPage }, `page ${currentPage}`)) return;
+
+  log(`Collecting order IDs from page ${currentPage}...`);
+  broadcastStatus(`Collecting orders from page ${currentPage}...`);
+
+  try {
+    // Build message with page number and date filter
+    const message = {
+      type: 'COLLECT_ORDER_IDS',
       pageNumber: currentPage,
-      dateFilter: state.dateFilter
+      dateFilter: state.dateFilter,
+      region: state.region,
+      tab: state.tab,
+      listOnly: state.mode === LIST_ONLY_MODE // Also read each row's fields
     };
 
     if (state.dateFilter) {
-      log(`Date: ${state.dateFilter.date}, Page: ${currentPage}`);
+      log(`Date: ${describeDateFilter(state.dateFilter)}, Page: ${currentPage}`);
     }
 
     await chrome.tabs.sendMessage(state.currentTabId, message);
   } catch (error) {
-    log('Error collecting order IDs: ' + error.message, 'error');
-    handleStop();
+    failRun('Error collecting order IDs: ' + error.message);
   }
 }
 
 /**
  * Handle collected order IDs from content script
  */
-async function handleOrderIdsCollected(orderIds, actualMaxPages = null) {
-  if (!state.isRunning || state.shouldStop) return;
+async function handleOrderIdsCollected(orderIds, actualMaxPages = null, totalOrders = null, orderTimes = null, shopCode = null, orderRows = null) {
+  if (!runMachine.is('collecting')) return;
+
+  if (shopCode) await adoptPageShop(shopCode);
+  if (!runMachine.is('collecting')) return;
+
+  // Incremental: leave out the orders of the last sync and older
+  if (state.mode === INCREMENTAL_MODE) {
+    orderIds = await applySyncWatermark(orderIds, orderTimes || {}, shopCode);
+    if (!runMachine.is('collecting')) return;
+  }
 
   state.orderIds = orderIds;
+  state.pendingOrderIds = [];
+  state.currentOrderIndex = 0;
   const currentPage = state.currentPage;
 
-  // Adjust endPage if actualMaxPages is less than user-requested endPage
-  // This handles cases where filtered results have fewer pages than expected
-  if (actualMaxPages !== null && actualMaxPages > 0) {
+  if (state.allPages) {
+    // All pages: follow the pagination (it only lists nearby pages, so the
+    // end page can grow as the run moves on)
+    if (actualMaxPages > state.endPage && !state.watermarkReached) {
+      state.endPage = actualMaxPages;
+    }
+    // (incremental runs stop at the last sync - the tab's count says nothing about them)
+    if (totalOrders && state.projectedOrders === null && state.mode !== INCREMENTAL_MODE) {
+      state.projectedOrders = totalOrders;
+      const pageCount = Math.max(state.endPage, Math.ceil(totalOrders / ORDERS_PER_PAGE)) - state.startPage + 1;
+      const estimate = estimateRunMs(totalOrders, pageCount);
+      log(`All pages: ~${totalOrders} orders on ${pageCount} pages, about ${formatDuration(estimate)}`);
+    }
+  } else if (actualMaxPages !== null && actualMaxPages > 0) {
+    // Adjust endPage if actualMaxPages is less than user-requested endPage
+    // This handles cases where filtered results have fewer pages than expected
     const originalEndPage = state.endPage;
     if (actualMaxPages < state.endPage) {
       state.endPage = actualMaxPages;
@@ -433,247 +1227,383 @@ async function handleOrderIdsCollected(orderIds, actualMaxPages = null) {
     if (currentPage < state.endPage) {
       log(`Page ${currentPage} empty, moving to next page...`);
       state.currentPage++;
-      state.phase = 'collecting';
-      collectCalled = false;
 
       // Navigate to order list page to collect next page
-      setTimeout(async () => {
-        if (state.isRunning && !state.shouldStop) {
-          await chrome.tabs.update(state.currentTabId, {
-            url: 'https://seller-my.tiktok.com/order?selected_sort=6&tab=shipped'
-          });
-        }
-      }, 1000);
+      waitThen(1000, () => openOrderList(`page ${state.currentPage}`), 'empty page');
       return;
     }
 
     // All pages done
     log('No more orders found!');
-    state.isRunning = false;
-    state.phase = 'done';
-    await clearSessionState();
-    broadcastStatus('Export completed!', false, false, true);
-    showCompletionNotification(state.success, state.failed, state.skipped, state.retried);
+    await finishRun();
     return;
   }
 
-  // Save session state
-  await saveSessionState();
+  // List only: the rows are the records, there are no detail pages to visit
+  if (state.mode === LIST_ONLY_MODE) {
+    await storeListRows(orderRows || {});
+    return;
+  }
 
   // Start processing orders from this page
-  state.phase = 'processing';
-  state.currentOrderIndex = 0;
   broadcastStatus(`Page ${currentPage}/${state.endPage}: Processing ${orderIds.length} orders...`);
 
-  processNextOrder();
+  await startWorkers(`${orderIds.length} orders`);
 }
 
 /**
- * Process next order in queue
+ * Take the shop shown on the order list for runs started without one
+ * (scheduled runs, or the popup could not read it); its orders become the
+ * ones the run skips. A run keeps the shop it was started for.
+ * @param {string} shopCode - Shop code reported by the content script
  */
-async function processNextOrder() {
-  if (state.shouldStop || !state.isRunning) return;
+async function adoptPageShop(shopCode) {
+  if (state.shopCode) {
+    if (shopCode !== state.shopCode) {
+      log(`Order list shows shop ${shopCode} - orders are still stored for ${formatShopLabel({ code: state.shopCode, name: state.shopName })}`, 'warn');
+    }
+    return;
+  }
+
+  state.shopCode = shopCode;
+  state.existingOrderIds = await getExistingOrderIds(state.mode, shopCode);
+  log(`Shop: ${shopCode} (${state.existingOrderIds.size} orders already in storage)`);
+  await rememberShop({ code: shopCode, name: null }, state.region);
+}
 
-  // Skip orders that already exist in storage
-  while (state.currentOrderIndex < state.orderIds.length) {
-    const orderId = state.orderIds[state.currentOrderIndex];
+/**
+ * Store the current page's list rows as partial order records (list-only runs)
+ * The records are marked customer_revealed: false - their customer fields
+ * stay empty until a normal run visits the order.
+ * @param {Object} orderRows - { orderId: fields read from the row } (see parseOrderListRow)
+ */
+async function storeListRows(orderRows) {
+  const extractedAt = new Date().toISOString();
+  let stored = 0;
+
+  for (const orderId of state.orderIds) {
+    if (state.existingOrderIds.has(orderId)) {
+      state.skipped++;
+      continue;
+    }
 
-    if (state.existingOrderIds.includes(orderId)) {
+    const row = orderRows[orderId] || {};
+    state.collectedData.push({
+      page: state.currentPage,
+      order_id: orderId,
+      shipping_method: '',
+      tracking_number: '',
+      payment_method: '',
+      total_amount: row.total_amount || 0,
+      currency: row.currency || getRegionProfile(state.region).currency,
+      items: row.items || '',
+      sku_id: '',
+      customer_name: '',
+      phone_number: '',
+      full_address: '',
+      order_status: row.order_status || getOrderTab(state.tab).defaultStatus,
+      order_date: row.order_date || '',
+      region: state.region,
+      source_tab: state.tab,
+      extracted_at: extractedAt,
+      field_sources: row.field_sources || null,
+      customer_revealed: false,
+      run_id: state.runId,
+      shop_code: state.shopCode,
+      shop_name: state.shopName,
+      schema_version: ORDER_SCHEMA_VERSION
+    });
+
+    stored++;
+    state.success++;
+    state.processed++;
+    state.totalAmount += parseFloat(row.total_amount || 0);
+  }
+
+  log(`Page ${state.currentPage}: Stored ${stored} list rows (${state.orderIds.length - stored} already exported)`, 'success');
+  await saveToStorage();
+
+  // Nothing is queued - the page is done once its rows are stored
+  state.currentOrderIndex = state.orderIds.length;
+  broadcastStatus();
+  if (runMachine.transition('extracting', { page: state.currentPage }, 'list rows stored')) {
+    await checkPageCompleted();
+  }
+}
+
+/**
+ * Take the next order from the shared queue, skipping orders already in storage
+ * @returns {string|null} - Order ID, or null when the page's queue is empty
+ */
+function takeNextOrder() {
+  while (hasQueuedOrders()) {
+    const orderId = state.pendingOrderIds.length > 0
+      ? state.pendingOrderIds.shift()
+      : state.orderIds[state.currentOrderIndex++];
+
+    // Refresh runs revisit stored orders on purpose
+    if (state.mode !== REFRESH_MODE && state.existingOrderIds.has(orderId)) {
       const orderIdShort = orderId.slice(-8);
       log(`⏭ Skipping ...${orderIdShort} (already exported)`, 'info');
       state.skipped++;
-      state.currentOrderIndex++;
+      trackSyncHighWater(orderId);
       broadcastStatus();
-      // Save progress
-      await saveSessionState();
       continue;
     }
 
-    break;
+    return orderId;
   }
 
-  if (state.currentOrderIndex >= state.orderIds.length) {
-    // Current page done - save data first
-    stopOrderWatchdog();
-    await saveToStorage();
+  return null;
+}
 
-    // Check if more pages to process
-    if (state.currentPage < state.endPage) {
-      log(`Page ${state.currentPage} completed! Moving to page ${state.currentPage + 1}...`);
-      state.currentPage++;
-      state.orderIds = [];
-      state.currentOrderIndex = 0;
-      state.phase = 'collecting';
-      collectCalled = false;
-
-      // Navigate back to order list to collect next page
-      setTimeout(async () => {
-        if (state.isRunning && !state.shouldStop) {
-          await chrome.tabs.update(state.currentTabId, {
-            url: 'https://seller-my.tiktok.com/order?selected_sort=6&tab=shipped'
-          });
-        }
-      }, 1500);
+/**
+ * Extract the current page's queue with the worker pool
+ * The export tab is worker #1; extra tabs are opened in the background
+ * while there are orders for them
+ * @param {string} reason - Reason for the transition log
+ */
+async function startWorkers(reason) {
+  if (!runMachine.transition('extracting', {}, reason)) return;
+
+  if (!workers.has(state.currentTabId)) {
+    createWorker(state.currentTabId);
+  }
+  workers.forEach(worker => assignNextOrder(worker));
+
+  while (workers.size < state.workerCount && hasQueuedOrders()) {
+    let tab;
+    try {
+      tab = await chrome.tabs.create({ url: 'about:blank', active: false });
+    } catch (error) {
+      log('Could not open worker tab: ' + error.message, 'warn');
+      break;
+    }
+
+    // Paused or stopped while the tab was opening
+    if (!runMachine.is('extracting')) {
+      chrome.tabs.remove(tab.id).catch(() => {});
       return;
     }
 
-    // All pages done!
-    state.isRunning = false;
-    state.phase = 'done';
-    const retriedMsg = state.retried > 0 ? `, ${state.retried} recovered by retry` : '';
-    log(`Export completed! ${state.success} success, ${state.failed} failed, ${state.skipped} skipped${retriedMsg}`);
-    broadcastStatus('Export completed!', false, false, true);
+    assignNextOrder(createWorker(tab.id));
+  }
 
-    // Show desktop notification
-    showCompletionNotification(state.success, state.failed, state.skipped, state.retried);
+  // Nothing left to hand out (every remaining order was already exported)
+  checkPageCompleted();
+}
 
-    await clearSessionState();
+/**
+ * Give an idle or waiting worker the next order from the queue
+ * A worker with nothing left to do goes idle; the last one completes the page
+ * @param {Object} worker
+ */
+function assignNextOrder(worker) {
+  if (!runMachine.is('extracting') || !worker.machine.is('idle', 'waiting')) return;
+
+  const orderId = takeNextOrder();
+  if (!orderId) {
+    releaseWorker(worker, 'queue empty');
+    checkPageCompleted();
     return;
   }
 
-  const orderId = state.orderIds[state.currentOrderIndex];
+  worker.orderId = orderId;
+  saveSessionState();
+
   const orderIdShort = orderId.slice(-8);
-  const remaining = state.orderIds.length - state.currentOrderIndex - state.skipped;
+  const done = state.currentOrderIndex - state.pendingOrderIds.length;
+  log(`${workerLabel(worker)}Processing order ...${orderIdShort} (${done}/${state.orderIds.length})`);
+  broadcastStatus(`Processing order ${done}/${state.orderIds.length}`, true, false, false, orderId);
+
+  navigateToOrder(worker, orderId, 'next order');
+}
 
-  log(`Processing order ...${orderIdShort} (${state.currentOrderIndex + 1}/${state.orderIds.length}, ${remaining} remaining)`);
-  broadcastStatus(`Processing order ${state.currentOrderIndex + 1}/${state.orderIds.length}`, true, false, false, orderId);
+/**
+ * Move on once every order of the page is finished and all workers are idle
+ */
+async function checkPageCompleted() {
+  if (!runMachine.is('extracting') || hasQueuedOrders()) return;
+  if (Array.from(workers.values()).some(worker => !worker.machine.is('idle'))) return;
+
+  // Check if more pages to process - in all pages mode a full page means
+  // the pagination may continue past the pages it showed
+  // (incremental runs stop at the page that reached the last sync)
+  const fullPage = state.orderIds.length >= ORDERS_PER_PAGE;
+  if (state.currentPage < state.endPage || (state.allPages && fullPage && !state.watermarkReached)) {
+    log(`Page ${state.currentPage} completed! Moving to page ${state.currentPage + 1}...`);
+
+    // Navigate back to order list to collect next page
+    // (the transition also stops a second worker finishing at the same moment)
+    if (!waitThen(1500, () => openOrderList(`page ${state.currentPage}`), 'page completed')) return;
+
+    state.currentPage++;
+    state.endPage = Math.max(state.endPage, state.currentPage);
+    state.orderIds = [];
+    state.pendingOrderIds = [];
+    state.currentOrderIndex = 0;
+    await saveSessionState();
+    await saveToStorage();
+    return;
+  }
 
-  // Start watchdog timer to detect stalled processing
-  startOrderWatchdog(orderId);
+  // All pages done!
+  await finishRun();
+}
+
+/**
+ * Navigate a worker's tab to an order detail page
+ * The tab listener starts the extraction once the page has loaded
+ * @param {Object} worker
+ * @param {string} orderId - TikTok order number
+ * @param {string} reason - Reason for the transition log
+ */
+async function navigateToOrder(worker, orderId, reason) {
+  if (!worker.machine.transition('navigating', { orderId }, reason)) return;
 
-  // Navigate to order detail page
-  const url = `https://seller-my.tiktok.com/order/detail?order_no=${orderId}&shop_region=MY`;
+  // Start watchdog timer to detect stalled processing
+  startOrderWatchdog(worker, orderId);
 
   try {
-    await chrome.tabs.update(state.currentTabId, { url });
+    await chrome.tabs.update(worker.tabId, { url: buildOrderDetailUrl(state.region, orderId) });
   } catch (error) {
-    stopOrderWatchdog();
-    log('Navigation error: ' + error.message, 'error');
-    handleOrderFailed(orderId, 'Navigation failed');
+    log(`${workerLabel(worker)}Navigation error: ` + error.message, 'error');
+    handleOrderFailed(worker, orderId, 'Navigation failed');
   }
 }
 
 /**
  * Process current order (after page load)
+ * @param {Object} worker
  */
-async function processCurrentOrder() {
-  if (state.shouldStop || !state.isRunning) return;
-  if (state.currentOrderIndex >= state.orderIds.length) return;
-
-  if (state.isProcessingOrder) {
-    debugLog('Already processing, skipping');
-    return;
-  }
-  state.isProcessingOrder = true;
-
-  const orderId = state.orderIds[state.currentOrderIndex];
+async function processCurrentOrder(worker) {
+  const orderId = worker.machine.context.orderId;
+  if (!worker.machine.transition('extracting', { orderId }, 'detail loaded')) return;
 
   try {
     await sleep(1500);
+    if (!worker.machine.is('extracting')) return;
 
-    await chrome.tabs.sendMessage(state.currentTabId, {
+    await chrome.tabs.sendMessage(worker.tabId, {
       type: 'EXTRACT_ORDER_DATA',
-      orderId
+      orderId,
+      tabId: worker.tabId, // Echoed back so the result reaches this worker
+      region: state.region,
+      tab: getOrderSource(orderId).tab,
+      refresh: state.mode === REFRESH_MODE
     });
   } catch (error) {
-    log('Extraction error: ' + error.message, 'error');
-    handleOrderFailed(orderId, error.message);
+    log(`${workerLabel(worker)}Extraction error: ` + error.message, 'error');
+    handleOrderFailed(worker, orderId, error.message);
   }
 }
 
 /**
  * Handle extracted order data from content script
+ * @param {Object} data - Extracted order data
+ * @param {number} tabId - Tab of the worker that extracted it
+ * @param {string} reportedOrderId - Order the content script extracted (if reported)
  */
-async function handleOrderDataExtracted(data) {
-  // Stop watchdog - we got a response
-  stopOrderWatchdog();
+async function handleOrderDataExtracted(data, tabId, reportedOrderId) {
+  const worker = workers.get(tabId);
 
-  if (!state.isRunning) return;
+  // Results that arrive after a pause, stop or watchdog retry are stale
+  if (!worker || !worker.machine.is('extracting') || !runMachine.is('extracting')) return;
+  if (reportedOrderId && reportedOrderId !== worker.orderId) return;
 
-  const orderId = state.orderIds[state.currentOrderIndex];
+  const orderId = worker.orderId;
   const orderIdShort = orderId.slice(-8);
+  const label = workerLabel(worker);
   const currentRetries = state.retryCount[orderId] || 0;
 
-  if (data && data.hasData && !data.isMasked) {
+  if (data && data.hasData && !data.isMasked && state.mode === REFRESH_MODE) {
+    // Refreshed - update the stored order in place
+    state.success++;
+    worker.success++;
+    state.processed++;
+    worker.orderId = null;
+    await refreshStoredOrder(orderId, data, label);
+  } else if (data && data.hasData && !data.isMasked) {
     // Success!
     if (currentRetries > 0) {
       state.retried++; // Track orders recovered by retry
-      log(`✓ Order ...${orderIdShort}: ${data.name} (recovered after ${currentRetries} retry)`, 'success');
+      log(`${label}✓ Order ...${orderIdShort}: ${data.name} (recovered after ${currentRetries} retry)`, 'success');
     } else {
-      log(`✓ Order ...${orderIdShort}: ${data.name}`, 'success');
+      log(`${label}✓ Order ...${orderIdShort}: ${data.name}`, 'success');
     }
 
     state.success++;
+    worker.success++;
+    const source = getOrderSource(orderId);
     state.collectedData.push({
-      page: state.currentPage || 1, // Add page number as first column
+      page: source.page, // Add page number as first column
       order_id: orderId,
       shipping_method: data.shipping_method || '',
+      tracking_number: data.tracking_number || '',
       payment_method: data.payment_method || '',
       total_amount: data.total_amount || 0,
-      currency: data.currency || 'MYR',
+      currency: data.currency || getRegionProfile(state.region).currency,
       items: data.items || '',
       sku_id: data.sku_id || '',
       customer_name: data.name || '',
-      phone_number: data.phone_number || '',
+      ...toOrderPhoneFields(data.phone_number, state.region), // phone_number in E.164 form, phone_raw as extracted
       full_address: data.full_address || '',
+      ...toOrderAddressFields(data.full_address, state.region), // address_line1, address_postcode, ...
       order_status: data.status || '',
       order_date: data.order_date || '',
-      extracted_at: new Date().toISOString()
+      region: state.region,
+      source_tab: source.tab,
+      extracted_at: new Date().toISOString(),
+      field_sources: data.field_sources || null, // { field: 'api' | 'dom' } - backend that produced each field
+      run_id: state.runId,
+      shop_code: state.shopCode,
+      shop_name: state.shopName,
+      schema_version: ORDER_SCHEMA_VERSION
     });
 
     state.totalAmount += parseFloat(data.total_amount || 0);
-
-    // Save to storage immediately (for live CSV export)
-    await saveToStorage();
+    trackSyncHighWater(orderId);
 
     // Move to next order
     state.processed++;
-    state.currentOrderIndex++;
-    state.isProcessingOrder = false;
+    worker.orderId = null;
+    dismissFailedOrders([orderId]);
+
+    // Save to storage immediately (for live CSV export)
+    await saveToStorage();
   } else {
     // Check if this order should skip retry (privacy blocked by TikTok)
     const shouldSkipRetry = data && data.skipRetry === true;
 
     if (shouldSkipRetry) {
       // Privacy blocked - TikTok doesn't allow access, don't retry
-      log(`✗ Order ...${orderIdShort}: BLOCKED by TikTok privacy (no retry)`, 'error');
+      log(`${label}✗ Order ...${orderIdShort}: BLOCKED by TikTok privacy (no retry)`, 'error');
       state.failed++;
+      worker.failed++;
       state.processed++;
-      state.currentOrderIndex++;
-      state.isProcessingOrder = false;
-
-      // Save session state
-      await saveSessionState();
-
-      // Broadcast and continue to next order
-      broadcastStatus();
-      scheduleNextOrder();
-      return;
-    }
-
-    // Failed - check if we should retry
-    if (currentRetries < MAX_RETRIES) {
+      worker.orderId = null;
+      recordFailedOrder(orderId, data.error || 'Blocked by TikTok privacy', currentRetries + 1, true);
+    } else if (currentRetries < MAX_RETRIES) {
+      // Failed - retry in the same tab
       state.retryCount[orderId] = currentRetries + 1;
-      log(`⟳ Order ...${orderIdShort}: Retry ${currentRetries + 1}/${MAX_RETRIES} (${data.error || 'Data masked'})`, 'warn');
-      state.isProcessingOrder = false;
-
-      // Save session state before retry
-      await saveSessionState();
+      log(`${label}⟳ Order ...${orderIdShort}: Retry ${currentRetries + 1}/${MAX_RETRIES} (${data.error || 'Data masked'})`, 'warn');
 
       // Wait longer before retry (increasing backoff)
       const retryDelay = 3000 + (currentRetries * 2000);
-      log(`Waiting ${(retryDelay / 1000).toFixed(1)}s before retry...`, 'info');
-      setTimeout(() => retryCurrentOrder(), retryDelay);
-      return; // Don't proceed to next order yet
+      log(`${label}Waiting ${(retryDelay / 1000).toFixed(1)}s before retry...`, 'info');
+      workerWaitThen(worker, retryDelay, () => retryCurrentOrder(worker), 'retry'); // Don't proceed to next order yet
+      await saveSessionState();
+      return;
     } else {
       // Max retries exceeded - mark as failed
       state.failed++;
-      log(`✗ Order ...${orderIdShort}: Failed after ${MAX_RETRIES} retries (${data.error || 'Data masked/unavailable'})`, 'error');
+      worker.failed++;
+      log(`${label}✗ Order ...${orderIdShort}: Failed after ${MAX_RETRIES} retries (${data.error || 'Data masked/unavailable'})`, 'error');
 
       // Move to next order
       state.processed++;
-      state.currentOrderIndex++;
-      state.isProcessingOrder = false;
+      worker.orderId = null;
+      recordFailedOrder(orderId, data.error || 'Data masked/unavailable', currentRetries + 1);
     }
   }
 
@@ -685,38 +1615,109 @@ async function handleOrderDataExtracted(data) {
   // Check if we need a rest break (human-like behavior)
   const restBreak = checkRestBreak();
   if (restBreak > 0) {
-    setTimeout(() => processNextOrder(), restBreak);
+    workerWaitThen(worker, restBreak, () => assignNextOrder(worker), 'rest break');
     return;
   }
 
   // Random delay between min and max (with occasional longer pauses)
   const delay = getRandomDelay();
-  log(`Waiting ${(delay / 1000).toFixed(1)}s before next order...`, 'info');
-  setTimeout(() => processNextOrder(), delay);
+  log(`${label}Waiting ${(delay / 1000).toFixed(1)}s before next order...`, 'info');
+  workerWaitThen(worker, delay, () => assignNextOrder(worker), 'next order');
 }
 
 /**
- * Retry current order (reload page and try extraction again)
+ * Retry a worker's order (reload page and try extraction again)
+ * @param {Object} worker
  */
-async function retryCurrentOrder() {
-  if (state.shouldStop || !state.isRunning) return;
-  if (state.currentOrderIndex >= state.orderIds.length) return;
+async function retryCurrentOrder(worker) {
+  const orderId = worker.orderId;
+  if (!orderId) return;
 
-  const orderId = state.orderIds[state.currentOrderIndex];
   const orderIdShort = orderId.slice(-8);
   const retryNum = state.retryCount[orderId] || 1;
+  worker.retries++;
 
-  log(`Retrying order ...${orderIdShort} (attempt ${retryNum}/${MAX_RETRIES})...`);
-  broadcastStatus(`Retrying order ${state.currentOrderIndex + 1}/${state.orderIds.length} (attempt ${retryNum})`, true, false, false, orderId);
+  log(`${workerLabel(worker)}Retrying order ...${orderIdShort} (attempt ${retryNum}/${MAX_RETRIES})...`);
+  broadcastStatus(`Retrying order ...${orderIdShort} (attempt ${retryNum})`, true, false, false, orderId);
 
   // Navigate to order detail page again
-  const url = `https://seller-my.tiktok.com/order/detail?order_no=${orderId}&shop_region=MY`;
+  await navigateToOrder(worker, orderId, `retry ${retryNum}`);
+}
+
+/**
+ * Describe the run's page range for the log, e.g. "1-5" or "1-last"
+ */
+function describePageRange() {
+  return state.allPages ? `${state.startPage}-last` : `${state.startPage}-${state.endPage}`;
+}
+
+/**
+ * Estimate how long extracting a number of orders takes
+ * @param {number} orderCount - Orders to extract
+ * @param {number} pageCount - List pages to collect
+ * @param {Object} settings - { delayMinMs, delayMaxMs, workerCount } (defaults to the current run)
+ * @returns {number} - Estimated duration in ms
+ */
+function estimateRunMs(orderCount, pageCount, settings = state) {
+  const perOrderMs = (settings.delayMinMs + settings.delayMaxMs) / 2 + ESTIMATED_ORDER_OVERHEAD_MS;
+  return Math.round(orderCount * perOrderMs / settings.workerCount + pageCount * ESTIMATED_PAGE_OVERHEAD_MS);
+}
+
+/**
+ * Format a duration for the log, e.g. "2h 5m" or "14 min"
+ * @param {number} ms - Duration in ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const totalMinutes = Math.max(1, Math.round(ms / 60000));
+  if (totalMinutes < 60) return `${totalMinutes} min`;
+  return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+}
+
+/**
+ * Project an "all pages" run before it starts
+ * Asks an open Seller Center order list to apply the tab and date range and
+ * report its filtered order count and page count
+ * @param {Object} message - { region, tab, dateFilter, startPage, delayMinMs, delayMaxMs, workers }
+ * @returns {Promise<Object>} - { success, totalOrders, pages, estimatedMs } or { error }
+ */
+async function previewExport(message) {
+  const region = getRegionProfile(message.region).code;
+  const tabs = await chrome.tabs.query({ url: buildRegionMatchPattern(region) });
+  const listTab = tabs.find(tab => tab.url && tab.url.includes('/order') && !tab.url.includes('/detail'));
+  if (!listTab) {
+    return { error: 'Open the order list in TikTok Seller Center to preview' };
+  }
 
   try {
-    await chrome.tabs.update(state.currentTabId, { url });
+    const summary = await chrome.tabs.sendMessage(listTab.id, {
+      type: 'GET_LIST_SUMMARY',
+      dateFilter: normalizeDateFilter(message.dateFilter),
+      region,
+      tab: getOrderTab(message.tab).key
+    });
+    if (!summary || summary.error) {
+      return { error: (summary && summary.error) || 'No answer from the order list' };
+    }
+
+    const startPage = message.startPage || 1;
+    const lastPage = Math.max(summary.maxPages || 1, summary.totalOrders ? Math.ceil(summary.totalOrders / ORDERS_PER_PAGE) : 1);
+    const pages = Math.max(1, lastPage - startPage + 1);
+    // Orders on the skipped first pages are not exported
+    const totalOrders = summary.totalOrders !== null
+      ? Math.max(0, summary.totalOrders - (startPage - 1) * ORDERS_PER_PAGE)
+      : null;
+    const estimatedMs = totalOrders !== null
+      ? estimateRunMs(totalOrders, pages, {
+        delayMinMs: message.delayMinMs || 2000,
+        delayMaxMs: message.delayMaxMs || 6000,
+        workerCount: normalizeWorkerCount(message.workers)
+      })
+      : null;
+
+    return { success: true, totalOrders, pages, estimatedMs };
   } catch (error) {
-    log('Navigation error on retry: ' + error.message, 'error');
-    handleOrderFailed(orderId, 'Navigation failed on retry');
+    return { error: 'Reload the Seller Center tab and try again (' + error.message + ')' };
   }
 }
 
@@ -765,73 +1766,620 @@ function checkRestBreak() {
 }
 
 /**
- * Save collected data to chrome.storage.local
+ * Save collected data to the order store
+ * Only the new records are written - stored orders are never re-read or rewritten
  */
 async function saveToStorage() {
   if (state.collectedData.length === 0) return;
 
-  try {
-    const storage = await chrome.storage.local.get(['exportedOrders']);
-    const existingOrders = storage.exportedOrders || [];
-
-    const existingIds = new Set(existingOrders.map(o => o.order_id));
-    const newOrders = state.collectedData.filter(o => !existingIds.has(o.order_id));
+  // Taken off before the write, so saves of several workers never overlap
+  const orders = state.collectedData;
+  state.collectedData = [];
 
-    if (newOrders.length === 0) return;
-
-    const allOrders = [...existingOrders, ...newOrders];
-
-    await chrome.storage.local.set({ exportedOrders: allOrders });
+  try {
+    const { added, revealed } = await saveOrders(await protectOrders(orders));
 
     // Update existing IDs list
-    state.existingOrderIds = allOrders.map(o => o.order_id);
+    [...added, ...revealed].forEach(orderId => state.existingOrderIds.add(orderId));
 
-    // Clear collectedData since it's now saved
-    state.collectedData = [];
-
-    log(`Saved ${newOrders.length} new orders (total: ${allOrders.length})`);
+    if (added.length === 0 && revealed.length === 0) return;
+    const revealedMsg = revealed.length > 0 ? `, ${revealed.length} list-only orders completed` : '';
+    log(`Saved ${added.length} new orders${revealedMsg} (total: ${await countOrders()})`);
   } catch (error) {
+    state.collectedData = [...orders, ...state.collectedData]; // Saved with the next order
     log('Failed to save: ' + error.message, 'error');
   }
 }
 
 /**
- * Handle order failure
+ * Handle order failure in a worker's tab
+ * @param {Object} worker
+ * @param {string} orderId - TikTok order number
+ * @param {string} reason - Error description
  */
-async function handleOrderFailed(orderId, reason) {
+async function handleOrderFailed(worker, orderId, reason) {
+  if (!worker.machine.is('navigating', 'extracting') || worker.orderId !== orderId) return;
+
   const orderIdShort = orderId.slice(-8);
+  const label = workerLabel(worker);
   const currentRetries = state.retryCount[orderId] || 0;
 
   // Check if we should retry
   if (currentRetries < MAX_RETRIES) {
     state.retryCount[orderId] = currentRetries + 1;
-    log(`⟳ Order ...${orderIdShort}: Retry ${currentRetries + 1}/${MAX_RETRIES} (${reason})`, 'warn');
-    state.isProcessingOrder = false;
-
-    // Save session state before retry
-    await saveSessionState();
+    log(`${label}⟳ Order ...${orderIdShort}: Retry ${currentRetries + 1}/${MAX_RETRIES} (${reason})`, 'warn');
 
     // Wait longer before retry (increasing backoff)
     const retryDelay = 3000 + (currentRetries * 2000);
-    log(`Waiting ${(retryDelay / 1000).toFixed(1)}s before retry...`, 'info');
-    setTimeout(() => retryCurrentOrder(), retryDelay);
+    log(`${label}Waiting ${(retryDelay / 1000).toFixed(1)}s before retry...`, 'info');
+    workerWaitThen(worker, retryDelay, () => retryCurrentOrder(worker), 'retry');
     return;
   }
 
   // Max retries exceeded
   state.failed++;
   state.processed++;
-  state.currentOrderIndex++;
-  state.isProcessingOrder = false;
+  worker.failed++;
+  worker.orderId = null;
 
-  log(`✗ Order ...${orderIdShort}: Failed after ${MAX_RETRIES} retries (${reason})`, 'error');
+  log(`${label}✗ Order ...${orderIdShort}: Failed after ${MAX_RETRIES} retries (${reason})`, 'error');
+  recordFailedOrder(orderId, reason, currentRetries + 1);
 
-  // Save session state
+  broadcastStatus();
   await saveSessionState();
 
-  broadcastStatus();
+  workerWaitThen(worker, 1000, () => assignNextOrder(worker), 'next order');
+}
+
+/**
+ * Page and order tab an order came from
+ * Retry failed runs keep the ones of the original failure
+ * @param {string} orderId - TikTok order number
+ * @returns {{page: number, tab: string}}
+ */
+function getOrderSource(orderId) {
+  return state.retryOrders[orderId] || { page: state.currentPage || 1, tab: state.tab };
+}
+
+/**
+ * Get the failed-orders store (newest failure first)
+ * Records: { order_id, reason, blocked, attempts, firstFailedAt, lastFailedAt, region, tab, page }
+ */
+async function getFailedOrders() {
+  await storageWrites;
+  const storage = await chrome.storage.local.get(['failedOrders']);
+  return storage.failedOrders || [];
+}
+
+/**
+ * Run a read-modify-write of chrome.storage after the pending ones
+ * @param {Function} write - Async function doing the write
+ */
+function queueStorageWrite(write) {
+  storageWrites = storageWrites.then(write).catch(error => {
+    log('Failed to save: ' + error.message, 'error');
+  });
+  return storageWrites;
+}
+
+/**
+ * Change the failed-orders store, one write at a time
+ * @param {Function} update - Gets the records, returns the new records (or null to keep them)
+ */
+function updateFailedOrders(update) {
+  return queueStorageWrite(async () => {
+    const storage = await chrome.storage.local.get(['failedOrders']);
+    const failedOrders = update(storage.failedOrders || []);
+    if (failedOrders) {
+      await chrome.storage.local.set({ failedOrders });
+    }
+  });
+}
+
+/**
+ * Remember an order that failed for good, so it can be retried later
+ * @param {string} orderId - TikTok order number
+ * @param {string} reason - Last error
+ * @param {number} attempts - Attempts made by this run
+ * @param {boolean} blocked - Blocked by TikTok privacy
+ */
+function recordFailedOrder(orderId, reason, attempts, blocked = false) {
+  // Orders a refresh could not read are still exported - nothing to retry
+  if (state.mode === REFRESH_MODE) return Promise.resolve();
+
+  const source = getOrderSource(orderId);
+  const now = new Date().toISOString();
+
+  return updateFailedOrders((failedOrders) => {
+    const previous = failedOrders.find(order => order.order_id === orderId);
+    const record = {
+      order_id: orderId,
+      reason: reason,
+      blocked: blocked,
+      attempts: (previous ? previous.attempts : 0) + attempts,
+      firstFailedAt: previous ? previous.firstFailedAt : now,
+      lastFailedAt: now,
+      region: state.region,
+      tab: source.tab,
+      page: source.page
+    };
+    return [record, ...failedOrders.filter(order => order.order_id !== orderId)];
+  });
+}
+
+/**
+ * Remove orders from the failed-orders store (exported after all, or dismissed)
+ * @param {string[]} orderIds
+ */
+function dismissFailedOrders(orderIds) {
+  return updateFailedOrders((failedOrders) => {
+    const remaining = failedOrders.filter(order => !orderIds.includes(order.order_id));
+    return remaining.length !== failedOrders.length ? remaining : null;
+  });
+}
+
+/**
+ * Get the failed orders a retry run should process
+ * Orders exported since they failed are dropped from the store
+ * @param {string} region - Region code (detail pages are per region)
+ * @param {string[]} orderIds - Only these orders (optional)
+ * @returns {Promise<Object[]>} - Failed-order records
+ */
+async function getRetryableFailedOrders(region, orderIds = null) {
+  const failedOrders = await getFailedOrders();
+  const exportedIds = new Set((await getOrders(failedOrders.map(order => order.order_id))).map(o => o.order_id));
+
+  const exported = failedOrders.filter(order => exportedIds.has(order.order_id));
+  if (exported.length > 0) {
+    await dismissFailedOrders(exported.map(order => order.order_id));
+  }
+
+  return failedOrders.filter(order =>
+    !exportedIds.has(order.order_id) &&
+    getRegionProfile(order.region).code === region &&
+    (!orderIds || orderIds.includes(order.order_id))
+  );
+}
+
+/**
+ * Key of a shop's sync watermarks
+ * @param {string} region - Region code
+ * @param {string|null} shopCode - Shop code from the Seller Center header (if found)
+ * @returns {string} - e.g. 'MY:MYLCV9LW9B' (or 'MY' when the shop code is unknown)
+ */
+function getShopKey(region, shopCode) {
+  return shopCode ? `${region}:${shopCode}` : region;
+}
+
+/**
+ * Describe a watermark for logs, e.g. "15/01/2025, 10:32:00 (...12345678)"
+ */
+function describeWatermark(watermark) {
+  const time = watermark.time ? new Date(watermark.time).toLocaleString() : 'unknown time';
+  return `${time} (...${watermark.orderId.slice(-8)})`;
+}
+
+/**
+ * Cut a page's order IDs at the watermark
+ * The list is newest first: the watermark order, or the first order
+ * shown with an older time, ends the part of the list not synced yet
+ * @param {string[]} orderIds - Order IDs in list order
+ * @param {Object} orderTimes - { orderId: list time in ms or null }
+ * @param {Object|null} watermark - { time, orderId } of the last sync
+ * @returns {{orderIds: string[], reached: boolean}}
+ */
+function cutAtWatermark(orderIds, orderTimes, watermark) {
+  if (!watermark) return { orderIds, reached: false };
+
+  const index = orderIds.findIndex(orderId =>
+    orderId === watermark.orderId ||
+    (watermark.time && orderTimes[orderId] && orderTimes[orderId] < watermark.time)
+  );
+  return index === -1 ? { orderIds, reached: false } : { orderIds: orderIds.slice(0, index), reached: true };
+}
+
+/**
+ * Apply the shop's watermark to a collected page of an incremental run
+ * The first page tells which shop the export tab is logged into
+ * @param {string[]} orderIds - Order IDs in list order
+ * @param {Object} orderTimes - { orderId: list time in ms or null }
+ * @param {string|null} shopCode - Shop code reported by the content script
+ * @returns {Promise<string[]>} - Order IDs newer than the last sync
+ */
+async function applySyncWatermark(orderIds, orderTimes, shopCode) {
+  if (!state.shopKey) {
+    state.shopKey = getShopKey(state.region, shopCode);
+    const storage = await chrome.storage.local.get(['syncWatermarks']);
+    const shopWatermarks = (storage.syncWatermarks || {})[state.shopKey] || {};
+    state.watermark = shopWatermarks[state.tab] || null;
+
+    if (state.watermark) {
+      log(`Incremental: ${state.shopKey} last synced up to ${describeWatermark(state.watermark)}`);
+    } else {
+      log(`Incremental: first sync of ${state.shopKey} - exporting every page`);
+    }
+  }
+
+  state.orderTimes = orderTimes;
+  const cut = cutAtWatermark(orderIds, orderTimes, state.watermark);
+  if (cut.reached) {
+    state.watermarkReached = true;
+    state.endPage = state.currentPage;
+    log(`Reached the last sync on page ${state.currentPage} (${orderIds.length - cut.orderIds.length} older orders left out)`);
+  }
+  return cut.orderIds;
+}
+
+/**
+ * Remember the newest exported order of an incremental run
+ * Orders without a list time count by their place in the list
+ * @param {string} orderId - Exported (or already stored) order
+ */
+function trackSyncHighWater(orderId) {
+  if (state.mode !== INCREMENTAL_MODE) return;
+
+  const candidate = {
+    time: state.orderTimes[orderId] || null,
+    orderId,
+    page: state.currentPage,
+    index: state.orderIds.indexOf(orderId)
+  };
+  const current = state.syncHighWater;
+  const newer = !current || (candidate.time && current.time
+    ? candidate.time > current.time
+    : candidate.page < current.page || (candidate.page === current.page && candidate.index < current.index));
+
+  if (newer) {
+    state.syncHighWater = candidate;
+  }
+}
+
+/**
+ * Move the shop's watermark to the newest order of the finished incremental run
+ */
+async function saveSyncWatermark() {
+  const highWater = state.syncHighWater;
+  if (!highWater || !state.shopKey) return;
+
+  // Never move back (a run that found nothing new keeps the old watermark)
+  const previous = state.watermark;
+  if (previous && previous.time && highWater.time && highWater.time <= previous.time) return;
+
+  const storage = await chrome.storage.local.get(['syncWatermarks']);
+  const syncWatermarks = storage.syncWatermarks || {};
+  syncWatermarks[state.shopKey] = {
+    ...(syncWatermarks[state.shopKey] || {}),
+    [state.tab]: { time: highWater.time, orderId: highWater.orderId, syncedAt: new Date().toISOString() }
+  };
+  await chrome.storage.local.set({ syncWatermarks });
+
+  log(`Synced ${state.shopKey} up to ${describeWatermark(highWater)}`);
+}
+
+/**
+ * Fill in defaults of a refresh filter
+ * @param {Object} filter - { maxAgeDays: 0 = any age, status: 'open' | '' (any) | one of ORDER_STATUSES }
+ * @returns {Object}
+ */
+function normalizeRefreshFilter(filter) {
+  const merged = { maxAgeDays: 14, status: 'open', ...(filter || {}) };
+  return {
+    maxAgeDays: Math.max(0, parseInt(merged.maxAgeDays) || 0),
+    status: merged.status === '' || ORDER_STATUSES.includes(merged.status) ? merged.status : 'open'
+  };
+}
+
+/**
+ * Describe a refresh filter for the log, e.g. "not completed/cancelled, exported in the last 14 days"
+ */
+function describeRefreshFilter(filter) {
+  const status = filter.status === 'open'
+    ? `not ${FINAL_ORDER_STATUSES.join('/').toLowerCase()}`
+    : (filter.status || 'any status');
+  const age = filter.maxAgeDays > 0 ? `exported in the last ${filter.maxAgeDays} days` : 'any age';
+  return `${status}, ${age}`;
+}
+
+/**
+ * Load the stored orders a refresh filter can select
+ * The age filter is applied by the extracted_at index
+ * @param {Object} filter - Normalized refresh filter
+ * @param {string|null} shopCode - Only this shop's orders and those of no known shop (all if null)
+ * @param {Date} now - Reference time for the age filter
+ * @returns {Promise<Object[]>}
+ */
+function getRefreshCandidates(filter, shopCode = null, now = new Date()) {
+  const query = {};
+  if (filter.maxAgeDays > 0) {
+    const since = new Date(now.getTime() - filter.maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+    query.index = 'extractedAt';
+    query.range = IDBKeyRange.lowerBound(since);
+  }
+  if (shopCode) {
+    query.filter = order => order.shop_code === shopCode || order.shop_code === UNKNOWN_SHOP;
+  }
+  return queryOrders(query);
+}
+
+/**
+ * Select the stored orders a refresh run revisits
+ * @param {Object[]} orders - Stored order records
+ * @param {string} region - Region code (detail pages are per region)
+ * @param {Object} filter - Normalized refresh filter
+ * @param {Date} now - Reference time for the age filter
+ * @returns {string[]} - Order IDs
+ */
+function selectOrdersToRefresh(orders, region, filter, now = new Date()) {
+  const since = filter.maxAgeDays > 0 ? now.getTime() - filter.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+  return orders.filter(order => {
+    if (getRegionProfile(order.region).code !== region) return false;
+    if (since !== null && !(new Date(order.extracted_at).getTime() >= since)) return false;
+
+    const status = getStoredOrderStatus(order);
+    if (filter.status === 'open') return !FINAL_ORDER_STATUSES.includes(status);
+    return !filter.status || status === filter.status;
+  }).map(order => order.order_id);
+}
+
+/**
+ * Update a stored order with its refreshed status, tracking number and amount
+ * Every change is appended to the order's status_history:
+ * [{ at, order_status, tracking_number, total_amount }] (first entry: as exported)
+ * @param {string} orderId - TikTok order number
+ * @param {Object} data - Result of the content script's extractOrderUpdate
+ * @param {string} label - Worker log prefix
+ */
+async function refreshStoredOrder(orderId, data, label) {
+  const orderIdShort = orderId.slice(-8);
+  const now = new Date().toISOString();
+  let changes = null;
+
+  await queueStorageWrite(async () => {
+    const order = await getOrder(orderId);
+    if (!order) return;
+
+    const snapshot = (source, at) => ({
+      at,
+      order_status: getStoredOrderStatus(source),
+      tracking_number: source.tracking_number || '',
+      total_amount: parseFloat(source.total_amount || 0)
+    });
+    const before = snapshot(order, order.extracted_at);
+    const after = snapshot({
+      ...order,
+      order_status: data.status || order.order_status,
+      tracking_number: data.tracking_number || order.tracking_number,
+      total_amount: data.total_amount || order.total_amount
+    }, now);
+
+    changes = [];
+    if (after.order_status !== before.order_status) changes.push(`${before.order_status} → ${after.order_status}`);
+    if (after.tracking_number !== before.tracking_number) changes.push(`tracking ${after.tracking_number}`);
+    if (after.total_amount !== before.total_amount) changes.push(`total ${before.total_amount} → ${after.total_amount}`);
+
+    if (changes.length > 0) {
+      order.status_history = [...(order.status_history || [before]), after];
+      order.order_status = after.order_status;
+      order.tracking_number = after.tracking_number;
+      order.total_amount = after.total_amount;
+      if (data.field_sources) order.field_sources = { ...order.field_sources, ...data.field_sources };
+      order.customer_pending = 1; // The customer's spend changes with the total
+      state.updated++;
+    }
+    order.refreshed_at = now;
+
+    await putOrders([order]);
+  });
+
+  if (!changes) {
+    log(`${label}⚠ Order ...${orderIdShort} is no longer in storage`, 'warn');
+  } else if (changes.length > 0) {
+    log(`${label}✓ Order ...${orderIdShort}: ${changes.join(', ')}`, 'success');
+  } else {
+    log(`${label}✓ Order ...${orderIdShort}: no change (${data.status || 'status unchanged'})`, 'success');
+  }
+}
+
+/**
+ * Get the saved scheduled export, its next run time and the outcome log
+ */
+async function getSchedule() {
+  const storage = await chrome.storage.local.get(['scheduledExport', 'scheduleLog']);
+  const schedule = normalizeSchedule(storage.scheduledExport);
+  return {
+    success: true,
+    schedule,
+    nextRunAt: getNextScheduleTime(schedule),
+    log: storage.scheduleLog || []
+  };
+}
+
+/**
+ * Save the scheduled export and re-arm its alarm
+ * @param {Object} schedule - Schedule from the options page
+ */
+async function saveSchedule(schedule) {
+  const normalized = normalizeSchedule(schedule);
+  await chrome.storage.local.set({ scheduledExport: normalized });
+  const nextRunAt = await armScheduleAlarm(normalized);
+
+  debugLog('Schedule saved:', describeSchedule(normalized));
+  return { success: true, schedule: normalized, nextRunAt };
+}
+
+/**
+ * Get the active selector pack for the options page
+ */
+async function getSelectorPack() {
+  const storage = await chrome.storage.local.get([SELECTOR_PACK_STORAGE_KEY]);
+  return {
+    success: true,
+    pack: buildSelectorPack(storage[SELECTOR_PACK_STORAGE_KEY]),
+    bundledVersion: BUNDLED_SELECTOR_PACK.version
+  };
+}
+
+/**
+ * Save a selector pack imported on the options page
+ * Content scripts pick the change up from storage.onChanged
+ * @param {Object|null} pack - Imported pack, or null to use the bundled pack again
+ */
+async function saveSelectorPack(pack) {
+  if (!pack) {
+    await chrome.storage.local.remove([SELECTOR_PACK_STORAGE_KEY]);
+    debugLog('Selector pack reset to bundled', BUNDLED_SELECTOR_PACK.version);
+    return getSelectorPack();
+  }
+
+  const errors = validateSelectorPack(pack);
+  if (errors.length > 0) {
+    return { error: 'Invalid selector pack', errors };
+  }
+
+  await chrome.storage.local.set({
+    [SELECTOR_PACK_STORAGE_KEY]: {
+      format: pack.format,
+      version: pack.version,
+      selectors: pack.selectors || {},
+      labels: pack.labels || {}
+    }
+  });
+  debugLog('Selector pack imported:', pack.version);
+  return getSelectorPack();
+}
+
+/**
+ * Arm the alarm for the next scheduled run (or clear it if the schedule is off)
+ * One-shot alarms are used instead of periodInMinutes so the run time stays
+ * at the same wall-clock time across DST changes
+ * @param {Object} schedule - Normalized schedule (defaults to the saved one)
+ * @returns {Promise<number|null>} - Next run time in ms
+ */
+async function armScheduleAlarm(schedule = null) {
+  if (!schedule) {
+    const storage = await chrome.storage.local.get(['scheduledExport']);
+    schedule = normalizeSchedule(storage.scheduledExport);
+  }
+
+  await chrome.alarms.clear(SCHEDULE_ALARM_NAME);
+
+  const nextRunAt = getNextScheduleTime(schedule);
+  if (nextRunAt) {
+    await chrome.alarms.create(SCHEDULE_ALARM_NAME, { when: nextRunAt });
+    debugLog('Next scheduled export:', new Date(nextRunAt).toString());
+  }
+  return nextRunAt;
+}
+
+/**
+ * Start the saved export job (alarm fired or "Run now" on the options page)
+ * The date preset is resolved now, so "Yesterday" is always relative to the run day
+ * @param {string} reason - What started the run (for the log)
+ */
+async function runScheduledExport(reason) {
+  const storage = await chrome.storage.local.get(['scheduledExport']);
+  const schedule = normalizeSchedule(storage.scheduledExport);
+
+  // Arm the next run first, so a failing run does not stop the schedule
+  if (reason === 'alarm') {
+    if (!schedule.enabled) return { error: 'Schedule is off' };
+    await armScheduleAlarm(schedule);
+  }
+
+  const dateFilter = resolveDatePreset(schedule.datePreset);
+
+  if (isRunActive() || runMachine.is('paused')) {
+    await recordScheduleOutcome({ status: 'skipped', message: 'Another export was in progress', dateFilter, region: schedule.region, tab: schedule.tab });
+    showScheduleNotification('Scheduled export skipped', 'Another export was in progress.');
+    return { error: 'Already running' };
+  }
+
+  log(`Scheduled export (${reason}): ${getOrderTab(schedule.tab).label}, ${describeDateFilter(dateFilter)}`);
+
+  const result = await handleStart({
+    startPage: schedule.startPage,
+    endPage: schedule.endPage,
+    allPages: schedule.allPages,
+    region: schedule.region,
+    tab: schedule.tab,
+    workers: schedule.workers,
+    dateFilter,
+    trigger: 'schedule'
+  });
+
+  if (result.error) {
+    await recordScheduleOutcome({ status: 'failed', message: result.error, dateFilter, region: schedule.region, tab: schedule.tab });
+    showScheduleNotification('Scheduled export failed', result.error);
+  }
+  return result;
+}
+
+/**
+ * Wrap up a scheduled run: auto-download its orders, log the outcome and notify
+ * @param {string} status - 'completed', 'failed' or 'stopped'
+ * @param {string} message - Error or stop reason
+ */
+async function completeScheduledRun(status, message = '') {
+  const downloads = [];
+
+  if (status === 'completed') {
+    const storage = await chrome.storage.local.get(['scheduledExport']);
+    const schedule = normalizeSchedule(storage.scheduledExport);
+
+    // Only the orders this run exported, without a Save As dialog
+    const exportOptions = { sourceTab: state.tab, shopCode: state.shopCode, extractedSince: state.startedAt, saveAs: false };
+    if (schedule.downloadCsv) downloads.push({ format: 'CSV', ...(await downloadCSV(exportOptions)) });
+    if (schedule.downloadXlsx) downloads.push({ format: 'XLSX', ...(await downloadXLSX(exportOptions)) });
+  }
+
+  await recordScheduleOutcome({
+    status,
+    message,
+    dateFilter: state.dateFilter,
+    region: state.region,
+    tab: state.tab,
+    startedAt: state.startedAt,
+    success: state.success,
+    failed: state.failed,
+    skipped: state.skipped,
+    downloads: downloads.map(d => ({ format: d.format, filename: d.filename || null, count: d.count || 0, error: d.error || null }))
+  });
+
+  if (status === 'stopped') return;
+
+  const files = downloads.filter(d => d.filename).map(d => d.format).join(' + ');
+  const title = status === 'completed' ? 'Scheduled export complete' : 'Scheduled export failed';
+  const summary = `${state.success} exported, ${state.failed} failed, ${state.skipped} skipped`;
+  const detail = status === 'completed'
+    ? (files ? `Downloaded ${files}.` : 'Nothing downloaded.')
+    : message;
+  showScheduleNotification(title, `${summary}\n${detail}`);
+}
+
+/**
+ * Add a scheduled run outcome to the log (newest first)
+ * @param {Object} outcome - { status, message, dateFilter, region, tab, success, ... }
+ */
+async function recordScheduleOutcome(outcome) {
+  try {
+    const storage = await chrome.storage.local.get(['scheduleLog']);
+    const scheduleLog = storage.scheduleLog || [];
+
+    scheduleLog.unshift({
+      id: Date.now(),
+      finishedAt: new Date().toISOString(),
+      ...outcome
+    });
+    if (scheduleLog.length > SCHEDULE_LOG_LIMIT) {
+      scheduleLog.length = SCHEDULE_LOG_LIMIT;
+    }
 
-  setTimeout(() => processNextOrder(), 1000);
+    await chrome.storage.local.set({ scheduleLog });
+    log(`Scheduled export ${outcome.status}${outcome.message ? ': ' + outcome.message : ''}`, outcome.status === 'completed' ? 'success' : 'warn');
+  } catch (error) {
+    debugLog('Failed to save schedule log:', error);
+  }
 }
 
 /**
@@ -848,8 +2396,14 @@ async function getExportHistory() {
 
 /**
  * Save export to history
+ * @param {string} format - 'CSV' or 'XLSX'
+ * @param {number} count - Orders exported
+ * @param {string} filename
+ * @param {string|null} shopCode - Shop the export was limited to (null = all shops)
+ * @param {string} profile - Export privacy profile key
+ * @param {string} kind - What was exported: 'orders' or 'customers' (count is of those)
  */
-async function saveExportHistory(format, count, filename) {
+async function saveExportHistory(format, count, filename, shopCode = null, profile = DEFAULT_EXPORT_PROFILE, kind = 'orders') {
   try {
     const storage = await chrome.storage.local.get(['exportHistory']);
     const history = storage.exportHistory || [];
@@ -860,6 +2414,9 @@ async function saveExportHistory(format, count, filename) {
       format: format,
       count: count,
       filename: filename,
+      shopCode: shopCode,
+      profile: getExportProfile(profile).key,
+      kind: kind,
       exportedAt: new Date().toISOString()
     });
 
@@ -875,10 +2432,58 @@ async function saveExportHistory(format, count, filename) {
   }
 }
 
+/**
+ * Load stored orders for export, optionally filtered
+ * @param {Object} options - { sourceTab, shopCode, extractedSince } - only export orders from
+ *   this tab / this shop / extracted at or after this ISO time, and
+ *   profile - export privacy profile applied to the customer details (default: full)
+ * @throws {PiiLockedError} - Customer details are encrypted and locked (and the profile has them)
+ */
+async function getOrdersForExport(options = {}) {
+  // Orders extracted since a time come straight from the extracted_at index,
+  // a shop's orders from the shop index (oldest first)
+  let query = {};
+  if (options.extractedSince) {
+    query = { index: 'extractedAt', range: IDBKeyRange.lowerBound(options.extractedSince) };
+  } else if (options.shopCode) {
+    query = shopOrdersQuery(options.shopCode, 'next');
+  }
+
+  const filters = [];
+  if (options.sourceTab) filters.push(order => getOrderSourceTab(order) === options.sourceTab);
+  if (options.shopCode && options.extractedSince) filters.push(order => order.shop_code === options.shopCode);
+  if (filters.length > 0) query.filter = order => filters.every(filter => filter(order));
+
+  // Encrypted customer details need the vault unlocked - unless the export leaves them out
+  const orders = await queryOrders(query);
+  const profile = getExportProfile(options.profile);
+  return applyExportProfile(profile.key === 'none' ? orders : (await revealOrders(orders)).map(normalizeRevealedOrder), profile.key);
+}
+
+/**
+ * Normalize the phone number and parse the address of a decrypted order
+ * stored before they were (phone-numbers.js, addresses.js)
+ */
+function normalizeRevealedOrder(order) {
+  return normalizeOrderAddress(normalizeOrderPhone(order));
+}
+
+/**
+ * Build export filename, e.g. tiktok_orders_2025-01-31_MYLCV9LW9B_shipped_masked_120orders.csv
+ */
+function getExportFilename(count, extension, options = {}) {
+  const shopPart = options.shopCode ? `_${options.shopCode}` : '';
+  const tabPart = options.sourceTab ? `_${options.sourceTab}` : '';
+  const profilePart = getExportProfile(options.profile).fileSuffix;
+  return `tiktok_orders_${new Date().toISOString().split('T')[0]}${shopPart}${tabPart}${profilePart}_${count}orders.${extension}`;
+}
+
 /**
  * Get order data headers
+ * @param {string} profileKey - Export privacy profile - its customer columns are labelled, e.g. "Customer Name (masked)"
  */
-function getExportHeaders() {
+function getExportHeaders(profileKey) {
+  const suffix = getExportProfile(profileKey).columnSuffix;
   return [
     'Page',
     'Order ID',
@@ -887,10 +2492,26 @@ function getExportHeaders() {
     'Total',
     'Item (Full)',
     'SKU ID',
-    'Customer Name',
-    'Customer Phone',
-    'Customer Address',
-    'Date Order'
+    `Customer Name${suffix}`,
+    `Customer Phone${suffix}`,
+    `Customer Address${suffix}`,
+    'Date Order',
+    'Order Status',
+    'Tracking Number',
+    'Source Tab',
+    'Shop',
+    'Customer Details',
+    'Customer ID',
+    `Phone (as shown)${suffix}`,
+    'Phone Type',
+    'Phone Check',
+    `Address Line 1${suffix}`,
+    `Address Line 2${suffix}`,
+    'Postcode',
+    'City',
+    'State',
+    'Country',
+    'Address Confidence'
   ];
 }
 
@@ -903,60 +2524,114 @@ function getExportRows(orders) {
     row.order_id || '',
     row.shipping_method || '',
     row.payment_method || '',
-    `${row.currency || 'MYR'} ${row.total_amount || 0}`,
+    `${row.currency || getRegionProfile(row.region).currency} ${row.total_amount || 0}`,
     row.items || '',
     row.sku_id || '',
     row.customer_name || '',
     row.phone_number || '',
     row.full_address || '',
-    row.order_date || ''
+    row.order_date || '',
+    getStoredOrderStatus(row),
+    row.tracking_number || '',
+    getOrderTab(getOrderSourceTab(row)).label,
+    row.shop_code ? formatShopLabel({ code: row.shop_code, name: row.shop_name }) : '',
+    describeCustomerDetails(row),
+    row.customer_id || '',
+    row.phone_raw || '',
+    PHONE_TYPE_LABELS[row.phone_type] || '',
+    describePhoneCheck(row),
+    row.address_line1 || '',
+    row.address_line2 || '',
+    row.address_postcode || '',
+    row.address_city || '',
+    row.address_state || '',
+    row.address_country || '',
+    describeAddressConfidence(row)
   ]);
 }
 
 /**
- * Download collected data as CSV
- * Note: Service workers don't have URL.createObjectURL, so we use data URL
+ * Customer Details column - whether the export has the order's customer details
  */
-async function downloadCSV() {
-  const storage = await chrome.storage.local.get(['exportedOrders']);
-  const allOrders = storage.exportedOrders || [];
-
-  if (allOrders.length === 0) {
-    return { error: 'No data to download' };
+function describeCustomerDetails(order) {
+  if (order.pii_redacted_at) {
+    const reason = order.pii_redaction === 'erase' ? 'erase request' : 'retention policy';
+    return `Redacted ${order.pii_redacted_at.split('T')[0]} (${reason})`;
   }
+  return order.customer_revealed === false ? 'Not revealed (list only)' : 'Revealed';
+}
 
-  try {
-    const headers = getExportHeaders();
-    const rows = getExportRows(allOrders);
+/**
+ * Encode a sheet as a CSV data URL
+ * Note: Service workers don't have URL.createObjectURL, so we use data URL
+ * @param {string[]} headers
+ * @param {Array[]} rows - Cells without CSV quoting
+ * @returns {string}
+ */
+function toCsvDataUrl(headers, rows) {
+  // CSV format with proper quoting
+  const csvRows = rows.map(row =>
+    row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')
+  );
+
+  const csvContent = [
+    headers.map(h => `"${h}"`).join(','),
+    ...csvRows
+  ].join('\n');
+
+  // Add BOM for Excel UTF-8 compatibility and encode as base64 data URL
+  const BOM = '\uFEFF';
+  const base64 = btoa(unescape(encodeURIComponent(BOM + csvContent)));
+  return `data:text/csv;charset=utf-8;base64,${base64}`;
+}
+
+/**
+ * Encode a sheet as an Excel XLSX data URL (SheetJS)
+ * @param {string[]} headers
+ * @param {Array[]} rows
+ * @param {Object[]} widths - Column widths ({ wch })
+ * @param {string} sheetName
+ * @returns {string}
+ */
+function toXlsxDataUrl(headers, rows, widths, sheetName) {
+  const ws = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+  ws['!cols'] = widths;
 
-    // CSV format with proper quoting
-    const csvRows = rows.map(row =>
-      row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')
-    );
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, sheetName);
 
-    const csvContent = [
-      headers.map(h => `"${h}"`).join(','),
-      ...csvRows
-    ].join('\n');
+  const xlsxBinary = XLSX.write(wb, { bookType: 'xlsx', type: 'base64' });
+  return `data:application/vnd.openxmlformats-officedocument.spreadsheetml.sheet;base64,${xlsxBinary}`;
+}
 
-    // Add BOM for Excel UTF-8 compatibility and encode as base64 data URL
-    const BOM = '\uFEFF';
-    const csvWithBOM = BOM + csvContent;
+/**
+ * Download collected data as CSV
+ * @param {Object} options - Export filters, see getOrdersForExport(), and saveAs (default true)
+ */
+async function downloadCSV(options = {}) {
+  let allOrders;
+  try {
+    allOrders = await getOrdersForExport(options);
+  } catch (error) {
+    return { error: error.message, locked: error instanceof PiiLockedError };
+  }
 
-    // Convert to base64 data URL (service workers don't have URL.createObjectURL)
-    const base64 = btoa(unescape(encodeURIComponent(csvWithBOM)));
-    const dataUrl = `data:text/csv;charset=utf-8;base64,${base64}`;
+  if (allOrders.length === 0) {
+    return { error: 'No data to download' };
+  }
 
-    const filename = `tiktok_orders_${new Date().toISOString().split('T')[0]}_${allOrders.length}orders.csv`;
+  try {
+    const dataUrl = toCsvDataUrl(getExportHeaders(options.profile), getExportRows(allOrders));
+    const filename = getExportFilename(allOrders.length, 'csv', options);
 
     await chrome.downloads.download({
       url: dataUrl,
       filename: filename,
-      saveAs: true
+      saveAs: options.saveAs !== false // Scheduled runs download without asking
     });
 
     // Save to export history
-    await saveExportHistory('CSV', allOrders.length, filename);
+    await saveExportHistory('CSV', allOrders.length, filename, options.shopCode || null, options.profile);
 
     log(`Downloaded ${filename} (${allOrders.length} orders)`);
     return { success: true, filename, count: allOrders.length };
@@ -969,27 +2644,23 @@ async function downloadCSV() {
 /**
  * Download collected data as Excel XLSX
  * Uses SheetJS library
+ * @param {Object} options - Export filters, see getOrdersForExport(), and saveAs (default true)
  */
-async function downloadXLSX() {
-  const storage = await chrome.storage.local.get(['exportedOrders']);
-  const allOrders = storage.exportedOrders || [];
+async function downloadXLSX(options = {}) {
+  let allOrders;
+  try {
+    allOrders = await getOrdersForExport(options);
+  } catch (error) {
+    return { error: error.message, locked: error instanceof PiiLockedError };
+  }
 
   if (allOrders.length === 0) {
     return { error: 'No data to download' };
   }
 
   try {
-    const headers = getExportHeaders();
-    const rows = getExportRows(allOrders);
-
-    // Create worksheet data (headers + rows)
-    const wsData = [headers, ...rows];
-
-    // Create worksheet
-    const ws = XLSX.utils.aoa_to_sheet(wsData);
-
-    // Set column widths for better readability
-    ws['!cols'] = [
+    // Column widths for better readability
+    const widths = [
       { wch: 6 },   // Page
       { wch: 20 },  // Order ID
       { wch: 15 },  // Shipping Method
@@ -1000,29 +2671,35 @@ async function downloadXLSX() {
       { wch: 25 },  // Customer Name
       { wch: 15 },  // Customer Phone
       { wch: 50 },  // Customer Address
-      { wch: 12 }   // Date Order
+      { wch: 12 },  // Date Order
+      { wch: 20 },  // Order Status
+      { wch: 20 },  // Tracking Number
+      { wch: 14 },  // Source Tab
+      { wch: 24 },  // Shop
+      { wch: 24 },  // Customer Details
+      { wch: 24 },  // Customer ID
+      { wch: 18 },  // Phone (as shown)
+      { wch: 10 },  // Phone Type
+      { wch: 16 },  // Phone Check
+      { wch: 35 },  // Address Line 1
+      { wch: 30 },  // Address Line 2
+      { wch: 10 },  // Postcode
+      { wch: 18 },  // City
+      { wch: 18 },  // State
+      { wch: 12 },  // Country
+      { wch: 28 }   // Address Confidence
     ];
-
-    // Create workbook
-    const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, 'Orders');
-
-    // Generate XLSX binary
-    const xlsxBinary = XLSX.write(wb, { bookType: 'xlsx', type: 'base64' });
-
-    // Create data URL
-    const dataUrl = `data:application/vnd.openxmlformats-officedocument.spreadsheetml.sheet;base64,${xlsxBinary}`;
-
-    const filename = `tiktok_orders_${new Date().toISOString().split('T')[0]}_${allOrders.length}orders.xlsx`;
+    const dataUrl = toXlsxDataUrl(getExportHeaders(options.profile), getExportRows(allOrders), widths, 'Orders');
+    const filename = getExportFilename(allOrders.length, 'xlsx', options);
 
     await chrome.downloads.download({
       url: dataUrl,
       filename: filename,
-      saveAs: true
+      saveAs: options.saveAs !== false // Scheduled runs download without asking
     });
 
     // Save to export history
-    await saveExportHistory('XLSX', allOrders.length, filename);
+    await saveExportHistory('XLSX', allOrders.length, filename, options.shopCode || null, options.profile);
 
     log(`Downloaded ${filename} (${allOrders.length} orders)`);
     return { success: true, filename, count: allOrders.length };
@@ -1032,41 +2709,635 @@ async function downloadXLSX() {
   }
 }
 
+/**
+ * Load the customer book for export, with the customer details of each customer's latest order
+ * @param {Object} options - { shopCode, profile } - only customers of this shop (all if not a string),
+ *   profile - export privacy profile applied to the customer details (default: full)
+ * @returns {Promise<{customer: Object, order: Object}[]>} - Most recent order first
+ * @throws {PiiLockedError} - Customer details are encrypted and locked (and the profile has them)
+ */
+async function getCustomersForExport(options = {}) {
+  const customers = await getCustomers(typeof options.shopCode === 'string' ? options.shopCode : null);
+  const orders = await getOrders(customers.map(customer => customer.latest_order_id));
+
+  const profile = getExportProfile(options.profile);
+  const revealed = profile.key === 'none' ? orders : (await revealOrders(orders)).map(normalizeRevealedOrder);
+  const profiled = await applyExportProfile(revealed, profile.key);
+  const ordersById = new Map(profiled.map(order => [order.order_id, order]));
+  return customers.map(customer => ({ customer, order: ordersById.get(customer.latest_order_id) || {} }));
+}
+
+/**
+ * Get customer export headers
+ * @param {string} profileKey - Export privacy profile - its customer columns are labelled
+ */
+function getCustomerExportHeaders(profileKey) {
+  const suffix = getExportProfile(profileKey).columnSuffix;
+  return [
+    'Customer ID',
+    `Customer Name${suffix}`,
+    `Customer Phone${suffix}`,
+    'Orders',
+    'First Order',
+    'Last Order',
+    'Total Spend',
+    'Favorite Products',
+    'Shops'
+  ];
+}
+
+/**
+ * Get customer export rows (without CSV quoting)
+ * @param {Object[]} entries - From getCustomersForExport()
+ */
+function getCustomerExportRows(entries) {
+  return entries.map(({ customer, order }) => [
+    customer.customer_id,
+    order.customer_name || '',
+    order.phone_number || '',
+    customer.order_count,
+    customer.first_order_date || '',
+    customer.last_order_date || '',
+    formatCustomerSpend(customer.total_spend),
+    formatFavoriteProducts(customer.favorite_products),
+    customer.shop_codes.filter(Boolean).join(', ')
+  ]);
+}
+
+/**
+ * Download the customer book as CSV or Excel XLSX
+ * e.g. tiktok_customers_2025-01-31_MYLCV9LW9B_masked_42customers.csv
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {Object} options - See getCustomersForExport()
+ */
+async function downloadCustomers(format, options = {}) {
+  let entries;
+  try {
+    entries = await getCustomersForExport(options);
+  } catch (error) {
+    return { error: error.message, locked: error instanceof PiiLockedError };
+  }
+
+  if (entries.length === 0) {
+    return { error: 'No customers to download' };
+  }
+
+  try {
+    const headers = getCustomerExportHeaders(options.profile);
+    const rows = getCustomerExportRows(entries);
+    const dataUrl = format === 'xlsx'
+      ? toXlsxDataUrl(headers, rows, [
+        { wch: 26 },  // Customer ID
+        { wch: 25 },  // Customer Name
+        { wch: 15 },  // Customer Phone
+        { wch: 8 },   // Orders
+        { wch: 16 },  // First Order
+        { wch: 16 },  // Last Order
+        { wch: 16 },  // Total Spend
+        { wch: 50 },  // Favorite Products
+        { wch: 14 }   // Shops
+      ], 'Customers')
+      : toCsvDataUrl(headers, rows);
+
+    const shopPart = options.shopCode ? `_${options.shopCode}` : '';
+    const profilePart = getExportProfile(options.profile).fileSuffix;
+    const filename = `tiktok_customers_${new Date().toISOString().split('T')[0]}${shopPart}${profilePart}_${entries.length}customers.${format}`;
+
+    await chrome.downloads.download({ url: dataUrl, filename: filename, saveAs: true });
+    await saveExportHistory(format.toUpperCase(), entries.length, filename, options.shopCode || null, options.profile, 'customers');
+
+    log(`Downloaded ${filename} (${entries.length} customers)`);
+    return { success: true, filename, count: entries.length };
+  } catch (error) {
+    log('Customer download error: ' + error.message, 'error');
+    return { error: error.message };
+  }
+}
+
+/**
+ * Encrypt the customer details of new order records, if encryption is on
+ * Only needs the public key - runs save while the customer data is locked.
+ * The customer book's match keys need the customer data unlocked, so the
+ * book keys and links these orders once it is
+ * @param {Object[]} orders - Order records
+ * @returns {Promise<Object[]>}
+ */
+async function protectOrders(orders) {
+  const settings = await getPiiSettings();
+  if (!settings) return orders;
+
+  const publicKey = await importPiiPublicKey(settings);
+  return Promise.all(orders.map(order => encryptOrderPii(order, publicKey)));
+}
+
+/**
+ * Rewrite every stored order, a batch at a time
+ * The IDs are read once up front, so each batch is read by key - not by
+ * walking the cursor from the start again
+ * @param {Function} transform - Async, gets a record and returns it (unchanged) or a new record
+ * @param {Object} query - Orders to walk, { index, range } (default: every order)
+ * @returns {Promise<number>} - Orders rewritten
+ */
+async function rewriteStoredOrders(transform, query = {}) {
+  const orderIds = await getOrderKeys(query);
+  let rewritten = 0;
+  for (let start = 0; start < orderIds.length; start += PII_BATCH_SIZE) {
+    const changed = [];
+    for (const order of await getOrders(orderIds.slice(start, start + PII_BATCH_SIZE))) {
+      const result = await transform(order);
+      if (result !== order) changed.push(result);
+    }
+    if (changed.length > 0) await putOrders(changed);
+    rewritten += changed.length;
+  }
+  return rewritten;
+}
+
+/**
+ * Get the encryption state for the popup, dashboard and options page
+ */
+async function getPiiStatus() {
+  const [settings, unlock] = await Promise.all([getPiiSettings(), getPiiUnlock()]);
+  return {
+    success: true,
+    enabled: !!settings,
+    unlocked: !!unlock,
+    lockAt: unlock ? unlock.lockAt : null,
+    autoLockMinutes: settings ? settings.autoLockMinutes : DEFAULT_PII_AUTO_LOCK_MINUTES,
+    enabledAt: settings ? settings.enabledAt : null
+  };
+}
+
+/**
+ * Turn on encryption and encrypt the customer details of every stored order
+ * @param {string} passphrase - Needed to unlock the customer data from now on
+ * @param {number} autoLockMinutes - Locked again this long after unlocking
+ */
+async function enablePiiEncryption(passphrase, autoLockMinutes) {
+  if (await getPiiSettings()) return { error: 'Customer data is already encrypted' };
+  if (!passphrase || passphrase.length < PII_MIN_PASSPHRASE_LENGTH) {
+    return { error: `The passphrase needs at least ${PII_MIN_PASSPHRASE_LENGTH} characters` };
+  }
+  if (isRunActive()) return { error: 'Wait for the running export to finish' };
+
+  try {
+    const settings = await createPiiSettings(passphrase, autoLockMinutes);
+    await sealCustomerMatchKey(settings);
+    await chrome.storage.local.set({ [PII_SETTINGS_KEY]: settings });
+    await chrome.storage.local.remove([CUSTOMER_MATCH_KEY]);
+
+    const publicKey = await importPiiPublicKey(settings);
+    const encrypted = await rewriteStoredOrders(order => encryptOrderPii(order, publicKey));
+    log(`Customer data encryption on - ${encrypted} orders encrypted`);
+    return { ...(await getPiiStatus()), encrypted };
+  } catch (error) {
+    log('Failed to turn on encryption: ' + error.message, 'error');
+    return { error: error.message };
+  }
+}
+
+/**
+ * Decrypt every stored order and turn encryption off
+ * @param {string} passphrase
+ */
+async function disablePiiEncryption(passphrase) {
+  const settings = await getPiiSettings();
+  if (!settings) return { error: 'Customer data is not encrypted' };
+  if (isRunActive()) return { error: 'Wait for the running export to finish' };
+
+  try {
+    const privateKey = await importPiiPrivateKey(await openPrivateKey(settings, passphrase));
+    const decrypted = await rewriteStoredOrders(order => decryptOrderPii(order, privateKey));
+    await unsealCustomerMatchKey(settings, privateKey);
+    await chrome.storage.local.remove([PII_SETTINGS_KEY]);
+    await lockPii();
+    log(`Customer data encryption off - ${decrypted} orders decrypted`);
+    return { ...(await getPiiStatus()), decrypted };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Unlock the customer data until the auto-lock time
+ * @param {string} passphrase
+ */
+async function unlockPii(passphrase) {
+  const settings = await getPiiSettings();
+  if (!settings) return { error: 'Customer data is not encrypted' };
+
+  try {
+    await startPiiUnlock(await openPrivateKey(settings, passphrase), settings.autoLockMinutes);
+  } catch (error) {
+    return { error: error.message };
+  }
+  debugLog('Customer data unlocked');
+  updateCustomerBook(); // Keys and links the orders saved while locked
+  return getPiiStatus();
+}
+
+/**
+ * Keep the private key for this browser session and arm the auto-lock
+ * @param {string} privateKey - PKCS #8 private key, base64
+ * @param {number} minutes - Auto-lock time
+ */
+async function startPiiUnlock(privateKey, minutes) {
+  const lockAt = Date.now() + minutes * 60 * 1000;
+  await chrome.storage.session.set({ [PII_SESSION_KEY]: { privateKey, lockAt } });
+  await chrome.alarms.create(PII_LOCK_ALARM_NAME, { when: lockAt });
+}
+
+/**
+ * Lock the customer data (auto-lock alarm, or the Lock buttons)
+ */
+async function lockPii() {
+  await chrome.storage.session.remove([PII_SESSION_KEY]);
+  await chrome.alarms.clear(PII_LOCK_ALARM_NAME);
+  piiPrivateKeyCache = null;
+  debugLog('Customer data locked');
+  return getPiiStatus();
+}
+
+/**
+ * Change the auto-lock time - an unlocked vault is locked this long from now
+ * @param {number} minutes
+ */
+async function setPiiAutoLock(minutes) {
+  const settings = await getPiiSettings();
+  if (!settings) return { error: 'Customer data is not encrypted' };
+
+  const autoLockMinutes = normalizeAutoLockMinutes(minutes);
+  await chrome.storage.local.set({ [PII_SETTINGS_KEY]: { ...settings, autoLockMinutes } });
+
+  const unlock = await getPiiUnlock();
+  if (unlock) await startPiiUnlock(unlock.privateKey, autoLockMinutes);
+  return getPiiStatus();
+}
+
+/**
+ * Get the retention policy, the last scheduled purge and the purge audit for the options page
+ */
+async function getRetention() {
+  const storage = await chrome.storage.local.get([RETENTION_POLICY_KEY, PURGE_AUDIT_KEY, 'retentionLastRun']);
+  return {
+    success: true,
+    policy: normalizeRetentionPolicy(storage[RETENTION_POLICY_KEY]),
+    lastRun: storage.retentionLastRun || null,
+    audit: storage[PURGE_AUDIT_KEY] || []
+  };
+}
+
+/**
+ * Save the retention policy and arm (or clear) its daily purge
+ * @param {Object} policy - { enabled, days } from the options page
+ */
+async function saveRetentionPolicy(policy) {
+  const normalized = normalizeRetentionPolicy(policy);
+  await chrome.storage.local.set({ [RETENTION_POLICY_KEY]: normalized });
+  await armRetentionAlarm(normalized);
+  return getRetention();
+}
+
+/**
+ * Arm the daily retention purge - the first one runs a minute from now
+ * @param {Object} policy - Normalized policy (read from storage if not given)
+ */
+async function armRetentionAlarm(policy = null) {
+  if (!policy) {
+    const storage = await chrome.storage.local.get([RETENTION_POLICY_KEY]);
+    policy = normalizeRetentionPolicy(storage[RETENTION_POLICY_KEY]);
+  }
+
+  await chrome.alarms.clear(RETENTION_ALARM_NAME);
+  if (policy.enabled) {
+    await chrome.alarms.create(RETENTION_ALARM_NAME, { delayInMinutes: 1, periodInMinutes: RETENTION_PURGE_INTERVAL_MINUTES });
+  }
+}
+
+/**
+ * Redact the customer details of orders past the retention period
+ * Works on encrypted orders too - their details are dropped without decrypting them
+ * @param {string} trigger - 'schedule' (daily alarm) or 'manual' (options page)
+ */
+async function purgeExpiredCustomerData(trigger) {
+  const storage = await chrome.storage.local.get([RETENTION_POLICY_KEY]);
+  const policy = normalizeRetentionPolicy(storage[RETENTION_POLICY_KEY]);
+  if (!policy.enabled) return { error: 'The retention policy is off' };
+
+  const at = new Date().toISOString();
+  const cutoff = getRetentionCutoff(policy);
+  const orderIds = [];
+  const customerIds = new Set();
+
+  try {
+    // Orders without an order date have order_time 0 and are checked on their extraction time
+    await rewriteStoredOrders((order) => {
+      const start = getRetentionStart(order);
+      if (start === null || start >= cutoff) return order;
+
+      const redacted = redactOrderPii(order, 'retention', at);
+      if (redacted !== order) orderIds.push(order.order_id);
+      if (redacted !== order && order.customer_id) customerIds.add(order.customer_id);
+      return redacted;
+    }, { index: 'orderTime', range: IDBKeyRange.upperBound(cutoff, true) });
+  } catch (error) {
+    log('Retention purge failed: ' + error.message, 'error');
+    return { error: error.message };
+  }
+
+  await chrome.storage.local.set({ retentionLastRun: { at, trigger, count: orderIds.length } });
+
+  // Daily runs that found nothing are not worth an audit entry
+  let entry = null;
+  if (orderIds.length > 0 || trigger === 'manual') {
+    entry = await recordPurge({ at, action: 'retention', trigger, description: `Customer details older than ${policy.days} days`, orderIds });
+  }
+  // Redacted orders stay with their customer, which is shown with the details of another order
+  if (customerIds.size > 0) await updateCustomerBook({ customerIds: Array.from(customerIds) });
+  return { success: true, count: orderIds.length, entry };
+}
+
+/**
+ * Redact every order of one customer (erase request)
+ * Encrypted orders are matched on their decrypted details, so the vault must be unlocked
+ * @param {{phone: string, name: string}} request - Phone number and/or name - orders matching either are erased
+ */
+async function eraseCustomer(request) {
+  const customer = { phone: normalizePhoneDigits(request.phone), name: normalizeCustomerName(request.name) };
+  if (!customer.phone && !customer.name) return { error: 'Enter a phone number or a name' };
+  if (customer.phone && customer.phone.length < MIN_ERASE_PHONE_DIGITS) {
+    return { error: `Enter at least ${MIN_ERASE_PHONE_DIGITS} digits of the phone number` };
+  }
+
+  let privateKey = null;
+  if (await getPiiSettings()) {
+    privateKey = await getUnlockedPrivateKey();
+    if (!privateKey) return { error: new PiiLockedError().message, locked: true };
+  }
+
+  const at = new Date().toISOString();
+  const orderIds = [];
+  const customerIds = new Set();
+
+  try {
+    await rewriteStoredOrders(async (order) => {
+      if (!hasCustomerDetails(order)) return order;
+
+      const plain = privateKey ? await decryptOrderPii(order, privateKey) : order;
+      if (!orderMatchesCustomer(plain, customer)) return order;
+
+      orderIds.push(order.order_id);
+      if (order.customer_id) customerIds.add(order.customer_id);
+      return redactOrderPii(order, 'erase', at);
+    });
+  } catch (error) {
+    log('Customer erase failed: ' + error.message, 'error');
+    return { error: error.message };
+  }
+
+  const entry = await recordPurge({ at, action: 'erase', trigger: 'manual', description: `Customer with ${describeEraseRequest(customer)}`, orderIds });
+  if (customerIds.size > 0) await updateCustomerBook({ customerIds: Array.from(customerIds) }); // Erased orders leave their customer
+  return { success: true, count: orderIds.length, entry };
+}
+
+/**
+ * Add a purge to the audit (newest first)
+ * @param {Object} entry - { at, action: 'retention' | 'erase', trigger, description, orderIds }
+ * @returns {Promise<Object>} - Entry as stored, with its count
+ */
+async function recordPurge(entry) {
+  const stored = { ...entry, count: entry.orderIds.length };
+  const storage = await chrome.storage.local.get([PURGE_AUDIT_KEY]);
+  const audit = [stored, ...(storage[PURGE_AUDIT_KEY] || [])].slice(0, PURGE_AUDIT_LIMIT);
+  await chrome.storage.local.set({ [PURGE_AUDIT_KEY]: audit });
+
+  log(`${entry.description}: customer details of ${stored.count} orders redacted`);
+  return stored;
+}
+
+/**
+ * Update the customer book, one update at a time
+ * @param {Object} options - { full: rebuild the whole book, customerIds: customers whose orders changed }
+ * @returns {Promise<Object|null>} - { customers, linked, merged }, or null if it failed
+ */
+function updateCustomerBook(options = {}) {
+  let result = null;
+  return queueStorageWrite(async () => {
+    result = options.full ? await rebuildCustomerBook() : await linkPendingCustomers(options.customerIds);
+  }).then(() => result);
+}
+
+/**
+ * Give orders their match keys
+ * Encrypted orders are decrypted for it while the customer data is unlocked -
+ * while it is locked they are left to be keyed after unlocking
+ * @param {string[]} orderIds - Orders without match keys, or marked customer_pending
+ * @returns {Promise<{orders: Object[], keyed: Map<string, Object>}>} - The stored orders, and
+ *   copies to store (with their keys, no longer pending) of the ones keyed
+ */
+async function keyCustomerOrders(orderIds) {
+  const orders = [];
+  const keyed = new Map();
+  if (orderIds.length === 0) return { orders, keyed };
+
+  const matchKey = await getCustomerMatchKey();
+  const privateKey = await getUnlockedPrivateKey();
+  for (let start = 0; start < orderIds.length; start += PII_BATCH_SIZE) {
+    for (const order of await getOrders(orderIds.slice(start, start + PII_BATCH_SIZE))) {
+      orders.push(order);
+      let keys = order.customer_keys || null;
+      if (!keys && hasCustomerDetails(order)) {
+        if (!matchKey || (isOrderPiiEncrypted(order) && !privateKey)) continue; // Locked
+        keys = await computeCustomerKeys(privateKey ? await decryptOrderPii(order, privateKey) : order, matchKey);
+      }
+      const linked = { ...order };
+      delete linked.customer_pending;
+      if (keys) linked.customer_keys = keys;
+      keyed.set(order.order_id, linked);
+    }
+  }
+  return { orders, keyed };
+}
+
+/**
+ * Store the customers of the orders of a (part of the) book
+ * Only orders whose customer changed or that were keyed are written
+ * @param {Object[]} entries - From toCustomerEntry()
+ * @param {Map<string, Object>} keyed - From keyCustomerOrders()
+ * @param {Object} book - From buildCustomerBook()
+ */
+async function storeCustomerLinks(entries, keyed, book) {
+  const changed = new Set(keyed.keys());
+  entries
+    .filter(entry => (entry.customer_id || null) !== (book.links.get(entry.order_id) || null))
+    .forEach(entry => changed.add(entry.order_id));
+
+  const orderIds = Array.from(changed);
+  for (let start = 0; start < orderIds.length; start += PII_BATCH_SIZE) {
+    const orders = await getOrders(orderIds.slice(start, start + PII_BATCH_SIZE));
+    await putOrders(orders.map((order) => {
+      const linked = { ...order };
+      const keyedOrder = keyed.get(order.order_id);
+      // Saved again meanwhile (e.g. a list-only record revealed) - keyed by the next update
+      if (keyedOrder && keyedOrder.extracted_at === order.extracted_at) {
+        delete linked.customer_pending;
+        if (keyedOrder.customer_keys) linked.customer_keys = keyedOrder.customer_keys;
+      }
+      const customerId = book.links.get(order.order_id);
+      if (customerId) linked.customer_id = customerId;
+      else delete linked.customer_id;
+      return linked;
+    }));
+  }
+}
+
+/**
+ * Link the orders saved since the last update (customer_pending) to their customers
+ * Only those orders and the ones sharing a match key or a customer with them
+ * are read, and only their customers rebuilt
+ * @param {string[]} customerIds - Customers whose orders changed otherwise (purged or erased)
+ * @returns {Promise<{customers: number, linked: number, merged: number}>} - Of the customers rebuilt
+ */
+async function linkPendingCustomers(customerIds = []) {
+  const { keyed } = await keyCustomerOrders(await getOrderKeys({ index: 'customerPending' }));
+  if (keyed.size === 0 && customerIds.length === 0) return { customers: 0, linked: 0, merged: 0 };
+
+  // Everything that shares a phone, a name or a customer with them
+  const related = new Map(keyed);
+  const queue = customerIds.map(customerId => ['customer', customerId]);
+  const seen = new Set();
+  const follow = (order) => {
+    const keys = order.customer_keys || {};
+    queue.push(['customerPhone', keys.phone], ['customerName', keys.name], ['customer', order.customer_id]);
+  };
+  keyed.forEach(follow);
+  while (queue.length > 0) {
+    const [index, value] = queue.shift();
+    if (!value || seen.has(`${index}:${value}`)) continue;
+    seen.add(`${index}:${value}`);
+
+    const orderIds = (await getOrderKeys({ index, range: IDBKeyRange.only(value) })).filter(orderId => !related.has(orderId));
+    for (const order of await getOrders(orderIds)) {
+      related.set(order.order_id, order);
+      follow(order);
+    }
+  }
+
+  const entries = Array.from(related.values()).map(toCustomerEntry).filter(Boolean);
+  const previous = new Set([...customerIds, ...entries.map(entry => entry.customer_id).filter(Boolean)]);
+  const taken = new Set((await getCustomerIds()).filter(customerId => !previous.has(customerId)));
+  const book = buildCustomerBook(entries, undefined, taken);
+
+  await storeCustomerLinks(entries, keyed, book);
+  await replaceSomeCustomers(Array.from(previous), book.customers);
+
+  if (book.merged > 0) log(`Customer book: ${book.merged} duplicate customers merged`);
+  return { customers: book.customers.length, linked: book.links.size, merged: book.merged };
+}
+
+/**
+ * Rebuild the whole customer book from the stored orders (the dashboard's Refresh)
+ * Orders not keyed yet are keyed first - encrypted ones only while unlocked,
+ * locked they keep the customer they have
+ * @returns {Promise<{customers: number, linked: number, merged: number}>}
+ */
+async function rebuildCustomerBook() {
+  const entries = [];
+  const unkeyed = [];
+  await forEachOrder({}, (order) => {
+    if (order.customer_pending || (!order.customer_keys && hasCustomerDetails(order))) {
+      unkeyed.push(order.order_id);
+      return;
+    }
+    const entry = toCustomerEntry(order);
+    if (entry) entries.push(entry);
+  });
+
+  const { orders, keyed } = await keyCustomerOrders(unkeyed);
+  orders.forEach((order) => {
+    const entry = toCustomerEntry(keyed.get(order.order_id) || order);
+    if (entry) entries.push(entry);
+  });
+
+  const book = buildCustomerBook(entries);
+  await storeCustomerLinks(entries, keyed, book);
+  await replaceCustomers(book.customers);
+
+  const mergedMsg = book.merged > 0 ? `, ${book.merged} duplicates merged` : '';
+  debugLog(`Customer book: ${book.customers.length} customers from ${book.links.size} orders${mergedMsg}`);
+  if (book.merged > 0) log(`Customer book: ${book.merged} duplicate customers merged`);
+  return { customers: book.customers.length, linked: book.links.size, merged: book.merged };
+}
+
 /**
  * Get current status
  */
 function getStatus() {
-  const remaining = state.orderIds.length - state.currentOrderIndex;
-  const currentOrderId = state.orderIds[state.currentOrderIndex];
+  const activeOrderIds = getActiveOrderIds();
+  const remaining = state.pendingOrderIds.length + state.orderIds.length - state.currentOrderIndex + activeOrderIds.length;
+  const currentOrderId = activeOrderIds[0];
   const currentRetry = currentOrderId ? (state.retryCount[currentOrderId] || 0) : 0;
   return {
-    isRunning: state.isRunning,
-    isPaused: state.isPaused,
-    pausedByHuman: state.pausedByHuman,
-    phase: state.phase,
+    isRunning: isRunActive(),
+    isPaused: runMachine.is('paused'),
+    pausedByHuman: runMachine.is('paused'),
+    phase: runMachine.state,
     total: state.orderIds.length,
     processed: state.processed,
     collected: state.collectedData.length,
     success: state.success,
     failed: state.failed,
     skipped: state.skipped,
+    updated: state.updated,
     retried: state.retried,
     remaining: remaining > 0 ? remaining : 0,
     totalAmount: state.totalAmount,
+    region: state.region,
+    tab: state.tab,
     currentOrderId: currentOrderId,
+    activeOrderIds: activeOrderIds,
     currentRetry: currentRetry,
-    stopped: state.shouldStop && !state.isRunning,
-    completed: state.phase === 'done' && !state.isRunning,
+    workerCount: state.workerCount,
+    workers: Array.from(workers.values()).map(worker => ({
+      tabId: worker.tabId,
+      number: worker.number,
+      state: worker.machine.state,
+      orderId: worker.orderId,
+      success: worker.success,
+      failed: worker.failed,
+      retries: worker.retries
+    })),
+    stopped: runMachine.is('failed') || (runMachine.is('idle') && !!runMachine.context.stopped),
+    completed: runMachine.is('done'),
     // Page progress info
     currentPage: state.currentPage || 1,
     totalPages: state.endPage || 1,
+    allPages: state.allPages,
+    projectedOrders: state.projectedOrders,
+    mode: state.mode,
     startPage: state.startPage || 1,
     // Current order index within page (1-based)
-    currentOrderInPage: state.currentOrderIndex + 1,
+    currentOrderInPage: state.currentOrderIndex - state.pendingOrderIds.length + 1,
     ordersInPage: state.orderIds.length
   };
 }
 
+/**
+ * Get the transition logs of the run and of each worker tab
+ */
+function getRunLog() {
+  return {
+    state: runMachine.state,
+    transitions: runMachine.getLog(),
+    workers: Array.from(workers.values()).map(worker => ({
+      tabId: worker.tabId,
+      number: worker.number,
+      state: worker.machine.state,
+      transitions: worker.machine.getLog()
+    }))
+  };
+}
+
 /**
  * Broadcast status to popup
  */
@@ -1098,50 +3369,56 @@ function sleep(ms) {
 }
 
 /**
- * Start watchdog timer for order processing
- * If order takes longer than ORDER_TIMEOUT_MS, auto-refresh and retry
+ * Start a worker's watchdog timer for order processing
+ * If order takes longer than ORDER_TIMEOUT_MS, reload it as a retry
+ * (counted against MAX_RETRIES, so a page that never loads cannot stall the run)
+ * @param {Object} worker
+ * @param {string} orderId - TikTok order number
  */
-function startOrderWatchdog(orderId) {
+function startOrderWatchdog(worker, orderId) {
   // Clear any existing watchdog
-  stopOrderWatchdog();
+  stopOrderWatchdog(worker);
 
-  orderStartTime = Date.now();
+  worker.startedAt = Date.now();
   const orderIdShort = orderId.slice(-8);
 
-  orderWatchdogTimer = setTimeout(async () => {
-    if (!state.isRunning || state.shouldStop) return;
+  worker.watchdogTimer = setTimeout(() => {
+    worker.watchdogTimer = null;
+    if (!worker.machine.is('navigating', 'extracting')) return;
 
-    const elapsed = Math.round((Date.now() - orderStartTime) / 1000);
-    log(`⚠ Order ...${orderIdShort} stalled (${elapsed}s) - auto-refreshing tab...`, 'warn');
+    const elapsed = Math.round((Date.now() - worker.startedAt) / 1000);
+    log(`${workerLabel(worker)}⚠ Order ...${orderIdShort} stalled (${elapsed}s) - reloading order...`, 'warn');
 
-    // Reset processing flag
-    state.isProcessingOrder = false;
-
-    // Refresh the tab to recover
-    try {
-      if (state.currentTabId) {
-        await chrome.tabs.reload(state.currentTabId);
-        log('Tab refreshed, will resume via tab update listener', 'info');
-      }
-    } catch (error) {
-      log('Failed to refresh tab: ' + error.message, 'error');
-      // If tab refresh fails, try to handle as failed order
-      handleOrderFailed(orderId, 'Processing timeout - tab refresh failed');
-    }
+    handleOrderFailed(worker, orderId, `Processing timeout (${elapsed}s)`);
   }, ORDER_TIMEOUT_MS);
 
-  debugLog(`Watchdog started for order ...${orderIdShort} (${ORDER_TIMEOUT_MS}ms timeout)`);
+  debugLog(`Watchdog started for order ...${orderIdShort} in tab ${worker.number} (${ORDER_TIMEOUT_MS}ms timeout)`);
 }
 
 /**
- * Stop/clear the watchdog timer
+ * Stop/clear a worker's watchdog timer
+ * @param {Object} worker
  */
-function stopOrderWatchdog() {
-  if (orderWatchdogTimer) {
-    clearTimeout(orderWatchdogTimer);
-    orderWatchdogTimer = null;
+function stopOrderWatchdog(worker) {
+  if (worker.watchdogTimer) {
+    clearTimeout(worker.watchdogTimer);
+    worker.watchdogTimer = null;
   }
-  orderStartTime = null;
+  worker.startedAt = null;
+}
+
+/**
+ * Show a desktop notification about a scheduled export
+ */
+function showScheduleNotification(title, message) {
+  chrome.notifications.create(SCHEDULE_NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: title,
+    message: message,
+    priority: 1,
+    requireInteraction: false
+  });
 }
 
 /**
@@ -1167,5 +3444,8 @@ function showCompletionNotification(success, failed, skipped, retried = 0) {
   }).catch(() => {});
 }
 
+// Restore a run interrupted by a service worker shutdown (message handlers wait for this)
+const stateRestored = restoreRunState();
+
 // Log service worker start
 console.log('[Tiktok Aqil Az Exporter] Background service worker started v3.0.8');
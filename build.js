@@ -8,12 +8,13 @@ const fs = require('fs');
 const path = require('path');
 
 // Files to obfuscate
-const jsFiles = ['background.js', 'content.js', 'popup.js'];
+const jsFiles = ['background.js', 'content.js', 'popup.js', 'regions.js', 'date-range.js', 'order-store.js', 'order-tabs.js', 'selector-pack.js', 'order-api.js', 'page-hook.js', 'run-machine.js', 'scheduler.js', 'migrations.js', 'pii-vault.js', 'retention.js', 'privacy-profiles.js', 'phone-numbers.js', 'addresses.js', 'customers.js', 'options.js'];
 
 // Files to copy as-is
 const copyFiles = [
   'manifest.json',
   'popup.html',
+  'options.html',
   'icons/icon16.png',
   'icons/icon48.png',
   'icons/icon128.png',
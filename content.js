@@ -2,7 +2,7 @@
  * Content Script for TikTok Order Exporter
  *
  * Handles:
- * - Collecting order IDs from the shipped orders list
+ * - Collecting order IDs from an order list tab (Shipped, To ship, ...)
  * - Clicking reveal icons on order detail pages
  * - Extracting customer data
  */
@@ -18,7 +18,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   switch (message.type) {
     case 'COLLECT_ORDER_IDS':
-      collectOrderIds(message.pageNumber || 1, message.dateFilter).then(orderIds => {
+      collectOrderIds(message.pageNumber || 1, message.dateFilter, message.region, message.tab).then(orderIds => {
         // Only send if we actually collected (not skipped)
         if (orderIds !== null) {
           // Get the actual max pages from pagination AFTER filter is applied
@@ -27,7 +27,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             type: 'ORDER_IDS_COLLECTED',
             orderIds,
             pageNumber: message.pageNumber || 1,
-            actualMaxPages: actualMaxPages // Send actual max pages to background
+            actualMaxPages: actualMaxPages, // Send actual max pages to background
+            totalOrders: getTabOrderCount(getOrderTab(message.tab)), // Filtered order count (null if not shown)
+            orderTimes: getOrderRowTimes(orderIds), // List times for incremental runs
+            shopCode: getShopCode(),
+            // List-only runs store the rows instead of visiting the detail pages
+            orderRows: message.listOnly ? getOrderListRows(orderIds, message.region, message.tab) : undefined
           });
         } else {
           debugLog('Collection was skipped, not sending result');
@@ -37,21 +42,122 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return false;
 
     case 'EXTRACT_ORDER_DATA':
-      extractOrderData(message.orderId).then(data => {
+      // Refresh runs only re-read the status fields of an exported order
+      (message.refresh
+        ? extractOrderUpdate(message.orderId, message.region)
+        : extractOrderData(message.orderId, message.region, message.tab)
+      ).then(data => {
         chrome.runtime.sendMessage({
           type: 'ORDER_DATA_EXTRACTED',
+          tabId: message.tabId, // Worker tab that asked (the background's worker pool)
+          orderId: message.orderId,
           data
         });
       });
       sendResponse({ started: true });
       return false;
+
+    case 'GET_LIST_SUMMARY':
+      // Order count and page count for the "all pages" preview
+      getListSummary(message.dateFilter, message.tab).then(sendResponse);
+      return true;
+  }
+});
+
+// Most pagination clicks clickPage() makes to reach a page hidden behind "..."
+const MAX_PAGE_HOPS = 40;
+
+// Active selector pack: the bundled one, or the one imported on the options page
+let selectorPack = buildSelectorPack(null);
+chrome.storage.local.get([SELECTOR_PACK_STORAGE_KEY]).then(storage => {
+  selectorPack = buildSelectorPack(storage[SELECTOR_PACK_STORAGE_KEY]);
+  debugLog('Selector pack:', selectorPack.version, `(${selectorPack.source})`);
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[SELECTOR_PACK_STORAGE_KEY]) {
+    selectorPack = buildSelectorPack(changes[SELECTOR_PACK_STORAGE_KEY].newValue);
   }
 });
 
+/**
+ * Get a selector of the active pack
+ * @param {string} key - Selector key (see selector-pack.js)
+ * @param {Object} params - Values of the selector's {placeholders}
+ * @returns {string}
+ */
+function getSelector(key, params = {}) {
+  return formatSelector(selectorPack.selectors[key], params);
+}
+
+/**
+ * Get a page label (or list of texts) of the active pack
+ * @param {string} key - Label key (see selector-pack.js)
+ * @returns {string|string[]}
+ */
+function getLabel(key) {
+  return selectorPack.labels[key];
+}
+
 // Flag to prevent multiple simultaneous collections
 let isCollecting = false;
 let lastCollectionTime = 0;
 
+// Orders seen in the Seller Center's own API responses: { orderId: record fields }
+const apiOrderFields = new Map();
+
+// Extracted data keys that the API can fill, and the record field each one is stored as
+const DETAIL_API_FIELDS = {
+  name: 'customer_name',
+  phone_number: 'phone_number',
+  full_address: 'full_address',
+  status: 'order_status',
+  total_amount: 'total_amount',
+  currency: 'currency',
+  order_date: 'order_date',
+  shipping_method: 'shipping_method',
+  tracking_number: 'tracking_number',
+  payment_method: 'payment_method',
+  items: 'items',
+  sku_id: 'sku_id'
+};
+const UPDATE_API_FIELDS = { status: 'order_status', tracking_number: 'tracking_number', total_amount: 'total_amount', currency: 'currency' };
+const LIST_API_FIELDS = { order_status: 'order_status', total_amount: 'total_amount', currency: 'currency', items: 'items', order_date: 'order_date' };
+
+// Order API responses forwarded by the page hook (page-hook.js)
+// (the page can post the same messages - isOrderApiMessage() checks their shape)
+window.addEventListener('message', (event) => {
+  if (event.source !== window || !isOrderApiMessage(event.data)) return;
+  storeApiOrders(event.data.body);
+});
+
+// Ask for the responses that arrived before this script was loaded
+window.postMessage({ source: ORDER_API_MESSAGE_SOURCE, type: 'ORDER_API_REPLAY' }, window.location.origin);
+
+/**
+ * Remember the orders of an API response
+ * Later responses (e.g. the reveal request) add to the fields of earlier ones
+ * @param {*} body - Parsed response body
+ */
+function storeApiOrders(body) {
+  const profile = resolveRegionProfile();
+  for (const raw of findApiOrders(body, profile)) {
+    const { order_id, fields } = mapApiOrder(raw, profile);
+    apiOrderFields.set(order_id, { ...(apiOrderFields.get(order_id) || {}), ...fields });
+  }
+  debugLog('API orders captured:', apiOrderFields.size);
+}
+
+/**
+ * Resolve the region profile for a request
+ * Uses the region sent by the background, falling back to the current Seller Center host
+ * @param {string} region - Region code from the background message (optional)
+ * @returns {Object} - Region profile (see regions.js)
+ */
+function resolveRegionProfile(region) {
+  if (region) return getRegionProfile(region);
+  return getRegionByHost(window.location.hostname) || getRegionProfile(DEFAULT_REGION);
+}
+
 /**
  * Get the actual maximum page number from pagination
  * Looks at the pagination buttons to find the highest page number
@@ -62,7 +168,7 @@ function getActualMaxPages() {
 
   // Method 1: Find pagination items with aria-label="Page X"
   // TikTok uses: <li class="core-pagination-item" aria-label="Page 4">4</li>
-  const paginationItems = document.querySelectorAll('[aria-label^="Page "]');
+  const paginationItems = document.querySelectorAll(getSelector('pagination.anyPage'));
   for (const item of paginationItems) {
     const label = item.getAttribute('aria-label');
     const match = label?.match(/Page\s+(\d+)/);
@@ -73,7 +179,7 @@ function getActualMaxPages() {
   }
 
   // Method 2: Find core-pagination-item elements with numbers
-  const coreItems = document.querySelectorAll('.core-pagination-item');
+  const coreItems = document.querySelectorAll(getSelector('pagination.item'));
   for (const item of coreItems) {
     const text = item.textContent?.trim();
     const pageNum = parseInt(text);
@@ -83,7 +189,7 @@ function getActualMaxPages() {
   }
 
   // Method 3: Look for any pagination number buttons
-  const paginationContainer = document.querySelector('.core-pagination, [class*="pagination"]');
+  const paginationContainer = document.querySelector(getSelector('pagination.container'));
   if (paginationContainer) {
     const buttons = paginationContainer.querySelectorAll('li, button, a, span');
     for (const btn of buttons) {
@@ -102,9 +208,11 @@ function getActualMaxPages() {
 /**
  * Get total order count from page (considers filters)
  * When date filter is active, looks for "Found X orders" first
- * Otherwise looks for Shipped tab count
+ * Otherwise looks for the count next to the tab title
+ * @param {Object} tabDef - Order tab definition (see order-tabs.js)
+ * @returns {number|null} - Order count, or null if the page does not show it
  */
-function getShippedCount() {
+function getTabOrderCount(tabDef = getOrderTab(DEFAULT_ORDER_TAB)) {
   // PRIORITY 1: "Found X orders" text - this shows FILTERED count
   // When filter is applied, TikTok shows "Found 36 orders" etc
   const foundText = document.body.innerText.match(/Found\s+([\d,]+)\s+orders/i);
@@ -114,18 +222,19 @@ function getShippedCount() {
     return count;
   }
 
-  // PRIORITY 2: Find the Shipped tab with adjacent count div (unfiltered total)
+  // PRIORITY 2: Find the tab title with adjacent count div (unfiltered total)
   // Structure: <div>Shipped</div><div style="margin-left: 2px;...">1,261</div>
-  const shippedDivs = document.querySelectorAll('div');
-  for (const div of shippedDivs) {
-    if (div.textContent?.trim() === 'Shipped') {
+  const tabLabel = getLabel(`tab.${tabDef.key}`);
+  const tabDivs = document.querySelectorAll('div');
+  for (const div of tabDivs) {
+    if (div.textContent?.trim() === tabLabel) {
       // Check next sibling for the count
       const nextDiv = div.nextElementSibling;
       if (nextDiv) {
         const countText = nextDiv.textContent?.trim();
         const count = parseInt(countText.replace(/,/g, ''));
         if (!isNaN(count) && count > 0) {
-          debugLog(' Found shipped count from Shipped tab:', count);
+          debugLog(` Found count from ${tabDef.label} tab:`, count);
           return count;
         }
       }
@@ -133,34 +242,77 @@ function getShippedCount() {
   }
 
   // PRIORITY 3: Find by data attribute
-  const shippedTab = document.querySelector('[data-log_click_for="shipped"]');
-  if (shippedTab) {
-    const countMatch = shippedTab.textContent?.match(/([\d,]+)/);
+  const tabElement = document.querySelector(getSelector(`tab.${tabDef.key}`));
+  if (tabElement) {
+    const countMatch = tabElement.textContent?.match(/([\d,]+)/);
     if (countMatch) {
       const count = parseInt(countMatch[1].replace(/,/g, ''));
-      debugLog(' Found shipped count from data attribute:', count);
+      debugLog(' Found count from data attribute:', count);
       return count;
     }
   }
 
-  // PRIORITY 4: Regex for "Shipped" followed by number
-  const shippedMatch = document.body.innerText.match(/Shipped\s*([\d,]+)/i);
-  if (shippedMatch) {
-    const count = parseInt(shippedMatch[1].replace(/,/g, ''));
-    debugLog(' Found shipped count from regex:', count);
+  // PRIORITY 4: Regex for the tab title followed by number
+  const escapedLabel = tabLabel.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+  const tabMatch = document.body.innerText.match(new RegExp(`${escapedLabel}\\s*([\\d,]+)`, 'i'));
+  if (tabMatch) {
+    const count = parseInt(tabMatch[1].replace(/,/g, ''));
+    debugLog(' Found count from regex:', count);
     return count;
   }
 
-  debugLog(' Could not find shipped count, defaulting to 10000');
-  return 10000; // Default high number
+  debugLog(` Could not find ${tabDef.label} count`);
+  return null;
 }
 
 /**
- * Collect order IDs from a SINGLE page of the shipped orders list
+ * Open an order list tab with the date range applied
+ * @param {Object} dateFilter - Normalized date range (or null)
+ * @param {Object} tabDef - Order tab definition (see order-tabs.js)
+ */
+async function prepareOrderList(dateFilter, tabDef) {
+  // Apply date range filter if provided (this also opens the tab)
+  if (dateFilter) {
+    const filterApplied = await applyDateFilter(dateFilter, tabDef);
+    if (!filterApplied) {
+      debugLog(' Warning: Date filter may not have been applied correctly');
+    }
+    // Wait longer for filtered results to load
+    await sleep(3000);
+  } else {
+    await clickOrderTab(tabDef);
+  }
+}
+
+/**
+ * Count the orders and pages of an order list tab after filtering
+ * Used to project an "all pages" run before it starts
+ * @param {Object} dateFilter - Date range { startDate, endDate }
+ * @param {string} tab - Order tab key (see order-tabs.js)
+ * @returns {Promise<Object>} - { totalOrders, maxPages } or { error }
+ */
+async function getListSummary(dateFilter = null, tab = null) {
+  if (!window.location.href.includes('/order') || window.location.href.includes('/detail')) {
+    return { error: 'Not on the order list' };
+  }
+
+  try {
+    await prepareOrderList(normalizeDateFilter(dateFilter), getOrderTab(tab));
+    await sleep(1500);
+    return { totalOrders: getTabOrderCount(getOrderTab(tab)), maxPages: getActualMaxPages() };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Collect order IDs from a SINGLE page of an order list tab
  * @param {number} pageNumber - The page number to collect from
- * @param {Object} dateFilter - Date filter { date: 'YYYY-MM-DD' } (single date)
+ * @param {Object} dateFilter - Date range { startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD' }
+ * @param {string} region - Region code (MY, SG, TH, PH, ID)
+ * @param {string} tab - Order tab key (see order-tabs.js)
  */
-async function collectOrderIds(pageNumber = 1, dateFilter = null) {
+async function collectOrderIds(pageNumber = 1, dateFilter = null, region = null, tab = null) {
   const now = Date.now();
 
   // Prevent multiple simultaneous calls (with 5 second cooldown)
@@ -180,13 +332,17 @@ async function collectOrderIds(pageNumber = 1, dateFilter = null) {
 
   debugLog(' ========================================');
   debugLog(' Collecting from page:', pageNumber);
-  if (dateFilter && dateFilter.date) {
-    debugLog(' Date filter:', dateFilter.date);
+  // Accept legacy single-date filters ({ date }) from older sessions
+  dateFilter = normalizeDateFilter(dateFilter);
+  if (dateFilter) {
+    debugLog(' Date filter:', describeDateFilter(dateFilter));
   }
   debugLog(' ========================================');
 
   const orderIds = [];
-  const orderPattern = /5\d{16,18}/g;
+  const profile = resolveRegionProfile(region);
+  const orderPattern = new RegExp(profile.orderIdPattern.source, 'g');
+  const tabDef = getOrderTab(tab);
 
   try {
     // Wait for page to fully load (increased to 10 seconds to prevent skipping)
@@ -199,15 +355,7 @@ async function collectOrderIds(pageNumber = 1, dateFilter = null) {
       return [];
     }
 
-    // Apply date filter if provided (single date)
-    if (dateFilter && dateFilter.date) {
-      const filterApplied = await applySingleDateFilter(dateFilter.date);
-      if (!filterApplied) {
-        debugLog(' Warning: Date filter may not have been applied correctly');
-      }
-      // Wait longer for filtered results to load
-      await sleep(3000);
-    }
+    await prepareOrderList(dateFilter, tabDef);
 
     // Scroll down to bottom slowly (human-like) to ensure all orders are loaded
     debugLog(' Scrolling down to load all orders...');
@@ -256,25 +404,12 @@ async function collectOrderIds(pageNumber = 1, dateFilter = null) {
   return orderIds;
 }
 
-/**
- * Apply single date filter (same date for start and end)
- */
-async function applySingleDateFilter(dateStr) {
-  debugLog(' Applying single date filter:', dateStr);
-
-  // Use the same date for both start and end
-  return await applyDateFilter({
-    startDate: dateStr,
-    endDate: dateStr
-  });
-}
-
 /**
  * Collect orders from current page view
  */
 function collectOrdersFromPage(orderIds, orderPattern, maxOrders) {
   // Find order links
-  const orderLinks = document.querySelectorAll('a[href*="order/detail"], a[href*="order_no="]');
+  const orderLinks = document.querySelectorAll(getSelector('list.orderLink'));
   for (const link of orderLinks) {
     if (orderIds.length >= maxOrders) return;
     const href = link.href || '';
@@ -290,42 +425,139 @@ function collectOrdersFromPage(orderIds, orderPattern, maxOrders) {
 }
 
 /**
- * Click a specific page number in pagination
- * Uses aria-label="Page X" which is the exact TikTok selector
+ * Get the time shown in each order's list row
+ * The newest time of a row is the tab's time (shipped, delivered, ...),
+ * as it comes after the time the order was created
+ * @param {string[]} orderIds - Order IDs collected from the page
+ * @returns {Object} - { orderId: timestamp in ms or null }
  */
-async function clickPage(pageNum) {
-  debugLog(' Looking for page', pageNum, 'button...');
+function getOrderRowTimes(orderIds) {
+  const times = {};
+  for (const orderId of orderIds) {
+    const row = findOrderRow(orderId);
+    times[orderId] = row ? parseNewestListTime(row.innerText || row.textContent) : null;
+  }
+  return times;
+}
 
-  // Scroll to make sure pagination is visible
-  window.scrollTo(0, document.body.scrollHeight);
-  await sleep(500);
+/**
+ * Read the fields each order shows in its list row (list-only runs)
+ * @param {string[]} orderIds - Order IDs collected from the page
+ * @param {string} region - Region code from the background message
+ * @param {string} tab - Order tab key
+ * @returns {Object} - { orderId: { order_status, total_amount, currency, items, order_date } }
+ */
+function getOrderListRows(orderIds, region = null, tab = null) {
+  const profile = resolveRegionProfile(region);
+  const tabDef = getOrderTab(tab);
+  const rows = {};
+  for (const orderId of orderIds) {
+    const row = findOrderRow(orderId);
+    rows[orderId] = parseOrderListRow(row ? (row.innerText || row.textContent) : '', profile, tabDef);
+    rows[orderId].field_sources = mergeApiFields(rows[orderId], apiOrderFields.get(orderId), LIST_API_FIELDS);
+  }
+  return rows;
+}
 
+/**
+ * Find the list row of an order
+ * @param {string} orderId - TikTok order number
+ * @returns {Element|null}
+ */
+function findOrderRow(orderId) {
+  const link = document.querySelector(`a[href*="${orderId}"]`);
+  return link && link.closest(getSelector('list.orderRow'));
+}
+
+/**
+ * Get the shop code shown in the Seller Center header ("Shop Code: MYLCV9LW9B")
+ * @returns {string|null}
+ */
+function getShopCode() {
+  const match = (document.body.innerText || '').match(/Shop\s*Code\s*:\s*([A-Z0-9]{10})\b/i)
+    || window.location.href.match(/[?&]shop_code=([A-Z0-9]+)/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Find the pagination button of a page number
+ * @param {number} pageNum - Page number
+ * @returns {Element|null}
+ */
+function findPageButton(pageNum) {
   // Method 1: Use aria-label (EXACT match for TikTok)
   // TikTok uses: <li class="core-pagination-item" aria-label="Page 2">2</li>
-  const pageByLabel = document.querySelector(`[aria-label="Page ${pageNum}"]`);
-  if (pageByLabel) {
-    debugLog(' Clicking page', pageNum, 'via aria-label="Page X"');
-    pageByLabel.click();
-    return true;
-  }
+  const pageByLabel = document.querySelector(getSelector('pagination.page', { page: pageNum }));
+  if (pageByLabel) return pageByLabel;
 
-  // Method 2: Click "Next" button (aria-label="Next")
-  const nextBtn = document.querySelector('.core-pagination-item-next, [aria-label="Next"]');
-  if (nextBtn && !nextBtn.classList.contains('core-pagination-item-disabled')) {
-    debugLog(' Clicking NEXT button to go to page', pageNum);
-    nextBtn.click();
-    return true;
+  // Method 2: Find core-pagination-item with matching text
+  const paginationItems = document.querySelectorAll(getSelector('pagination.item'));
+  for (const item of paginationItems) {
+    if (item.textContent?.trim() === String(pageNum)) return item;
   }
 
-  // Method 3: Find core-pagination-item with matching text
-  const paginationItems = document.querySelectorAll('.core-pagination-item');
-  for (const item of paginationItems) {
-    const text = item.textContent?.trim();
-    if (text === String(pageNum)) {
-      debugLog(' Clicking page', pageNum, 'via core-pagination-item text');
-      item.click();
+  return null;
+}
+
+/**
+ * Page numbers currently shown in the pagination (sorted)
+ * Long lists only show the pages around the current one: 1 2 3 4 5 ... 63
+ * @returns {number[]}
+ */
+function getVisiblePageNumbers() {
+  const pages = new Set();
+  document.querySelectorAll(`${getSelector('pagination.anyPage')}, ${getSelector('pagination.item')}`).forEach(item => {
+    const match = (item.getAttribute('aria-label') || item.textContent || '').match(/(\d+)/);
+    if (match) pages.add(parseInt(match[1]));
+  });
+  return Array.from(pages).sort((a, b) => a - b);
+}
+
+/**
+ * Click a specific page number in pagination
+ * Pages hidden behind "..." are reached by jumping to the highest visible
+ * page below the target until its button shows up
+ * @param {number} pageNum - Page to open (the list starts on page 1)
+ * @returns {Promise<boolean>} - true if the page was opened
+ */
+async function clickPage(pageNum) {
+  debugLog(' Looking for page', pageNum, 'button...');
+  let currentPage = 1;
+
+  for (let hop = 0; hop < MAX_PAGE_HOPS; hop++) {
+    // Scroll to make sure pagination is visible
+    window.scrollTo(0, document.body.scrollHeight);
+    await sleep(500);
+
+    const pageButton = findPageButton(pageNum);
+    if (pageButton) {
+      debugLog(' Clicking page', pageNum);
+      pageButton.click();
       return true;
     }
+
+    // Jump towards the target
+    const jumpTo = getVisiblePageNumbers().filter(page => page > currentPage && page < pageNum).pop();
+    if (jumpTo) {
+      debugLog(' Page', pageNum, 'not shown yet, jumping to page', jumpTo);
+      findPageButton(jumpTo).click();
+      currentPage = jumpTo;
+      await sleep(2000);
+      continue;
+    }
+
+    // No page numbers to jump to - click "Next" button (aria-label="Next")
+    const nextBtn = document.querySelector(getSelector('pagination.next'));
+    if (nextBtn && !nextBtn.matches(getSelector('pagination.disabled'))) {
+      debugLog(' Clicking NEXT button towards page', pageNum);
+      nextBtn.click();
+      currentPage++;
+      if (currentPage === pageNum) return true;
+      await sleep(2000);
+      continue;
+    }
+
+    break;
   }
 
   debugLog(' Could not find page', pageNum, 'button');
@@ -333,58 +565,59 @@ async function clickPage(pageNum) {
 }
 
 /**
- * Click the Shipped tab to ensure we're viewing shipped orders
+ * Click an order list tab to ensure we're viewing its orders
  * Uses exact TikTok Seller Center selectors
- * @returns {boolean} - true if Shipped tab was clicked or already active
+ * @param {Object} tabDef - Order tab definition (see order-tabs.js)
+ * @returns {boolean} - true if the tab was clicked or already active
  */
-async function clickShippedTab() {
-  debugLog(' Clicking Shipped tab...');
+async function clickOrderTab(tabDef) {
+  const tabLabel = getLabel(`tab.${tabDef.key}`);
+  debugLog(` Clicking ${tabLabel} tab...`);
+  const tabSelector = getSelector(`tab.${tabDef.key}`);
 
   try {
-    // Method 1: Use the exact data-log_click_for="shipped" attribute
+    // Method 1: Use the exact data-log_click_for attribute
     // Structure: <div data-log_click_for="shipped" data-log_module_name="order_list_tab">
-    const shippedTab = document.querySelector('[data-log_click_for="shipped"]');
-    if (shippedTab) {
-      debugLog(' Found Shipped tab via data-log_click_for="shipped"');
-      shippedTab.click();
+    const tabElement = document.querySelector(tabSelector);
+    if (tabElement) {
+      debugLog(` Found ${tabLabel} tab via ${tabSelector}`);
+      tabElement.click();
       await sleep(1500); // Wait for tab to load
       return true;
     }
 
-    // Method 2: Look for pulse-tabs-pane-title containing "Shipped"
-    const tabTitles = document.querySelectorAll('.pulse-tabs-pane-title, .pulse-tabs-pane-title-content');
+    // Method 2: Look for pulse-tabs-pane-title containing the tab label
+    const tabTitles = document.querySelectorAll(getSelector('tabs.title'));
     for (const title of tabTitles) {
-      if (title.textContent?.includes('Shipped')) {
-        debugLog(' Found Shipped via pulse-tabs-pane-title');
+      if (title.textContent?.includes(tabLabel)) {
+        debugLog(` Found ${tabLabel} via pulse-tabs-pane-title`);
         // Click the inner div with data-log_click_for or the title itself
-        const clickTarget = title.querySelector('[data-log_click_for="shipped"]') || title;
+        const clickTarget = title.querySelector(tabSelector) || title;
         clickTarget.click();
         await sleep(1500);
         return true;
       }
     }
 
-    // Method 3: Look for div with exact "Shipped" text followed by count
+    // Method 3: Look for div with exact label text followed by count
     const allDivs = document.querySelectorAll('div');
     for (const div of allDivs) {
-      // Match div that contains exactly "Shipped" (not "Shipped to" etc)
+      // Match div that contains exactly the label (not "Shipped to" etc)
       if (div.childNodes.length > 0) {
         const firstChild = div.childNodes[0];
         if (firstChild.nodeType === Node.ELEMENT_NODE || firstChild.nodeType === Node.TEXT_NODE) {
           const text = firstChild.textContent?.trim();
-          if (text === 'Shipped') {
+          if (text === tabLabel) {
             // Check if this is part of the tab structure
-            const parent = div.closest('.pulse-tabs-pane-title') ||
-                          div.closest('[data-log_module_name="order_list_tab"]') ||
-                          div.closest('[role="tab"]');
+            const parent = div.closest(getSelector('tabs.container'));
             if (parent) {
-              debugLog(' Found Shipped tab via parent structure');
+              debugLog(` Found ${tabLabel} tab via parent structure`);
               parent.click();
               await sleep(1500);
               return true;
             }
             // Try clicking the div itself
-            debugLog(' Clicking Shipped div directly');
+            debugLog(` Clicking ${tabLabel} div directly`);
             div.click();
             await sleep(1500);
             return true;
@@ -393,49 +626,65 @@ async function clickShippedTab() {
       }
     }
 
-    // Method 4: Look for tab with "Shipped" text and a count number
-    const tabs = document.querySelectorAll('[role="tab"], .arco-tabs-tab, [class*="tab"]');
+    // Method 4: Look for tab with the label text and a count number
+    const tabs = document.querySelectorAll(getSelector('tabs.any'));
     for (const tab of tabs) {
-      if (tab.textContent?.includes('Shipped') && /\d+/.test(tab.textContent)) {
-        debugLog(' Found Shipped tab via role="tab" with count');
+      if (tab.textContent?.includes(tabLabel) && /\d+/.test(tab.textContent)) {
+        debugLog(` Found ${tabLabel} tab via role="tab" with count`);
         tab.click();
         await sleep(1500);
         return true;
       }
     }
 
-    debugLog(' Shipped tab not found, may already be on shipped orders');
+    debugLog(` ${tabLabel} tab not found, may already be on it`);
     return true; // Continue anyway
 
   } catch (error) {
-    debugLog(' Error clicking Shipped tab:', error);
+    debugLog(` Error clicking ${tabLabel} tab:`, error);
     return false;
   }
 }
 
 /**
- * Select "Time shipped" option from the filter dropdown
+ * Select the tab's time option (e.g. "Time shipped") from the filter dropdown
+ * The dropdown defaults to "Time created"
  * Uses exact TikTok Seller Center selectors
- * @returns {boolean} - true if Time shipped was selected
+ * @param {string} timeLabel - Option to select, e.g. "Time shipped"
+ * @returns {boolean} - true if the option was selected
  */
-async function selectTimeShippedFilter() {
-  debugLog(' Selecting Time shipped filter...');
+async function selectTimeFilter(timeLabel) {
+  debugLog(` Selecting ${timeLabel} filter...`);
+
+  // Clicks the option in an open dropdown; returns true if found
+  const clickTimeOption = async (selector) => {
+    const options = document.querySelectorAll(selector);
+    for (const option of options) {
+      if (option.textContent?.includes(timeLabel)) {
+        debugLog(` Clicking ${timeLabel} option`);
+        option.click();
+        await sleep(500);
+        return true;
+      }
+    }
+    return false;
+  };
 
   try {
-    // Method 1: Find the core-select-view containing "Time created" or "Time shipped"
+    // Method 1: Find the core-select-view showing a "Time ..." value
     // TikTok uses: <div class="core-select-view">...<span class="core-select-view-value">Time created</span>
-    const selectViews = document.querySelectorAll('.core-select-view');
+    const selectViews = document.querySelectorAll(getSelector('filter.selectView'));
 
     for (const selectView of selectViews) {
-      const valueSpan = selectView.querySelector('.core-select-view-value');
+      const valueSpan = selectView.querySelector(getSelector('filter.selectViewValue'));
       const text = valueSpan?.textContent?.trim() || '';
 
-      if (text === 'Time created' || text === 'Time shipped') {
+      if (/^Time\s/.test(text)) {
         debugLog(' Found time filter dropdown with value:', text);
 
-        // If already "Time shipped", no need to change
-        if (text === 'Time shipped') {
-          debugLog(' Already set to Time shipped');
+        // Already set, no need to change
+        if (text === timeLabel) {
+          debugLog(` Already set to ${timeLabel}`);
           return true;
         }
 
@@ -443,23 +692,17 @@ async function selectTimeShippedFilter() {
         selectView.click();
         await sleep(600);
 
-        // Find and click "Time shipped" option in the dropdown popup
+        // Find and click the option in the dropdown popup
         // Options usually appear in a portal/popup with class core-select-option
-        const options = document.querySelectorAll('.core-select-option, [class*="select-option"], [role="option"]');
-        for (const option of options) {
-          if (option.textContent?.includes('Time shipped')) {
-            debugLog(' Clicking Time shipped option');
-            option.click();
-            await sleep(500);
-            return true;
-          }
+        if (await clickTimeOption(getSelector('filter.selectOption'))) {
+          return true;
         }
 
-        // Fallback: Search all visible elements for "Time shipped"
+        // Fallback: Search all visible elements for the option
         const allVisible = document.querySelectorAll('div, span, li');
         for (const el of allVisible) {
-          if (el.textContent?.trim() === 'Time shipped' && el.offsetParent !== null) {
-            debugLog(' Found visible Time shipped element');
+          if (el.textContent?.trim() === timeLabel && el.offsetParent !== null) {
+            debugLog(` Found visible ${timeLabel} element`);
             el.click();
             await sleep(500);
             return true;
@@ -469,77 +712,70 @@ async function selectTimeShippedFilter() {
     }
 
     // Method 2: Direct search for select with "Time created" in value
-    const selects = document.querySelectorAll('[class*="select"]');
+    const defaultTimeLabel = getLabel('filter.defaultTime');
+    const selects = document.querySelectorAll(getSelector('filter.select'));
     for (const select of selects) {
       const text = select.textContent || '';
-      if (text.includes('Time created') && !text.includes('Time shipped')) {
-        debugLog(' Found select with Time created text');
+      if (text.includes(defaultTimeLabel) && !text.includes(timeLabel)) {
+        debugLog(` Found select with ${defaultTimeLabel} text`);
         select.click();
         await sleep(600);
 
-        // Wait for dropdown to appear and find Time shipped
-        const options = document.querySelectorAll('[class*="option"]');
-        for (const option of options) {
-          if (option.textContent?.includes('Time shipped')) {
-            debugLog(' Clicking Time shipped option from fallback');
-            option.click();
-            await sleep(500);
-            return true;
-          }
+        // Wait for dropdown to appear and find the option
+        if (await clickTimeOption(getSelector('filter.option'))) {
+          return true;
         }
       }
     }
 
     // Method 3: Look for line-clamp div with exact text
-    const lineClampDivs = document.querySelectorAll('.line-clamp-2, [class*="line-clamp"]');
+    const lineClampDivs = document.querySelectorAll(getSelector('filter.lineClamp'));
     for (const div of lineClampDivs) {
-      if (div.textContent?.trim() === 'Time created') {
-        debugLog(' Found line-clamp Time created, clicking parent');
+      if (div.textContent?.trim() === defaultTimeLabel) {
+        debugLog(` Found line-clamp ${defaultTimeLabel}, clicking parent`);
         // Click the parent select-view
-        const parent = div.closest('.core-select-view') || div.closest('[class*="select"]');
+        const parent = div.closest(getSelector('filter.selectView')) || div.closest(getSelector('filter.select'));
         if (parent) {
           parent.click();
           await sleep(600);
 
-          // Find Time shipped option
-          const options = document.querySelectorAll('[class*="option"]');
-          for (const option of options) {
-            if (option.textContent?.includes('Time shipped')) {
-              debugLog(' Clicking Time shipped');
-              option.click();
-              await sleep(500);
-              return true;
-            }
+          if (await clickTimeOption(getSelector('filter.option'))) {
+            return true;
           }
         }
       }
     }
 
-    debugLog(' Time shipped option not found, filter may already be set or unavailable');
+    debugLog(` ${timeLabel} option not found, filter may already be set or unavailable`);
     return true; // Continue anyway
 
   } catch (error) {
-    debugLog(' Error selecting Time shipped:', error);
+    debugLog(` Error selecting ${timeLabel}:`, error);
     return false;
   }
 }
 
 /**
  * Apply date filter by clicking Filter button and setting date range
- * IMPORTANT: Uses "Time shipped" filter, NOT "Time created"
+ * IMPORTANT: Uses the tab's time filter (e.g. "Time shipped" on Shipped), NOT always "Time created"
  * @param {Object} dateFilter - { startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD' }
+ * @param {Object} tabDef - Order tab definition (see order-tabs.js)
  * @returns {boolean} - true if filter was applied successfully
  */
-async function applyDateFilter(dateFilter) {
+async function applyDateFilter(dateFilter, tabDef = getOrderTab(DEFAULT_ORDER_TAB)) {
   debugLog(' Applying date filter:', dateFilter.startDate, 'to', dateFilter.endDate);
 
+  // Filter chip key, e.g. "Time shipped" -> time_shipped
+  const timeFilterLabel = getLabel(`timeFilter.${tabDef.key}`);
+  const timeFilterKey = timeFilterLabel.toLowerCase().replace(/\s+/g, '_');
+
   try {
-    // STEP 0: First ensure we're on the Shipped tab
-    await clickShippedTab();
+    // STEP 0: First ensure we're on the right tab
+    await clickOrderTab(tabDef);
     await sleep(1000);
 
     // Step 1: Click the Filter button
-    const filterButton = document.querySelector('[data-log_click_for="filter_button"]');
+    const filterButton = document.querySelector(getSelector('filter.button'));
     if (!filterButton) {
       debugLog(' Filter button not found');
       return false;
@@ -549,19 +785,19 @@ async function applyDateFilter(dateFilter) {
     filterButton.click();
     await sleep(1000); // Wait for filter panel to open
 
-    // STEP 1.5: Select "Time shipped" instead of "Time created"
-    await selectTimeShippedFilter();
+    // STEP 1.5: Select the tab's time filter (e.g. "Time shipped" instead of "Time created")
+    await selectTimeFilter(timeFilterLabel);
     await sleep(500);
 
     // Step 2: Find the date picker inputs
     // Look for the date range picker with placeholder "From" and "To"
-    let datePickerContainer = document.querySelector('.core-picker-range, [data-tid="m4b_date_picker_range_picker"]');
+    let datePickerContainer = document.querySelector(getSelector('datePicker.range'));
 
     // Fallback: Find any container with From/To inputs
     if (!datePickerContainer) {
-      const allInputs = document.querySelectorAll('input[placeholder="From"]');
+      const allInputs = document.querySelectorAll(getSelector('datePicker.from'));
       for (const inp of allInputs) {
-        datePickerContainer = inp.closest('[class*="picker"], [class*="date"], [class*="range"]');
+        datePickerContainer = inp.closest(getSelector('datePicker.container'));
         if (datePickerContainer) break;
       }
     }
@@ -574,10 +810,10 @@ async function applyDateFilter(dateFilter) {
     debugLog(' Found date picker container');
 
     // Step 3: Click on the "From" input to open the date picker
-    const fromInput = datePickerContainer.querySelector('input[placeholder="From"]') ||
-                      document.querySelector('input[placeholder="From"]');
-    const toInput = datePickerContainer.querySelector('input[placeholder="To"]') ||
-                    document.querySelector('input[placeholder="To"]');
+    const fromInput = datePickerContainer.querySelector(getSelector('datePicker.from')) ||
+                      document.querySelector(getSelector('datePicker.from'));
+    const toInput = datePickerContainer.querySelector(getSelector('datePicker.to')) ||
+                    document.querySelector(getSelector('datePicker.to'));
 
     if (!fromInput || !toInput) {
       debugLog(' Date inputs not found');
@@ -587,7 +823,7 @@ async function applyDateFilter(dateFilter) {
     debugLog(' Found From and To inputs');
 
     // Step 4: Clear existing dates by clicking the clear button if visible
-    const clearButton = datePickerContainer.querySelector('.core-picker-clear-icon, [class*="clear"]');
+    const clearButton = datePickerContainer.querySelector(getSelector('datePicker.clear'));
     if (clearButton) {
       debugLog(' Clearing existing date filter...');
       clearButton.click();
@@ -661,13 +897,14 @@ async function applyDateFilter(dateFilter) {
 
     // Step 10: Find and click the Apply button
     // Try multiple selectors to ensure we find it
-    let applyButton = document.querySelector('[data-log_click_for="apply"]');
+    const applyLabel = getLabel('filter.apply');
+    let applyButton = document.querySelector(getSelector('filter.apply'));
 
     // Fallback: Look for button with "Apply" text in filter panel
     if (!applyButton) {
-      const buttons = document.querySelectorAll('button.core-btn-primary');
+      const buttons = document.querySelectorAll(getSelector('filter.primaryButton'));
       for (const btn of buttons) {
-        if (btn.textContent?.includes('Apply')) {
+        if (btn.textContent?.includes(applyLabel)) {
           applyButton = btn;
           debugLog(' Found Apply button via button text');
           break;
@@ -679,7 +916,7 @@ async function applyDateFilter(dateFilter) {
     if (!applyButton) {
       const allButtons = document.querySelectorAll('button');
       for (const btn of allButtons) {
-        if (btn.textContent?.trim() === 'Apply') {
+        if (btn.textContent?.trim() === applyLabel) {
           applyButton = btn;
           debugLog(' Found Apply button via text content');
           break;
@@ -692,13 +929,12 @@ async function applyDateFilter(dateFilter) {
       applyButton.click();
       await sleep(2000); // Wait for filter to be applied
 
-      // Verify filter was applied by checking for filter chip (time_shipped quick_filter_item)
+      // Verify filter was applied by checking for filter chip (e.g. time_shipped quick_filter_item)
       await sleep(1000);
 
       // Check for the filter chip that appears when filter is active
-      const filterChip = document.querySelector('[data-log_click_for="time_shipped"]') ||
-                        document.querySelector('.quick_filter_item') ||
-                        document.querySelector('[class*="filter-tag"]');
+      const filterChip = document.querySelector(getSelector('filter.chip', { filter: timeFilterKey })) ||
+                        document.querySelector(getSelector('filter.anyChip'));
 
       if (filterChip) {
         debugLog(' SUCCESS! Filter chip found - filter is active');
@@ -720,7 +956,7 @@ async function applyDateFilter(dateFilter) {
         await sleep(2000);
 
         // Check again
-        const filterChipRetry = document.querySelector('[data-log_click_for="time_shipped"]');
+        const filterChipRetry = document.querySelector(getSelector('filter.chip', { filter: timeFilterKey }));
         if (filterChipRetry) {
           debugLog(' SUCCESS on retry! Filter chip now found');
         }
@@ -734,7 +970,7 @@ async function applyDateFilter(dateFilter) {
       // Last resort: Click any element with Apply text that's visible
       const spans = document.querySelectorAll('span');
       for (const span of spans) {
-        if (span.textContent?.trim() === 'Apply' && span.offsetParent !== null) {
+        if (span.textContent?.trim() === applyLabel && span.offsetParent !== null) {
           debugLog(' Clicking Apply span');
           span.click();
           await sleep(2000);
@@ -810,6 +1046,8 @@ async function setDateInputValue(input, value) {
 
 /**
  * Click a specific date on the calendar picker
+ * Navigates the calendar to the target month first, so range ends in
+ * another month than the start date are clicked in the right panel
  * @param {number} day - Day of month to click
  * @param {number} month - Month (1-12)
  * @param {number} year - Full year (e.g., 2025)
@@ -817,77 +1055,162 @@ async function setDateInputValue(input, value) {
 async function clickCalendarDate(day, month, year) {
   debugLog(` Looking for calendar date: ${day}/${month}/${year}`);
 
-  // Find calendar panels
-  const calendarPanels = document.querySelectorAll('.core-picker-panel, [class*="picker-panel"], [class*="calendar"]');
-  debugLog(` Found ${calendarPanels.length} calendar panels`);
-
-  // Look for date cells
-  const dateCells = document.querySelectorAll('[class*="picker-cell"], [class*="date-cell"], td[class*="cell"]');
-  debugLog(` Found ${dateCells.length} date cells`);
-
-  for (const cell of dateCells) {
-    // Check if this cell represents our target day
-    const cellText = cell.textContent?.trim();
-    if (cellText === String(day)) {
-      // Make sure it's not disabled and is in current month view
-      const isDisabled = cell.classList.contains('disabled') ||
-                         cell.classList.contains('core-picker-cell-disabled') ||
-                         cell.getAttribute('aria-disabled') === 'true';
-      const isOtherMonth = cell.classList.contains('core-picker-cell-in-view') === false &&
-                           cell.classList.contains('in-view') === false;
-
-      if (!isDisabled) {
-        debugLog(` Clicking date cell: ${cellText}`);
-        cell.click();
-        await sleep(300);
-        return true;
-      }
-    }
-  }
-
-  // Fallback: Try to find by data attribute
+  // Method 1: Exact match by data attribute (no month navigation needed)
   const dateStr = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-  const cellByData = document.querySelector(`[data-date="${dateStr}"], [title="${dateStr}"]`);
-  if (cellByData) {
+  const cellByData = document.querySelector(getSelector('datePicker.dateCell', { date: dateStr }));
+  if (cellByData && !isCalendarCellDisabled(cellByData)) {
     debugLog(` Clicking date cell by data: ${dateStr}`);
     cellByData.click();
     await sleep(300);
     return true;
   }
 
+  // Method 2: Bring the target month into view, then click the day in that panel
+  await navigateCalendarToMonth(month, year);
+
+  const panel = findCalendarPanel(month, year);
+  const scope = panel || document;
+  const dateCells = scope.querySelectorAll(getSelector('datePicker.cell'));
+  debugLog(` Found ${dateCells.length} date cells${panel ? ' in target month panel' : ''}`);
+
+  // Prefer cells that belong to the displayed month over leading/trailing days of other months
+  const candidates = [...dateCells].filter(cell => cell.textContent?.trim() === String(day) && !isCalendarCellDisabled(cell));
+  const inView = candidates.filter(cell => cell.matches(getSelector('datePicker.cellInView')));
+  const target = inView[0] || candidates[0];
+
+  if (target) {
+    debugLog(` Clicking date cell: ${day}`);
+    target.click();
+    await sleep(300);
+    return true;
+  }
+
   debugLog(` Could not find date cell for: ${day}/${month}/${year}`);
   return false;
 }
 
+/**
+ * Check if a calendar cell is disabled
+ * @param {Element} cell - Calendar date cell
+ * @returns {boolean}
+ */
+function isCalendarCellDisabled(cell) {
+  return cell.matches(getSelector('datePicker.cellDisabled'));
+}
+
+/**
+ * Parse a calendar header like "Jan 2025", "January 2025" or "2025-01"
+ * @param {string} text - Header text
+ * @returns {Object|null} - { month: 1-12, year } or null if not recognised
+ */
+function parseCalendarHeader(text) {
+  if (!text) return null;
+
+  const numeric = text.match(/(\d{4})\s*[-\/年.]\s*(\d{1,2})/);
+  if (numeric) {
+    return { year: parseInt(numeric[1]), month: parseInt(numeric[2]) };
+  }
+
+  const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const named = text.match(/([A-Za-z]{3,})\.?\s*(\d{4})/);
+  if (named) {
+    const monthIndex = monthNames.indexOf(named[1].slice(0, 3).toLowerCase());
+    if (monthIndex >= 0) {
+      return { year: parseInt(named[2]), month: monthIndex + 1 };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the month panels currently shown by the date picker
+ * A range picker shows two panels side by side (e.g. Jan 2025 | Feb 2025)
+ * @returns {Array} - [{ panel, month, year }] in display order
+ */
+function getCalendarPanels() {
+  const panels = [];
+  const headers = document.querySelectorAll(getSelector('datePicker.header'));
+
+  for (const header of headers) {
+    const parsed = parseCalendarHeader(header.textContent);
+    if (!parsed) continue;
+
+    // The panel is the closest ancestor that also holds the date cells
+    let panel = header.parentElement;
+    while (panel && !panel.querySelector(getSelector('datePicker.cell'))) {
+      panel = panel.parentElement;
+    }
+    if (panel && !panels.some(p => p.panel === panel)) {
+      panels.push({ panel, month: parsed.month, year: parsed.year });
+    }
+  }
+
+  return panels;
+}
+
+/**
+ * Find the calendar panel currently showing a month
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Full year
+ * @returns {Element|null}
+ */
+function findCalendarPanel(month, year) {
+  const match = getCalendarPanels().find(p => p.month === month && p.year === year);
+  return match ? match.panel : null;
+}
+
 /**
  * Navigate calendar to specific month/year
+ * Clicks the header prev/next buttons until a panel shows the target month
  * @param {number} targetMonth - Target month (1-12)
  * @param {number} targetYear - Target year
+ * @returns {boolean} - true if the target month is in view
  */
 async function navigateCalendarToMonth(targetMonth, targetYear) {
   debugLog(` Navigating calendar to: ${targetMonth}/${targetYear}`);
 
-  // Try to find month/year display and navigation buttons
-  const prevButtons = document.querySelectorAll('[class*="prev"], [class*="arrow-left"], .core-picker-header-prev-btn');
-  const nextButtons = document.querySelectorAll('[class*="next"], [class*="arrow-right"], .core-picker-header-next-btn');
+  // Two years is more than any export range needs
+  for (let attempt = 0; attempt < 24; attempt++) {
+    const panels = getCalendarPanels();
+    if (panels.length === 0) {
+      debugLog(' Calendar header not found, assuming target month is shown');
+      return true;
+    }
+
+    if (panels.some(p => p.month === targetMonth && p.year === targetYear)) {
+      return true;
+    }
 
-  // Get current displayed month/year from calendar header
-  const headerText = document.querySelector('[class*="picker-header"], .core-picker-header');
-  if (headerText) {
-    debugLog(` Calendar header: ${headerText.textContent}`);
+    // Compare against the first (left) panel
+    const shown = panels[0].year * 12 + panels[0].month;
+    const target = targetYear * 12 + targetMonth;
+    const button = document.querySelector(getSelector(target < shown ? 'datePicker.prev' : 'datePicker.next'));
+    if (!button) {
+      debugLog(' Calendar navigation button not found');
+      return false;
+    }
+
+    button.click();
+    await sleep(250);
   }
 
-  // For simplicity, just return - the calendar should open to current/relevant month
-  return true;
+  debugLog(' Gave up navigating calendar');
+  return false;
 }
 
 
 /**
  * Extract order data from detail page
+ * @param {string} orderId - TikTok order number
+ * @param {string} region - Region code (MY, SG, TH, PH, ID)
+ * @param {string} tab - Order tab key the order was collected from (see order-tabs.js)
  */
-async function extractOrderData(orderId) {
+async function extractOrderData(orderId, region = null, tab = null) {
   debugLog(' Extracting data for order:', orderId);
 
+  const profile = resolveRegionProfile(region);
+
   // Extract data
   const data = {
     order_id: orderId,
@@ -896,9 +1219,10 @@ async function extractOrderData(orderId) {
     full_address: null,
     status: null,
     total_amount: null,
-    currency: 'MYR',
+    currency: profile.currency,
     order_date: null,       // Time created
     shipping_method: null,
+    tracking_number: null,
     payment_method: null,
     items: null,
     sku_id: null,
@@ -961,20 +1285,15 @@ async function extractOrderData(orderId) {
 
         // Phone number detection
         if (!data.phone_number) {
-          const phoneMatch = text.match(/\+?60\d{8,11}|\(\+60\)\d{8,11}|01\d{8,9}/);
+          const phoneMatch = matchRegionPhone(text, profile);
           if (phoneMatch) {
-            data.phone_number = phoneMatch[0];
+            data.phone_number = phoneMatch;
             continue;
           }
         }
 
         // Address detection
-        if (!data.full_address && (
-          text.includes('Malaysia') ||
-          /\d{5}/.test(text) ||
-          text.length > 35 ||
-          /jalan|lorong|taman|kampung|blok|unit|no\.|tingkat|bandar/i.test(text)
-        )) {
+        if (!data.full_address && isLikelyRegionAddress(text, profile)) {
           data.full_address = text;
           continue;
         }
@@ -992,27 +1311,31 @@ async function extractOrderData(orderId) {
     }
 
     // Extract order status
-    data.status = extractOrderStatus();
+    data.status = extractOrderStatus(getOrderTab(tab));
 
     // Extract total amount
-    const amountInfo = extractTotalAmount();
+    const amountInfo = extractTotalAmount(profile);
     data.total_amount = amountInfo.amount;
     data.currency = amountInfo.currency;
 
     // Extract order date
     data.order_date = extractOrderDate();
 
-    // Extract shipping method
+    // Extract shipping method and tracking number
     data.shipping_method = extractShippingMethod();
+    data.tracking_number = extractTrackingNumber();
 
     // Extract payment method
     data.payment_method = extractPaymentMethod();
 
     // Extract items and SKU
-    const itemsData = extractItemsAndSku();
+    const itemsData = extractItemsAndSku(profile);
     data.items = itemsData.items;
     data.sku_id = itemsData.skuId;
 
+    // Fields from the Seller Center's API win, the DOM scrapers are the fallback
+    data.field_sources = mergeApiFields(data, apiOrderFields.get(orderId), DETAIL_API_FIELDS);
+
     // Check if data is valid
     data.hasData = !!(data.name || data.phone_number || data.full_address);
     data.isMasked = !data.hasData ||
@@ -1034,6 +1357,47 @@ async function extractOrderData(orderId) {
   return data;
 }
 
+/**
+ * Extract the fields that change after an order was exported
+ * Customer details are not needed, so nothing is revealed
+ * @param {string} orderId - TikTok order number
+ * @param {string} region - Region code (MY, SG, TH, PH, ID)
+ * @returns {Promise<Object>} - { order_id, status, tracking_number, total_amount, currency, field_sources, hasData, isMasked, error }
+ */
+async function extractOrderUpdate(orderId, region = null) {
+  debugLog(' Refreshing order:', orderId);
+
+  const profile = resolveRegionProfile(region);
+  const data = {
+    order_id: orderId,
+    status: null,
+    tracking_number: null,
+    total_amount: null,
+    currency: profile.currency,
+    hasData: false,
+    isMasked: false,
+    error: null
+  };
+
+  try {
+    // No tab default - an unreadable status must not overwrite the stored one
+    data.status = extractOrderStatus({ defaultStatus: null });
+    data.tracking_number = extractTrackingNumber();
+
+    const amountInfo = extractTotalAmount(profile);
+    data.total_amount = amountInfo.amount;
+    data.currency = amountInfo.currency;
+    data.field_sources = mergeApiFields(data, apiOrderFields.get(orderId), UPDATE_API_FIELDS);
+
+    data.hasData = !!(data.status || data.tracking_number);
+    if (!data.hasData) data.error = 'Status not found';
+  } catch (error) {
+    data.error = error.message;
+  }
+
+  return data;
+}
+
 /**
  * Find the shipping address section
  */
@@ -1041,7 +1405,7 @@ function findShippingAddressSection() {
   const allDivs = document.querySelectorAll('div');
 
   for (const div of allDivs) {
-    if (div.textContent?.trim() === 'Shipping address' && div.children.length === 0) {
+    if (div.textContent?.trim() === getLabel('detail.shippingAddress') && div.children.length === 0) {
       return div.parentElement;
     }
   }
@@ -1066,7 +1430,7 @@ function extractTextsFromContainer(container) {
       }
       text = text.trim();
 
-      if (text && text.length > 1 && text !== 'Shipping address') {
+      if (text && text.length > 1 && text !== getLabel('detail.shippingAddress')) {
         texts.push(text);
       }
     }
@@ -1083,10 +1447,7 @@ function extractTextsFromContainer(container) {
  */
 function isPrivacyModalPresent() {
   const modalText = document.body.innerText;
-  return modalText.includes('better protect our customers') ||
-         modalText.includes('privacy and create a healthy') ||
-         modalText.includes('Create ticket') ||
-         modalText.includes('file an appeal');
+  return getLabel('modal.privacy').some(text => modalText.includes(text));
 }
 
 /**
@@ -1116,7 +1477,7 @@ async function dismissPrivacyModal() {
   await sleep(300);
 
   // Method 2: Click the backdrop/overlay (the dark area behind modal)
-  const overlays = document.querySelectorAll('[class*="overlay"], [class*="mask"], [class*="backdrop"]');
+  const overlays = document.querySelectorAll(getSelector('modal.overlay'));
   for (const overlay of overlays) {
     const style = window.getComputedStyle(overlay);
     if (style.position === 'fixed' && style.zIndex) {
@@ -1132,9 +1493,9 @@ async function dismissPrivacyModal() {
   await sleep(200);
 
   // Method 4: Find and click close button (X icon) if exists
-  const closeButtons = document.querySelectorAll('[class*="close"], [aria-label="Close"], [aria-label="close"]');
+  const closeButtons = document.querySelectorAll(getSelector('modal.close'));
   for (const btn of closeButtons) {
-    if (btn.closest('[class*="modal"], [class*="dialog"], [role="dialog"]')) {
+    if (btn.closest(getSelector('modal.dialog'))) {
       debugLog(' Clicking close X button...');
       btn.click();
       await sleep(300);
@@ -1160,7 +1521,7 @@ async function clickRevealButtons() {
   await dismissPrivacyModal();
 
   // Method 1: SVGs with data-log_click_for="open_phone_plaintext"
-  const revealIcons = document.querySelectorAll('svg[data-log_click_for="open_phone_plaintext"]');
+  const revealIcons = document.querySelectorAll(getSelector('detail.revealPhone'));
   for (const icon of revealIcons) {
     if (simulateClick(icon)) {
       clickedCount++;
@@ -1171,7 +1532,7 @@ async function clickRevealButtons() {
   }
 
   // Method 2: Eye invisible icons
-  const eyeIcons = document.querySelectorAll('svg.arco-icon-eye_invisible, svg[class*="eye_invisible"]');
+  const eyeIcons = document.querySelectorAll(getSelector('detail.revealEye'));
   for (const icon of eyeIcons) {
     if (icon.dataset.clicked === 'true') continue;
     if (simulateClick(icon)) {
@@ -1223,7 +1584,7 @@ async function scrollToShippingAddress() {
 
   const allDivs = document.querySelectorAll('div');
   for (const div of allDivs) {
-    if (div.textContent?.trim() === 'Shipping address' && div.children.length === 0) {
+    if (div.textContent?.trim() === getLabel('detail.shippingAddress') && div.children.length === 0) {
       div.scrollIntoView({ behavior: 'smooth', block: 'center' });
       await sleep(500);
       return;
@@ -1265,13 +1626,16 @@ function simulateClick(element) {
 
 /**
  * Extract order status from page
+ * @param {Object} tabDef - Order tab the order was opened from; its default status is the fallback
  */
-function extractOrderStatus() {
+function extractOrderStatus(tabDef = getOrderTab(DEFAULT_ORDER_TAB)) {
   // Look for status badges/labels
-  const statusPatterns = ['AWAITING_COLLECTION', 'IN_TRANSIT', 'DELIVERED', 'COMPLETED', 'SHIPPED'];
+  const statusPatterns = [
+    'AWAITING_COLLECTION', 'AWAITING_SHIPMENT', 'IN_TRANSIT', 'DELIVERED', 'COMPLETED', 'CANCELLED', 'SHIPPED'
+  ];
 
   // Check for status text in common locations
-  const statusElements = document.querySelectorAll('[class*="status"], [class*="badge"], [class*="tag"]');
+  const statusElements = document.querySelectorAll(getSelector('detail.statusBadge'));
   for (const el of statusElements) {
     const text = el.textContent?.toUpperCase().replace(/[\s-]/g, '_') || '';
     for (const pattern of statusPatterns) {
@@ -1288,27 +1652,29 @@ function extractOrderStatus() {
   if (pageText.includes('DELIVERED')) return 'DELIVERED';
   if (pageText.includes('COMPLETED')) return 'COMPLETED';
 
-  return 'SHIPPED';
+  return tabDef.defaultStatus;
 }
 
 /**
- * Extract total amount from page - looks for "Total" row with RM amount
+ * Extract total amount from page - looks for "Total" row with the region's currency
+ * @param {Object} profile - Region profile (defaults to the current host's region)
  */
-function extractTotalAmount() {
-  const result = { amount: 0, currency: 'MYR' };
+function extractTotalAmount(profile = resolveRegionProfile()) {
+  const result = { amount: 0, currency: profile.currency };
+  const totalLabel = getLabel('detail.total');
 
   // Method 1: Look for the specific "Total" label in the right sidebar
   const allDivs = document.querySelectorAll('div');
   for (const div of allDivs) {
     const text = div.textContent?.trim();
     // Look for div that contains exactly "Total" as a label
-    if (text === 'Total' && div.children.length === 0) {
+    if (text === totalLabel && div.children.length === 0) {
       // Look in parent or sibling for the price
       const parent = div.parentElement;
       if (parent) {
-        const priceMatch = parent.textContent.match(/RM\s*([\d,]+\.?\d*)/i);
-        if (priceMatch) {
-          result.amount = parseFloat(priceMatch[1].replace(',', ''));
+        const amount = parseRegionAmount(parent.textContent, profile);
+        if (amount !== null) {
+          result.amount = amount;
           debugLog(' Found Total amount:', result.amount);
           return result;
         }
@@ -1320,10 +1686,10 @@ function extractTotalAmount() {
   const pageText = document.body.innerText;
   const lines = pageText.split('\n');
   for (const line of lines) {
-    if (line.includes('Total') && !line.includes('subtotal') && !line.includes('Subtotal')) {
-      const priceMatch = line.match(/RM\s*([\d,]+\.?\d*)/i);
-      if (priceMatch) {
-        result.amount = parseFloat(priceMatch[1].replace(',', ''));
+    if (line.includes(totalLabel) && !line.includes('subtotal') && !line.includes('Subtotal')) {
+      const amount = parseRegionAmount(line, profile);
+      if (amount !== null) {
+        result.amount = amount;
         debugLog(' Found Total from line:', result.amount);
         return result;
       }
@@ -1331,11 +1697,14 @@ function extractTotalAmount() {
   }
 
   // Method 3: Find the price next to "Total" text
-  const totalPattern = /Total\s*RM\s*([\d,]+\.?\d*)/i;
-  const match = pageText.match(totalPattern);
-  if (match) {
-    result.amount = parseFloat(match[1].replace(',', ''));
-    return result;
+  const escapedLabel = totalLabel.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+  const totalMatch = pageText.match(new RegExp(`${escapedLabel}\\s*([^\\n]{0,20})`, 'i'));
+  if (totalMatch) {
+    const amount = parseRegionAmount(totalMatch[1], profile);
+    if (amount !== null) {
+      result.amount = amount;
+      return result;
+    }
   }
 
   return result;
@@ -1349,7 +1718,7 @@ function extractOrderDate() {
   const allDivs = document.querySelectorAll('div');
   for (const div of allDivs) {
     const text = div.textContent?.trim();
-    if (text === 'Time created' && div.children.length === 0) {
+    if (text === getLabel('detail.timeCreated') && div.children.length === 0) {
       // Look in parent for the date value
       const parent = div.parentElement;
       if (parent) {
@@ -1418,12 +1787,13 @@ function extractShippingMethod() {
   }
 
   // Look for "Shipping method" label
+  const shippingLabel = getLabel('detail.shippingMethod');
   const shippingLabels = document.querySelectorAll('*');
   for (const el of shippingLabels) {
-    if (el.textContent?.toLowerCase().includes('shipping method') && el.children.length === 0) {
+    if (el.textContent?.toLowerCase().includes(shippingLabel.toLowerCase()) && el.children.length === 0) {
       const parent = el.parentElement;
       if (parent) {
-        const siblingText = parent.textContent?.replace('Shipping method', '').trim();
+        const siblingText = parent.textContent?.replace(shippingLabel, '').trim();
         if (siblingText && siblingText.length < 100) {
           return siblingText;
         }
@@ -1434,6 +1804,17 @@ function extractShippingMethod() {
   return '';
 }
 
+/**
+ * Extract the tracking number from page ("Tracking number" / "Tracking ID" label)
+ * @returns {string} - Tracking number, or '' if the order has none yet
+ */
+function extractTrackingNumber() {
+  const pageText = document.body.innerText;
+  // The number has at least one digit (so "Tracking number information" is not one)
+  const match = pageText.match(/Tracking\s*(?:number|no\.?|ID)\s*:?\s*((?=[A-Z-]*\d)[A-Z0-9][A-Z0-9-]{7,29})/i);
+  return match ? match[1] : '';
+}
+
 /**
  * Extract payment method from page
  */
@@ -1465,10 +1846,11 @@ function extractPaymentMethod() {
   }
 
   // Look for "Payment method" label
+  const paymentLabel = getLabel('detail.paymentMethod').toLowerCase();
   const allElements = document.querySelectorAll('*');
   for (const el of allElements) {
     const text = el.textContent?.toLowerCase() || '';
-    if ((text.includes('payment method') || text.includes('payment:')) && el.children.length === 0) {
+    if ((text.includes(paymentLabel) || text.includes('payment:')) && el.children.length === 0) {
       const parent = el.parentElement;
       if (parent) {
         const fullText = parent.textContent || '';
@@ -1487,10 +1869,12 @@ function extractPaymentMethod() {
 /**
  * Extract items/products and SKU IDs from page
  * Gets product name + variant (e.g., "Product Name\n4 Botol + FREE 1 Botol")
+ * @param {Object} profile - Region profile (defaults to the current host's region)
  */
-function extractItemsAndSku() {
+function extractItemsAndSku(profile = resolveRegionProfile()) {
   const items = [];
   const skuIds = [];
+  const pricePattern = new RegExp(`^(?:${profile.amountPrefix})\\s*[\\d.,]+`, 'i');
 
   // Look for SKU ID - the long numeric code
   const pageText = document.body.innerText;
@@ -1501,7 +1885,7 @@ function extractItemsAndSku() {
 
   // Method 1: Find product in the parcel section
   // Look for elements near product images
-  const productImages = document.querySelectorAll('img[src*="p16-oec"], img[src*="product"]');
+  const productImages = document.querySelectorAll(getSelector('detail.productImage'));
 
   for (const img of productImages) {
     // Get the container that holds the product info
@@ -1518,7 +1902,7 @@ function extractItemsAndSku() {
       for (const line of lines) {
         // Skip short lines, prices, dates, and SKU labels
         if (line.length < 10) continue;
-        if (line.match(/^RM\s*[\d.]+/)) continue;
+        if (pricePattern.test(line)) continue;
         if (line.match(/^SKU\s*ID/i)) continue;
         if (line.match(/^\d{1,2}\/\d{1,2}\/\d{4}/)) continue;
         if (line.match(/x\s*\d+$/)) continue;  // Skip "x 1" quantity
@@ -1561,7 +1945,7 @@ function extractItemsAndSku() {
           const parentText = parent.innerText;
           const lines = parentText.split('\n').map(l => l.trim()).filter(l => l.length > 20);
           for (const line of lines) {
-            if (!line.includes('SKU') && !line.match(/^RM/) && !items.includes(line)) {
+            if (!line.includes('SKU') && !pricePattern.test(line) && !items.includes(line)) {
               items.push(line);
               break;
             }
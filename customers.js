@@ -0,0 +1,373 @@
+/**
+ * Customer Book for TikTok Order Exporter
+ *
+ * Orders are linked to customers by their phone number, or by their name
+ * when they have no phone number. Phone numbers are compared with their
+ * country code (+60 12-345 6789, 60123456789 and 012-345 6789 are one
+ * number), names without case, spacing and punctuation.
+ *
+ * Orders keep `customer_keys`: HMAC hashes of their normalized phone and
+ * name, with a key of the customer book (not the one of hashed exports).
+ * With encryption on, that key is kept in the vault - the hashes of a phone
+ * number are easily reversed by trying every number - so orders saved while
+ * the customer data is locked are keyed once it is unlocked.
+ *
+ * Saved orders are marked `customer_pending`. The background links them (at
+ * the end of a run, after purges, erase requests and unlocking) together with
+ * the orders sharing a key or a customer with them, and gives each order the
+ * `customer_id` of its customer. The dashboard's Refresh rebuilds the whole
+ * book:
+ * - orders sharing a phone number are one customer
+ * - orders without a phone number join the one customer with their name
+ * - customers found to be one (e.g. linked before their phone numbers were
+ *   compared in one form) are merged, keeping the ID with the most orders
+ *
+ * The book is the `customers` store of the order database: one record per
+ * customer with its first and last order, order count, spend per currency
+ * and favorite products. It holds no customer details - names and phone
+ * numbers are shown from the customer's latest order.
+ *
+ * Shared script - loaded by background.js (importScripts) and dashboard.html,
+ * after order-store.js, pii-vault.js, retention.js, privacy-profiles.js and
+ * phone-numbers.js.
+ */
+
+const CUSTOMER_ID_PREFIX = 'CUS-';
+const FAVORITE_PRODUCTS_LIMIT = 3; // Products kept per customer, most ordered first
+const CUSTOMER_MATCH_KEY = 'customerMatchKey'; // chrome.storage.local: HMAC key of customer_keys (base64)
+
+/**
+ * Get the HMAC key of the customer book's match keys (created on first use)
+ * With encryption on, it is decrypted with the vault's private key
+ * @returns {Promise<CryptoKey|null>} - null while the customer data is locked
+ */
+async function getCustomerMatchKey() {
+  const settings = await getPiiSettings();
+  if (!settings) return getStoredHmacKey(CUSTOMER_MATCH_KEY);
+
+  const privateKey = await getUnlockedPrivateKey();
+  if (!privateKey) return null;
+  const raw = await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, base64ToBytes(settings.matchKey));
+  return crypto.subtle.importKey('raw', raw, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+/**
+ * Move the match key into a new vault (encryption turned on)
+ * The caller removes the plain key once the settings are stored
+ * @param {Object} settings - From createPiiSettings() - gets matchKey, encrypted with the public key
+ */
+async function sealCustomerMatchKey(settings) {
+  const storage = await chrome.storage.local.get([CUSTOMER_MATCH_KEY]);
+  const raw = storage[CUSTOMER_MATCH_KEY]
+    ? base64ToBytes(storage[CUSTOMER_MATCH_KEY])
+    : crypto.getRandomValues(new Uint8Array(32));
+  settings.matchKey = bytesToBase64(await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, await importPiiPublicKey(settings), raw));
+}
+
+/**
+ * Keep the match key in plain again (encryption turned off)
+ * @param {Object} settings - Encryption settings
+ * @param {CryptoKey} privateKey - Vault private key
+ */
+async function unsealCustomerMatchKey(settings, privateKey) {
+  const raw = await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, base64ToBytes(settings.matchKey));
+  await chrome.storage.local.set({ [CUSTOMER_MATCH_KEY]: bytesToBase64(raw) });
+}
+
+/**
+ * Normalize a phone number for matching: the digits of its E.164 form
+ * e.g. "+60 12-345 6789", "(+60)123456789" and "012-345 6789" → "60123456789"
+ * @param {string} phone - Phone number (as extracted or E.164)
+ * @param {string} region - Region code of the order (default region if unknown)
+ * @returns {string} - '' without digits
+ */
+function normalizeCustomerPhone(phone, region) {
+  return parsePhoneNumber(phone, region).e164.replace(/^\+/, '');
+}
+
+/**
+ * Normalize a name for matching (case, spacing and punctuation ignored)
+ * e.g. "Aina  Binti Ali." → "aina binti ali"
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeCustomerNameKey(name) {
+  return normalizeCustomerName(String(name || '').replace(/[^\p{L}\p{N}\s]/gu, ''));
+}
+
+/**
+ * Compute the match keys of an order with plain customer details
+ * @param {Object} order - Order record
+ * @param {CryptoKey} hashKey - From getCustomerMatchKey()
+ * @returns {Promise<{phone: string, name: string}|null>} - Hashes ('' if missing), null without a phone or name
+ */
+async function computeCustomerKeys(order, hashKey) {
+  const phone = normalizeCustomerPhone(order.phone_number, order.region);
+  const name = normalizeCustomerNameKey(order.customer_name);
+  if (!phone && !name) return null;
+
+  return {
+    phone: await hashIdentifier(hashKey, 'P', phone),
+    name: await hashIdentifier(hashKey, 'N', name)
+  };
+}
+
+/**
+ * Get the product names of an order (items are "Product\nVariant | Product")
+ * @param {Object} order - Order record
+ * @returns {string[]}
+ */
+function getOrderProducts(order) {
+  return String(order.items || '').split(' | ')
+    .map(item => item.split('\n')[0].trim())
+    .filter(Boolean);
+}
+
+/**
+ * Get the time of an order for the first/last order of its customer
+ * @param {Object} order - Stored order record
+ * @returns {number|null} - Order time, or extraction time if the order date is unknown (ms)
+ */
+function getCustomerOrderTime(order) {
+  if (order.order_time) return order.order_time;
+  const extractedAt = Date.parse(order.extracted_at);
+  return isNaN(extractedAt) ? null : extractedAt;
+}
+
+/**
+ * Reduce a stored order to what the customer book is built from
+ * @param {Object} order - Stored order record
+ * @returns {Object|null} - Entry, or null if the order has no match keys and no customer
+ */
+function toCustomerEntry(order) {
+  const keys = order.customer_keys || {};
+  if (!keys.phone && !keys.name && !order.customer_id) return null;
+
+  return {
+    order_id: order.order_id,
+    customer_id: order.customer_id || null,
+    phone: keys.phone || '',
+    name: keys.name || '',
+    time: getCustomerOrderTime(order),
+    order_date: order.order_date || '',
+    currency: order.currency || getRegionProfile(order.region).currency,
+    amount: parseFloat(order.total_amount || 0),
+    products: getOrderProducts(order),
+    shop_code: order.shop_code || UNKNOWN_SHOP,
+    has_details: hasCustomerDetails(order)
+  };
+}
+
+/**
+ * Group customer entries into customers (see the rules at the top)
+ * @param {Object[]} entries - From toCustomerEntry()
+ * @returns {Object[][]} - Entries of each customer
+ */
+function groupCustomerEntries(entries) {
+  const parent = entries.map((entry, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const join = (a, b) => { parent[find(b)] = find(a); };
+  const joinBy = (key) => {
+    const first = new Map();
+    entries.forEach((entry, index) => {
+      const value = key(entry);
+      if (!value) return;
+      if (first.has(value)) join(first.get(value), index);
+      else first.set(value, index);
+    });
+  };
+
+  joinBy(entry => entry.phone);
+  joinBy(entry => entry.customer_id); // Earlier links (also of orders redacted since)
+  joinBy(entry => !entry.phone && entry.name);
+
+  // Name-only orders join the customer with a phone number and their name - if there is just one
+  const phoneCustomersByName = new Map();
+  entries.forEach((entry, index) => {
+    if (!entry.phone || !entry.name) return;
+    if (!phoneCustomersByName.has(entry.name)) phoneCustomersByName.set(entry.name, new Set());
+    phoneCustomersByName.get(entry.name).add(find(index));
+  });
+  entries.forEach((entry, index) => {
+    const customers = !entry.phone && entry.name && phoneCustomersByName.get(entry.name);
+    if (customers && customers.size === 1) join(customers.values().next().value, index);
+  });
+
+  const groups = new Map();
+  entries.forEach((entry, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry);
+  });
+  return Array.from(groups.values());
+}
+
+/**
+ * Choose the ID of a customer - the earlier ID of most of its orders, else
+ * one named after its first order ID
+ * @param {Object[]} group - Entries of the customer
+ * @param {Set<string>} taken - IDs given to other customers
+ * @returns {string}
+ */
+function chooseCustomerId(group, taken) {
+  const counts = new Map();
+  group.forEach(entry => {
+    if (entry.customer_id) counts.set(entry.customer_id, (counts.get(entry.customer_id) || 0) + 1);
+  });
+  const earlier = Array.from(counts.keys())
+    .filter(id => !taken.has(id))
+    .sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+  if (earlier.length > 0) return earlier[0];
+
+  const firstOrderId = group.map(entry => entry.order_id).sort()[0];
+  let id = CUSTOMER_ID_PREFIX + firstOrderId;
+  for (let n = 2; taken.has(id); n++) id = `${CUSTOMER_ID_PREFIX}${firstOrderId}-${n}`;
+  return id;
+}
+
+/**
+ * Build a customer record from the entries of its orders
+ * @param {string} customerId
+ * @param {Object[]} group - Entries of the customer
+ * @param {string} at - ISO time of the rebuild
+ * @returns {Object} - Customer record
+ */
+function summarizeCustomer(customerId, group, at) {
+  const byTime = group.slice().sort((a, b) => (a.time || 0) - (b.time || 0));
+  const first = byTime[0];
+  const last = byTime[byTime.length - 1];
+  // Shown with the details of the latest order that still has them
+  const latest = byTime.slice().reverse().find(entry => entry.has_details) || last;
+
+  const spend = {};
+  const products = new Map();
+  group.forEach(entry => {
+    spend[entry.currency] = Math.round(((spend[entry.currency] || 0) + entry.amount) * 100) / 100;
+    new Set(entry.products).forEach(name => products.set(name, (products.get(name) || 0) + 1));
+  });
+
+  return {
+    customer_id: customerId,
+    shop_codes: Array.from(new Set(group.map(entry => entry.shop_code))),
+    order_count: group.length,
+    first_order_at: first.time,
+    first_order_date: first.order_date,
+    last_order_at: last.time,
+    last_order_date: last.order_date,
+    total_spend: spend,
+    favorite_products: Array.from(products, ([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, FAVORITE_PRODUCTS_LIMIT),
+    latest_order_id: latest.order_id,
+    updated_at: at
+  };
+}
+
+/**
+ * Build the customer book from the entries of every stored order - or of
+ * a part of the book: orders sharing no key or customer with the others
+ * @param {Object[]} entries - From toCustomerEntry()
+ * @param {string} at - ISO time of the rebuild
+ * @param {Set<string>} taken - IDs of the customers outside that part (changed in place)
+ * @returns {{customers: Object[], links: Map<string, string>, merged: number}} - Customer records,
+ *   customer ID per order ID, and customers merged into another
+ */
+function buildCustomerBook(entries, at = new Date().toISOString(), taken = new Set()) {
+  const links = new Map();
+  const customers = [];
+  let merged = 0;
+
+  // Customers with the most orders keep their ID first
+  const groups = groupCustomerEntries(entries).sort((a, b) => b.length - a.length);
+  for (const group of groups) {
+    const customerId = chooseCustomerId(group, taken);
+    taken.add(customerId);
+    merged += Math.max(new Set(group.map(entry => entry.customer_id).filter(Boolean)).size - 1, 0);
+
+    group.forEach(entry => links.set(entry.order_id, customerId));
+    customers.push(summarizeCustomer(customerId, group, at));
+  }
+  return { customers, links, merged };
+}
+
+/**
+ * Run requests in a transaction of the customer store
+ * @see runOrderTransaction
+ */
+async function withCustomerStore(mode, work) {
+  return runOrderTransaction(await openOrderDb(), mode, work, CUSTOMER_STORE_NAME);
+}
+
+/**
+ * Get the customers of the book
+ * @param {string|null} shopCode - Only customers with orders of this shop (all if null)
+ * @returns {Promise<Object[]>} - Most recent order first
+ */
+async function getCustomers(shopCode = null) {
+  const customers = await withCustomerStore('readonly', (store) => requestResult(
+    typeof shopCode === 'string' ? store.index('shop').getAll(shopCode) : store.getAll()
+  ));
+  return customers.sort((a, b) => (b.last_order_at || 0) - (a.last_order_at || 0));
+}
+
+/**
+ * Get the IDs of every customer of the book
+ * @returns {Promise<string[]>}
+ */
+function getCustomerIds() {
+  return withCustomerStore('readonly', (store) => requestResult(store.getAllKeys()));
+}
+
+/**
+ * Replace a part of the customer book
+ * @param {string[]} customerIds - Customers of that part before (removed unless in customers)
+ * @param {Object[]} customers - Customer records of that part now
+ */
+function replaceSomeCustomers(customerIds, customers) {
+  return withCustomerStore('readwrite', (store) => {
+    customerIds.forEach(customerId => store.delete(customerId));
+    customers.forEach(customer => store.put(customer));
+  });
+}
+
+/**
+ * Replace the customer book
+ * @param {Object[]} customers - Customer records
+ */
+function replaceCustomers(customers) {
+  return withCustomerStore('readwrite', (store) => {
+    store.clear();
+    customers.forEach(customer => store.put(customer));
+  });
+}
+
+/**
+ * Delete every customer (with the orders they were built from)
+ */
+function clearCustomers() {
+  return replaceCustomers([]);
+}
+
+/**
+ * Format the spend of a customer, e.g. "MYR 35.5" or "MYR 12, SGD 3.2"
+ * @param {Object} spend - { currency: amount }
+ * @returns {string}
+ */
+function formatCustomerSpend(spend) {
+  return Object.keys(spend || {}).map(currency => `${currency} ${spend[currency]}`).join(', ');
+}
+
+/**
+ * Format the favorite products of a customer, e.g. "Tudung Bawal (3), Baju Kurung (1)"
+ * @param {Object[]} products - [{ name, count }]
+ * @returns {string}
+ */
+function formatFavoriteProducts(products) {
+  return (products || []).map(product => `${product.name} (${product.count})`).join(', ');
+}
@@ -1,6 +1,10 @@
 /**
  * Dashboard Script for TikTok Order Exporter
  * Displays exported orders in a DataTable with live refresh
+ * The table pages through the order store (order-store.js) instead of
+ * loading every order into the page. Encrypted customer details
+ * (pii-vault.js) are decrypted per page while the vault is unlocked
+ * The Customers view shows the customer book (customers.js)
  */
 
 const DEBUG = false;
@@ -9,13 +13,33 @@ function debugLog(...args) {
 }
 
 let dataTable = null;
+let customersTable = null;
 let autoRefreshInterval = null;
-let orders = [];
+let tabFilter = ''; // Only show orders from this source tab ('' = all tabs)
+let shopFilter = null; // Only show this shop's orders (null = all shops, UNKNOWN_SHOP = orders without a shop)
+let knownShops = {}; // { shopCode: { code, name, region, lastRunAt } }
+let exportHistory = [];
+let exportProfile = DEFAULT_EXPORT_PROFILE; // Privacy profile of the table's export buttons
+let exportCells = null; // Customer cells of the page shown, with the privacy profile applied: { profile, rows }
+let exportCellsRequest = 0; // Last prepareExportCells() call - older ones finishing later are dropped
+
+// Table cell of an encrypted customer detail while locked
+const LOCKED_CELL = '<span title="Encrypted - unlock to show">🔒</span>';
+
+// Table columns of the customer details (name, phone, address)
+const CUSTOMER_COLUMNS = [2, 3, 4];
+
+// Shop switcher value of the orders without a shop ('' is "All shops")
+const UNKNOWN_SHOP_OPTION = '-';
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', function() {
+  loadShops();
+  loadPiiStatus();
   loadOrders();
+  loadCustomers();
   loadExportHistory();
+  loadFailedOrders();
   initDarkMode();
 
   // Auto-refresh toggle
@@ -32,7 +56,92 @@ document.addEventListener('DOMContentLoaded', function() {
   document.getElementById('clearBtn').addEventListener('click', clearAllData);
   document.getElementById('debugBtn').addEventListener('click', debugStorage);
   document.getElementById('refreshHistoryBtn').addEventListener('click', loadExportHistory);
+  document.getElementById('refreshFailedBtn').addEventListener('click', loadFailedOrders);
+  document.getElementById('refreshCustomersBtn').addEventListener('click', updateCustomers);
+  document.getElementById('customersCsvBtn').addEventListener('click', function() {
+    exportCustomers('DOWNLOAD_CUSTOMERS_CSV');
+  });
+  document.getElementById('customersXlsxBtn').addEventListener('click', function() {
+    exportCustomers('DOWNLOAD_CUSTOMERS_XLSX');
+  });
+
+  // Per-order retry and dismiss buttons of the failed orders table
+  document.getElementById('failedBody').addEventListener('click', function(event) {
+    var button = event.target.closest('button[data-action]');
+    if (button) {
+      handleFailedOrderAction(button.getAttribute('data-action'), button.getAttribute('data-order-id'), button.getAttribute('data-region'));
+    }
+  });
+
+  // Runs add and remove failed orders
+  if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+    chrome.storage.onChanged.addListener(function(changes, area) {
+      if (area === 'local' && changes.failedOrders) {
+        renderFailedOrders(changes.failedOrders.newValue || []);
+      }
+      if (area === 'local' && changes.knownShops) {
+        loadShops();
+      }
+      // Unlocked, locked (also by the auto-lock) or encryption turned on/off
+      if ((area === 'session' && changes[PII_SESSION_KEY]) || (area === 'local' && changes[PII_SETTINGS_KEY])) {
+        loadPiiStatus();
+        loadOrders();
+        loadCustomers();
+      }
+    });
+  }
   document.getElementById('darkModeToggle').addEventListener('click', toggleDarkMode);
+  document.getElementById('piiUnlockBtn').addEventListener('click', unlockCustomerData);
+  document.getElementById('piiLockBtn').addEventListener('click', function() {
+    chrome.runtime.sendMessage({ type: 'LOCK_PII' });
+  });
+  document.getElementById('piiPassphrase').addEventListener('keydown', function(event) {
+    if (event.key === 'Enter') unlockCustomerData();
+  });
+
+  // Source tab filter
+  var tabFilterSelect = document.getElementById('tabFilter');
+  Object.keys(ORDER_TABS).forEach(function(key) {
+    var option = document.createElement('option');
+    option.value = key;
+    option.textContent = ORDER_TABS[key].label;
+    tabFilterSelect.appendChild(option);
+  });
+  tabFilterSelect.addEventListener('change', function() {
+    tabFilter = this.value;
+    if (dataTable) dataTable.page('first');
+    loadOrders();
+  });
+
+  // Privacy profile of the export buttons (the same setting as the popup's downloads)
+  var exportProfileSelect = document.getElementById('exportProfile');
+  Object.keys(EXPORT_PROFILES).forEach(function(key) {
+    var option = document.createElement('option');
+    option.value = key;
+    option.textContent = 'Export: ' + EXPORT_PROFILES[key].label;
+    exportProfileSelect.appendChild(option);
+  });
+  if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+    chrome.storage.local.get(['exportProfile'], function(result) {
+      exportProfile = getExportProfile(result.exportProfile).key;
+      exportProfileSelect.value = exportProfile;
+    });
+  }
+  exportProfileSelect.addEventListener('change', function() {
+    exportProfile = this.value;
+    exportCells = null; // Customer columns export blank until the page's cells are prepared
+    chrome.storage.local.set({ exportProfile: exportProfile });
+    loadOrders(); // Prepare the page's cells for the new profile
+  });
+
+  // Shop switcher - orders, stats and export history of one shop
+  document.getElementById('shopFilter').addEventListener('change', function() {
+    shopFilter = this.value === '' ? null : (this.value === UNKNOWN_SHOP_OPTION ? UNKNOWN_SHOP : this.value);
+    if (dataTable) dataTable.page('first');
+    loadOrders();
+    loadCustomers();
+    renderExportHistory(exportHistory);
+  });
 
   startAutoRefresh();
 });
@@ -94,31 +203,20 @@ function stopAutoRefresh() {
   }
 }
 
-// Load orders from Chrome storage
+// Load the stats and the current table page from the order store
 function loadOrders() {
   debugLog('Loading orders...');
 
   try {
     // Check if we're in a Chrome extension context
-    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-      debugLog('Chrome storage available');
-
-      // Use callback style for chrome.storage.local.get
-      chrome.storage.local.get(['exportedOrders'], function(result) {
-        debugLog('Raw storage result:', JSON.stringify(result));
-
-        if (chrome.runtime.lastError) {
-          console.error('[Dashboard] Storage error:', chrome.runtime.lastError.message);
-          showError('Storage error: ' + chrome.runtime.lastError.message);
-          return;
-        }
-
-        orders = result.exportedOrders || [];
-        debugLog('Loaded', orders.length, 'orders');
-
-        updateStats();
-        renderTable();
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local && typeof indexedDB !== 'undefined') {
+      updateStats().then(function(visibleCount) {
+        debugLog('Visible orders:', visibleCount);
+        renderTable(visibleCount);
         document.getElementById('lastUpdated').textContent = new Date().toLocaleTimeString();
+      }).catch(function(error) {
+        console.error('[Dashboard] Order store error:', error);
+        showError('Order store error: ' + error.message);
       });
     } else {
       debugLog('Chrome storage NOT available');
@@ -133,6 +231,96 @@ function loadOrders() {
   }
 }
 
+// Fill the shop switcher with the shops runs were started for
+function loadShops() {
+  getKnownShops().then(function(shops) {
+    var select = document.getElementById('shopFilter');
+    var selected = select.value;
+
+    knownShops = {};
+    select.innerHTML = '<option value="">All shops</option>';
+    shops.forEach(function(shop) {
+      knownShops[shop.code] = shop;
+      var option = document.createElement('option');
+      option.value = shop.code;
+      option.textContent = formatShopLabel(shop);
+      select.appendChild(option);
+    });
+    var unknownOption = document.createElement('option');
+    unknownOption.value = UNKNOWN_SHOP_OPTION;
+    unknownOption.textContent = 'Unknown shop (older exports)';
+    select.appendChild(unknownOption);
+
+    select.value = selected;
+    if (select.value !== selected) select.value = ''; // The shop is gone
+  }).catch(function(error) {
+    console.error('[Dashboard] Error loading shops:', error);
+  });
+}
+
+// Load the customer data encryption state and show the lock bar
+function loadPiiStatus() {
+  if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) return;
+
+  chrome.runtime.sendMessage({ type: 'GET_PII_STATUS' }, function(response) {
+    if (chrome.runtime.lastError || !response || !response.success) return;
+
+    document.getElementById('piiLockBar').style.display = response.enabled ? 'inline' : 'none';
+    document.getElementById('piiPassphrase').style.display = response.unlocked ? 'none' : '';
+    document.getElementById('piiUnlockBtn').style.display = response.unlocked ? 'none' : '';
+    document.getElementById('piiLockBtn').style.display = response.unlocked ? '' : 'none';
+    document.getElementById('piiLockBtn').title = response.unlocked
+      ? 'Unlocked until ' + new Date(response.lockAt).toLocaleTimeString()
+      : '';
+  });
+}
+
+// Unlock the customer details with the passphrase (the background keeps the key until the auto-lock)
+function unlockCustomerData() {
+  var input = document.getElementById('piiPassphrase');
+  chrome.runtime.sendMessage({ type: 'UNLOCK_PII', passphrase: input.value }, function(response) {
+    if (response && response.error) {
+      alert('Could not unlock: ' + response.error);
+      return;
+    }
+    input.value = '';
+  });
+}
+
+// Decrypt the customer details of a table page - encrypted orders stay locked without the key
+// (phone numbers and addresses stored before they were normalized and parsed are, once decrypted)
+function revealPage(orders) {
+  if (!orders.some(isOrderPiiEncrypted)) return Promise.resolve(orders.map(normalizeRevealedOrder));
+
+  return getUnlockedPrivateKey().then(function(privateKey) {
+    if (!privateKey) return orders;
+    return Promise.all(orders.map(function(order) {
+      return decryptOrderPii(order, privateKey);
+    }));
+  }).then(function(revealed) {
+    return revealed.map(function(order) {
+      return isOrderPiiEncrypted(order) ? order : normalizeRevealedOrder(order);
+    });
+  });
+}
+
+// Normalize the phone number and parse the address of a decrypted order
+function normalizeRevealedOrder(order) {
+  return normalizeOrderAddress(normalizeOrderPhone(order));
+}
+
+// Order store query of the selected shop's orders (newest first), or of all orders
+function getShopQuery(direction) {
+  if (shopFilter !== null) return shopOrdersQuery(shopFilter, direction || 'prev');
+  return { index: 'orderTime', direction: direction || 'prev' };
+}
+
+// Number of orders of the selected shop (all orders without one)
+function countShopOrders() {
+  if (shopFilter === null) return countOrders();
+  return countOrders({ index: 'shop', range: IDBKeyRange.only(shopFilter) });
+}
+
 // Show error message
 function showError(message) {
   var loadingState = document.getElementById('loadingState');
@@ -145,40 +333,203 @@ function refreshData() {
   loadOrders();
 }
 
-// Update stats
+// Order store filter for the current tab filter and search text (null = every order)
+function getOrderFilter(searchText) {
+  var search = (searchText || '').trim().toLowerCase();
+  if (!tabFilter && !search) return null;
+
+  return function(o) {
+    if (tabFilter && getOrderSourceTab(o) !== tabFilter) return false;
+    if (!search) return true;
+    // Encrypted customer details are not searched
+    return [o.order_id, o.customer_name, o.phone_number, o.items, o.tracking_number].some(function(value) {
+      return value && String(value).toLowerCase().indexOf(search) !== -1;
+    });
+  };
+}
+
+// Update stats - one cursor pass over the orders of the shop and tab filters
+// Resolves with the number of orders shown
 function updateStats() {
-  document.getElementById('totalOrders').textContent = orders.length;
+  var count = 0;
+  var totalsByCurrency = {}; // Sum per currency so mixed-region data is not added together
+  var todayOrders = 0;
+  var customerIds = {};
+  var today = new Date().toDateString();
 
-  var totalAmount = orders.reduce(function(sum, o) {
-    return sum + parseFloat(o.total_amount || 0);
-  }, 0);
-  document.getElementById('totalAmount').textContent = 'RM ' + totalAmount.toFixed(2);
+  var query = getShopQuery();
+  query.filter = getOrderFilter('');
+
+  return forEachOrder(query, function(o) {
+    count++;
+
+    var currency = getOrderCurrency(o);
+    totalsByCurrency[currency] = (totalsByCurrency[currency] || 0) + parseFloat(o.total_amount || 0);
 
-  var today = new Date().toDateString();
-  var todayOrders = orders.filter(function(o) {
     var orderDate = new Date(o.extracted_at || o.order_date);
-    return orderDate.toDateString() === today;
-  }).length;
-  document.getElementById('todayOrders').textContent = todayOrders;
+    if (orderDate.toDateString() === today) todayOrders++;
 
-  var phoneSet = {};
-  orders.forEach(function(o) {
-    var key = o.phone_number || o.customer_name;
-    if (key) phoneSet[key] = true;
+    // Linked by the customer book - also while the customer details are encrypted
+    if (o.customer_id) customerIds[o.customer_id] = true;
+  }).then(function() {
+    renderStats(count, totalsByCurrency, todayOrders, Object.keys(customerIds).length);
+    return count;
   });
-  var uniqueCustomers = Object.keys(phoneSet).length;
+}
+
+// Show the stat cards
+function renderStats(count, totalsByCurrency, todayOrders, uniqueCustomers) {
+  document.getElementById('totalOrders').textContent = count;
+
+  var currencies = Object.keys(totalsByCurrency);
+  if (currencies.length === 0) currencies = [getRegionProfile(DEFAULT_REGION).currency];
+  document.getElementById('totalAmount').textContent = currencies.map(function(currency) {
+    return formatRegionAmount(totalsByCurrency[currency] || 0, currency);
+  }).join(' · ');
+
+  document.getElementById('todayOrders').textContent = todayOrders;
   document.getElementById('uniqueCustomers').textContent = uniqueCustomers;
 }
 
+// Currency of an order (older records have no currency/region and are MYR)
+function getOrderCurrency(order) {
+  return order.currency || getRegionProfile(order.region).currency;
+}
+
+// Count the orders of the selected shop matching a filter
+function countMatchingOrders(filter) {
+  if (!filter) return countShopOrders();
+
+  var count = 0;
+  var query = getShopQuery();
+  query.filter = filter;
+  return forEachOrder(query, function() {
+    count++;
+  }).then(function() {
+    return count;
+  });
+}
+
+// Table row of an order - columns: Date, Order ID, Customer, Phone, Address, Items, Total, Payment, Status, Tab
+function toTableRow(order) {
+  return [
+    order.order_date || '-',                                    // Date Order (Time created)
+    order.order_id || '-',                                       // Order ID
+    formatCustomerName(order),                                   // Customer (list-only orders are marked)
+    formatPhoneCell(order),                                      // Phone (as shown and check on hover)
+    formatAddressCell(order),                                    // Address (full, will wrap - parts on hover)
+    order.items || '-',                                          // Items (full, will wrap)
+    formatRegionAmount(order.total_amount, getOrderCurrency(order)), // Total
+    order.payment_method || '-',                                 // Payment
+    formatOrderStatus(order),                                    // Status (history on hover)
+    getOrderTab(getOrderSourceTab(order)).label                  // Source tab
+  ];
+}
+
+// DataTables server-side source - reads one page from the (shop) order time index
+function fetchOrderPage(request, callback) {
+  var filter = getOrderFilter(request.search && request.search.value);
+  var direction = request.order && request.order[0] && request.order[0].dir === 'asc' ? 'next' : 'prev';
+  var query = getShopQuery(direction);
+  query.filter = filter;
+  query.offset = request.start;
+  query.limit = request.length < 0 ? undefined : request.length;
+
+  Promise.all([
+    countShopOrders(),
+    countMatchingOrders(filter),
+    queryOrders(query).then(revealPage)
+  ]).then(function(results) {
+    return prepareExportCells(results[2]).then(function() {
+      return results;
+    });
+  }).then(function(results) {
+    callback({
+      draw: request.draw,
+      recordsTotal: results[0],
+      recordsFiltered: results[1],
+      data: results[2].map(toTableRow)
+    });
+  }).catch(function(error) {
+    console.error('[Dashboard] Error loading orders page:', error);
+    callback({ draw: request.draw, recordsTotal: 0, recordsFiltered: 0, data: [] });
+  });
+}
+
+// Apply the export privacy profile to the customer cells of the page shown
+// (DataTables export buttons are synchronous, so the hashes are computed up front)
+function prepareExportCells(orders) {
+  var profile = exportProfile;
+  var request = ++exportCellsRequest;
+  exportCells = null;
+  if (profile === 'full') return Promise.resolve();
+
+  // Orders still locked have no customer details to export
+  return applyExportProfile(orders, profile).then(function(profiled) {
+    if (request !== exportCellsRequest) return;
+    exportCells = {
+      profile: profile,
+      rows: profiled.map(function(order) {
+        return [order.customer_name || '', order.phone_number || '', order.full_address || ''];
+      })
+    };
+  });
+}
+
+// Export button cell - customer columns follow the privacy profile
+// (replaces the buttons' default formatter, so the cell HTML is stripped here).
+// Until the page's cells are ready for the profile (or if preparing them
+// failed), the customer columns are exported blank rather than as shown
+function formatExportCell(data, row, column) {
+  var index = CUSTOMER_COLUMNS.indexOf(column);
+  var cell = data;
+  if (index !== -1 && exportProfile !== 'full') {
+    var ready = exportCells && exportCells.profile === exportProfile && exportCells.rows[row];
+    cell = ready ? exportCells.rows[row][index] : '';
+  }
+  return $.fn.dataTable.Buttons.stripData(cell, null);
+}
+
+// File name of the table's CSV/Excel exports, e.g. tiktok_orders_2025-01-31_masked
+function getTableExportFilename() {
+  return 'tiktok_orders_' + new Date().toISOString().split('T')[0] + getExportProfile(exportProfile).fileSuffix;
+}
+
+// Export button that downloads the page and adds it to the export history
+function createExportButton(extend, format, text) {
+  return {
+    extend: extend,
+    text: text,
+    filename: getTableExportFilename,
+    exportOptions: {
+      columns: ':visible',
+      format: { body: formatExportCell }
+    },
+    action: function(event, dt, button, config) {
+      $.fn.dataTable.ext.buttons[extend + 'Html5'].action.call(this, event, dt, button, config);
+      chrome.runtime.sendMessage({
+        type: 'RECORD_EXPORT',
+        format: format,
+        count: dt.rows().count(),
+        filename: getTableExportFilename() + '.' + format.toLowerCase(),
+        shopCode: shopFilter || null,
+        profile: exportProfile
+      }, function() {
+        loadExportHistory();
+      });
+    }
+  };
+}
+
 // Render DataTable
-function renderTable() {
+function renderTable(visibleCount) {
   var loadingState = document.getElementById('loadingState');
   var emptyState = document.getElementById('emptyState');
   var tableContainer = document.getElementById('tableContainer');
 
   loadingState.style.display = 'none';
 
-  if (orders.length === 0) {
+  if (visibleCount === 0) {
     emptyState.style.display = 'block';
     tableContainer.style.display = 'none';
     if (dataTable) {
@@ -191,70 +542,50 @@ function renderTable() {
   emptyState.style.display = 'none';
   tableContainer.style.display = 'block';
 
-  // Prepare table data - columns: Date, Order ID, Customer, Phone, Address, Items, Total, Payment
-  var tableData = orders.map(function(order) {
-    return [
-      order.order_date || '-',                                    // Date Order (Time created)
-      order.order_id || '-',                                       // Order ID
-      order.customer_name || '-',                                  // Customer
-      order.phone_number || '-',                                   // Phone
-      order.full_address || '-',                                   // Address (full, will wrap)
-      order.items || '-',                                          // Items (full, will wrap)
-      'RM ' + parseFloat(order.total_amount || 0).toFixed(2),     // Total
-      order.payment_method || '-'                                  // Payment
-    ];
-  });
-
   if (dataTable) {
-    dataTable.clear();
-    dataTable.rows.add(tableData);
-    dataTable.draw();
+    dataTable.ajax.reload(null, false); // Stay on the current page
   } else {
+    // Export buttons copy the rows of the page shown - the popup exports every order
     dataTable = $('#ordersTable').DataTable({
-      data: tableData,
+      serverSide: true,
+      ajax: fetchOrderPage,
+      searchDelay: 400,
       responsive: false,  // Disable responsive to show all columns
       scrollX: true,      // Enable horizontal scroll
       pageLength: 25,
       order: [[0, 'desc']],  // Sort by date descending
       dom: 'Bfrtip',
       buttons: [
-        {
-          extend: 'csv',
-          text: 'Export CSV',
-          filename: 'tiktok_orders_' + new Date().toISOString().split('T')[0],
-          exportOptions: {
-            columns: ':visible'
-          }
-        },
-        {
-          extend: 'excel',
-          text: 'Export Excel',
-          filename: 'tiktok_orders_' + new Date().toISOString().split('T')[0],
-          exportOptions: {
-            columns: ':visible'
-          }
-        },
+        createExportButton('csv', 'CSV', 'Export CSV'),
+        createExportButton('excel', 'XLSX', 'Export Excel'),
         {
           extend: 'print',
           text: 'Print',
           exportOptions: {
-            columns: ':visible'
+            columns: ':visible',
+            format: { body: formatExportCell }
           }
         },
         {
           extend: 'copy',
-          text: 'Copy'
+          text: 'Copy',
+          exportOptions: {
+            format: { body: formatExportCell }
+          }
         }
       ],
       columnDefs: [
-        { targets: 0, width: '130px' },   // Date
+        { targets: '_all', orderable: false }, // Only the date has an index to sort by
+        { targets: 0, width: '130px', orderable: true },   // Date
         { targets: 1, width: '150px' },   // Order ID
         { targets: 2, width: '150px' },   // Customer
         { targets: 3, width: '120px' },   // Phone
         { targets: 4, width: '250px', className: 'wrap-text' },  // Address - wrap
         { targets: 5, width: '300px', className: 'wrap-text' },  // Items - wrap
         { targets: 6, width: '80px' },    // Total
-        { targets: 7, width: '120px' }    // Payment
+        { targets: 7, width: '120px' },   // Payment
+        { targets: 8, width: '140px' },   // Status
+        { targets: 9, width: '100px' }    // Tab
       ],
       language: {
         search: "Search:",
@@ -267,6 +598,167 @@ function renderTable() {
   }
 }
 
+// Load the customer book (the selected shop's customers) with the details of each customer's latest order
+function loadCustomers() {
+  if (typeof indexedDB === 'undefined') return;
+
+  var customers = [];
+  getCustomers(shopFilter).then(function(result) {
+    customers = result;
+    return getOrders(customers.map(function(customer) {
+      return customer.latest_order_id;
+    })).then(revealPage);
+  }).then(function(orders) {
+    var ordersById = {};
+    orders.forEach(function(order) {
+      ordersById[order.order_id] = order;
+    });
+    renderCustomers(customers, ordersById);
+  }).catch(function(error) {
+    console.error('[Dashboard] Error loading customers:', error);
+  });
+}
+
+// Rebuild the whole customer book now (runs link their own orders when they end), then show it
+function updateCustomers() {
+  chrome.runtime.sendMessage({ type: 'UPDATE_CUSTOMER_BOOK' }, function() {
+    loadCustomers();
+    loadOrders();
+  });
+}
+
+// Download the customer book (the background reveals and profiles the customer details)
+function exportCustomers(type) {
+  chrome.runtime.sendMessage({ type: type, shopCode: shopFilter, profile: exportProfile }, function(response) {
+    if (response && response.error) {
+      alert('Could not export customers: ' + response.error);
+      if (response.locked) document.getElementById('piiPassphrase').focus();
+      return;
+    }
+    loadExportHistory();
+  });
+}
+
+// Customers table row - dates and spend sort on their numbers
+function toCustomerRow(customer, order) {
+  var spend = customer.total_spend || {};
+  var currencies = Object.keys(spend);
+  return {
+    name: formatCustomerName(order),
+    phone: formatPhoneCell(order),
+    orders: customer.order_count,
+    first: { display: escapeHtml(customer.first_order_date || '-'), time: customer.first_order_at || 0 },
+    last: { display: escapeHtml(customer.last_order_date || '-'), time: customer.last_order_at || 0 },
+    spend: {
+      display: currencies.map(function(currency) {
+        return formatRegionAmount(spend[currency], currency);
+      }).join(' · ') || '-',
+      total: currencies.reduce(function(sum, currency) {
+        return sum + spend[currency];
+      }, 0)
+    },
+    products: escapeHtml(formatFavoriteProducts(customer.favorite_products) || '-'),
+    id: escapeHtml(customer.customer_id)
+  };
+}
+
+// Render the customers table
+function renderCustomers(customers, ordersById) {
+  var empty = customers.length === 0;
+  document.getElementById('emptyCustomersState').style.display = empty ? 'block' : 'none';
+  document.getElementById('customersTableContainer').style.display = empty ? 'none' : 'block';
+
+  var rows = customers.map(function(customer) {
+    return toCustomerRow(customer, ordersById[customer.latest_order_id] || {});
+  });
+
+  if (customersTable) {
+    customersTable.clear().rows.add(rows).draw(false); // Stay on the current page
+    return;
+  }
+  customersTable = $('#customersTable').DataTable({
+    data: rows,
+    pageLength: 10,
+    scrollX: true,
+    order: [[4, 'desc']], // Most recent order first
+    columns: [
+      { data: 'name', width: '150px' },
+      { data: 'phone', width: '120px' },
+      { data: 'orders', width: '60px' },
+      { data: 'first', render: { _: 'display', sort: 'time' }, width: '130px' },
+      { data: 'last', render: { _: 'display', sort: 'time' }, width: '130px' },
+      { data: 'spend', render: { _: 'display', sort: 'total' }, width: '110px' },
+      { data: 'products', className: 'wrap-text', width: '300px' },
+      { data: 'id', width: '180px' }
+    ],
+    language: {
+      search: "Search:",
+      lengthMenu: "Show _MENU_ customers",
+      info: "Showing _START_ to _END_ of _TOTAL_ customers",
+      infoEmpty: "No customers found",
+      emptyTable: "No customers available"
+    }
+  });
+}
+
+// Customer cell - list-only orders have no customer details yet, purged orders none any more
+function formatCustomerName(order) {
+  if (isOrderPiiEncrypted(order)) return LOCKED_CELL;
+  if (order.pii_redacted_at) {
+    return '<em style="color: #999;" title="Customer details redacted on ' + escapeHtml(order.pii_redacted_at.split('T')[0]) + '">Redacted</em>';
+  }
+  if (order.customer_revealed === false) {
+    return '<em style="color: #999;" title="Stored from the order list - run a normal export to fill in the customer details">Not revealed</em>';
+  }
+  return escapeHtml(order.customer_name || '-');
+}
+
+// Phone cell - E.164 number, with the number as shown, its type and check on hover
+// (numbers that fail the check are red)
+function formatPhoneCell(order) {
+  if (isOrderPiiEncrypted(order)) return LOCKED_CELL;
+  if (!order.phone_number) return '-';
+
+  var details = [
+    order.phone_raw ? 'As shown: ' + order.phone_raw : '',
+    PHONE_TYPE_LABELS[order.phone_type] || '',
+    describePhoneCheck(order)
+  ].filter(Boolean).join('\n');
+  var style = (order.phone_flags || []).length > 0 ? 'color: #dc3545; border-bottom: 1px dotted;' : 'border-bottom: 1px dotted;';
+  return '<span title="' + escapeHtml(details) + '" style="' + style + '">' + escapeHtml(order.phone_number) + '</span>';
+}
+
+// Address cell - full address, with its parts and parse confidence on hover
+// (addresses parsed with low confidence are red)
+function formatAddressCell(order) {
+  if (isOrderPiiEncrypted(order)) return LOCKED_CELL;
+  if (!order.full_address) return '-';
+  if (!order.address_confidence) return escapeHtml(order.full_address);
+
+  var details = [
+    order.address_line1,
+    order.address_line2,
+    [order.address_postcode, order.address_city].filter(Boolean).join(' '),
+    order.address_state,
+    'Confidence: ' + describeAddressConfidence(order)
+  ].filter(Boolean).join('\n');
+  var style = order.address_confidence === 'low' ? ' style="color: #dc3545;"' : '';
+  return '<span title="' + escapeHtml(details) + '"' + style + '>' + escapeHtml(order.full_address) + '</span>';
+}
+
+// Status cell - refreshed orders show their status changes on hover
+function formatOrderStatus(order) {
+  var status = escapeHtml(getStoredOrderStatus(order));
+  var history = order.status_history || [];
+  if (history.length === 0) return status;
+
+  var changes = history.map(function(entry) {
+    var when = entry.at ? new Date(entry.at).toLocaleString() : '-';
+    return when + ': ' + entry.order_status + (entry.tracking_number ? ' (' + entry.tracking_number + ')' : '');
+  }).join('\n');
+  return '<span title="' + escapeHtml(changes) + '" style="border-bottom: 1px dotted;">' + status + ' ↻</span>';
+}
+
 // Clear all data
 function clearAllData() {
   if (!confirm('Are you sure you want to clear ALL exported orders? This cannot be undone.')) {
@@ -275,11 +767,15 @@ function clearAllData() {
 
   try {
     if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-      chrome.storage.local.remove(['exportedOrders', 'sessionState'], function() {
-        orders = [];
-        updateStats();
-        renderTable();
-        alert('All data cleared successfully!');
+      clearOrders().then(clearCustomers).then(function() {
+        chrome.storage.local.remove(['sessionState'], function() {
+          loadOrders();
+          loadCustomers();
+          alert('All data cleared successfully!');
+        });
+      }).catch(function(error) {
+        console.error('Error clearing data:', error);
+        alert('Failed to clear data: ' + error.message);
       });
     }
   } catch (error) {
@@ -307,21 +803,22 @@ function debugStorage() {
     return;
   }
 
-  // Get ALL storage data
+  // Get ALL storage data, plus the size of the order store
   chrome.storage.local.get(null, function(items) {
     debugLog('ALL storage items:', items);
     debugLog('Storage keys:', Object.keys(items));
 
-    if (items.exportedOrders) {
-      debugLog('exportedOrders count:', items.exportedOrders.length);
-    } else {
-      debugLog('exportedOrders is EMPTY or UNDEFINED');
-    }
-
-    // Show alert with summary
-    var keys = Object.keys(items);
-    var orderCount = items.exportedOrders ? items.exportedOrders.length : 0;
-    alert('Storage Keys: ' + keys.join(', ') + '\n\nExported Orders: ' + orderCount + '\n\nCheck console (F12) for full data.');
+    countOrders().then(function(orderCount) {
+      debugLog('Order store count:', orderCount);
+      return orderCount;
+    }, function(error) {
+      debugLog('Order store error:', error);
+      return 'unavailable (' + error.message + ')';
+    }).then(function(orderCount) {
+      // Show alert with summary
+      var keys = Object.keys(items);
+      alert('Storage Keys: ' + keys.join(', ') + '\n\nExported Orders: ' + orderCount + '\n\nCheck console (F12) for full data.');
+    });
   });
 }
 
@@ -337,9 +834,9 @@ function loadExportHistory() {
           return;
         }
 
-        var history = result.exportHistory || [];
-        debugLog('Loaded', history.length, 'history entries');
-        renderExportHistory(history);
+        exportHistory = result.exportHistory || [];
+        debugLog('Loaded', exportHistory.length, 'history entries');
+        renderExportHistory(exportHistory);
       });
     }
   } catch (error) {
@@ -347,12 +844,18 @@ function loadExportHistory() {
   }
 }
 
-// Render export history table
+// Render export history table (the selected shop's exports)
 function renderExportHistory(history) {
   var emptyHistoryState = document.getElementById('emptyHistoryState');
   var historyTable = document.getElementById('historyTable');
   var historyBody = document.getElementById('historyBody');
 
+  if (shopFilter !== null) {
+    history = (history || []).filter(function(entry) {
+      return entry.shopCode === shopFilter;
+    });
+  }
+
   if (!history || history.length === 0) {
     emptyHistoryState.style.display = 'block';
     historyTable.style.display = 'none';
@@ -374,7 +877,9 @@ function renderExportHistory(history) {
     html += '<tr>';
     html += '<td>' + formattedDate + '</td>';
     html += '<td>' + formatBadge + '</td>';
-    html += '<td>' + entry.count + ' orders</td>';
+    html += '<td>' + entry.count + (entry.kind === 'customers' ? ' customers' : ' orders') + '</td>';
+    html += '<td>' + (entry.shopCode ? escapeHtml(formatShopLabel(knownShops[entry.shopCode] || { code: entry.shopCode })) : 'All shops') + '</td>';
+    html += '<td>' + getExportProfile(entry.profile).label + '</td>';
     html += '<td style="font-size: 12px; color: #666;">' + (entry.filename || '-') + '</td>';
     html += '</tr>';
   });
@@ -399,3 +904,90 @@ function clearExportHistory() {
     console.error('[Dashboard] Error clearing history:', error);
   }
 }
+
+// Load the failed-orders store (kept by the background)
+function loadFailedOrders() {
+  try {
+    if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
+      chrome.runtime.sendMessage({ type: 'GET_FAILED_ORDERS' }, function(response) {
+        if (chrome.runtime.lastError) {
+          console.error('[Dashboard] Error loading failed orders:', chrome.runtime.lastError.message);
+          return;
+        }
+        if (response && response.success) {
+          renderFailedOrders(response.failedOrders);
+        }
+      });
+    }
+  } catch (error) {
+    console.error('[Dashboard] Error loading failed orders:', error);
+  }
+}
+
+// Escape text for the table HTML and its attributes (failure reasons are error messages)
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Render failed orders table
+function renderFailedOrders(failedOrders) {
+  var emptyFailedState = document.getElementById('emptyFailedState');
+  var failedTable = document.getElementById('failedTable');
+  var failedBody = document.getElementById('failedBody');
+
+  if (!failedOrders || failedOrders.length === 0) {
+    emptyFailedState.style.display = 'block';
+    failedTable.style.display = 'none';
+    failedBody.innerHTML = '';
+    return;
+  }
+
+  emptyFailedState.style.display = 'none';
+  failedTable.style.display = 'table';
+
+  var html = '';
+  failedOrders.forEach(function(order) {
+    var lastFailed = new Date(order.lastFailedAt);
+    var reason = escapeHtml(order.reason) + (order.blocked ? ' <span title="Blocked by TikTok privacy">🔒</span>' : '');
+    var data = ' data-order-id="' + escapeHtml(order.order_id) + '" data-region="' + escapeHtml(order.region) + '"';
+
+    html += '<tr>';
+    html += '<td>' + escapeHtml(order.order_id) + '</td>';
+    html += '<td>' + reason + '</td>';
+    html += '<td>' + order.attempts + '</td>';
+    html += '<td>' + lastFailed.toLocaleDateString() + ' ' + lastFailed.toLocaleTimeString() + '</td>';
+    html += '<td>' + getOrderTab(order.tab).label + ' · ' + getRegionProfile(order.region).code + '</td>';
+    html += '<td>';
+    html += '<button class="btn btn-primary btn-sm" data-action="retry"' + data + '>Retry</button> ';
+    html += '<button class="btn btn-secondary btn-sm" data-action="dismiss"' + data + '>Dismiss</button>';
+    html += '</td>';
+    html += '</tr>';
+  });
+
+  failedBody.innerHTML = html;
+}
+
+// Retry one failed order in a new run, or drop it from the list
+function handleFailedOrderAction(action, orderId, region) {
+  if (action === 'dismiss') {
+    chrome.runtime.sendMessage({ type: 'DISMISS_FAILED_ORDERS', orderIds: [orderId] });
+    return;
+  }
+
+  chrome.runtime.sendMessage({
+    type: 'START_EXPORT',
+    mode: 'retry-failed',
+    orderIds: [orderId],
+    region: region
+  }, function(response) {
+    if (response && response.error) {
+      alert('Could not retry order: ' + response.error);
+    } else if (response && response.success) {
+      alert('Retrying order ' + orderId + ' - follow the progress in the extension popup.');
+    }
+  });
+}
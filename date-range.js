@@ -0,0 +1,116 @@
+/**
+ * Date Range helpers for TikTok Order Exporter
+ *
+ * Date filters are passed around as { startDate, endDate, preset } with
+ * dates in YYYY-MM-DD (local time). Older sessions used { date } for a
+ * single day - normalizeDateFilter() upgrades those.
+ *
+ * Shared script - loaded by background.js (importScripts), the content
+ * script list in manifest.json and popup.html.
+ */
+
+const DATE_RANGE_PRESETS = {
+  today: 'Today',
+  yesterday: 'Yesterday',
+  last7Days: 'Last 7 days',
+  last30Days: 'Last 30 days',
+  thisMonth: 'This month',
+  custom: 'Custom range'
+};
+
+/**
+ * Format a Date as YYYY-MM-DD in local time
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Resolve a preset into a concrete date range
+ * Presets are resolved at start time, so "yesterday" always means yesterday
+ * @param {string} preset - Key of DATE_RANGE_PRESETS (except custom)
+ * @param {Date} now - Reference date (defaults to now)
+ * @returns {Object|null} - { startDate, endDate, preset } or null for unknown/custom presets
+ */
+function resolveDatePreset(preset, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const daysAgo = (days) => new Date(today.getFullYear(), today.getMonth(), today.getDate() - days);
+
+  switch (preset) {
+    case 'today':
+      return { startDate: formatLocalDate(today), endDate: formatLocalDate(today), preset };
+    case 'yesterday':
+      return { startDate: formatLocalDate(daysAgo(1)), endDate: formatLocalDate(daysAgo(1)), preset };
+    case 'last7Days':
+      return { startDate: formatLocalDate(daysAgo(6)), endDate: formatLocalDate(today), preset };
+    case 'last30Days':
+      return { startDate: formatLocalDate(daysAgo(29)), endDate: formatLocalDate(today), preset };
+    case 'thisMonth':
+      return {
+        startDate: formatLocalDate(new Date(today.getFullYear(), today.getMonth(), 1)),
+        endDate: formatLocalDate(today),
+        preset
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Normalize a date filter into { startDate, endDate, preset }
+ * Accepts the legacy single-date shape { date } and swaps reversed ranges
+ * @param {Object} filter - Date filter from a message or saved session
+ * @returns {Object|null} - Normalized filter or null if no dates are set
+ */
+function normalizeDateFilter(filter) {
+  if (!filter) return null;
+
+  let startDate = filter.startDate || filter.date || null;
+  let endDate = filter.endDate || filter.date || startDate;
+  if (!startDate) return null;
+
+  if (endDate < startDate) {
+    [startDate, endDate] = [endDate, startDate];
+  }
+
+  return { startDate, endDate, preset: filter.preset || 'custom' };
+}
+
+/**
+ * Describe a date filter for logs, e.g. "2025-01-01 to 2025-01-07"
+ * @param {Object} filter - Normalized date filter
+ * @returns {string}
+ */
+function describeDateFilter(filter) {
+  if (!filter) return 'All dates';
+  if (filter.startDate === filter.endDate) return filter.startDate;
+  return `${filter.startDate} to ${filter.endDate}`;
+}
+
+/**
+ * Get the newest date-time shown in a Seller Center text
+ * Order rows show times as "15/01/2025 10:32" (DD/MM/YYYY) or "2025-01-15 10:32:05"
+ * @param {string} text - Text of an order row
+ * @returns {number|null} - Local timestamp in ms, or null if the text has no date-time
+ */
+function parseNewestListTime(text) {
+  const patterns = [
+    { regex: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?/g, order: [3, 2, 1] },
+    { regex: /\b(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/g, order: [1, 2, 3] }
+  ];
+
+  let newest = null;
+  for (const { regex, order } of patterns) {
+    for (const match of (text || '').matchAll(regex)) {
+      const [year, month, day] = order.map(index => Number(match[index]));
+      const time = new Date(year, month - 1, day, Number(match[4]), Number(match[5]), Number(match[6] || 0)).getTime();
+      if (newest === null || time > newest) newest = time;
+    }
+  }
+  return newest;
+}
+
@@ -0,0 +1,214 @@
+/**
+ * Schema Migrations for TikTok Order Exporter
+ *
+ * Stored order records and settings carry the schema version that wrote
+ * them (`schema_version` on each order, `settingsSchemaVersion` in
+ * chrome.storage.local). Records and settings of an older version are
+ * upgraded step by step when the extension is installed or updated, so
+ * orders exported by old versions export with the same columns as new ones.
+ *
+ * Shared script - loaded by background.js (importScripts) after
+ * order-store.js, order-tabs.js and scheduler.js (phone-numbers.js and
+ * addresses.js are loaded later - steps only call them when they run).
+ */
+
+const SETTINGS_VERSION_KEY = 'settingsSchemaVersion';
+const MIGRATION_REPORT_KEY = 'migrationReport'; // Outcome of the last migration run
+
+// Upgrade steps of an order record, oldest first
+// Records without a schema_version are version 0. Each step fills in what the
+// records of the version before it lack; migrate() changes a copy.
+const ORDER_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Page, region and currency',
+    migrate(order) {
+      if (!order.page) order.page = 1;
+      if (!order.region) order.region = (getRegionByCurrency(order.currency) || getRegionProfile(DEFAULT_REGION)).code;
+      if (!order.currency) order.currency = getRegionProfile(order.region).currency;
+    }
+  },
+  {
+    version: 2,
+    description: 'Source tab, status and tracking number',
+    migrate(order) {
+      order.source_tab = getOrderSourceTab(order);
+      order.order_status = getStoredOrderStatus(order);
+      if (order.tracking_number === undefined) order.tracking_number = '';
+    }
+  },
+  {
+    version: 3,
+    description: 'Field sources and customer details flag',
+    migrate(order) {
+      if (order.field_sources === undefined) order.field_sources = null;
+      if (order.customer_revealed === undefined) order.customer_revealed = true;
+    }
+  },
+  {
+    version: 4,
+    description: 'Shop and run',
+    migrate(order) {
+      if (!order.shop_code) order.shop_code = UNKNOWN_SHOP;
+      if (order.shop_name === undefined) order.shop_name = null;
+      if (order.run_id === undefined) order.run_id = null;
+    }
+  },
+  {
+    version: 5,
+    description: 'Phone number in E.164 form',
+    migrate(order) {
+      // Encrypted phone numbers are normalized once decrypted
+      Object.assign(order, normalizeOrderPhone(order));
+    }
+  },
+  {
+    version: 6,
+    description: 'Address parts and parse confidence',
+    migrate(order) {
+      // Encrypted addresses are parsed once decrypted
+      Object.assign(order, normalizeOrderAddress(order));
+    }
+  }
+];
+
+const ORDER_SCHEMA_VERSION = ORDER_MIGRATIONS[ORDER_MIGRATIONS.length - 1].version;
+
+// Upgrade steps of the settings in chrome.storage.local, oldest first
+// migrate(settings) gets the stored settings and returns { set, remove }
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Single export date becomes a date range',
+    keys: ['filterDate', 'filterStartDate', 'datePreset'],
+    migrate(settings) {
+      if (!settings.filterDate) return {};
+      const set = settings.filterStartDate ? {} : {
+        filterStartDate: settings.filterDate,
+        filterEndDate: settings.filterDate,
+        datePreset: settings.datePreset || 'custom'
+      };
+      return { set, remove: ['filterDate'] };
+    }
+  },
+  {
+    version: 2,
+    description: 'Scheduled export gets every field',
+    keys: ['scheduledExport'],
+    migrate(settings) {
+      if (!settings.scheduledExport) return {};
+      return { set: { scheduledExport: normalizeSchedule(settings.scheduledExport) } };
+    }
+  }
+];
+
+const SETTINGS_SCHEMA_VERSION = SETTINGS_MIGRATIONS[SETTINGS_MIGRATIONS.length - 1].version;
+
+/**
+ * Get the schema version of a stored order
+ * @param {Object} order - Order record
+ * @returns {number}
+ */
+function getOrderSchemaVersion(order) {
+  return Number(order.schema_version) || 0;
+}
+
+/**
+ * Upgrade an order record to the current schema version
+ * @param {Object} order - Stored order record
+ * @returns {{order: Object, steps: number[]}} - Upgraded copy and the versions of the steps applied
+ */
+function migrateOrderRecord(order) {
+  const from = getOrderSchemaVersion(order);
+  const upgraded = { ...order };
+  const steps = [];
+
+  for (const step of ORDER_MIGRATIONS) {
+    if (step.version <= from) continue;
+    step.migrate(upgraded);
+    steps.push(step.version);
+  }
+  if (steps.length > 0) upgraded.schema_version = ORDER_SCHEMA_VERSION;
+  return { order: upgraded, steps };
+}
+
+/**
+ * Upgrade every stored order of an older schema version
+ * @returns {Promise<{migrated: number, steps: Object}>} - Orders upgraded, and per step version how many
+ */
+async function migrateStoredOrders() {
+  const steps = {};
+  const migrated = await updateEachOrder((order) => {
+    if (getOrderSchemaVersion(order) >= ORDER_SCHEMA_VERSION) return null;
+
+    const result = migrateOrderRecord(order);
+    result.steps.forEach(version => { steps[version] = (steps[version] || 0) + 1; });
+    return result.order;
+  });
+  return { migrated, steps };
+}
+
+/**
+ * Upgrade the stored settings to the current schema version
+ * @returns {Promise<{from: number, to: number, steps: Object[]}>} - Steps that changed a setting: { version, description, changed }
+ */
+async function migrateSettings() {
+  const stored = await chrome.storage.local.get(null);
+  const from = Number(stored[SETTINGS_VERSION_KEY]) || 0;
+  const steps = [];
+
+  for (const step of SETTINGS_MIGRATIONS) {
+    if (step.version <= from) continue;
+
+    const settings = await chrome.storage.local.get(step.keys);
+    const { set = {}, remove = [] } = step.migrate(settings);
+    if (Object.keys(set).length > 0) await chrome.storage.local.set(set);
+    if (remove.length > 0) await chrome.storage.local.remove(remove);
+
+    const changed = [...Object.keys(set), ...remove];
+    if (changed.length > 0) steps.push({ version: step.version, description: step.description, changed });
+  }
+
+  await chrome.storage.local.set({ [SETTINGS_VERSION_KEY]: SETTINGS_SCHEMA_VERSION });
+  return { from, to: SETTINGS_SCHEMA_VERSION, steps };
+}
+
+/**
+ * Upgrade stored orders and settings, and keep a report of what changed
+ * @param {string} reason - chrome.runtime.onInstalled reason ('install', 'update', ...)
+ * @returns {Promise<Object>} - Report: { ranAt, reason, orders, settings } (also stored as migrationReport)
+ */
+async function runMigrations(reason) {
+  const orders = await migrateStoredOrders();
+  const settings = await migrateSettings();
+
+  const report = {
+    ranAt: new Date().toISOString(),
+    reason: reason || null,
+    orders: {
+      version: ORDER_SCHEMA_VERSION,
+      migrated: orders.migrated,
+      steps: ORDER_MIGRATIONS
+        .filter(step => orders.steps[step.version])
+        .map(step => ({ version: step.version, description: step.description, count: orders.steps[step.version] }))
+    },
+    settings
+  };
+  await chrome.storage.local.set({ [MIGRATION_REPORT_KEY]: report });
+  return report;
+}
+
+/**
+ * Describe a migration report for logs, e.g. "12 orders upgraded to v4, settings v0 → v2"
+ * @param {Object} report - Report from runMigrations()
+ * @returns {string}
+ */
+function describeMigrationReport(report) {
+  const orders = report.orders.migrated > 0
+    ? `${report.orders.migrated} orders upgraded to v${report.orders.version}`
+    : `orders up to date (v${report.orders.version})`;
+  const settings = report.settings.from < report.settings.to
+    ? `settings v${report.settings.from} → v${report.settings.to}`
+    : `settings up to date (v${report.settings.to})`;
+  return `${orders}, ${settings}`;
+}
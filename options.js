@@ -0,0 +1,536 @@
+/**
+ * Options Page Script for TikTok Order Exporter
+ * Scheduled export job (saved by the background, which arms chrome.alarms),
+ * the log of scheduled run outcomes, the selector pack import, customer
+ * data encryption and retention (with the purge audit) and the outcome of
+ * the last stored data migration
+ */
+
+const DEBUG = false; // Set to true for verbose logging
+function debugLog(...args) {
+  if (DEBUG) console.log('[Options]', ...args);
+}
+
+// DOM Elements
+const scheduleEnabled = document.getElementById('scheduleEnabled');
+const scheduleFrequency = document.getElementById('scheduleFrequency');
+const scheduleWeekday = document.getElementById('scheduleWeekday');
+const scheduleWeekdayLabel = document.getElementById('scheduleWeekdayLabel');
+const scheduleTime = document.getElementById('scheduleTime');
+const scheduleRegion = document.getElementById('scheduleRegion');
+const scheduleTab = document.getElementById('scheduleTab');
+const scheduleDatePreset = document.getElementById('scheduleDatePreset');
+const scheduleStartPage = document.getElementById('scheduleStartPage');
+const scheduleEndPage = document.getElementById('scheduleEndPage');
+const scheduleAllPages = document.getElementById('scheduleAllPages');
+const scheduleWorkers = document.getElementById('scheduleWorkers');
+const scheduleDownloadCsv = document.getElementById('scheduleDownloadCsv');
+const scheduleDownloadXlsx = document.getElementById('scheduleDownloadXlsx');
+const nextRun = document.getElementById('nextRun');
+const saveScheduleBtn = document.getElementById('saveScheduleBtn');
+const runNowBtn = document.getElementById('runNowBtn');
+const saveStatus = document.getElementById('saveStatus');
+const scheduleLogBody = document.getElementById('scheduleLogBody');
+const selectorPackInfo = document.getElementById('selectorPackInfo');
+const importPackBtn = document.getElementById('importPackBtn');
+const exportPackBtn = document.getElementById('exportPackBtn');
+const resetPackBtn = document.getElementById('resetPackBtn');
+const packFileInput = document.getElementById('packFileInput');
+const packStatus = document.getElementById('packStatus');
+const packErrors = document.getElementById('packErrors');
+const schemaInfo = document.getElementById('schemaInfo');
+const migrationSteps = document.getElementById('migrationSteps');
+const piiStatus = document.getElementById('piiStatus');
+const piiPassphrase = document.getElementById('piiPassphrase');
+const piiPassphraseConfirm = document.getElementById('piiPassphraseConfirm');
+const piiConfirmLabel = document.getElementById('piiConfirmLabel');
+const piiAutoLock = document.getElementById('piiAutoLock');
+const piiEnableBtn = document.getElementById('piiEnableBtn');
+const piiUnlockBtn = document.getElementById('piiUnlockBtn');
+const piiLockBtn = document.getElementById('piiLockBtn');
+const piiDisableBtn = document.getElementById('piiDisableBtn');
+const piiSaveStatus = document.getElementById('piiSaveStatus');
+const retentionEnabled = document.getElementById('retentionEnabled');
+const retentionDays = document.getElementById('retentionDays');
+const retentionLastRun = document.getElementById('retentionLastRun');
+const saveRetentionBtn = document.getElementById('saveRetentionBtn');
+const purgeNowBtn = document.getElementById('purgeNowBtn');
+const retentionStatus = document.getElementById('retentionStatus');
+const erasePhone = document.getElementById('erasePhone');
+const eraseName = document.getElementById('eraseName');
+const eraseCustomerBtn = document.getElementById('eraseCustomerBtn');
+const eraseStatus = document.getElementById('eraseStatus');
+const purgeAuditBody = document.getElementById('purgeAuditBody');
+
+let activePack = null; // Active selector pack, as built by the background
+
+/**
+ * Add options to a select
+ * @param {HTMLSelectElement} select
+ * @param {Array<[string, string]>} entries - [value, label] pairs
+ */
+function fillSelect(select, entries) {
+  for (const [value, label] of entries) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+}
+
+/**
+ * Send a message to the background and wait for the reply
+ */
+function sendMessage(message) {
+  return new Promise(resolve => chrome.runtime.sendMessage(message, resolve));
+}
+
+// Initialize on page open
+async function init() {
+  fillSelect(scheduleFrequency, Object.entries(SCHEDULE_FREQUENCIES));
+  fillSelect(scheduleWeekday, SCHEDULE_WEEKDAYS.map((day, index) => [String(index), day]));
+  fillSelect(scheduleRegion, Object.values(REGION_PROFILES).map(profile => [profile.code, `${profile.name} (${profile.currency})`]));
+  fillSelect(scheduleTab, Object.values(ORDER_TABS).map(tab => [tab.key, tab.label]));
+  // Custom ranges are fixed dates - a repeating job needs a relative preset
+  fillSelect(scheduleDatePreset, Object.entries(DATE_RANGE_PRESETS).filter(([key]) => key !== 'custom'));
+  fillSelect(retentionDays, RETENTION_DAY_OPTIONS.map(days => [String(days), days === 365 ? '1 year' : `${days} days`]));
+  fillSelect(piiAutoLock, PII_AUTO_LOCK_OPTIONS.map(minutes => [String(minutes), minutes < 60 ? `${minutes} minutes` : `${minutes / 60} hour${minutes > 60 ? 's' : ''}`]));
+
+  const response = await sendMessage({ type: 'GET_SCHEDULE' });
+  if (response && response.success) {
+    showSchedule(response.schedule, response.nextRunAt);
+    renderScheduleLog(response.log);
+  }
+
+  const packResponse = await sendMessage({ type: 'GET_SELECTOR_PACK' });
+  if (packResponse && packResponse.success) {
+    showSelectorPack(packResponse.pack, packResponse.bundledVersion);
+  }
+
+  await loadPiiStatus();
+  await loadRetention();
+
+  const migrationResponse = await sendMessage({ type: 'GET_MIGRATION_REPORT' });
+  if (migrationResponse && migrationResponse.success) {
+    showMigrationReport(migrationResponse);
+  }
+}
+
+/**
+ * Fill the form from a saved schedule
+ */
+function showSchedule(schedule, nextRunAt) {
+  scheduleEnabled.checked = schedule.enabled;
+  scheduleFrequency.value = schedule.frequency;
+  scheduleWeekday.value = String(schedule.weekday);
+  scheduleTime.value = schedule.time;
+  scheduleRegion.value = schedule.region;
+  scheduleTab.value = schedule.tab;
+  scheduleDatePreset.value = schedule.datePreset;
+  scheduleStartPage.value = schedule.startPage;
+  scheduleEndPage.value = schedule.endPage;
+  scheduleAllPages.checked = schedule.allPages;
+  scheduleEndPage.disabled = schedule.allPages;
+  scheduleWorkers.value = String(schedule.workers);
+  scheduleDownloadCsv.checked = schedule.downloadCsv;
+  scheduleDownloadXlsx.checked = schedule.downloadXlsx;
+
+  updateWeekdayVisibility();
+  showNextRun(schedule, nextRunAt);
+}
+
+/**
+ * Read the schedule from the form
+ */
+function readSchedule() {
+  return normalizeSchedule({
+    enabled: scheduleEnabled.checked,
+    frequency: scheduleFrequency.value,
+    weekday: scheduleWeekday.value,
+    time: scheduleTime.value,
+    region: scheduleRegion.value,
+    tab: scheduleTab.value,
+    datePreset: scheduleDatePreset.value,
+    startPage: scheduleStartPage.value,
+    endPage: scheduleEndPage.value,
+    allPages: scheduleAllPages.checked,
+    workers: scheduleWorkers.value,
+    downloadCsv: scheduleDownloadCsv.checked,
+    downloadXlsx: scheduleDownloadXlsx.checked
+  });
+}
+
+function updateWeekdayVisibility() {
+  const weekly = scheduleFrequency.value === 'weekly';
+  scheduleWeekday.style.display = weekly ? '' : 'none';
+  scheduleWeekdayLabel.style.display = weekly ? '' : 'none';
+}
+
+function showNextRun(schedule, nextRunAt) {
+  if (!nextRunAt) {
+    nextRun.textContent = 'Next run: - (schedule is off)';
+    return;
+  }
+  nextRun.textContent = `Next run: ${new Date(nextRunAt).toLocaleString()} (${describeSchedule(schedule)})`;
+}
+
+/**
+ * Render the scheduled run outcomes (newest first)
+ */
+function renderScheduleLog(entries) {
+  scheduleLogBody.innerHTML = '';
+
+  if (!entries || entries.length === 0) {
+    const row = scheduleLogBody.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 5;
+    cell.className = 'empty-log';
+    cell.textContent = 'No scheduled runs yet';
+    return;
+  }
+
+  for (const entry of entries) {
+    const row = scheduleLogBody.insertRow();
+    row.insertCell().textContent = new Date(entry.finishedAt).toLocaleString();
+
+    const badge = document.createElement('span');
+    badge.className = `status-badge ${entry.status}`;
+    badge.textContent = entry.status;
+    const statusCell = row.insertCell();
+    statusCell.appendChild(badge);
+    if (entry.message) {
+      statusCell.title = entry.message;
+    }
+
+    row.insertCell().textContent = entry.success !== undefined
+      ? `${entry.success} ok, ${entry.failed} failed, ${entry.skipped} skipped`
+      : '-';
+    row.insertCell().textContent = entry.dateFilter ? describeDateFilter(entry.dateFilter) : '-';
+    row.insertCell().textContent = (entry.downloads || [])
+      .map(download => download.filename || `${download.format}: ${download.error}`)
+      .join(', ') || '-';
+  }
+}
+
+/**
+ * Show the active selector pack
+ */
+function showSelectorPack(pack, bundledVersion) {
+  activePack = pack;
+  const source = pack.source === 'imported'
+    ? `imported, ${pack.overriddenKeys.length} keys changed from bundled ${bundledVersion}`
+    : 'bundled';
+  selectorPackInfo.textContent = `Active pack: ${pack.version} (${source})`;
+  resetPackBtn.disabled = pack.source !== 'imported';
+}
+
+/**
+ * Show the schema versions and what the last migration upgraded
+ * @param {Object} response - { report, orderVersion, settingsVersion } from GET_MIGRATION_REPORT
+ */
+function showMigrationReport({ report, orderVersion, settingsVersion }) {
+  const ranAt = report ? `, last checked ${new Date(report.ranAt).toLocaleString()}` : '';
+  schemaInfo.textContent = `Schema: orders v${orderVersion}, settings v${settingsVersion}${ranAt}`;
+
+  migrationSteps.innerHTML = '';
+  if (!report) return;
+
+  const lines = [
+    ...report.orders.steps.map(step => `Orders v${step.version} - ${step.description}: ${step.count} upgraded`),
+    ...report.settings.steps.map(step => `Settings v${step.version} - ${step.description}: ${step.changed.join(', ')}`)
+  ];
+  if (lines.length === 0) lines.push('Nothing needed upgrading');
+  for (const line of lines) {
+    const item = document.createElement('li');
+    item.textContent = line;
+    migrationSteps.appendChild(item);
+  }
+}
+
+/**
+ * Load the customer data encryption state from the background
+ */
+async function loadPiiStatus() {
+  const response = await sendMessage({ type: 'GET_PII_STATUS' });
+  if (response && response.success) showPiiStatus(response);
+}
+
+/**
+ * Show the encryption state and the buttons that apply to it
+ * @param {Object} status - { enabled, unlocked, lockAt, autoLockMinutes } from GET_PII_STATUS
+ */
+function showPiiStatus(status) {
+  if (!status.enabled) {
+    piiStatus.textContent = 'Encryption: off - customer details are stored as plain text';
+  } else if (status.unlocked) {
+    piiStatus.textContent = `Encryption: on - unlocked until ${new Date(status.lockAt).toLocaleTimeString()}`;
+  } else {
+    piiStatus.textContent = 'Encryption: on - locked';
+  }
+  piiAutoLock.value = String(status.autoLockMinutes);
+
+  // The passphrase is only repeated when it is chosen
+  piiConfirmLabel.style.display = status.enabled ? 'none' : '';
+  piiPassphraseConfirm.style.display = status.enabled ? 'none' : '';
+  piiEnableBtn.style.display = status.enabled ? 'none' : '';
+  piiUnlockBtn.style.display = status.enabled && !status.unlocked ? '' : 'none';
+  piiLockBtn.style.display = status.enabled && status.unlocked ? '' : 'none';
+  piiDisableBtn.style.display = status.enabled ? '' : 'none';
+}
+
+/**
+ * Show the outcome of an encryption action
+ * @param {Object} response - Background reply (a status, or { error })
+ * @param {string} text - Status text on success
+ */
+function showPiiResult(response, text) {
+  const failed = !response || !!response.error;
+  piiSaveStatus.textContent = failed ? `✗ ${(response && response.error) || 'Failed'}` : text;
+  piiSaveStatus.classList.toggle('error', failed);
+  if (failed) return;
+
+  piiPassphrase.value = '';
+  piiPassphraseConfirm.value = '';
+  showPiiStatus(response);
+  setTimeout(() => { piiSaveStatus.textContent = ''; }, 3000);
+}
+
+/**
+ * Load the retention policy and the purge audit from the background
+ */
+async function loadRetention() {
+  const response = await sendMessage({ type: 'GET_RETENTION' });
+  if (response && response.success) showRetention(response);
+}
+
+/**
+ * Fill the retention form, the last purge and the audit
+ * @param {Object} response - { policy, lastRun, audit } from GET_RETENTION
+ */
+function showRetention({ policy, lastRun, audit }) {
+  retentionEnabled.checked = policy.enabled;
+  retentionDays.value = String(policy.days);
+  retentionLastRun.textContent = lastRun
+    ? `Last purge: ${new Date(lastRun.at).toLocaleString()} - ${lastRun.count} orders redacted`
+    : `Last purge: -${policy.enabled ? '' : ' (retention is off)'}`;
+  renderPurgeAudit(audit);
+}
+
+/**
+ * Render the purge audit (newest first)
+ */
+function renderPurgeAudit(entries) {
+  purgeAuditBody.innerHTML = '';
+
+  if (!entries || entries.length === 0) {
+    const row = purgeAuditBody.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 4;
+    cell.className = 'empty-log';
+    cell.textContent = 'Nothing purged yet';
+    return;
+  }
+
+  for (const entry of entries) {
+    const row = purgeAuditBody.insertRow();
+    row.insertCell().textContent = new Date(entry.at).toLocaleString();
+
+    const badge = document.createElement('span');
+    badge.className = `status-badge ${entry.action}`;
+    badge.textContent = entry.action === 'erase' ? 'erase request' : `retention (${entry.trigger})`;
+    row.insertCell().appendChild(badge);
+
+    row.insertCell().textContent = entry.description;
+    const ordersCell = row.insertCell();
+    ordersCell.textContent = `${entry.count} orders`;
+    ordersCell.title = entry.orderIds.join('\n');
+  }
+}
+
+/**
+ * Show a status text next to a button, cleared after a while unless it is an error
+ */
+function showStatus(element, text, failed = false) {
+  element.textContent = text;
+  element.classList.toggle('error', failed);
+  if (!failed) setTimeout(() => { element.textContent = ''; }, 3000);
+}
+
+/**
+ * Show the result of a pack import or reset
+ * @param {string} text - Status text
+ * @param {string[]} errors - Problems of a rejected pack
+ */
+function showPackStatus(text, errors = []) {
+  packStatus.textContent = text;
+  packStatus.classList.toggle('error', errors.length > 0);
+  packErrors.innerHTML = '';
+  for (const error of errors) {
+    const item = document.createElement('li');
+    item.textContent = error;
+    packErrors.appendChild(item);
+  }
+  if (errors.length === 0) {
+    setTimeout(() => { packStatus.textContent = ''; }, 3000);
+  }
+}
+
+// Event listeners
+scheduleFrequency.addEventListener('change', updateWeekdayVisibility);
+
+scheduleAllPages.addEventListener('change', () => {
+  scheduleEndPage.disabled = scheduleAllPages.checked;
+});
+
+saveScheduleBtn.addEventListener('click', async () => {
+  const response = await sendMessage({ type: 'SAVE_SCHEDULE', schedule: readSchedule() });
+  if (response && response.success) {
+    showSchedule(response.schedule, response.nextRunAt);
+    saveStatus.textContent = '✓ Saved';
+    setTimeout(() => { saveStatus.textContent = ''; }, 2000);
+  }
+});
+
+runNowBtn.addEventListener('click', async () => {
+  // Run the form's job as it is saved
+  await sendMessage({ type: 'SAVE_SCHEDULE', schedule: readSchedule() });
+  const response = await sendMessage({ type: 'RUN_SCHEDULE_NOW' });
+  saveStatus.textContent = response && response.success ? '▶ Export started' : `✗ ${(response && response.error) || 'Could not start'}`;
+  setTimeout(() => { saveStatus.textContent = ''; }, 3000);
+});
+
+importPackBtn.addEventListener('click', () => packFileInput.click());
+
+packFileInput.addEventListener('change', async () => {
+  const file = packFileInput.files[0];
+  packFileInput.value = ''; // The same file can be picked again after fixing it
+  if (!file) return;
+
+  let pack;
+  try {
+    pack = JSON.parse(await file.text());
+  } catch (error) {
+    showPackStatus('✗ Not a JSON file', [error.message]);
+    return;
+  }
+
+  // Checked here too - the background has no DOM to parse the selectors
+  const errors = validateSelectorPack(pack);
+  if (errors.length > 0) {
+    showPackStatus('✗ Pack not imported', errors);
+    return;
+  }
+
+  const response = await sendMessage({ type: 'SAVE_SELECTOR_PACK', pack });
+  if (response && response.success) {
+    showSelectorPack(response.pack, response.bundledVersion);
+    showPackStatus(`✓ Imported pack ${response.pack.version}`);
+  } else {
+    showPackStatus('✗ Pack not imported', (response && response.errors) || [(response && response.error) || 'Could not save']);
+  }
+});
+
+exportPackBtn.addEventListener('click', () => {
+  if (!activePack) return;
+
+  const { format, version, selectors, labels } = activePack;
+  const blob = new Blob([JSON.stringify({ format, version, selectors, labels }, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `selector-pack-${version}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+});
+
+resetPackBtn.addEventListener('click', async () => {
+  const response = await sendMessage({ type: 'SAVE_SELECTOR_PACK', pack: null });
+  if (response && response.success) {
+    showSelectorPack(response.pack, response.bundledVersion);
+    showPackStatus(`✓ Using the bundled pack ${response.pack.version}`);
+  }
+});
+
+piiEnableBtn.addEventListener('click', async () => {
+  if (piiPassphrase.value !== piiPassphraseConfirm.value) {
+    showPiiResult({ error: 'The passphrases do not match' });
+    return;
+  }
+  piiSaveStatus.textContent = 'Encrypting stored orders...';
+  const response = await sendMessage({ type: 'ENABLE_PII_ENCRYPTION', passphrase: piiPassphrase.value, autoLockMinutes: piiAutoLock.value });
+  showPiiResult(response, response && `✓ Encryption on - ${response.encrypted} orders encrypted`);
+});
+
+piiUnlockBtn.addEventListener('click', async () => {
+  const response = await sendMessage({ type: 'UNLOCK_PII', passphrase: piiPassphrase.value });
+  showPiiResult(response, '✓ Unlocked');
+});
+
+piiLockBtn.addEventListener('click', async () => {
+  showPiiResult(await sendMessage({ type: 'LOCK_PII' }), '✓ Locked');
+});
+
+piiDisableBtn.addEventListener('click', async () => {
+  if (!confirm('Decrypt the customer details of every stored order and store them as plain text again?')) return;
+
+  piiSaveStatus.textContent = 'Decrypting stored orders...';
+  const response = await sendMessage({ type: 'DISABLE_PII_ENCRYPTION', passphrase: piiPassphrase.value });
+  showPiiResult(response, response && `✓ Encryption off - ${response.decrypted} orders decrypted`);
+});
+
+piiAutoLock.addEventListener('change', async () => {
+  const status = await sendMessage({ type: 'GET_PII_STATUS' });
+  if (!status || !status.enabled) return; // Used when encryption is turned on
+  showPiiResult(await sendMessage({ type: 'SET_PII_AUTO_LOCK', minutes: piiAutoLock.value }), '✓ Saved');
+});
+
+saveRetentionBtn.addEventListener('click', async () => {
+  const policy = { enabled: retentionEnabled.checked, days: retentionDays.value };
+  const response = await sendMessage({ type: 'SAVE_RETENTION_POLICY', policy });
+  if (response && response.success) {
+    showRetention(response);
+    showStatus(retentionStatus, '✓ Saved');
+  }
+});
+
+purgeNowBtn.addEventListener('click', async () => {
+  const response = await sendMessage({ type: 'RUN_RETENTION_PURGE' });
+  if (response && response.success) {
+    showStatus(retentionStatus, `✓ ${response.count} orders redacted`);
+  } else {
+    showStatus(retentionStatus, `✗ ${(response && response.error) || 'Purge failed'}`, true);
+  }
+});
+
+eraseCustomerBtn.addEventListener('click', async () => {
+  if (!confirm('Redact the name, phone number and address of every stored order of this customer? This cannot be undone.')) return;
+
+  const response = await sendMessage({ type: 'ERASE_CUSTOMER', phone: erasePhone.value, name: eraseName.value });
+  if (response && response.success) {
+    erasePhone.value = '';
+    eraseName.value = '';
+    showStatus(eraseStatus, `✓ ${response.count} orders redacted`);
+  } else {
+    showStatus(eraseStatus, `✗ ${(response && response.error) || 'Erase failed'}`, true);
+  }
+});
+
+// Keep the log current while the page is open
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.scheduleLog) {
+    debugLog('Schedule log updated');
+    renderScheduleLog(changes.scheduleLog.newValue);
+  }
+  if ((area === 'session' && changes[PII_SESSION_KEY]) || (area === 'local' && changes[PII_SETTINGS_KEY])) {
+    loadPiiStatus();
+  }
+  if (area === 'local' && (changes[PURGE_AUDIT_KEY] || changes.retentionLastRun)) {
+    loadRetention();
+  }
+  if (area === 'local' && changes.migrationReport) {
+    sendMessage({ type: 'GET_MIGRATION_REPORT' }).then(response => {
+      if (response && response.success) showMigrationReport(response);
+    });
+  }
+});
+
+init();
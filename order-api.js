@@ -0,0 +1,229 @@
+/**
+ * Order API capture for TikTok Order Exporter
+ *
+ * page-hook.js runs in the page's own world and forwards the Seller Center's
+ * order list and order detail JSON responses with window.postMessage. The
+ * helpers here find the orders in those responses and map them to the
+ * fields of an exported order record. The content script prefers these
+ * fields and falls back to its DOM scrapers for the ones the API did not
+ * give (field_sources records which backend produced each field).
+ *
+ * Shared script - loaded by the content script list in manifest.json,
+ * after regions.js and order-tabs.js.
+ */
+
+// Marks the page hook's window messages (page-hook.js cannot load this file)
+const ORDER_API_MESSAGE_SOURCE = 'tiktok-order-exporter:page-hook';
+
+// Requests whose responses the page hook forwards (as ORDER_API_URL in page-hook.js)
+const ORDER_API_URL_PATTERN = /\/api\/[^?]*(order|fulfillment|receiver|address)/i;
+
+// Longest text value taken from a response
+const MAX_API_TEXT_LENGTH = 500;
+
+// Shape of the text values that have one
+const ORDER_API_TEXT_PATTERNS = {
+  phone_number: /^[\d\s()+-]{6,24}$/,
+  currency: /^[A-Z]{3}$/,
+  tracking_number: /^[\w-]{4,40}$/
+};
+
+// Backends a field can come from
+const FIELD_SOURCE_API = 'api';
+const FIELD_SOURCE_DOM = 'dom';
+
+// Keys that hold the order number of an order object
+const ORDER_API_ID_KEYS = ['main_order_id', 'order_id', 'order_no', 'id'];
+
+// Candidate paths of each record field, first match wins (Seller Center and
+// Open API spellings)
+const ORDER_API_FIELD_PATHS = {
+  customer_name: ['recipient_address.name', 'shipping_address.name', 'receiver_name', 'recipient_name', 'buyer_name'],
+  phone_number: ['recipient_address.phone_number', 'recipient_address.phone', 'shipping_address.phone', 'receiver_phone', 'recipient_phone'],
+  full_address: ['recipient_address.full_address', 'shipping_address.full_address', 'recipient_address.address_detail', 'receiver_address'],
+  order_status: ['order_status', 'main_order_status', 'status'],
+  total_amount: ['payment.total_amount', 'payment_info.total_amount', 'total_amount', 'order_amount'],
+  currency: ['payment.currency', 'payment_info.currency', 'currency'],
+  order_date: ['create_time', 'created_time', 'order_create_time'],
+  shipping_method: ['delivery_option_name', 'shipping_provider', 'delivery_option'],
+  tracking_number: ['tracking_number', 'packages.0.tracking_number', 'package_list.0.tracking_number'],
+  payment_method: ['payment_method_name', 'payment_method'],
+  line_items: ['line_items', 'item_list', 'sku_list', 'items']
+};
+
+// Numeric order statuses of the Open API
+const ORDER_API_STATUS_CODES = {
+  111: 'AWAITING_SHIPMENT',
+  112: 'AWAITING_COLLECTION',
+  114: 'AWAITING_SHIPMENT', // Partially shipped
+  121: 'IN_TRANSIT',
+  122: 'DELIVERED',
+  130: 'COMPLETED',
+  140: 'CANCELLED'
+};
+
+/**
+ * Check that a window message is an order API response of the page hook
+ * The page's own scripts can post to the same window, so anything else -
+ * another type, a URL that is not an order API or a body that is not JSON
+ * data - is ignored
+ * @param {*} data - event.data of a window message
+ * @returns {boolean}
+ */
+function isOrderApiMessage(data) {
+  return !!data && typeof data === 'object' &&
+    data.source === ORDER_API_MESSAGE_SOURCE &&
+    data.type === 'ORDER_API_RESPONSE' &&
+    typeof data.url === 'string' && ORDER_API_URL_PATTERN.test(data.url) &&
+    !!data.body && typeof data.body === 'object';
+}
+
+/**
+ * Find the order objects in a Seller Center JSON response
+ * @param {*} body - Parsed response body
+ * @param {Object} profile - Region profile (see regions.js)
+ * @returns {Object[]} - Raw order objects, outermost first
+ */
+function findApiOrders(body, profile) {
+  const idPattern = new RegExp(`^(?:${profile.orderIdPattern.source})$`);
+  const orders = [];
+
+  const visit = (value, depth) => {
+    if (!value || typeof value !== 'object' || depth > 8) return;
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, depth + 1));
+      return;
+    }
+
+    const isOrder = ORDER_API_ID_KEYS.some(key => idPattern.test(String(value[key] ?? '')));
+    if (isOrder) {
+      orders.push(value);
+      return; // Line items and packages repeat the order number
+    }
+    Object.values(value).forEach(child => visit(child, depth + 1));
+  };
+
+  visit(body, 0);
+  return orders;
+}
+
+/**
+ * Map a raw API order to exported order record fields
+ * Masked values (with *) and values not shaped like the field are left out,
+ * so the DOM or a later response fills them
+ * @param {Object} raw - Order object from findApiOrders()
+ * @param {Object} profile - Region profile
+ * @returns {Object} - { order_id, fields: { recordField: value } }
+ */
+function mapApiOrder(raw, profile) {
+  const idPattern = new RegExp(`^(?:${profile.orderIdPattern.source})$`);
+  const idKey = ORDER_API_ID_KEYS.find(key => idPattern.test(String(raw[key] ?? '')));
+  const fields = {};
+
+  for (const [field, paths] of Object.entries(ORDER_API_FIELD_PATHS)) {
+    const value = paths.map(path => getApiPath(raw, path)).find(candidate => candidate !== undefined && candidate !== null && candidate !== '');
+    if (value === undefined) continue;
+
+    if (field === 'line_items') {
+      Object.assign(fields, mapApiLineItems(value));
+    } else if (field === 'order_status') {
+      const status = normalizeApiStatus(value);
+      if (status) fields.order_status = status;
+    } else if (field === 'total_amount') {
+      const amount = parseFloat(value);
+      if (isFinite(amount) && amount >= 0) fields.total_amount = amount;
+    } else if (field === 'order_date') {
+      const date = formatApiTime(value);
+      if (date) fields.order_date = date;
+    } else if (typeof value === 'string' || typeof value === 'number') {
+      const text = String(value).trim();
+      const pattern = ORDER_API_TEXT_PATTERNS[field];
+      if (!text.includes('*') && text.length <= MAX_API_TEXT_LENGTH && (!pattern || pattern.test(text))) fields[field] = text;
+    }
+  }
+
+  return { order_id: String(raw[idKey]), fields };
+}
+
+/**
+ * Read a dotted path ("packages.0.tracking_number") from an object
+ * @returns {*} - Value, or undefined if a part of the path is missing
+ */
+function getApiPath(object, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+/**
+ * Get the items text and SKU IDs of an order's line items
+ * @param {Array} lineItems - Line items of an API order
+ * @returns {Object} - { items, sku_id } (only the ones found)
+ */
+function mapApiLineItems(lineItems) {
+  if (!Array.isArray(lineItems)) return {};
+
+  const items = [];
+  const skuIds = [];
+  const isText = value => typeof value === 'string' && value.length <= MAX_API_TEXT_LENGTH;
+  for (const item of lineItems) {
+    if (!item || typeof item !== 'object') continue;
+    const name = item.product_name || item.item_name || item.name;
+    const variant = item.sku_name || item.variation;
+    if (isText(name) && name) {
+      const text = isText(variant) && variant ? `${name}\n${variant}` : name;
+      if (!items.includes(text)) items.push(text);
+    }
+    const skuId = String(item.sku_id || item.skuId || '');
+    if (/^\d+$/.test(skuId) && !skuIds.includes(skuId)) skuIds.push(skuId);
+  }
+
+  const fields = {};
+  if (items.length > 0) fields.items = items.slice(0, 3).join(' | ');
+  if (skuIds.length > 0) fields.sku_id = skuIds.slice(0, 3).join(', ');
+  return fields;
+}
+
+/**
+ * Normalize an API order status to one of ORDER_STATUSES
+ * @param {string|number} value - Status name ("In transit", "IN_TRANSIT") or Open API code (121)
+ * @returns {string|null}
+ */
+function normalizeApiStatus(value) {
+  if (ORDER_API_STATUS_CODES[value]) return ORDER_API_STATUS_CODES[value];
+  const status = String(value).toUpperCase().replace(/[\s-/]+/g, '_');
+  return ORDER_STATUSES.includes(status) ? status : null;
+}
+
+/**
+ * Format an API timestamp like the detail page shows it ("15/01/2025 10:32:07", local time)
+ * @param {number|string} value - Unix time in seconds or ms
+ * @returns {string|null}
+ */
+function formatApiTime(value) {
+  const number = Number(value);
+  if (!number) return null;
+
+  const date = new Date(number < 1e12 ? number * 1000 : number);
+  const pad = part => String(part).padStart(2, '0');
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Fill extracted data with the captured API fields, keeping the DOM values as a fallback
+ * @param {Object} data - Data read from the DOM (changed in place)
+ * @param {Object} apiFields - Captured fields of the order (record field names), or null
+ * @param {Object} fieldMap - { dataKey: recordField } of the fields to fill
+ * @returns {Object} - field_sources: { recordField: FIELD_SOURCE_API | FIELD_SOURCE_DOM } of the fields with a value
+ */
+function mergeApiFields(data, apiFields, fieldMap) {
+  const sources = {};
+  for (const [dataKey, field] of Object.entries(fieldMap)) {
+    if (apiFields && apiFields[field] !== undefined) {
+      data[dataKey] = apiFields[field];
+      sources[field] = FIELD_SOURCE_API;
+    } else if (data[dataKey] !== null && data[dataKey] !== undefined && data[dataKey] !== '') {
+      sources[field] = FIELD_SOURCE_DOM;
+    }
+  }
+  return sources;
+}
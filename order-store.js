@@ -0,0 +1,425 @@
+/**
+ * Order Store for TikTok Order Exporter
+ *
+ * Exported orders live in an IndexedDB object store keyed by order ID, so a
+ * run adds an order without rewriting all the others, and the popup and
+ * dashboard count and page through orders without loading every record.
+ * Earlier versions kept all orders in one chrome.storage.local array
+ * (`exportedOrders`) - it is moved into the store the first time the
+ * database is opened.
+ *
+ * Orders are partitioned by shop: each record carries the shop_code and
+ * shop_name of the shop its run was started for ('' = unknown, e.g. orders
+ * exported before shops were tracked). Shops seen by runs are listed in
+ * chrome.storage.local `knownShops`.
+ *
+ * The database also holds the customer book (`customers` store, see
+ * customers.js).
+ *
+ * Shared script - loaded by background.js (importScripts), popup.html and
+ * dashboard.html, after date-range.js.
+ */
+
+const ORDER_DB_NAME = 'tiktokOrderExporter';
+const ORDER_DB_VERSION = 3;
+const ORDER_STORE_NAME = 'orders';
+const CUSTOMER_STORE_NAME = 'customers'; // Customer book, keyed by customer_id (added in version 3)
+const LEGACY_ORDERS_KEY = 'exportedOrders'; // chrome.storage.local array of earlier versions
+const KNOWN_SHOPS_KEY = 'knownShops'; // chrome.storage.local { shopCode: { code, name, region, lastRunAt } }
+const UNKNOWN_SHOP = ''; // shop_code of orders whose shop was not detected
+
+// Indexes of the order store: { indexName: record field }
+// Records without a value for a field are simply not in its index
+const ORDER_STORE_INDEXES = {
+  shop: 'shop_code',
+  orderTime: 'order_time', // Time created in ms (derived from order_date, 0 without one)
+  status: 'order_status',
+  run: 'run_id',
+  extractedAt: 'extracted_at',
+  listOnly: 'list_only', // 1 on list-only records (customer_revealed: false)
+  shopOrderTime: ['shop_code', 'order_time'], // One shop's orders by time created (added in version 2)
+  customer: 'customer_id', // Orders of a customer of the customer book (added in version 3)
+  customerPhone: 'customer_keys.phone', // Orders by the customer book's match keys (added in version 3)
+  customerName: 'customer_keys.name',
+  customerPending: 'customer_pending' // 1 on orders saved since the customer book last linked them (added in version 3)
+};
+
+let orderDbPromise = null;
+
+/**
+ * Open the order database (once per page or worker)
+ * Moves the orders of earlier versions into it before it is used
+ * @returns {Promise<IDBDatabase>}
+ */
+function openOrderDb() {
+  if (!orderDbPromise) {
+    orderDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ORDER_DB_NAME, ORDER_DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const store = event.oldVersion < 1
+          ? request.result.createObjectStore(ORDER_STORE_NAME, { keyPath: 'order_id' })
+          : request.transaction.objectStore(ORDER_STORE_NAME);
+        for (const [name, field] of Object.entries(ORDER_STORE_INDEXES)) {
+          if (!store.indexNames.contains(name)) store.createIndex(name, field);
+        }
+        if (event.oldVersion === 1) tagUnknownShops(store);
+        if (!request.result.objectStoreNames.contains(CUSTOMER_STORE_NAME)) {
+          request.result.createObjectStore(CUSTOMER_STORE_NAME, { keyPath: 'customer_id' })
+            .createIndex('shop', 'shop_codes', { multiEntry: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).then(async (db) => {
+      await migrateLegacyOrders(db);
+      return db;
+    });
+    orderDbPromise.catch(() => { orderDbPromise = null; }); // Try again on the next call
+  }
+  return orderDbPromise;
+}
+
+/**
+ * Move the `exportedOrders` array of earlier versions into the order store
+ * Safe to run from several pages at once - records are put by order ID
+ * @param {IDBDatabase} db
+ * @returns {Promise<number>} - Number of orders moved
+ */
+async function migrateLegacyOrders(db) {
+  const storage = await chrome.storage.local.get([LEGACY_ORDERS_KEY]);
+  const orders = storage[LEGACY_ORDERS_KEY];
+  if (!Array.isArray(orders)) return 0;
+
+  await runOrderTransaction(db, 'readwrite', (store) => {
+    orders.filter(order => order && order.order_id).forEach(order => store.put(toStoredOrder(order)));
+  });
+  await chrome.storage.local.remove([LEGACY_ORDERS_KEY]);
+  return orders.length;
+}
+
+/**
+ * Give version 1 records without a shop the unknown shop, so they are in
+ * the shop indexes
+ * @param {IDBObjectStore} store - Order store of the upgrade transaction
+ */
+function tagUnknownShops(store) {
+  store.openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    if (typeof cursor.value.shop_code !== 'string') {
+      cursor.update({ ...cursor.value, shop_code: UNKNOWN_SHOP });
+    }
+    cursor.continue();
+  };
+}
+
+/**
+ * Run requests in one transaction of the order store
+ * @param {IDBDatabase} db
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - (store, transaction) => result; issues the requests
+ * @param {string} storeName - Object store of the transaction (default: the order store)
+ * @returns {Promise<*>} - Result of work (once its requests are done), after the transaction completed
+ */
+function runOrderTransaction(db, mode, work, storeName = ORDER_STORE_NAME) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    let result;
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Order store transaction aborted'));
+
+    Promise.resolve(work(transaction.objectStore(storeName), transaction)).then(value => {
+      result = value;
+    }, (error) => {
+      reject(error);
+      try { transaction.abort(); } catch (abortError) { /* already finished */ }
+    });
+  });
+}
+
+/**
+ * Run requests in a transaction of the (opened) order database
+ * @see runOrderTransaction
+ */
+async function withOrderStore(mode, work) {
+  return runOrderTransaction(await openOrderDb(), mode, work);
+}
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} - Request result
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Add the index fields of a record
+ * @param {Object} order - Order record
+ * Orders without a readable order date get order_time 0, and orders without
+ * a shop the unknown shop, so every order is in the orderTime and shop indexes
+ * @returns {Object} - Copy with order_time, shop_code and list_only set
+ */
+function toStoredOrder(order) {
+  const stored = {
+    ...order,
+    order_time: parseNewestListTime(order.order_date) || 0,
+    shop_code: order.shop_code || UNKNOWN_SHOP
+  };
+  if (order.customer_revealed === false) {
+    stored.list_only = 1;
+  } else {
+    delete stored.list_only;
+  }
+  return stored;
+}
+
+/**
+ * Store the orders of a run
+ * An order already in the store is kept, unless it is a list-only record
+ * and the new one has the customer details. Stored orders wait for the
+ * customer book to link them (customer_pending)
+ * @param {Object[]} orders - New order records
+ * @returns {Promise<{added: string[], revealed: string[]}>} - IDs of the orders stored
+ */
+function saveOrders(orders) {
+  return withOrderStore('readwrite', async (store) => {
+    const added = [];
+    const revealed = [];
+    for (const order of orders) {
+      const existing = await requestResult(store.get(order.order_id));
+      if (!existing) {
+        added.push(order.order_id);
+      } else if (existing.customer_revealed === false && order.customer_revealed !== false) {
+        revealed.push(order.order_id);
+      } else {
+        continue;
+      }
+      store.put({ ...toStoredOrder(order), customer_pending: 1 });
+    }
+    return { added, revealed };
+  });
+}
+
+/**
+ * Put order records as they are (replaces stored records of the same order)
+ * @param {Object[]} orders - Order records
+ */
+function putOrders(orders) {
+  return withOrderStore('readwrite', (store) => {
+    orders.forEach(order => store.put(toStoredOrder(order)));
+  });
+}
+
+/**
+ * Get one stored order
+ * @param {string} orderId - TikTok order number
+ * @returns {Promise<Object|null>}
+ */
+function getOrder(orderId) {
+  return withOrderStore('readonly', async (store) => (await requestResult(store.get(orderId))) || null);
+}
+
+/**
+ * Get the stored orders of a list of order IDs
+ * @param {string[]} orderIds
+ * @returns {Promise<Object[]>} - Stored ones only, in the order of orderIds
+ */
+function getOrders(orderIds) {
+  return withOrderStore('readonly', async (store) => {
+    const orders = await Promise.all(orderIds.map(orderId => requestResult(store.get(orderId))));
+    return orders.filter(Boolean);
+  });
+}
+
+/**
+ * Get the IDs of the stored orders
+ * @param {boolean} includeListOnly - Include list-only records
+ * @param {string|null} shopCode - Only this shop's orders and those of the unknown shop (all if null)
+ * @returns {Promise<string[]>}
+ */
+function getStoredOrderIds(includeListOnly = true, shopCode = null) {
+  return withOrderStore('readonly', async (store) => {
+    const ids = shopCode
+      ? [
+        ...await requestResult(store.index('shop').getAllKeys(shopCode)),
+        ...await requestResult(store.index('shop').getAllKeys(UNKNOWN_SHOP))
+      ]
+      : await requestResult(store.getAllKeys());
+    if (includeListOnly) return ids;
+
+    const listOnly = new Set(await requestResult(store.index('listOnly').getAllKeys()));
+    return ids.filter(id => !listOnly.has(id));
+  });
+}
+
+/**
+ * Count stored orders
+ * @param {Object} query - { index, range } (see ORDER_STORE_INDEXES; all orders if omitted)
+ * @returns {Promise<number>}
+ */
+function countOrders(query = {}) {
+  return withOrderStore('readonly', (store) => {
+    const source = query.index ? store.index(query.index) : store;
+    return requestResult(source.count(query.range));
+  });
+}
+
+/**
+ * Get the order IDs of a query, without reading the records
+ * @param {Object} query - { index, range } (see ORDER_STORE_INDEXES; all orders if omitted)
+ * @returns {Promise<string[]>} - In the order of the index
+ */
+function getOrderKeys(query = {}) {
+  return withOrderStore('readonly', (store) => {
+    const source = query.index ? store.index(query.index) : store;
+    return requestResult(source.getAllKeys(query.range));
+  });
+}
+
+/**
+ * Walk stored orders with a cursor
+ * @param {Object} query - { index, range, direction ('next' | 'prev'), filter(order) }
+ * @param {Function} visit - (order) => false to stop early
+ * @returns {Promise<void>}
+ */
+function forEachOrder(query, visit) {
+  return withOrderStore('readonly', (store) => new Promise((resolve, reject) => {
+    const source = query.index ? store.index(query.index) : store;
+    const request = source.openCursor(query.range, query.direction || 'next');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      if (query.filter && !query.filter(cursor.value)) {
+        cursor.continue();
+        return;
+      }
+      if (visit(cursor.value) === false) {
+        resolve();
+        return;
+      }
+      cursor.continue();
+    };
+  }));
+}
+
+/**
+ * Get a page of stored orders
+ * @param {Object} query - forEachOrder() query plus { offset, limit } (counted after the filter)
+ * @returns {Promise<Object[]>}
+ */
+async function queryOrders(query = {}) {
+  const offset = query.offset || 0;
+  const limit = query.limit === undefined ? Infinity : query.limit;
+  const orders = [];
+  let skipped = 0;
+
+  if (limit <= 0) return orders;
+  await forEachOrder(query, (order) => {
+    if (skipped < offset) {
+      skipped++;
+      return true;
+    }
+    orders.push(order);
+    return orders.length < limit;
+  });
+  return orders;
+}
+
+/**
+ * Rewrite stored orders in one pass
+ * @param {Function} update - (order) => replacement record, or null to keep the order as it is
+ * @returns {Promise<number>} - Number of orders rewritten
+ */
+function updateEachOrder(update) {
+  return withOrderStore('readwrite', (store) => new Promise((resolve, reject) => {
+    let updated = 0;
+    const request = store.openCursor();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(updated);
+        return;
+      }
+      const replacement = update(cursor.value);
+      if (replacement) {
+        cursor.update(toStoredOrder(replacement));
+        updated++;
+      }
+      cursor.continue();
+    };
+  }));
+}
+
+/**
+ * Query of one shop's orders by time created (newest first by default)
+ * @param {string} shopCode - Shop code (UNKNOWN_SHOP for orders without one)
+ * @param {string} direction - 'prev' (newest first) or 'next'
+ * @returns {Object} - forEachOrder() / queryOrders() query
+ */
+function shopOrdersQuery(shopCode, direction = 'prev') {
+  return {
+    index: 'shopOrderTime',
+    range: IDBKeyRange.bound([shopCode, -Infinity], [shopCode, Infinity]),
+    direction
+  };
+}
+
+/**
+ * Delete every stored order
+ */
+function clearOrders() {
+  return withOrderStore('readwrite', (store) => {
+    store.clear();
+  });
+}
+
+/**
+ * Get the shops runs were started for
+ * @returns {Promise<Object[]>} - [{ code, name, region, lastRunAt }], most recent run first
+ */
+async function getKnownShops() {
+  const storage = await chrome.storage.local.get([KNOWN_SHOPS_KEY]);
+  return Object.values(storage[KNOWN_SHOPS_KEY] || {})
+    .sort((a, b) => (b.lastRunAt || '').localeCompare(a.lastRunAt || ''));
+}
+
+/**
+ * Add a shop to the known shops (or update its name and last run)
+ * @param {Object} shop - { code, name }
+ * @param {string} region - Region code of the run
+ */
+async function rememberShop(shop, region) {
+  if (!shop || !shop.code) return;
+
+  const storage = await chrome.storage.local.get([KNOWN_SHOPS_KEY]);
+  const shops = storage[KNOWN_SHOPS_KEY] || {};
+  const known = shops[shop.code] || {};
+  shops[shop.code] = {
+    code: shop.code,
+    name: shop.name || known.name || null,
+    region: region || known.region || null,
+    lastRunAt: new Date().toISOString()
+  };
+  await chrome.storage.local.set({ [KNOWN_SHOPS_KEY]: shops });
+}
+
+/**
+ * Label of a shop for selects and logs, e.g. 'SYNAX.HQ (MYLCV9LW9B)'
+ * @param {Object} shop - { code, name }
+ * @returns {string}
+ */
+function formatShopLabel(shop) {
+  if (!shop || !shop.code) return 'Unknown shop';
+  return shop.name ? `${shop.name} (${shop.code})` : shop.code;
+}
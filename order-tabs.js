@@ -0,0 +1,149 @@
+/**
+ * Order Tabs for TikTok Order Exporter
+ *
+ * The Seller Center order list is split into tabs (To ship, Shipped, ...).
+ * Each entry describes how to open a tab and which time filter its
+ * date range applies to.
+ *
+ * Shared script - loaded by background.js (importScripts), the content
+ * script list in manifest.json, popup.html and dashboard.html.
+ */
+
+const DEFAULT_ORDER_TAB = 'shipped';
+
+// Order statuses the detail page can show, in shipping order
+const ORDER_STATUSES = [
+  'AWAITING_SHIPMENT', 'AWAITING_COLLECTION', 'SHIPPED', 'IN_TRANSIT', 'DELIVERED', 'COMPLETED', 'CANCELLED', 'RETURN_REFUND'
+];
+
+// Statuses that do not change any more - refresh runs leave them out by default
+const FINAL_ORDER_STATUSES = ['COMPLETED', 'CANCELLED'];
+
+const ORDER_TABS = {
+  to_ship: {
+    key: 'to_ship',
+    label: 'To ship',
+    urlTab: 'to_ship',          // ?tab= value of the order list URL
+    logClickFor: 'to_ship',     // data-log_click_for of the tab element
+    timeFilterLabel: 'Time created',
+    defaultStatus: 'AWAITING_SHIPMENT' // Status used when the detail page shows none
+  },
+  shipped: {
+    key: 'shipped',
+    label: 'Shipped',
+    urlTab: 'shipped',
+    logClickFor: 'shipped',
+    timeFilterLabel: 'Time shipped',
+    defaultStatus: 'SHIPPED'
+  },
+  delivered: {
+    key: 'delivered',
+    label: 'Delivered',
+    urlTab: 'delivered',
+    logClickFor: 'delivered',
+    timeFilterLabel: 'Time delivered',
+    defaultStatus: 'DELIVERED'
+  },
+  completed: {
+    key: 'completed',
+    label: 'Completed',
+    urlTab: 'completed',
+    logClickFor: 'completed',
+    timeFilterLabel: 'Time completed',
+    defaultStatus: 'COMPLETED'
+  },
+  cancelled: {
+    key: 'cancelled',
+    label: 'Cancelled',
+    urlTab: 'cancellation',
+    logClickFor: 'cancellation',
+    timeFilterLabel: 'Time created',
+    defaultStatus: 'CANCELLED'
+  },
+  returns: {
+    key: 'returns',
+    label: 'Returns/refunds',
+    urlTab: 'return_refund',
+    logClickFor: 'return_refund',
+    timeFilterLabel: 'Time created',
+    defaultStatus: 'RETURN_REFUND'
+  }
+};
+
+/**
+ * Get an order tab definition by key, falling back to the Shipped tab
+ * @param {string} key - Key of ORDER_TABS
+ * @returns {Object} - Order tab definition
+ */
+function getOrderTab(key) {
+  return ORDER_TABS[key] || ORDER_TABS[DEFAULT_ORDER_TAB];
+}
+
+/**
+ * Get the tab an order was exported from
+ * Orders stored before tab selection existed all came from Shipped
+ * @param {Object} order - Stored order record
+ * @returns {string} - Key of ORDER_TABS
+ */
+function getOrderSourceTab(order) {
+  return order.source_tab || DEFAULT_ORDER_TAB;
+}
+
+/**
+ * Get the status of a stored order
+ * Orders stored without one have the default status of their source tab
+ * @param {Object} order - Stored order record
+ * @returns {string} - One of ORDER_STATUSES
+ */
+function getStoredOrderStatus(order) {
+  return order.order_status || getOrderTab(getOrderSourceTab(order)).defaultStatus;
+}
+
+
+/**
+ * Read the order fields shown in an order list row
+ * A row shows the product, the order total (after the item prices), a status
+ * badge and the time the order was created (before the tab's own time).
+ * Customer details are never on the list.
+ * @param {string} text - Text of an order row (innerText, one field per line)
+ * @param {Object} profile - Region profile (see regions.js)
+ * @param {Object} tabDef - Order tab of the list; its default status is the fallback
+ * @returns {Object} - { order_status, total_amount, currency, items, order_date }
+ */
+function parseOrderListRow(text, profile, tabDef = getOrderTab(DEFAULT_ORDER_TAB)) {
+  const lines = (text || '').split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  const pricePattern = new RegExp(`^(?:${profile.amountPrefix})\\s*[\\d.,]+`, 'i');
+
+  let status = null;
+  let amount = null;
+  const items = [];
+  for (const line of lines) {
+    const normalized = line.toUpperCase().replace(/[\s-/]+/g, '_');
+    if (!status && ORDER_STATUSES.includes(normalized)) {
+      status = normalized;
+      continue;
+    }
+
+    const lineAmount = parseRegionAmount(line, profile);
+    if (lineAmount !== null) {
+      amount = lineAmount; // The last amount of the row is the order total
+      continue;
+    }
+
+    // Product names are long descriptive lines
+    if (line.length > 15 && !pricePattern.test(line) && !/\d{1,2}\/\d{1,2}\/\d{4}/.test(line) &&
+        !/^(SKU|Order\s*ID)/i.test(line) && !profile.orderIdPattern.test(line) && !items.includes(line)) {
+      items.push(line);
+    }
+  }
+
+  const dateMatch = (text || '').match(/\d{1,2}\/\d{1,2}\/\d{4}\s+\d{1,2}:\d{2}(?::\d{2})?/);
+
+  return {
+    order_status: status || tabDef.defaultStatus,
+    total_amount: amount || 0,
+    currency: profile.currency,
+    items: items.slice(0, 3).join(' | '),
+    order_date: dateMatch ? dateMatch[0] : ''
+  };
+}
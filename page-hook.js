@@ -0,0 +1,122 @@
+/**
+ * Page Hook for TikTok Order Exporter
+ *
+ * Runs in the Seller Center's own JavaScript world (manifest.json "world": "MAIN",
+ * at document_start) so it can see the page's fetch and XMLHttpRequest calls.
+ * The JSON responses of order list and order detail requests are forwarded to
+ * the content script with window.postMessage; order-api.js reads the orders
+ * out of them.
+ *
+ * Nothing else of the extension is loaded in this world - the script keeps
+ * to itself and never changes a response.
+ */
+
+(() => {
+  // Must match ORDER_API_MESSAGE_SOURCE in order-api.js
+  const MESSAGE_SOURCE = 'tiktok-order-exporter:page-hook';
+
+  // Order list, order detail and reveal (unmasked address) requests
+  // (must match ORDER_API_URL_PATTERN in order-api.js)
+  const ORDER_API_URL = /\/api\/[^?]*(order|fulfillment|receiver|address)/i;
+
+  // Values order-api.js reads (the last part of ORDER_API_ID_KEYS and
+  // ORDER_API_FIELD_PATHS, and the line item fields) - everything else of a
+  // response is dropped before it is kept or forwarded
+  const FORWARDED_KEYS = new Set([
+    'main_order_id', 'order_id', 'order_no', 'id',
+    'name', 'receiver_name', 'recipient_name', 'buyer_name',
+    'phone_number', 'phone', 'receiver_phone', 'recipient_phone',
+    'full_address', 'address_detail', 'receiver_address',
+    'order_status', 'main_order_status', 'status',
+    'total_amount', 'order_amount', 'currency',
+    'create_time', 'created_time', 'order_create_time',
+    'delivery_option_name', 'shipping_provider', 'delivery_option',
+    'tracking_number', 'payment_method_name', 'payment_method',
+    'product_name', 'item_name', 'sku_name', 'variation', 'sku_id', 'skuId'
+  ]);
+  const MAX_DEPTH = 10; // order-api.js looks no deeper than 8
+
+  // The content script loads at document_idle, after the first responses -
+  // it asks for the ones it missed with an ORDER_API_REPLAY message. They are
+  // kept only until then
+  const MAX_KEPT_RESPONSES = 20;
+  let keptResponses = [];
+
+  // The manifest injects this script once per page, so the closure needs no
+  // marker on window the page could see
+
+  /**
+   * Copy the parts of a response body order-api.js reads
+   * @param {*} value - Parsed response body (or a part of it)
+   * @param {number} depth
+   * @returns {*} - Objects and arrays with only the forwarded values, or undefined
+   */
+  function pick(value, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > MAX_DEPTH) return undefined;
+    if (Array.isArray(value)) return value.map(item => pick(item, depth + 1)).filter(item => item !== undefined);
+
+    const picked = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (child && typeof child === 'object') {
+        const part = pick(child, depth + 1);
+        if (part !== undefined) picked[key] = part;
+      } else if (FORWARDED_KEYS.has(key) && (typeof child === 'string' || typeof child === 'number')) {
+        picked[key] = child;
+      }
+    }
+    return Object.keys(picked).length > 0 ? picked : undefined;
+  }
+
+  /**
+   * Forward a response body if it is JSON from an order API
+   * @param {string} url - Request URL
+   * @param {string} text - Response body
+   */
+  function forward(url, text) {
+    if (!ORDER_API_URL.test(url || '') || !text) return;
+
+    let body;
+    try {
+      body = pick(JSON.parse(text));
+    } catch (error) {
+      return; // Not JSON
+    }
+    if (!body) return;
+    const message = { source: MESSAGE_SOURCE, type: 'ORDER_API_RESPONSE', url, body };
+    if (keptResponses) {
+      keptResponses.push(message);
+      if (keptResponses.length > MAX_KEPT_RESPONSES) keptResponses.shift();
+    }
+    window.postMessage(message, window.location.origin);
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.source !== MESSAGE_SOURCE) return;
+    if (event.data.type === 'ORDER_API_REPLAY' && keptResponses) {
+      keptResponses.forEach(message => window.postMessage(message, window.location.origin));
+      keptResponses = null; // The content script is listening now
+    }
+  });
+
+  // fetch: read a clone, the page gets the untouched response
+  const originalFetch = window.fetch;
+  window.fetch = function(...args) {
+    const promise = originalFetch.apply(this, args);
+    promise.then(response => {
+      if (!ORDER_API_URL.test(response.url || '')) return;
+      response.clone().text().then(text => forward(response.url, text)).catch(() => {});
+    }).catch(() => {});
+    return promise;
+  };
+
+  // XMLHttpRequest: read the body once the request is done
+  const originalOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function(method, url, ...rest) {
+    this.addEventListener('load', () => {
+      if (this.responseType !== '' && this.responseType !== 'text' && this.responseType !== 'json') return;
+      const text = this.responseType === 'json' ? JSON.stringify(this.response) : this.responseText;
+      forward(this.responseURL || String(url), text);
+    });
+    return originalOpen.call(this, method, url, ...rest);
+  };
+})();
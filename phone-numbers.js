@@ -0,0 +1,163 @@
+/**
+ * Phone Numbers for TikTok Order Exporter
+ *
+ * The order detail page shows a phone number as +60..., (+60)..., 60... or
+ * 01... - extractOrderData keeps whatever matched the region's pattern. Stored
+ * orders keep that text as `phone_raw` and the number in E.164 form
+ * (+60123456789) as `phone_number`, which exports, the dashboard and the
+ * customer book use. Each number is checked against the numbering plan of the
+ * order's region:
+ * - `phone_type`: 'mobile', 'landline' or null (not recognised)
+ * - `phone_flags`: what is wrong with it - too_short, too_long,
+ *   unknown_prefix or other_country ([] = valid)
+ *
+ * Shared script - loaded by background.js (importScripts) and dashboard.html,
+ * after regions.js.
+ */
+
+// National numbering plans - numbers after the country code, without the trunk prefix
+const PHONE_NUMBER_PLANS = {
+  MY: {
+    trunkPrefix: '0',
+    minLength: 8,
+    maxLength: 10,
+    mobile: /^1(?:1\d{8}|[02-46-9]\d{7})$/, // 01x-xxx xxxx, 011-xxxx xxxx
+    landline: /^(?:3\d{8}|[4-79]\d{7}|8[2-9]\d{6,7}|15\d{8})$/ // 03-xxxx xxxx, 04-7, 09, 08x (Sabah, Sarawak), 015 (IP)
+  },
+  SG: {
+    trunkPrefix: '',
+    minLength: 8,
+    maxLength: 8,
+    mobile: /^[89]\d{7}$/,
+    landline: /^[36]\d{7}$/
+  },
+  TH: {
+    trunkPrefix: '0',
+    minLength: 8,
+    maxLength: 9,
+    mobile: /^[689]\d{8}$/,
+    landline: /^[2-7]\d{7}$/
+  },
+  PH: {
+    trunkPrefix: '0',
+    minLength: 9,
+    maxLength: 10,
+    mobile: /^9\d{9}$/,
+    landline: /^[2-8]\d{8}$/
+  },
+  ID: {
+    trunkPrefix: '0',
+    minLength: 8,
+    maxLength: 12,
+    mobile: /^8\d{8,11}$/,
+    landline: /^[2-7]\d{7,10}$/
+  }
+};
+
+const PHONE_FLAG_LABELS = {
+  too_short: 'Too short',
+  too_long: 'Too long',
+  unknown_prefix: 'Unknown prefix',
+  other_country: 'Other country'
+};
+
+const PHONE_TYPE_LABELS = {
+  mobile: 'Mobile',
+  landline: 'Landline'
+};
+
+/**
+ * Classify a national number of a region
+ * @param {string} national - Digits after the country code
+ * @param {Object} plan - Numbering plan
+ * @returns {string|null} - 'mobile', 'landline' or null
+ */
+function classifyNationalNumber(national, plan) {
+  if (plan.mobile.test(national)) return 'mobile';
+  if (plan.landline.test(national)) return 'landline';
+  return null;
+}
+
+/**
+ * Parse a phone number as extracted into E.164 form
+ * e.g. ("(+60)123456789", 'MY') → { e164: '+60123456789', type: 'mobile', flags: [] }
+ * Numbers without a country code are numbers of the region; numbers that do
+ * not fit its plan are still converted, and flagged
+ * @param {string} raw - Phone number as extracted
+ * @param {string} region - Region code of the order (default region if unknown)
+ * @returns {{raw: string, e164: string, type: string|null, flags: string[]}} - e164 '' without digits
+ */
+function parsePhoneNumber(raw, region) {
+  const text = String(raw || '').trim();
+  const result = { raw: text, e164: '', type: null, flags: [] };
+  const international = /^\(?(\+|00)/.test(text);
+  let digits = text.replace(/\D/g, '');
+  if (international && !text.includes('+')) digits = digits.replace(/^00/, ''); // International call prefix
+  if (!digits) return result;
+
+  const profile = getRegionProfile(region);
+  const plan = PHONE_NUMBER_PLANS[profile.code];
+  let withCountryCode = digits.startsWith(profile.dialCode) ? digits.slice(profile.dialCode.length) : null;
+  // "(+60)0123456789" - the trunk prefix kept after the country code
+  if (withCountryCode && plan.trunkPrefix && withCountryCode.startsWith(plan.trunkPrefix)) {
+    withCountryCode = withCountryCode.slice(plan.trunkPrefix.length);
+  }
+
+  if (international && withCountryCode === null) {
+    return { ...result, e164: '+' + digits, flags: ['other_country'] };
+  }
+
+  // 60123456789 is the country code and a mobile number, 0123456789 the trunk prefix and the same one
+  const candidates = international ? [withCountryCode] : [
+    withCountryCode,
+    plan.trunkPrefix && digits.startsWith(plan.trunkPrefix) ? digits.slice(plan.trunkPrefix.length) : digits
+  ].filter(candidate => candidate !== null);
+  const national = candidates.find(candidate => classifyNationalNumber(candidate, plan)) || candidates[0];
+
+  const type = classifyNationalNumber(national, plan);
+  const flags = [];
+  if (!type) {
+    if (national.length < plan.minLength) flags.push('too_short');
+    else if (national.length > plan.maxLength) flags.push('too_long');
+    else flags.push('unknown_prefix');
+  }
+  return { ...result, e164: `+${profile.dialCode}${national}`, type, flags };
+}
+
+/**
+ * Phone fields of an order record for an extracted phone number
+ * @param {string} raw - Phone number as extracted
+ * @param {string} region - Region code of the order
+ * @returns {{phone_number: string, phone_raw: string, phone_type: string|null, phone_flags: string[]}}
+ */
+function toOrderPhoneFields(raw, region) {
+  const parsed = parsePhoneNumber(raw, region);
+  return {
+    phone_number: parsed.e164,
+    phone_raw: parsed.raw,
+    phone_type: parsed.type,
+    phone_flags: parsed.flags
+  };
+}
+
+/**
+ * Normalize the phone number of an order stored before numbers were normalized
+ * (encrypted ones are normalized once decrypted)
+ * @param {Object} order - Order record with plain customer details
+ * @returns {Object} - Copy with the phone fields, or the order itself if it has them or no phone number
+ */
+function normalizeOrderPhone(order) {
+  if (!order.phone_number || order.phone_raw) return order;
+  return { ...order, ...toOrderPhoneFields(order.phone_number, order.region) };
+}
+
+/**
+ * Describe the check of an order's phone number, e.g. "Valid" or "Too short"
+ * @param {Object} order - Order record
+ * @returns {string} - '' without a phone number
+ */
+function describePhoneCheck(order) {
+  if (!order.phone_number) return '';
+  const flags = order.phone_flags || [];
+  return flags.length === 0 ? 'Valid' : flags.map(flag => PHONE_FLAG_LABELS[flag] || flag).join(', ');
+}
@@ -0,0 +1,227 @@
+/**
+ * Customer Data Vault for TikTok Order Exporter
+ *
+ * Optional at-rest encryption of the customer details (name, phone, address)
+ * of stored orders, with WebCrypto:
+ * - Setting it up creates an RSA-OAEP key pair. The public key is stored as is,
+ *   so runs (scheduled ones too) encrypt new orders without the passphrase.
+ * - The private key is stored encrypted with AES-GCM, under a key derived from
+ *   the user's passphrase (PBKDF2-SHA-256).
+ * - Each order's details are encrypted with their own AES-GCM key, which is
+ *   stored wrapped with the public key: { key, iv, data } in order.pii.
+ * - Unlocking keeps the private key in chrome.storage.session (memory only,
+ *   extension pages and the background - not content scripts) until the
+ *   auto-lock time, when the background removes it.
+ *
+ * Shared script - loaded by background.js (importScripts) and dashboard.html.
+ */
+
+const PII_SETTINGS_KEY = 'piiEncryption'; // chrome.storage.local: { publicKey, privateKey (encrypted), matchKey (encrypted, see customers.js), autoLockMinutes, enabledAt }
+const PII_SESSION_KEY = 'piiUnlocked'; // chrome.storage.session: { privateKey (PKCS #8, base64), lockAt }
+const PII_LOCK_ALARM_NAME = 'pii-auto-lock'; // chrome.alarms alarm that locks the customer data again
+// phone_raw: as extracted (phone-numbers.js), address lines: the street part (addresses.js - postcode, city and state stay readable)
+const PII_FIELDS = ['customer_name', 'phone_number', 'phone_raw', 'full_address', 'address_line1', 'address_line2'];
+const PII_KDF_ITERATIONS = 600000;
+const PII_AUTO_LOCK_OPTIONS = [5, 15, 30, 60, 240]; // Minutes
+const DEFAULT_PII_AUTO_LOCK_MINUTES = 15;
+
+const PII_RSA_PARAMS = { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' };
+
+let piiPrivateKeyCache = null; // { encoded, key } - imported private key of the current unlock
+
+/**
+ * Error of operations that need the customer data unlocked
+ */
+class PiiLockedError extends Error {
+  constructor(message = 'Customer data is locked - unlock it with your passphrase first') {
+    super(message);
+    this.name = 'PiiLockedError';
+  }
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Normalize the auto-lock time
+ * @param {number|string} minutes
+ * @returns {number} - One of PII_AUTO_LOCK_OPTIONS
+ */
+function normalizeAutoLockMinutes(minutes) {
+  const value = parseInt(minutes);
+  return PII_AUTO_LOCK_OPTIONS.includes(value) ? value : DEFAULT_PII_AUTO_LOCK_MINUTES;
+}
+
+/**
+ * Get the encryption settings
+ * @returns {Promise<Object|null>} - null if customer data is stored in plain text
+ */
+async function getPiiSettings() {
+  const storage = await chrome.storage.local.get([PII_SETTINGS_KEY]);
+  return storage[PII_SETTINGS_KEY] || null;
+}
+
+/**
+ * Derive the key that encrypts the private key from the passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>} - AES-GCM key
+ */
+async function derivePassphraseKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Create the keys of a new vault
+ * @param {string} passphrase
+ * @param {number} autoLockMinutes
+ * @returns {Promise<Object>} - Settings to store as piiEncryption
+ */
+async function createPiiSettings(passphrase, autoLockMinutes) {
+  const keyPair = await crypto.subtle.generateKey(PII_RSA_PARAMS, true, ['encrypt', 'decrypt']);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const passphraseKey = await derivePassphraseKey(passphrase, salt, PII_KDF_ITERATIONS);
+  const privateKey = await crypto.subtle.exportKey('pkcs8', keyPair.privateKey);
+
+  return {
+    publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+    privateKey: {
+      salt: bytesToBase64(salt),
+      iv: bytesToBase64(iv),
+      iterations: PII_KDF_ITERATIONS,
+      data: bytesToBase64(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, passphraseKey, privateKey))
+    },
+    autoLockMinutes: normalizeAutoLockMinutes(autoLockMinutes),
+    enabledAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Decrypt the private key with the passphrase
+ * @param {Object} settings - Encryption settings
+ * @param {string} passphrase
+ * @returns {Promise<string>} - PKCS #8 private key, base64
+ * @throws {PiiLockedError} - Wrong passphrase
+ */
+async function openPrivateKey(settings, passphrase) {
+  const { salt, iv, iterations, data } = settings.privateKey;
+  const passphraseKey = await derivePassphraseKey(passphrase || '', base64ToBytes(salt), iterations);
+  try {
+    const privateKey = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, passphraseKey, base64ToBytes(data));
+    return bytesToBase64(privateKey);
+  } catch (error) {
+    throw new PiiLockedError('Wrong passphrase');
+  }
+}
+
+function importPiiPublicKey(settings) {
+  return crypto.subtle.importKey('jwk', settings.publicKey, PII_RSA_PARAMS, false, ['encrypt']);
+}
+
+function importPiiPrivateKey(encoded) {
+  return crypto.subtle.importKey('pkcs8', base64ToBytes(encoded), PII_RSA_PARAMS, false, ['decrypt']);
+}
+
+/**
+ * Check whether an order's customer details are encrypted
+ * @param {Object} order - Stored order record
+ * @returns {boolean}
+ */
+function isOrderPiiEncrypted(order) {
+  return !!(order && order.pii);
+}
+
+/**
+ * Encrypt an order's customer details
+ * Orders without any (list-only records) are returned as they are
+ * @param {Object} order - Order record with plain customer details
+ * @param {CryptoKey} publicKey - Vault public key
+ * @returns {Promise<Object>} - Copy with the details in order.pii and blanked fields
+ */
+async function encryptOrderPii(order, publicKey) {
+  if (isOrderPiiEncrypted(order) || !PII_FIELDS.some(field => order[field])) return order;
+
+  const details = {};
+  PII_FIELDS.forEach(field => { details[field] = order[field] || ''; });
+
+  const orderKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, orderKey, new TextEncoder().encode(JSON.stringify(details)));
+  const wrappedKey = await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, publicKey, await crypto.subtle.exportKey('raw', orderKey));
+
+  const encrypted = { ...order, pii: { key: bytesToBase64(wrappedKey), iv: bytesToBase64(iv), data: bytesToBase64(data) } };
+  PII_FIELDS.forEach(field => { encrypted[field] = ''; });
+  return encrypted;
+}
+
+/**
+ * Decrypt an order's customer details
+ * @param {Object} order - Stored order record
+ * @param {CryptoKey} privateKey - Vault private key
+ * @returns {Promise<Object>} - Copy with the plain fields and without order.pii
+ */
+async function decryptOrderPii(order, privateKey) {
+  if (!isOrderPiiEncrypted(order)) return order;
+
+  const rawKey = await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, base64ToBytes(order.pii.key));
+  const orderKey = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(order.pii.iv) }, orderKey, base64ToBytes(order.pii.data));
+
+  const decrypted = { ...order, ...JSON.parse(new TextDecoder().decode(data)) };
+  delete decrypted.pii;
+  return decrypted;
+}
+
+/**
+ * Get the unlocked state of the vault
+ * @returns {Promise<{privateKey: string, lockAt: number}|null>} - null while locked (or past the auto-lock time)
+ */
+async function getPiiUnlock() {
+  const session = await chrome.storage.session.get([PII_SESSION_KEY]);
+  const unlock = session[PII_SESSION_KEY];
+  return unlock && unlock.lockAt > Date.now() ? unlock : null;
+}
+
+/**
+ * Get the private key of the current unlock
+ * @returns {Promise<CryptoKey|null>} - null while locked
+ */
+async function getUnlockedPrivateKey() {
+  const unlock = await getPiiUnlock();
+  if (!unlock) return null;
+
+  if (!piiPrivateKeyCache || piiPrivateKeyCache.encoded !== unlock.privateKey) {
+    piiPrivateKeyCache = { encoded: unlock.privateKey, key: await importPiiPrivateKey(unlock.privateKey) };
+  }
+  return piiPrivateKeyCache.key;
+}
+
+/**
+ * Decrypt the customer details of stored orders
+ * @param {Object[]} orders - Stored order records
+ * @returns {Promise<Object[]>} - Orders with plain customer details
+ * @throws {PiiLockedError} - Some are encrypted and the vault is locked
+ */
+async function revealOrders(orders) {
+  if (!orders.some(isOrderPiiEncrypted)) return orders;
+
+  const privateKey = await getUnlockedPrivateKey();
+  if (!privateKey) throw new PiiLockedError();
+  return Promise.all(orders.map(order => decryptOrderPii(order, privateKey)));
+}
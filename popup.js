@@ -46,9 +46,56 @@ const settingsSection = document.getElementById('settingsSection');
 const storageCount = document.getElementById('storageCount');
 const clearStorageBtn = document.getElementById('clearStorageBtn');
 const openDashboardBtn = document.getElementById('openDashboardBtn');
+const openScheduleBtn = document.getElementById('openScheduleBtn');
+
+// Failed orders (persistent store kept by the background)
+const failedSection = document.getElementById('failedSection');
+const failedOrdersCount = document.getElementById('failedOrdersCount');
+const failedOrdersList = document.getElementById('failedOrdersList');
+const retryFailedBtn = document.getElementById('retryFailedBtn');
+
+// Region profile select
+const regionSelect = document.getElementById('regionSelect');
+
+// Order tab selects (tab to export from, tab filter for downloads)
+const orderTabSelect = document.getElementById('orderTabSelect');
+const exportTabSelect = document.getElementById('exportTabSelect');
+const exportShopSelect = document.getElementById('exportShopSelect'); // Shop filter for downloads
+const exportProfileSelect = document.getElementById('exportProfileSelect'); // Privacy profile of downloads
+
+// Customer data lock (shown when customer details are stored encrypted)
+const piiLockRow = document.getElementById('piiLockRow');
+const piiLockStatus = document.getElementById('piiLockStatus');
+const piiPassphraseInput = document.getElementById('piiPassphraseInput');
+const piiUnlockBtn = document.getElementById('piiUnlockBtn');
+const piiLockBtn = document.getElementById('piiLockBtn');
+const workerCountSelect = document.getElementById('workerCountSelect');
+
+// Run mode (export new orders / refresh stored orders) and the refresh filter
+const runModeSelect = document.getElementById('runModeSelect');
+const refreshSettings = document.getElementById('refreshSettings');
+const refreshAgeSelect = document.getElementById('refreshAgeSelect');
+const refreshStatusSelect = document.getElementById('refreshStatusSelect');
+const listSettings = document.getElementById('listSettings');
+const rangeSettings = document.getElementById('rangeSettings');
+const syncInfo = document.getElementById('syncInfo');
+
+// All pages mode and its projection
+const allPagesCheckbox = document.getElementById('allPagesCheckbox');
+const pagePreview = document.getElementById('pagePreview');
+const pagePreviewText = document.getElementById('pagePreviewText');
+const pagePreviewLink = document.getElementById('pagePreviewLink');
+const dateFilterLabel = document.getElementById('dateFilterLabel');
+
+// Show which time the date range applies to for the selected tab
+function updateDateFilterLabel() {
+  dateFilterLabel.textContent = `📅 ${getOrderTab(orderTabSelect.value).timeFilterLabel}:`;
+}
 
-// Date filter element (single date)
-const filterDateInput = document.getElementById('filterDate');
+// Date range filter elements
+const datePresetSelect = document.getElementById('datePreset');
+const filterStartDateInput = document.getElementById('filterStartDate');
+const filterEndDateInput = document.getElementById('filterEndDate');
 
 // Page range elements
 const startPageInput = document.getElementById('startPage');
@@ -63,6 +110,7 @@ const licenseDaysLeft = document.getElementById('licenseDaysLeft');
 // State
 let isRunning = false;
 let exportStartTime = null; // Track when export started for time estimation
+let currentShop = null; // { code, name } of the shop the license check found - runs are stored for it
 
 // Time estimate elements
 const timeEstimate = document.getElementById('timeEstimate');
@@ -443,6 +491,7 @@ async function checkLicenseBeforeStart() {
   if (result.valid) {
     // Add shop name to result for display
     result.shopName = currentShopName;
+    currentShop = { code: currentShopCode, name: currentShopName };
 
     // Check if this is a newly created trial
     if (result.isNewTrial) {
@@ -581,22 +630,100 @@ async function checkAndDisplayLicenseInfo() {
 // Initialize on popup open
 async function init() {
   // Load saved settings
-  const settings = await chrome.storage.local.get(['filterDate', 'startPage', 'endPage']);
+  const settings = await chrome.storage.local.get([
+    'filterDate', 'datePreset', 'filterStartDate', 'filterEndDate', 'startPage', 'endPage', 'region',
+    'orderTab', 'exportTab', 'exportProfile', 'workerCount', 'allPages', 'runMode', 'refreshFilter'
+  ]);
+
+  // Populate region profiles
+  for (const profile of Object.values(REGION_PROFILES)) {
+    const option = document.createElement('option');
+    option.value = profile.code;
+    option.textContent = `${profile.name} (${profile.currency})`;
+    regionSelect.appendChild(option);
+  }
+  regionSelect.value = getRegionProfile(settings.region).code;
+
+  // Populate order tabs
+  const allTabsOption = document.createElement('option');
+  allTabsOption.value = '';
+  allTabsOption.textContent = 'Download: all tabs';
+  exportTabSelect.appendChild(allTabsOption);
+  for (const tab of Object.values(ORDER_TABS)) {
+    const option = document.createElement('option');
+    option.value = tab.key;
+    option.textContent = tab.label;
+    orderTabSelect.appendChild(option);
+
+    const exportOption = document.createElement('option');
+    exportOption.value = tab.key;
+    exportOption.textContent = `Download: ${tab.label} only`;
+    exportTabSelect.appendChild(exportOption);
+  }
+  orderTabSelect.value = getOrderTab(settings.orderTab).key;
+  exportTabSelect.value = settings.exportTab || '';
+  for (const profile of Object.values(EXPORT_PROFILES)) {
+    const option = document.createElement('option');
+    option.value = profile.key;
+    option.textContent = `Privacy: ${profile.label}`;
+    exportProfileSelect.appendChild(option);
+  }
+  exportProfileSelect.value = getExportProfile(settings.exportProfile).key;
+  loadExportShops();
+  updateDateFilterLabel();
+
+  // Load run mode and refresh filter
+  const openOption = document.createElement('option');
+  openOption.value = 'open';
+  openOption.textContent = `Not ${FINAL_ORDER_STATUSES.join('/').toLowerCase()}`;
+  refreshStatusSelect.appendChild(openOption);
+  const anyOption = document.createElement('option');
+  anyOption.value = '';
+  anyOption.textContent = 'Any status';
+  refreshStatusSelect.appendChild(anyOption);
+  for (const status of ORDER_STATUSES) {
+    const option = document.createElement('option');
+    option.value = status;
+    option.textContent = status;
+    refreshStatusSelect.appendChild(option);
+  }
+  runModeSelect.value = ['refresh', 'incremental', 'list-only'].includes(settings.runMode) ? settings.runMode : 'pages';
+  if (settings.refreshFilter) {
+    refreshAgeSelect.value = String(settings.refreshFilter.maxAgeDays);
+    refreshStatusSelect.value = settings.refreshFilter.status;
+  }
+  updateRunModeUI();
+
+  // Load worker tab count
+  if (settings.workerCount) workerCountSelect.value = String(settings.workerCount);
 
   // Load page range settings
   if (settings.startPage) startPageInput.value = settings.startPage;
   if (settings.endPage) endPageInput.value = settings.endPage;
-
-  // Load date filter setting
-  if (settings.filterDate) {
-    filterDateInput.value = settings.filterDate;
-  } else {
-    // Default to today
-    filterDateInput.value = new Date().toISOString().split('T')[0];
+  allPagesCheckbox.checked = !!settings.allPages;
+  updateAllPagesUI();
+
+  // Load date range setting (filterDate is the old single-date setting)
+  for (const [key, label] of Object.entries(DATE_RANGE_PRESETS)) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = label;
+    datePresetSelect.appendChild(option);
   }
 
+  const savedRange = normalizeDateFilter({
+    startDate: settings.filterStartDate,
+    endDate: settings.filterEndDate,
+    date: settings.filterDate
+  });
+  const preset = settings.datePreset || (savedRange ? 'custom' : 'today');
+  datePresetSelect.value = preset;
+  applyDateRange(resolveDatePreset(preset) || savedRange || resolveDatePreset('today'));
+
   // Load storage count
   await updateStorageCount();
+  loadFailedOrders();
+  updatePiiLockRow();
 
   // Check and display license info on popup open
   await checkAndDisplayLicenseInfo();
@@ -614,27 +741,133 @@ async function init() {
 
 // Update storage count display
 async function updateStorageCount() {
-  const storage = await chrome.storage.local.get(['exportedOrders']);
-  const count = storage.exportedOrders ? storage.exportedOrders.length : 0;
-  storageCount.textContent = count;
+  storageCount.textContent = await countOrders();
 }
 
+// Load the failed-orders store
+function loadFailedOrders() {
+  chrome.runtime.sendMessage({ type: 'GET_FAILED_ORDERS' }, (response) => {
+    if (response && response.success) {
+      renderFailedOrders(response.failedOrders);
+    }
+  });
+}
+
+// Show failed orders with per-order retry and dismiss
+function renderFailedOrders(failedOrders) {
+  failedOrdersList.innerHTML = '';
+  failedOrdersCount.textContent = failedOrders.length;
+  failedSection.classList.toggle('show', failedOrders.length > 0 && !isRunning);
+
+  for (const order of failedOrders) {
+    const item = document.createElement('div');
+    item.className = 'failed-item';
+
+    const id = document.createElement('span');
+    id.textContent = '...' + order.order_id.slice(-8);
+    id.title = order.order_id;
+
+    const reason = document.createElement('span');
+    reason.className = 'failed-reason';
+    reason.textContent = `${order.blocked ? '🔒 ' : ''}${order.reason} (${order.attempts}×)`;
+    reason.title = `${getRegionProfile(order.region).name}, ${getOrderTab(order.tab).label}, page ${order.page} - last failed ${new Date(order.lastFailedAt).toLocaleString()}`;
+
+    const retry = document.createElement('a');
+    retry.textContent = 'Retry';
+    retry.addEventListener('click', () => startRetryFailed(order.region, [order.order_id]));
+
+    const dismiss = document.createElement('a');
+    dismiss.textContent = 'Dismiss';
+    dismiss.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'DISMISS_FAILED_ORDERS', orderIds: [order.order_id] });
+    });
+
+    item.append(id, reason, retry, dismiss);
+    failedOrdersList.appendChild(item);
+  }
+}
+
+// Start a run that only processes failed orders (all of a region, or the given ones)
+async function startRetryFailed(region, orderIds = null) {
+  const hasValidLicense = await checkLicenseBeforeStart();
+  if (!hasValidLicense) return;
+
+  const workers = parseInt(workerCountSelect.value) || 1;
+  chrome.runtime.sendMessage({
+    type: 'START_EXPORT',
+    mode: 'retry-failed',
+    orderIds,
+    region,
+    shop: currentShop,
+    tab: orderTabSelect.value,
+    workers,
+    delayMinMs: 2000,
+    delayMaxMs: 7000
+  }, (response) => {
+    if (response && response.success) {
+      setRunningState(true);
+      addLog(orderIds ? `Retrying order ...${orderIds[0].slice(-8)}` : `Retrying failed ${getRegionProfile(region).name} orders...`, 'info');
+      historySection.classList.remove('show');
+    } else if (response && response.error) {
+      addLog('Error: ' + response.error, 'error');
+    }
+  });
+}
+
+// Retry failed button - the selected region's failed orders
+retryFailedBtn.addEventListener('click', () => {
+  startRetryFailed(regionSelect.value);
+});
+
+// Keep the failed orders current (runs add and remove them)
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.failedOrders) {
+    renderFailedOrders(changes.failedOrders.newValue || []);
+  }
+  if (area === 'local' && changes.knownShops) {
+    loadExportShops();
+  }
+  if ((area === 'session' && changes[PII_SESSION_KEY]) || (area === 'local' && changes[PII_SETTINGS_KEY])) {
+    updatePiiLockRow();
+  }
+});
+
 // Check for previous interrupted session and auto-resume
 // Note: Force stop (button click) clears session, so this only triggers for natural interruptions
 // Note: Paused by human does NOT auto-resume - user must manually resume
+// Note: If the service worker already continued the run itself, there is nothing to resume
 async function checkPreviousSession() {
   const sessionData = await chrome.storage.local.get(['sessionState']);
   const session = sessionData.sessionState;
 
-  if (session && session.orderIds && session.orderIds.length > 0 && session.currentOrderIndex < session.orderIds.length) {
+  const status = await new Promise(resolve => {
+    chrome.runtime.sendMessage({ type: 'GET_STATUS' }, resolve);
+  });
+  if (status && status.isRunning) return;
+
+  // Orders still to do: unassigned, handed back to the queue and in flight in a worker tab
+  const queuedCount = session && session.orderIds
+    ? session.orderIds.length - (session.currentOrderIndex || 0) +
+      (session.pendingOrderIds || []).length + (session.activeOrderIds || []).length
+    : 0;
+  const hasQueuedOrders = queuedCount > 0;
+  // Between pages the queue is empty - the run resumes by collecting the current page
+  // (phase: sessions saved before the run state machine)
+  const isCollecting = session && !hasQueuedOrders && (!!session.runState || session.phase === 'collecting');
+
+  if (isCollecting || hasQueuedOrders) {
+    const remaining = isCollecting ? 0 : queuedCount;
+    const progressText = isCollecting
+      ? `page ${session.currentPage || 1}/${session.endPage || 1}`
+      : `${remaining} orders remaining`;
+
     // Check if paused by human - do NOT auto-resume
     if (session.pausedByHuman) {
-      const remaining = session.orderIds.length - session.currentOrderIndex;
       debugLog(' Found paused session (by user), showing manual resume...');
 
       // Show paused state with resume button
       statusIcon.textContent = '⏸️';
-      statusText.textContent = `Paused: ${remaining} orders remaining`;
+      statusText.textContent = `Paused: ${progressText}`;
       setRunningState(false, true); // Show paused buttons
 
       // Update stats
@@ -648,16 +881,12 @@ async function checkPreviousSession() {
 
     // There's an interrupted session (natural interruption, not force stop or pause)
     // AUTO RESUME since force stop clears session state
-    const remaining = session.orderIds.length - session.currentOrderIndex;
-    const success = session.success || 0;
-    const failed = session.failed || 0;
-
     debugLog(' Found interrupted session, auto-resuming...');
-    debugLog(' Progress:', session.currentOrderIndex, '/', session.orderIds.length);
+    debugLog(' Progress:', session.runState || session.phase, progressText);
 
     // Show brief notification then auto-resume
     statusIcon.textContent = '🔄';
-    statusText.textContent = `Auto-resuming: ${remaining} orders remaining...`;
+    statusText.textContent = `Auto-resuming: ${progressText}...`;
 
     // Auto-resume after a short delay
     setTimeout(() => {
@@ -693,9 +922,187 @@ function autoResume() {
   });
 }
 
-// Date filter input
-filterDateInput.addEventListener('change', () => {
-  chrome.storage.local.set({ filterDate: filterDateInput.value });
+// Region select
+regionSelect.addEventListener('change', () => {
+  if (runModeSelect.value === 'incremental') updateSyncInfo();
+  chrome.storage.local.set({ region: regionSelect.value });
+});
+
+// Order tab select
+orderTabSelect.addEventListener('change', () => {
+  if (runModeSelect.value === 'incremental') updateSyncInfo();
+  updateDateFilterLabel();
+  chrome.storage.local.set({ orderTab: orderTabSelect.value });
+});
+
+// Download tab filter select
+exportTabSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ exportTab: exportTabSelect.value });
+});
+
+exportProfileSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ exportProfile: exportProfileSelect.value });
+});
+
+/**
+ * Fill the download shop filter with the shops runs were started for
+ * The shop open in the active tab is selected, if it is one of them
+ */
+async function loadExportShops() {
+  const [shops, pageShop] = await Promise.all([getKnownShops(), getCurrentShopInfo()]);
+
+  exportShopSelect.textContent = '';
+  const allShopsOption = document.createElement('option');
+  allShopsOption.value = '';
+  allShopsOption.textContent = 'Download: all shops';
+  exportShopSelect.appendChild(allShopsOption);
+  for (const shop of shops) {
+    const option = document.createElement('option');
+    option.value = shop.code;
+    option.textContent = `Download: ${formatShopLabel(shop)}`;
+    exportShopSelect.appendChild(option);
+  }
+
+  exportShopSelect.value = shops.some(shop => shop.code === pageShop.shopCode) ? pageShop.shopCode : '';
+  exportShopSelect.style.display = shops.length > 0 ? '' : 'none';
+}
+
+/**
+ * Show whether the customer data is locked (hidden while encryption is off)
+ */
+function updatePiiLockRow() {
+  chrome.runtime.sendMessage({ type: 'GET_PII_STATUS' }, (status) => {
+    if (!status || !status.success) return;
+
+    piiLockRow.style.display = status.enabled ? '' : 'none';
+    piiLockStatus.textContent = status.unlocked
+      ? `🔓 Unlocked until ${new Date(status.lockAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+      : '🔒 Customer data locked';
+    piiPassphraseInput.style.display = status.unlocked ? 'none' : '';
+    piiUnlockBtn.style.display = status.unlocked ? 'none' : '';
+    piiLockBtn.style.display = status.unlocked ? '' : 'none';
+  });
+}
+
+piiUnlockBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'UNLOCK_PII', passphrase: piiPassphraseInput.value }, (response) => {
+    if (response && response.error) {
+      addLog('Unlock failed: ' + response.error, 'error');
+      return;
+    }
+    piiPassphraseInput.value = '';
+    addLog('Customer data unlocked', 'success');
+  });
+});
+
+piiPassphraseInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') piiUnlockBtn.click();
+});
+
+piiLockBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'LOCK_PII' }, () => addLog('Customer data locked', 'info'));
+});
+
+// Run mode select
+runModeSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ runMode: runModeSelect.value });
+  updateRunModeUI();
+});
+
+// Refresh filter selects
+[refreshAgeSelect, refreshStatusSelect].forEach(select => {
+  select.addEventListener('change', () => {
+    chrome.storage.local.set({ refreshFilter: readRefreshFilter() });
+  });
+});
+
+// Show the order list settings or the refresh filter
+function updateRunModeUI() {
+  const refresh = runModeSelect.value === 'refresh';
+  const incremental = runModeSelect.value === 'incremental';
+  refreshSettings.style.display = refresh ? 'block' : 'none';
+  listSettings.style.display = refresh ? 'none' : 'block';
+  rangeSettings.style.display = incremental ? 'none' : 'block';
+  syncInfo.classList.toggle('show', incremental);
+  if (incremental) updateSyncInfo();
+}
+
+// Show how far the selected region and tab were synced (newest shop first)
+function updateSyncInfo() {
+  chrome.runtime.sendMessage({ type: 'GET_SYNC_WATERMARKS' }, (response) => {
+    if (!response || !response.success) return;
+
+    const region = regionSelect.value;
+    const synced = Object.entries(response.watermarks)
+      .filter(([shopKey]) => shopKey.split(':')[0] === region)
+      .map(([shopKey, tabs]) => ({ shopKey, ...tabs[orderTabSelect.value] }))
+      .filter(watermark => watermark.orderId)
+      .sort((a, b) => (b.syncedAt || '').localeCompare(a.syncedAt || ''));
+
+    if (synced.length === 0) {
+      syncInfo.textContent = 'First sync: every page will be exported';
+      return;
+    }
+    const last = synced[0];
+    const time = last.time ? new Date(last.time).toLocaleString() : `order ...${last.orderId.slice(-8)}`;
+    syncInfo.textContent = `Last sync (${last.shopKey}): up to ${time}`;
+  });
+}
+
+// Read the refresh filter from the selects
+function readRefreshFilter() {
+  return {
+    maxAgeDays: parseInt(refreshAgeSelect.value) || 0,
+    status: refreshStatusSelect.value
+  };
+}
+
+// Parallel tabs select
+workerCountSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ workerCount: parseInt(workerCountSelect.value) });
+});
+
+// Show a date range in the From/To inputs
+function applyDateRange(range) {
+  filterStartDateInput.value = range.startDate;
+  filterEndDateInput.value = range.endDate;
+}
+
+// Read the date range from the inputs
+// Presets are re-resolved so "Yesterday" is always relative to today
+function readDateFilter() {
+  const preset = datePresetSelect.value;
+  const presetRange = resolveDatePreset(preset);
+  if (presetRange) applyDateRange(presetRange);
+  return normalizeDateFilter({
+    startDate: filterStartDateInput.value,
+    endDate: filterEndDateInput.value,
+    preset
+  });
+}
+
+// Save the date range settings
+function saveDateRangeSettings() {
+  chrome.storage.local.set({
+    datePreset: datePresetSelect.value,
+    filterStartDate: filterStartDateInput.value,
+    filterEndDate: filterEndDateInput.value
+  });
+}
+
+// Date preset select - fill in the range for the chosen preset
+datePresetSelect.addEventListener('change', () => {
+  const range = resolveDatePreset(datePresetSelect.value);
+  if (range) applyDateRange(range);
+  saveDateRangeSettings();
+});
+
+// Date range inputs - editing a date switches to a custom range
+[filterStartDateInput, filterEndDateInput].forEach(input => {
+  input.addEventListener('change', () => {
+    datePresetSelect.value = 'custom';
+    saveDateRangeSettings();
+  });
 });
 
 // Page range inputs
@@ -717,6 +1124,42 @@ endPageInput.addEventListener('change', () => {
   chrome.storage.local.set({ startPage: parseInt(startPageInput.value), endPage: end });
 });
 
+// All pages checkbox
+allPagesCheckbox.addEventListener('change', () => {
+  updateAllPagesUI();
+  chrome.storage.local.set({ allPages: allPagesCheckbox.checked });
+});
+
+// Show the end page or the all pages projection
+function updateAllPagesUI() {
+  endPageInput.disabled = allPagesCheckbox.checked;
+  pagePreview.classList.toggle('show', allPagesCheckbox.checked);
+  pagePreviewText.textContent = 'Until the last page.';
+}
+
+// Project an all pages run from the open Seller Center order list
+pagePreviewLink.addEventListener('click', () => {
+  pagePreviewText.textContent = 'Checking Seller Center...';
+  chrome.runtime.sendMessage({
+    type: 'PREVIEW_EXPORT',
+    region: regionSelect.value,
+    tab: orderTabSelect.value,
+    dateFilter: readDateFilter(),
+    startPage: parseInt(startPageInput.value) || 1,
+    delayMinMs: 2000,
+    delayMaxMs: 7000,
+    workers: parseInt(workerCountSelect.value) || 1
+  }, (response) => {
+    if (!response || response.error) {
+      pagePreviewText.textContent = (response && response.error) || 'Preview failed';
+      return;
+    }
+    const orders = response.totalOrders !== null ? `~${response.totalOrders.toLocaleString()} orders on ` : '';
+    const time = response.estimatedMs ? `, ${formatDuration(response.estimatedMs)}` : '';
+    pagePreviewText.textContent = `${orders}${response.pages} pages${time}`;
+  });
+});
+
 // Sound effects using Web Audio API
 function playSound(type) {
   if (type === 'success') {
@@ -772,18 +1215,36 @@ chrome.runtime.onMessage.addListener((message) => {
 
 // Start button click
 startBtn.addEventListener('click', async () => {
-  // Validate date is set
-  if (!filterDateInput.value) {
-    addLog('Please select a date.', 'error');
-    filterDateInput.style.borderColor = 'red';
-    setTimeout(() => { filterDateInput.style.borderColor = ''; }, 2000);
+  // Refresh runs revisit stored orders - no date range or pages needed
+  if (runModeSelect.value === 'refresh') {
+    if (await checkLicenseBeforeStart()) startRefresh();
+    return;
+  }
+
+  // Incremental runs start at the first page and stop at the last sync
+  if (runModeSelect.value === 'incremental') {
+    if (await checkLicenseBeforeStart()) startExport();
+    return;
+  }
+
+  // Validate date range is set
+  const missingDate = [filterStartDateInput, filterEndDateInput].find(input => !input.value);
+  if (missingDate) {
+    addLog('Please select a date range.', 'error');
+    missingDate.style.borderColor = 'red';
+    setTimeout(() => { missingDate.style.borderColor = ''; }, 2000);
+    return;
+  }
+
+  if (filterStartDateInput.value > filterEndDateInput.value) {
+    addLog('Start date cannot be after end date.', 'error');
     return;
   }
 
   // Validate page range
   const startPage = parseInt(startPageInput.value) || 1;
   const endPage = parseInt(endPageInput.value) || 1;
-  if (startPage > endPage) {
+  if (!allPagesCheckbox.checked && startPage > endPage) {
     addLog('Start page cannot be greater than end page.', 'error');
     return;
   }
@@ -804,32 +1265,52 @@ startBtn.addEventListener('click', async () => {
 function startExport() {
   const startPage = parseInt(startPageInput.value) || 1;
   const endPage = parseInt(endPageInput.value) || 1;
-  const filterDate = filterDateInput.value;
+  const region = regionSelect.value;
+  const tab = orderTabSelect.value;
+  const workers = parseInt(workerCountSelect.value) || 1;
+  const allPages = allPagesCheckbox.checked;
+  const dateFilter = readDateFilter();
+  const incremental = runModeSelect.value === 'incremental';
+  const listOnly = runModeSelect.value === 'list-only';
 
   // Delay values (2-7 seconds)
   const delayMin = 2;
   const delayMax = 7;
 
   // Save settings
+  saveDateRangeSettings();
   chrome.storage.local.set({
-    filterDate,
     startPage,
-    endPage
+    endPage,
+    region,
+    orderTab: tab,
+    workerCount: workers,
+    allPages
   });
 
   // Build message with page range and date
   const message = {
     type: 'START_EXPORT',
+    // Incremental ignores the date and page range, list-only skips the detail pages
+    mode: incremental ? 'incremental' : (listOnly ? 'list-only' : 'pages'),
     startPage,
     endPage,
+    allPages, // Keep going until the last page (endPage is ignored)
     delayMinMs: delayMin * 1000,
     delayMaxMs: delayMax * 1000,
-    dateFilter: {
-      date: filterDate // Single date format: YYYY-MM-DD
-    }
+    region,
+    shop: currentShop, // Orders are stored and deduplicated per shop
+    tab,
+    workers, // Tabs extracting orders in parallel
+    dateFilter // { startDate, endDate, preset } - YYYY-MM-DD, inclusive
   };
 
-  addLog(`Date: ${filterDate}, Pages: ${startPage}-${endPage}`, 'info');
+  if (incremental) {
+    addLog(`Region: ${getRegionProfile(region).name}, Tab: ${getOrderTab(tab).label}, since the last sync, Tabs: ${workers}`, 'info');
+  } else {
+    const tabsText = listOnly ? 'list only' : `Tabs: ${workers}`;
+    addLog(`Region: ${getRegionProfile(region).name}, Tab: ${getOrderTab(tab).label}, Date: ${describeDateFilter(dateFilter)}, Pages: ${startPage}-${allPages ? 'last' : endPage}, ${tabsText}`, 'info');
+  }
 
   // Send start command to background
   chrome.runtime.sendMessage(message, (response) => {
@@ -843,6 +1324,34 @@ function startExport() {
   });
 }
 
+// Start a refresh run over the stored orders that match the filter
+function startRefresh() {
+  const region = regionSelect.value;
+  const workers = parseInt(workerCountSelect.value) || 1;
+  const refreshFilter = readRefreshFilter();
+
+  chrome.storage.local.set({ region, workerCount: workers, refreshFilter });
+
+  chrome.runtime.sendMessage({
+    type: 'START_EXPORT',
+    mode: 'refresh',
+    refreshFilter,
+    region,
+    shop: currentShop,
+    workers,
+    delayMinMs: 2000,
+    delayMaxMs: 7000
+  }, (response) => {
+    if (response && response.success) {
+      setRunningState(true);
+      addLog(`Refreshing stored ${getRegionProfile(region).name} orders...`, 'info');
+      historySection.classList.remove('show');
+    } else if (response && response.error) {
+      addLog('Error: ' + response.error, 'error');
+    }
+  });
+}
+
 // Resume button click
 resumeBtn.addEventListener('click', async () => {
   // Delay values (2-7 seconds)
@@ -904,44 +1413,48 @@ stopPausedBtn.addEventListener('click', () => {
 
 // Download CSV button click (during processing or after)
 downloadCsvBtn.addEventListener('click', () => {
-  chrome.runtime.sendMessage({ type: 'DOWNLOAD_CSV' }, (response) => {
+  chrome.runtime.sendMessage({ type: 'DOWNLOAD_CSV', sourceTab: exportTabSelect.value || null, shopCode: exportShopSelect.value || null, profile: exportProfileSelect.value }, (response) => {
     if (response && response.success) {
       addLog(`Exported ${response.count} orders to CSV!`, 'success');
     } else if (response && response.error) {
       addLog('Download error: ' + response.error, 'error');
+      if (response.locked) piiPassphraseInput.focus();
     }
   });
 });
 
 // Download XLSX button click (during processing or after)
 downloadXlsxBtn.addEventListener('click', () => {
-  chrome.runtime.sendMessage({ type: 'DOWNLOAD_XLSX' }, (response) => {
+  chrome.runtime.sendMessage({ type: 'DOWNLOAD_XLSX', sourceTab: exportTabSelect.value || null, shopCode: exportShopSelect.value || null, profile: exportProfileSelect.value }, (response) => {
     if (response && response.success) {
       addLog(`Exported ${response.count} orders to Excel!`, 'success');
     } else if (response && response.error) {
       addLog('Download error: ' + response.error, 'error');
+      if (response.locked) piiPassphraseInput.focus();
     }
   });
 });
 
 // History CSV download button click
 historyCsvBtn.addEventListener('click', () => {
-  chrome.runtime.sendMessage({ type: 'DOWNLOAD_CSV' }, (response) => {
+  chrome.runtime.sendMessage({ type: 'DOWNLOAD_CSV', sourceTab: exportTabSelect.value || null, shopCode: exportShopSelect.value || null, profile: exportProfileSelect.value }, (response) => {
     if (response && response.success) {
       addLog(`Exported ${response.count} orders to CSV!`, 'success');
     } else if (response && response.error) {
       addLog('Download error: ' + response.error, 'error');
+      if (response.locked) piiPassphraseInput.focus();
     }
   });
 });
 
 // History XLSX download button click
 historyXlsxBtn.addEventListener('click', () => {
-  chrome.runtime.sendMessage({ type: 'DOWNLOAD_XLSX' }, (response) => {
+  chrome.runtime.sendMessage({ type: 'DOWNLOAD_XLSX', sourceTab: exportTabSelect.value || null, shopCode: exportShopSelect.value || null, profile: exportProfileSelect.value }, (response) => {
     if (response && response.success) {
       addLog(`Exported ${response.count} orders to Excel!`, 'success');
     } else if (response && response.error) {
       addLog('Download error: ' + response.error, 'error');
+      if (response.locked) piiPassphraseInput.focus();
     }
   });
 });
@@ -949,7 +1462,8 @@ historyXlsxBtn.addEventListener('click', () => {
 // Clear storage button
 clearStorageBtn.addEventListener('click', async () => {
   if (confirm('Are you sure you want to clear all exported orders data? This cannot be undone.')) {
-    await chrome.storage.local.remove(['exportedOrders', 'sessionState']);
+    await clearOrders();
+    await chrome.storage.local.remove(['sessionState']);
     await updateStorageCount();
     historySection.classList.remove('show');
     startBtn.style.display = 'block';
@@ -964,6 +1478,11 @@ openDashboardBtn.addEventListener('click', () => {
   chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
 });
 
+// Open scheduled export settings (options page)
+openScheduleBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
 // Calculate and format time estimate
 function calculateTimeEstimate(processed, total, remaining) {
   if (!exportStartTime || processed < 2 || remaining <= 0) {
@@ -974,17 +1493,21 @@ function calculateTimeEstimate(processed, total, remaining) {
   const avgTimePerOrder = elapsedMs / processed;
   const estimatedRemainingMs = avgTimePerOrder * remaining;
 
-  // Format time
-  const totalSeconds = Math.round(estimatedRemainingMs / 1000);
+  return `${formatDuration(estimatedRemainingMs)} remaining`;
+}
+
+// Format a duration, e.g. "~45 sec", "~12 min" or "~2h 5m"
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
   if (totalSeconds < 60) {
-    return `~${totalSeconds} sec remaining`;
+    return `~${totalSeconds} sec`;
   } else if (totalSeconds < 3600) {
     const minutes = Math.round(totalSeconds / 60);
-    return `~${minutes} min remaining`;
+    return `~${minutes} min`;
   } else {
     const hours = Math.floor(totalSeconds / 3600);
     const minutes = Math.round((totalSeconds % 3600) / 60);
-    return `~${hours}h ${minutes}m remaining`;
+    return `~${hours}h ${minutes}m`;
   }
 }
 
@@ -1059,7 +1582,11 @@ function updateUI(status) {
     }
 
     // Show current order
-    if (status.currentOrderId) {
+    if (status.activeOrderIds && status.activeOrderIds.length > 1) {
+      // Several worker tabs - show every order in progress
+      currentOrder.classList.add('show');
+      currentOrderId.textContent = status.activeOrderIds.map(id => '...' + id.slice(-8)).join(', ');
+    } else if (status.currentOrderId) {
       currentOrder.classList.add('show');
       currentOrderId.textContent = status.currentOrderId;
     }
@@ -1130,6 +1657,7 @@ function setRunningState(running, paused = false) {
     runningBtns.style.display = 'none';
     pausedBtns.style.display = 'flex';
     historySection.classList.remove('show');
+    failedSection.classList.remove('show');
     settingsSection.style.display = 'none';
     logSection.classList.add('show');
   } else if (running) {
@@ -1138,6 +1666,7 @@ function setRunningState(running, paused = false) {
     runningBtns.style.display = 'flex';
     pausedBtns.style.display = 'none';
     historySection.classList.remove('show');
+    failedSection.classList.remove('show');
     settingsSection.style.display = 'none';
     logSection.classList.add('show');
   } else {
@@ -1146,6 +1675,7 @@ function setRunningState(running, paused = false) {
     runningBtns.style.display = 'none';
     pausedBtns.style.display = 'none';
     settingsSection.style.display = 'block';
+    failedSection.classList.toggle('show', failedOrdersList.children.length > 0);
   }
 }
 
@@ -0,0 +1,148 @@
+/**
+ * Export Privacy Profiles for TikTok Order Exporter
+ *
+ * How much of the customer details (name, phone, address) an export
+ * contains, for files shared with an agency or accountant:
+ * - full: as stored
+ * - masked: enough to recognise a customer, e.g. "A*** B****", "60*****6789",
+ *   and only the postcode/city/state part of the address
+ * - hashed: stable pseudonymous IDs (HMAC-SHA-256 with a key of this install),
+ *   so repeat customers can be counted without being identified
+ * - none: no customer details at all
+ *
+ * Shared script - loaded by background.js (importScripts), popup.html and
+ * dashboard.html, after pii-vault.js and retention.js. Hashed exports
+ * normalize the details with customers.js (not loaded by the popup).
+ */
+
+const EXPORT_PROFILES = {
+  full: { key: 'full', label: 'Full details', columnSuffix: '', fileSuffix: '' },
+  masked: { key: 'masked', label: 'Partially masked', columnSuffix: ' (masked)', fileSuffix: '_masked' },
+  hashed: { key: 'hashed', label: 'Hashed identifiers', columnSuffix: ' (hashed)', fileSuffix: '_hashed' },
+  none: { key: 'none', label: 'No customer details', columnSuffix: ' (removed)', fileSuffix: '_nopii' }
+};
+
+const DEFAULT_EXPORT_PROFILE = 'full';
+const EXPORT_HASH_KEY = 'exportHashKey'; // chrome.storage.local: HMAC key of hashed exports (base64)
+const EXPORT_HASH_LENGTH = 16; // Hex characters kept of each hash
+
+/**
+ * Get an export privacy profile
+ * @param {string} key - Profile key
+ * @returns {Object} - Profile (full details for unknown keys)
+ */
+function getExportProfile(key) {
+  return EXPORT_PROFILES[key] || EXPORT_PROFILES[DEFAULT_EXPORT_PROFILE];
+}
+
+/**
+ * Mask a name to the first letter of each word, e.g. "Aina Binti Ali" → "A*** B**** A**"
+ * @param {string} name
+ * @returns {string}
+ */
+function maskName(name) {
+  return String(name || '').trim().split(/\s+/).filter(Boolean)
+    .map(word => word.charAt(0) + '*'.repeat(Math.max(word.length - 1, 1)))
+    .join(' ');
+}
+
+/**
+ * Mask a phone number to its first 2 and last 4 digits, e.g. "+60 12-345 6789" → "60*****6789"
+ * @param {string} phone
+ * @returns {string}
+ */
+function maskPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length <= 6) return '*'.repeat(digits.length);
+  return digits.slice(0, 2) + '*'.repeat(digits.length - 6) + digits.slice(-4);
+}
+
+/**
+ * Mask an address to its last two parts (postcode/city and state)
+ * e.g. "No 1, Jalan Mawar, 50000 Kuala Lumpur, Wilayah Persekutuan" → "***, 50000 Kuala Lumpur, Wilayah Persekutuan"
+ * @param {string} address
+ * @returns {string}
+ */
+function maskAddress(address) {
+  const parts = String(address || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return '';
+  return ['***', ...parts.slice(-2)].join(', ');
+}
+
+/**
+ * Get an HMAC key kept by this install (created on first use)
+ * @param {string} storageKey - chrome.storage.local key of the key (base64)
+ * @returns {Promise<CryptoKey>}
+ */
+async function getStoredHmacKey(storageKey) {
+  const storage = await chrome.storage.local.get([storageKey]);
+  let encoded = storage[storageKey];
+  if (!encoded) {
+    encoded = bytesToBase64(crypto.getRandomValues(new Uint8Array(32)));
+    await chrome.storage.local.set({ [storageKey]: encoded });
+  }
+  return crypto.subtle.importKey('raw', base64ToBytes(encoded), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+/**
+ * Get the HMAC key of hashed exports
+ * Kept per install, so the same customer gets the same ID in every export
+ * (the customer book matches orders with a key of its own)
+ * @returns {Promise<CryptoKey>}
+ */
+function getExportHashKey() {
+  return getStoredHmacKey(EXPORT_HASH_KEY);
+}
+
+/**
+ * Hash a customer detail to a pseudonymous ID, e.g. "P-3fa94c0e1b27d5a8"
+ * @param {CryptoKey} key - From getExportHashKey()
+ * @param {string} prefix - Kind of detail (N = name, P = phone, A = address)
+ * @param {string} value - Normalized value ('' gives '')
+ * @returns {Promise<string>}
+ */
+async function hashIdentifier(key, prefix, value) {
+  if (!value) return '';
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(value));
+  const hex = Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${prefix}-${hex.slice(0, EXPORT_HASH_LENGTH)}`;
+}
+
+/**
+ * Apply an export privacy profile to orders with plain customer details
+ * (orders exported without customer details may still be encrypted)
+ * @param {Object[]} orders - Order records
+ * @param {string} profileKey - Profile key
+ * @returns {Promise<Object[]>} - Copies with the customer details of the profile
+ */
+async function applyExportProfile(orders, profileKey) {
+  const profile = getExportProfile(profileKey);
+  if (profile.key === 'full') return orders;
+
+  const key = profile.key === 'hashed' ? await getExportHashKey() : null;
+  return Promise.all(orders.map(async (order) => {
+    const copy = { ...order };
+    delete copy.pii;
+
+    if (profile.key === 'masked') {
+      copy.customer_name = maskName(order.customer_name);
+      copy.phone_number = maskPhone(order.phone_number);
+      copy.phone_raw = maskPhone(order.phone_raw);
+      copy.full_address = maskAddress(order.full_address);
+      copy.address_line1 = order.address_line1 ? '***' : '';
+      copy.address_line2 = order.address_line2 ? '***' : '';
+    } else if (profile.key === 'hashed') {
+      // Normalized like the customer book's keys, so the forms of one customer's details get one ID
+      copy.customer_name = await hashIdentifier(key, 'N', normalizeCustomerNameKey(order.customer_name));
+      copy.phone_number = await hashIdentifier(key, 'P', normalizeCustomerPhone(order.phone_number, order.region));
+      copy.phone_raw = order.phone_raw ? copy.phone_number : '';
+      copy.full_address = await hashIdentifier(key, 'A', normalizeCustomerName(order.full_address));
+      copy.address_line1 = order.address_line1 ? await hashIdentifier(key, 'A', normalizeCustomerName(order.address_line1)) : '';
+      copy.address_line2 = order.address_line2 ? await hashIdentifier(key, 'A', normalizeCustomerName(order.address_line2)) : '';
+    } else {
+      PII_FIELDS.forEach(field => { copy[field] = ''; });
+      copy.customer_id = ''; // Would still link the orders of one customer
+    }
+    return copy;
+  }));
+}
@@ -0,0 +1,224 @@
+/**
+ * Region Profiles for TikTok Order Exporter
+ *
+ * Every TikTok Shop market has its own Seller Center host and formats
+ * amounts, phone numbers, postcodes and addresses differently.
+ * A profile bundles everything the extension needs to work with one market.
+ *
+ * Shared script - loaded by background.js (importScripts), the content
+ * script list in manifest.json, popup.html and dashboard.html.
+ */
+
+const DEFAULT_REGION = 'MY';
+
+// TikTok Shop order numbers: 17-19 digits starting with 5
+const TIKTOK_ORDER_ID_PATTERN = /5\d{16,18}/;
+
+const REGION_PROFILES = {
+  MY: {
+    code: 'MY',
+    name: 'Malaysia',
+    country: 'Malaysia',
+    sellerHost: 'seller-my.tiktok.com',
+    dialCode: '60', // Country calling code
+    currency: 'MYR',
+    currencySymbol: 'RM',
+    // Prefix used when matching amounts on the page, e.g. "RM 1,234.50"
+    amountPrefix: 'RM',
+    thousandsSeparator: ',',
+    // Shown as +60..., (+60)... or 01...
+    phonePattern: /\+?60\d{8,11}|\(\+60\)\d{8,11}|01\d{8,9}/,
+    postcodePattern: /\b\d{5}\b/,
+    addressKeywords: ['jalan', 'lorong', 'taman', 'kampung', 'blok', 'unit', 'no.', 'tingkat', 'bandar'],
+    orderIdPattern: TIKTOK_ORDER_ID_PATTERN
+  },
+  SG: {
+    code: 'SG',
+    name: 'Singapore',
+    country: 'Singapore',
+    sellerHost: 'seller-sg.tiktok.com',
+    dialCode: '65', // Country calling code
+    currency: 'SGD',
+    currencySymbol: 'S$',
+    amountPrefix: 'S?\\$',
+    thousandsSeparator: ',',
+    // Shown as +65..., (+65)... or 8 digits starting with 6, 8 or 9
+    phonePattern: /\+?65[3689]\d{7}|\(\+65\)[3689]\d{7}|\b[3689]\d{7}\b/,
+    postcodePattern: /\b\d{6}\b/,
+    addressKeywords: ['blk', 'block', 'street', 'avenue', 'ave', 'road', 'drive', 'crescent', 'lane', '#'],
+    orderIdPattern: TIKTOK_ORDER_ID_PATTERN
+  },
+  TH: {
+    code: 'TH',
+    name: 'Thailand',
+    country: 'Thailand',
+    sellerHost: 'seller-th.tiktok.com',
+    dialCode: '66', // Country calling code
+    currency: 'THB',
+    currencySymbol: '฿',
+    amountPrefix: '฿',
+    thousandsSeparator: ',',
+    // Shown as +66..., (+66)... or 0 followed by 9 digits
+    phonePattern: /\+?66\d{8,9}|\(\+66\)\d{8,9}|0[2-9]\d{7,8}/,
+    postcodePattern: /\b\d{5}\b/,
+    addressKeywords: ['ถนน', 'ซอย', 'หมู่', 'ตำบล', 'อำเภอ', 'จังหวัด', 'soi', 'moo', 'road', 'tambon', 'amphoe'],
+    orderIdPattern: TIKTOK_ORDER_ID_PATTERN
+  },
+  PH: {
+    code: 'PH',
+    name: 'Philippines',
+    country: 'Philippines',
+    sellerHost: 'seller-ph.tiktok.com',
+    dialCode: '63', // Country calling code
+    currency: 'PHP',
+    currencySymbol: '₱',
+    amountPrefix: '₱',
+    thousandsSeparator: ',',
+    // Shown as +63..., (+63)... or 09...
+    phonePattern: /\+?63\d{10}|\(\+63\)\d{10}|09\d{9}/,
+    postcodePattern: /\b\d{4}\b/,
+    addressKeywords: ['barangay', 'brgy', 'street', 'st.', 'purok', 'subdivision', 'city', 'province'],
+    orderIdPattern: TIKTOK_ORDER_ID_PATTERN
+  },
+  ID: {
+    code: 'ID',
+    name: 'Indonesia',
+    country: 'Indonesia',
+    sellerHost: 'seller-id.tiktok.com',
+    dialCode: '62', // Country calling code
+    currency: 'IDR',
+    currencySymbol: 'Rp',
+    amountPrefix: 'Rp',
+    // Rupiah uses dots for thousands: "Rp 125.000"
+    thousandsSeparator: '.',
+    // Shown as +62..., (+62)... or 08...
+    phonePattern: /\+?62\d{8,12}|\(\+62\)\d{8,12}|08\d{8,11}/,
+    postcodePattern: /\b\d{5}\b/,
+    addressKeywords: ['jalan', 'jl.', 'gang', 'gg.', 'rt', 'rw', 'kelurahan', 'kecamatan', 'kabupaten', 'kota'],
+    orderIdPattern: TIKTOK_ORDER_ID_PATTERN
+  }
+};
+
+/**
+ * Get a region profile by code, falling back to the default region
+ * @param {string} code - Region code (MY, SG, TH, PH, ID)
+ * @returns {Object} - Region profile
+ */
+function getRegionProfile(code) {
+  return REGION_PROFILES[String(code || '').toUpperCase()] || REGION_PROFILES[DEFAULT_REGION];
+}
+
+/**
+ * Find the region profile for a Seller Center hostname
+ * @param {string} hostname - e.g. "seller-sg.tiktok.com"
+ * @returns {Object|null} - Region profile or null if unknown
+ */
+function getRegionByHost(hostname) {
+  return Object.values(REGION_PROFILES).find(p => p.sellerHost === hostname) || null;
+}
+
+/**
+ * Find the region profile for a currency code
+ * @param {string} currency - e.g. "SGD"
+ * @returns {Object|null} - Region profile or null if unknown
+ */
+function getRegionByCurrency(currency) {
+  return Object.values(REGION_PROFILES).find(p => p.currency === currency) || null;
+}
+
+/**
+ * Build the order list URL for a region
+ * @param {string} region - Region code
+ * @param {string} urlTab - ?tab= value of the order list (see order-tabs.js)
+ * @returns {string}
+ */
+function buildOrderListUrl(region, urlTab = 'shipped') {
+  const profile = getRegionProfile(region);
+  return `https://${profile.sellerHost}/order?selected_sort=6&tab=${urlTab}`;
+}
+
+/**
+ * Build the order detail URL for a region
+ * @param {string} region - Region code
+ * @param {string} orderId - TikTok order number
+ * @returns {string}
+ */
+function buildOrderDetailUrl(region, orderId) {
+  const profile = getRegionProfile(region);
+  return `https://${profile.sellerHost}/order/detail?order_no=${orderId}&shop_region=${profile.code}`;
+}
+
+/**
+ * URL match pattern for all Seller Center pages of a region (for chrome.tabs.query)
+ * @param {string} region - Region code
+ * @returns {string}
+ */
+function buildRegionMatchPattern(region) {
+  return `*://${getRegionProfile(region).sellerHost}/*`;
+}
+
+/**
+ * Parse the first amount in a text, e.g. "Total RM 1,234.50" -> 1234.5
+ * @param {string} text - Text containing a price
+ * @param {Object} profile - Region profile
+ * @returns {number|null} - Parsed amount or null if no price found
+ */
+function parseRegionAmount(text, profile) {
+  const pattern = new RegExp(`(?:${profile.amountPrefix})\\s*([\\d.,]+\\d|\\d)`, 'i');
+  const match = (text || '').match(pattern);
+  if (!match) return null;
+
+  let number = match[1];
+  if (profile.thousandsSeparator === '.') {
+    number = number.replace(/\./g, '').replace(',', '.');
+  } else {
+    number = number.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(number);
+  return isNaN(amount) ? null : amount;
+}
+
+/**
+ * Find a phone number in a text
+ * @param {string} text - Text to search
+ * @param {Object} profile - Region profile
+ * @returns {string|null} - Matched phone number as written on the page
+ */
+function matchRegionPhone(text, profile) {
+  const match = (text || '').match(profile.phonePattern);
+  return match ? match[0] : null;
+}
+
+/**
+ * Check whether a text looks like a delivery address for the region
+ * @param {string} text - Text to check
+ * @param {Object} profile - Region profile
+ * @returns {boolean}
+ */
+function isLikelyRegionAddress(text, profile) {
+  if (text.includes(profile.country) || profile.postcodePattern.test(text) || text.length > 35) {
+    return true;
+  }
+  const lower = text.toLowerCase();
+  return profile.addressKeywords.some(keyword => {
+    // Short latin keywords (rt, no., st.) must match as whole words
+    if (keyword.length <= 3 && /^[a-z.]+$/.test(keyword)) {
+      const escaped = keyword.replace(/\./g, '\\.');
+      return new RegExp(`(^|[^a-z])${escaped}($|[^a-z])`).test(lower);
+    }
+    return lower.includes(keyword);
+  });
+}
+
+/**
+ * Format an amount with its currency symbol, e.g. (12.5, 'MYR') -> "RM 12.50"
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code; unknown codes are shown as-is
+ * @returns {string}
+ */
+function formatRegionAmount(amount, currency) {
+  const profile = getRegionByCurrency(currency);
+  const symbol = profile ? profile.currencySymbol : (currency || getRegionProfile(DEFAULT_REGION).currencySymbol);
+  return symbol + ' ' + parseFloat(amount || 0).toFixed(2);
+}
@@ -0,0 +1,141 @@
+/**
+ * Customer Data Retention for TikTok Order Exporter
+ *
+ * Personal data (PDPA) is kept only as long as the retention policy allows.
+ * The policy is stored as `retentionPolicy`: { enabled, days } - the customer
+ * name, phone number and address of an order are redacted `days` after its
+ * order date (the extraction time for orders without one). The rest of the
+ * order (ID, items, totals, status) is kept for the sales figures.
+ *
+ * The background enforces the policy from a daily chrome.alarms alarm, erases
+ * one customer's details on request, and records every purge in `purgeAudit`.
+ * Audit entries never hold the customer details they erased.
+ *
+ * Shared script - loaded by background.js (importScripts) and options.html,
+ * after pii-vault.js.
+ */
+
+const RETENTION_POLICY_KEY = 'retentionPolicy';
+const PURGE_AUDIT_KEY = 'purgeAudit';
+const RETENTION_ALARM_NAME = 'retention-purge';
+const RETENTION_PURGE_INTERVAL_MINUTES = 24 * 60;
+const RETENTION_DAY_OPTIONS = [30, 60, 90, 180, 365];
+const PURGE_AUDIT_LIMIT = 100; // Purges kept in `purgeAudit`
+const MIN_ERASE_PHONE_DIGITS = 7; // Shorter numbers would match unrelated customers
+
+const DEFAULT_RETENTION_POLICY = {
+  enabled: false,
+  days: 90
+};
+
+/**
+ * Fill in defaults and fix invalid values of a retention policy
+ * @param {Object} policy - Saved or submitted policy
+ * @returns {{enabled: boolean, days: number}}
+ */
+function normalizeRetentionPolicy(policy) {
+  const merged = { ...DEFAULT_RETENTION_POLICY, ...(policy || {}) };
+  const days = parseInt(merged.days);
+  return {
+    enabled: !!merged.enabled,
+    days: RETENTION_DAY_OPTIONS.includes(days) ? days : DEFAULT_RETENTION_POLICY.days
+  };
+}
+
+/**
+ * Get the time before which orders are past the retention period
+ * @param {Object} policy - Normalized policy
+ * @param {number} now - Reference time in ms (defaults to now)
+ * @returns {number} - Timestamp in ms
+ */
+function getRetentionCutoff(policy, now = Date.now()) {
+  return now - policy.days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Get the time an order's retention period counts from
+ * @param {Object} order - Stored order record
+ * @returns {number|null} - Order time, or extraction time if the order date is unknown (ms)
+ */
+function getRetentionStart(order) {
+  if (order.order_time) return order.order_time;
+  const extractedAt = Date.parse(order.extracted_at);
+  return isNaN(extractedAt) ? null : extractedAt;
+}
+
+/**
+ * Check whether an order still holds customer details (plain or encrypted)
+ * @param {Object} order - Stored order record
+ * @returns {boolean}
+ */
+function hasCustomerDetails(order) {
+  return isOrderPiiEncrypted(order) || PII_FIELDS.some(field => order[field]);
+}
+
+/**
+ * Redact an order's customer details
+ * The customer book's match keys go too; orders past the retention period
+ * stay with their customer, erased ones are unlinked from it
+ * @param {Object} order - Stored order record
+ * @param {string} reason - 'retention' or 'erase'
+ * @param {string} at - ISO time of the purge
+ * @returns {Object} - Redacted copy, or the order itself if it has nothing to redact
+ */
+function redactOrderPii(order, reason, at) {
+  if (!hasCustomerDetails(order)) return order;
+
+  const redacted = { ...order, pii_redacted_at: at, pii_redaction: reason };
+  PII_FIELDS.forEach(field => { redacted[field] = ''; });
+  delete redacted.pii;
+  delete redacted.customer_keys;
+  if (reason === 'erase') delete redacted.customer_id;
+  return redacted;
+}
+
+/**
+ * Normalize a phone number for matching (digits only)
+ * @param {string} phone
+ * @returns {string}
+ */
+function normalizePhoneDigits(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+/**
+ * Normalize a name for matching (case and spacing ignored)
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeCustomerName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Check whether an order belongs to the customer of an erase request
+ * Phone numbers match with or without the country code (60123456789 = 0123456789 = 123456789)
+ * @param {Object} order - Order record with plain customer details
+ * @param {{phone: string, name: string}} customer - Normalized phone digits and name
+ * @returns {boolean}
+ */
+function orderMatchesCustomer(order, customer) {
+  if (customer.phone) {
+    const phone = normalizePhoneDigits(order.phone_number);
+    if (phone.length >= MIN_ERASE_PHONE_DIGITS && (phone.endsWith(customer.phone) || customer.phone.endsWith(phone))) {
+      return true;
+    }
+  }
+  return !!customer.name && normalizeCustomerName(order.customer_name) === customer.name;
+}
+
+/**
+ * Describe an erase request without the customer details, for the audit
+ * e.g. "phone ending 6789 or name A***"
+ * @param {{phone: string, name: string}} customer - Normalized phone digits and name
+ * @returns {string}
+ */
+function describeEraseRequest(customer) {
+  const parts = [];
+  if (customer.phone) parts.push(`phone ending ${customer.phone.slice(-4)}`);
+  if (customer.name) parts.push(`name ${customer.name.charAt(0).toUpperCase()}***`);
+  return parts.join(' or ');
+}
@@ -0,0 +1,153 @@
+/**
+ * Run State Machine for TikTok Order Exporter
+ *
+ * An export run is always in exactly one of the RUN_STATES. The background
+ * worker only moves between them through transition(), so late messages,
+ * duplicate tab "complete" events and timers from an earlier step cannot
+ * act twice - they find the machine in a different state and bail out.
+ *
+ *   idle ──start──▶ navigating ──list loaded──▶ collecting ──ids──▶ extracting
+ *   extracting ──page done──▶ waiting ──delay──▶ navigating (next page) | done
+ *   any active state ──▶ paused | done | failed | idle (stop)
+ *
+ * While the run is extracting, each worker tab has its own WORKER_STATES
+ * machine that takes orders from the page's shared queue:
+ *
+ *   idle ──order──▶ navigating ──detail loaded──▶ extracting ──result──▶ waiting ──delay──▶ navigating
+ *
+ * Shared script - loaded by background.js (importScripts) and the unit tests.
+ */
+
+const RUN_STATES = {
+  IDLE: 'idle',             // No run (never started or force stopped)
+  NAVIGATING: 'navigating', // Export tab is loading the order list
+  COLLECTING: 'collecting', // Content script is collecting order IDs from the list page
+  EXTRACTING: 'extracting', // Worker tabs are extracting the page's orders
+  WAITING: 'waiting',       // Delay before loading the next page
+  PAUSED: 'paused',         // Paused by the user - resumes only on request
+  DONE: 'done',             // All pages processed
+  FAILED: 'failed'          // Run aborted by an unrecoverable error
+};
+
+// Allowed transitions: state -> states it may move to
+const RUN_TRANSITIONS = {
+  idle: ['navigating', 'extracting', 'paused'],
+  navigating: ['collecting', 'extracting', 'paused', 'failed', 'idle'],
+  collecting: ['extracting', 'waiting', 'paused', 'done', 'failed', 'idle'],
+  extracting: ['waiting', 'paused', 'done', 'failed', 'idle'],
+  waiting: ['navigating', 'paused', 'failed', 'idle'],
+  paused: ['navigating', 'extracting', 'idle'],
+  done: ['navigating', 'idle'],
+  failed: ['navigating', 'idle']
+};
+
+// States in which a run is in progress
+const RUN_ACTIVE_STATES = ['navigating', 'collecting', 'extracting', 'waiting'];
+
+const WORKER_STATES = {
+  IDLE: 'idle',             // No order (queue empty, or the run is not extracting)
+  NAVIGATING: 'navigating', // Worker tab is loading an order detail page
+  EXTRACTING: 'extracting', // Content script is extracting the order's details
+  WAITING: 'waiting'        // Delay before the next order (human-like pause, retry backoff)
+};
+
+// Allowed worker transitions: state -> states it may move to
+const WORKER_TRANSITIONS = {
+  idle: ['navigating'],
+  navigating: ['navigating', 'extracting', 'waiting', 'idle'],
+  extracting: ['navigating', 'waiting', 'idle'],
+  waiting: ['navigating', 'waiting', 'idle']
+};
+
+const RUN_LOG_LIMIT = 200; // Transitions kept in the log
+
+/**
+ * Create a finite state machine
+ * @param {Object} transitions - Map of state -> allowed next states
+ * @param {string} initialState - Starting state
+ * @param {Object} options - { logLimit, now } (now() returns a timestamp, for tests)
+ * @returns {Object} - Machine with state, context, is(), can(), transition(), onTransition(), getLog()
+ */
+function createStateMachine(transitions, initialState, options = {}) {
+  const logLimit = options.logLimit || RUN_LOG_LIMIT;
+  const now = options.now || (() => Date.now());
+  const listeners = [];
+  const history = [];
+  let current = initialState;
+  let context = {};
+
+  function record(entry) {
+    history.push(entry);
+    if (history.length > logLimit) history.shift();
+  }
+
+  return {
+    get state() {
+      return current;
+    },
+
+    // Data attached to the current state, e.g. { page: 'detail', orderId }
+    get context() {
+      return context;
+    },
+
+    is(...states) {
+      return states.includes(current);
+    },
+
+    can(next) {
+      return (transitions[current] || []).includes(next);
+    },
+
+    /**
+     * Move to another state
+     * Invalid transitions are rejected (and logged) instead of thrown, so a
+     * stale callback can never corrupt the run
+     * @param {string} next - Target state
+     * @param {Object} nextContext - Data for the new state
+     * @param {string} reason - Why the transition happened (for the log)
+     * @returns {boolean} - True if the transition was made
+     */
+    transition(next, nextContext = {}, reason = '') {
+      const entry = { from: current, to: next, reason, at: now() };
+
+      if (!this.can(next)) {
+        entry.rejected = true;
+        record(entry);
+        return false;
+      }
+
+      current = next;
+      context = nextContext;
+      record(entry);
+      listeners.forEach(listener => listener(entry, context));
+      return true;
+    },
+
+    onTransition(listener) {
+      listeners.push(listener);
+    },
+
+    getLog() {
+      return history.slice();
+    }
+  };
+}
+
+/**
+ * Create the state machine for an export run
+ * @param {Object} options - See createStateMachine
+ * @returns {Object}
+ */
+function createRunMachine(options = {}) {
+  return createStateMachine(RUN_TRANSITIONS, RUN_STATES.IDLE, options);
+}
+
+/**
+ * Create the state machine for one worker tab of a run
+ * @param {Object} options - See createStateMachine
+ * @returns {Object}
+ */
+function createWorkerMachine(options = {}) {
+  return createStateMachine(WORKER_TRANSITIONS, WORKER_STATES.IDLE, options);
+}
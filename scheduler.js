@@ -0,0 +1,103 @@
+/**
+ * Scheduled Export helpers for TikTok Order Exporter
+ *
+ * A scheduled export is one saved job, stored as `scheduledExport`:
+ *   { enabled, frequency: 'daily' | 'weekly', weekday: 0-6 (Sunday = 0),
+ *     time: 'HH:MM' (local), region, tab, datePreset, startPage, endPage,
+ *     allPages, workers, downloadCsv, downloadXlsx }
+ * The background arms a chrome.alarms alarm for the next run time and
+ * re-arms it after every run, so the time stays right across DST changes.
+ *
+ * Shared script - loaded by background.js (importScripts) and options.html,
+ * after regions.js, date-range.js and order-tabs.js.
+ */
+
+const SCHEDULE_ALARM_NAME = 'scheduled-export';
+
+const SCHEDULE_FREQUENCIES = {
+  daily: 'Every day',
+  weekly: 'Every week'
+};
+
+const SCHEDULE_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const SCHEDULE_LOG_LIMIT = 50; // Scheduled run outcomes kept in `scheduleLog`
+
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  frequency: 'daily',
+  weekday: 1,
+  time: '09:00',
+  region: DEFAULT_REGION,
+  tab: DEFAULT_ORDER_TAB,
+  datePreset: 'yesterday',
+  startPage: 1,
+  endPage: 1,
+  allPages: true,
+  workers: 1,
+  downloadCsv: false,
+  downloadXlsx: true
+};
+
+/**
+ * Fill in defaults and fix invalid values of a saved schedule
+ * @param {Object} schedule - Saved or submitted schedule
+ * @returns {Object} - Schedule with every field set
+ */
+function normalizeSchedule(schedule) {
+  const merged = { ...DEFAULT_SCHEDULE, ...(schedule || {}) };
+  const time = /^([01]\d|2[0-3]):[0-5]\d$/.test(merged.time) ? merged.time : DEFAULT_SCHEDULE.time;
+  const startPage = Math.max(1, parseInt(merged.startPage) || 1);
+
+  return {
+    enabled: !!merged.enabled,
+    frequency: SCHEDULE_FREQUENCIES[merged.frequency] ? merged.frequency : DEFAULT_SCHEDULE.frequency,
+    weekday: Math.min(6, Math.max(0, parseInt(merged.weekday) || 0)),
+    time,
+    region: getRegionProfile(merged.region).code,
+    tab: getOrderTab(merged.tab).key,
+    // Only relative presets make sense for a repeating job
+    datePreset: resolveDatePreset(merged.datePreset) ? merged.datePreset : DEFAULT_SCHEDULE.datePreset,
+    startPage,
+    endPage: Math.max(startPage, parseInt(merged.endPage) || startPage),
+    allPages: !!merged.allPages,
+    workers: Math.max(1, parseInt(merged.workers) || 1),
+    downloadCsv: !!merged.downloadCsv,
+    downloadXlsx: !!merged.downloadXlsx
+  };
+}
+
+/**
+ * Get the next time a schedule should run
+ * @param {Object} schedule - Normalized schedule
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {number|null} - Timestamp in ms, or null if the schedule is disabled
+ */
+function getNextScheduleTime(schedule, now = new Date()) {
+  if (!schedule || !schedule.enabled) return null;
+
+  const [hours, minutes] = schedule.time.split(':').map(Number);
+  const next = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
+
+  if (schedule.frequency === 'weekly') {
+    next.setDate(next.getDate() + ((schedule.weekday - next.getDay() + 7) % 7));
+    if (next <= now) next.setDate(next.getDate() + 7);
+  } else if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+
+  return next.getTime();
+}
+
+/**
+ * Describe a schedule for the UI and logs, e.g. "Every Monday at 09:00"
+ * @param {Object} schedule - Normalized schedule
+ * @returns {string}
+ */
+function describeSchedule(schedule) {
+  if (!schedule || !schedule.enabled) return 'Off';
+  if (schedule.frequency === 'weekly') {
+    return `Every ${SCHEDULE_WEEKDAYS[schedule.weekday]} at ${schedule.time}`;
+  }
+  return `Every day at ${schedule.time}`;
+}
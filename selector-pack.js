@@ -0,0 +1,187 @@
+/**
+ * Selector Packs for TikTok Order Exporter
+ *
+ * Every CSS selector and page label the content script relies on is looked
+ * up by key in a selector pack. The bundled pack ships with the extension;
+ * a JSON pack imported on the options page (stored as `selectorPack`)
+ * overrides the keys it lists, so a Seller Center UI change can be fixed
+ * without a new build:
+ *   { "format": 1, "version": "1.0.1",
+ *     "selectors": { "filter.button": "[data-log_click_for=\"filter_btn\"]" },
+ *     "labels": { "detail.total": "Order total" } }
+ * Selectors may contain {placeholders} filled in by the content script.
+ *
+ * Shared script - loaded by background.js (importScripts), the content
+ * script list in manifest.json and options.html, after order-tabs.js.
+ */
+
+const SELECTOR_PACK_FORMAT = 1; // Layout of a pack - packs of another format are rejected
+const SELECTOR_PACK_STORAGE_KEY = 'selectorPack';
+
+const BUNDLED_SELECTOR_PACK = {
+  format: SELECTOR_PACK_FORMAT,
+  version: '1.0.0',
+  selectors: {
+    // Order list
+    'list.orderLink': 'a[href*="order/detail"], a[href*="order_no="]',
+    'list.orderRow': 'tr, [class*="row"], [class*="order-item"], [class*="orderItem"]',
+    'pagination.anyPage': '[aria-label^="Page "]',
+    'pagination.page': '[aria-label="Page {page}"]',
+    'pagination.item': '.core-pagination-item',
+    'pagination.container': '.core-pagination, [class*="pagination"]',
+    'pagination.next': '.core-pagination-item-next, [aria-label="Next"]',
+    'pagination.disabled': '.core-pagination-item-disabled',
+
+    // Order tabs - one per tab of order-tabs.js ("tab.shipped", ...)
+    ...Object.fromEntries(Object.values(ORDER_TABS).map(tab => [`tab.${tab.key}`, `[data-log_click_for="${tab.logClickFor}"]`])),
+    'tabs.title': '.pulse-tabs-pane-title, .pulse-tabs-pane-title-content',
+    'tabs.container': '.pulse-tabs-pane-title, [data-log_module_name="order_list_tab"], [role="tab"]',
+    'tabs.any': '[role="tab"], .arco-tabs-tab, [class*="tab"]',
+
+    // Filter panel
+    'filter.button': '[data-log_click_for="filter_button"]',
+    'filter.selectView': '.core-select-view',
+    'filter.selectViewValue': '.core-select-view-value',
+    'filter.selectOption': '.core-select-option, [class*="select-option"], [role="option"]',
+    'filter.select': '[class*="select"]',
+    'filter.option': '[class*="option"]',
+    'filter.lineClamp': '.line-clamp-2, [class*="line-clamp"]',
+    'filter.apply': '[data-log_click_for="apply"]',
+    'filter.primaryButton': 'button.core-btn-primary',
+    'filter.chip': '[data-log_click_for="{filter}"]',
+    'filter.anyChip': '.quick_filter_item, [class*="filter-tag"]',
+
+    // Date range picker
+    'datePicker.range': '.core-picker-range, [data-tid="m4b_date_picker_range_picker"]',
+    'datePicker.container': '[class*="picker"], [class*="date"], [class*="range"]',
+    'datePicker.from': 'input[placeholder="From"]',
+    'datePicker.to': 'input[placeholder="To"]',
+    'datePicker.clear': '.core-picker-clear-icon, [class*="clear"]',
+    'datePicker.dateCell': '[data-date="{date}"], [title="{date}"]',
+    'datePicker.cell': '[class*="picker-cell"], [class*="date-cell"], td[class*="cell"]',
+    'datePicker.cellInView': '.core-picker-cell-in-view, .in-view',
+    'datePicker.cellDisabled': '.disabled, .core-picker-cell-disabled, [aria-disabled="true"]',
+    'datePicker.header': '.core-picker-header-value, [class*="picker-header-value"], .core-picker-header, [class*="picker-header"]',
+    'datePicker.prev': '.core-picker-header-prev-btn, [class*="header-prev-btn"], [class*="arrow-left"]',
+    'datePicker.next': '.core-picker-header-next-btn, [class*="header-next-btn"], [class*="arrow-right"]',
+
+    // Order detail page
+    'detail.revealPhone': 'svg[data-log_click_for="open_phone_plaintext"]',
+    'detail.revealEye': 'svg.arco-icon-eye_invisible, svg[class*="eye_invisible"]',
+    'detail.statusBadge': '[class*="status"], [class*="badge"], [class*="tag"]',
+    'detail.productImage': 'img[src*="p16-oec"], img[src*="product"]',
+
+    // Privacy modal
+    'modal.overlay': '[class*="overlay"], [class*="mask"], [class*="backdrop"]',
+    'modal.close': '[class*="close"], [aria-label="Close"], [aria-label="close"]',
+    'modal.dialog': '[class*="modal"], [class*="dialog"], [role="dialog"]'
+  },
+  labels: {
+    // Order tab titles and the time filter of each tab ("tab.shipped", "timeFilter.shipped", ...)
+    ...Object.fromEntries(Object.values(ORDER_TABS).map(tab => [`tab.${tab.key}`, tab.label])),
+    ...Object.fromEntries(Object.values(ORDER_TABS).map(tab => [`timeFilter.${tab.key}`, tab.timeFilterLabel])),
+    'filter.defaultTime': 'Time created', // Time filter the dropdown starts with
+    'filter.apply': 'Apply',
+    'detail.shippingAddress': 'Shipping address',
+    'detail.total': 'Total',
+    'detail.timeCreated': 'Time created',
+    'detail.shippingMethod': 'Shipping method',
+    'detail.paymentMethod': 'Payment method',
+    // Any of these texts means TikTok blocked the order's customer details
+    'modal.privacy': ['better protect our customers', 'privacy and create a healthy', 'Create ticket', 'file an appeal']
+  }
+};
+
+/**
+ * Check that a selector parses, with its {placeholders} filled in
+ * Needs a DOM (options page, content script) - the background has none and
+ * lets every selector pass
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+  if (typeof document === 'undefined') return true;
+  try {
+    document.createDocumentFragment().querySelector(selector.replace(/\{\w+\}/g, '1'));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check an imported selector pack
+ * Packs only list the keys they change, but every key must be a bundled one,
+ * and every selector must parse (where there is a DOM to check it)
+ * @param {Object} pack - Parsed pack JSON
+ * @returns {string[]} - Problems found (empty if the pack is valid)
+ */
+function validateSelectorPack(pack) {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) return ['The pack must be a JSON object'];
+
+  const errors = [];
+  if (pack.format !== SELECTOR_PACK_FORMAT) {
+    errors.push(`Unsupported format ${JSON.stringify(pack.format)} (expected ${SELECTOR_PACK_FORMAT})`);
+  }
+  if (typeof pack.version !== 'string' || !pack.version.trim()) {
+    errors.push('Missing version');
+  }
+
+  for (const section of ['selectors', 'labels']) {
+    const entries = pack[section] || {};
+    if (typeof entries !== 'object' || Array.isArray(entries)) {
+      errors.push(`"${section}" must be an object`);
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(entries)) {
+      if (!Object.prototype.hasOwnProperty.call(BUNDLED_SELECTOR_PACK[section], key)) {
+        errors.push(`Unknown ${section.slice(0, -1)} key "${key}"`);
+      } else if (Array.isArray(BUNDLED_SELECTOR_PACK[section][key])) {
+        if (!Array.isArray(value) || value.length === 0 || !value.every(text => typeof text === 'string' && text.trim())) {
+          errors.push(`"${key}" must be a list of texts`);
+        }
+      } else if (typeof value !== 'string' || !value.trim()) {
+        errors.push(`"${key}" must be a non-empty string`);
+      } else if (section === 'selectors' && !isValidSelector(value)) {
+        errors.push(`"${key}" is not a valid CSS selector`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the active pack from the bundled one and an imported override
+ * An invalid override is ignored, so a broken import never breaks extraction
+ * (the content script also drops packs with selectors that do not parse)
+ * @param {Object|null} override - Imported pack (stored as `selectorPack`)
+ * @returns {Object} - { format, version, source: 'bundled' | 'imported', overriddenKeys, selectors, labels }
+ */
+function buildSelectorPack(override) {
+  if (!override || validateSelectorPack(override).length > 0) {
+    return { ...BUNDLED_SELECTOR_PACK, source: 'bundled', overriddenKeys: [] };
+  }
+
+  const selectors = override.selectors || {};
+  const labels = override.labels || {};
+  return {
+    format: SELECTOR_PACK_FORMAT,
+    version: override.version,
+    source: 'imported',
+    overriddenKeys: [...Object.keys(selectors), ...Object.keys(labels)],
+    selectors: { ...BUNDLED_SELECTOR_PACK.selectors, ...selectors },
+    labels: { ...BUNDLED_SELECTOR_PACK.labels, ...labels }
+  };
+}
+
+/**
+ * Fill the {placeholders} of a selector
+ * @param {string} template - Selector from a pack, e.g. '[aria-label="Page {page}"]'
+ * @param {Object} params - Placeholder values, e.g. { page: 2 }
+ * @returns {string}
+ */
+function formatSelector(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
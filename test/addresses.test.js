@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, loadScript, evaluate, toPlain } = require('./helpers/load-scripts');
+const {
+  ORDER_A, ORDER_B, assertSame, loadBackground, extracted, startAndCollect, loadAndExtract
+} = require('./helpers/background');
+
+function parse(address, region = 'MY') {
+  const context = createSandbox();
+  loadScript(context, 'regions.js');
+  loadScript(context, 'addresses.js');
+  context.address = address;
+  context.region = region;
+  const { line1, line2, postcode, city, state, confidence, flags } = toPlain(evaluate(context, 'parseAddress(address, region)'));
+  return [line1, line2, postcode, city, state, confidence, flags];
+}
+
+test('addresses are split into street lines, postcode, city and state', () => {
+  assertSame(parse('No 1, Jalan Mawar, Taman Melati, 50000 Kuala Lumpur, Wilayah Persekutuan'),
+    ['No 1, Jalan Mawar', 'Taman Melati', '50000', 'Kuala Lumpur', 'Kuala Lumpur', 'high', []]);
+  assertSame(parse('Jalan Mawar, 40000 Shah Alam Selangor, Malaysia'),
+    ['Jalan Mawar', '', '40000', 'Shah Alam', 'Selangor', 'high', []]);
+  assertSame(parse('No 12, Jalan SS 2/24, Petaling Jaya, Selangor, 47300'),
+    ['No 12, Jalan SS 2/24', '', '47300', 'Petaling Jaya', 'Selangor', 'high', []]);
+  assertSame(parse('Blk 123 Ang Mo Kio Ave 3, #05-12, Singapore 560123', 'SG'),
+    ['Blk 123 Ang Mo Kio Ave 3', '#05-12', '560123', 'Singapore', '', 'high', []]);
+  assertSame(parse('Jl. Merdeka No. 5, Kel. Braga, Kota Bandung, Jawa Barat 40115', 'ID'),
+    ['Jl. Merdeka No. 5', 'Kel. Braga', '40115', 'Kota Bandung', 'Jawa Barat', 'high', []]);
+});
+
+test('Malaysian postcodes are checked against the state', () => {
+  // "Jalan Perak" is a street, the state comes from the postcode
+  assertSame(parse('Lot 5, Jalan Perak, 40000 Shah Alam'),
+    ['Lot 5, Jalan Perak', '', '40000', 'Shah Alam', 'Selangor', 'medium', ['state_from_postcode']]);
+  assertSame(parse('12 Jalan Mawar, 40000 Shah Alam, Perak'),
+    ['12 Jalan Mawar', '', '40000', 'Shah Alam', 'Perak', 'low', ['postcode_state_mismatch']]);
+  assertSame(parse('Jalan Mawar, 99999 Somewhere, Selangor'),
+    ['Jalan Mawar', '', '99999', 'Somewhere', 'Selangor', 'low', ['unknown_postcode']]);
+  assertSame(parse('Jalan Mawar, Shah Alam, Selangor'),
+    ['Jalan Mawar', '', '', 'Shah Alam', 'Selangor', 'low', ['no_postcode']]);
+  assertSame(parse(''), ['', '', '', '', '', null, []]);
+});
+
+test('orders keep their address parts, with the street lines encrypted and in exports', async () => {
+  const bg = await loadBackground({
+    storage: {
+      exportedOrders: [{ order_id: ORDER_A, customer_name: 'Aina', full_address: 'No 1, Jalan Mawar, 99999 Somewhere', region: 'MY' }] // Stored before addresses were parsed
+    }
+  });
+
+  await startAndCollect(bg, [ORDER_B]);
+  await loadAndExtract(bg, extracted('Badrul')); // Jalan 1, 50000 Kuala Lumpur
+  await bg.clock.tick(4000);
+  assert.strictEqual(bg.runState(), 'done');
+
+  const stored = (await bg.orders()).find(order => order.order_id === ORDER_B);
+  assertSame([stored.address_line1, stored.address_postcode, stored.address_city, stored.address_state, stored.address_confidence],
+    ['Jalan 1', '50000', 'Kuala Lumpur', 'Kuala Lumpur', 'high']);
+
+  await bg.chrome._dispatch({ type: 'DOWNLOAD_CSV', profile: 'masked' });
+  const { url } = bg.chrome._downloads[bg.chrome._downloads.length - 1];
+  const rows = Buffer.from(url.split(',')[1], 'base64').toString('utf8').replace(/^﻿/, '')
+    .split('\n').map(line => line.slice(1, -1).split('","'));
+  const at = rows[0].indexOf('Address Line 1 (masked)');
+  assertSame(rows.map(row => row.slice(at)), [
+    ['Address Line 1 (masked)', 'Address Line 2 (masked)', 'Postcode', 'City', 'State', 'Country', 'Address Confidence'],
+    ['***', '', '99999', 'Somewhere', '', 'Malaysia', 'Low (Unknown postcode, No state)'],
+    ['***', '', '50000', 'Kuala Lumpur', 'Kuala Lumpur', 'Malaysia', 'High']
+  ]);
+
+  // The street is encrypted with the rest of the customer details - the region stays readable for reports
+  await bg.chrome._dispatch({ type: 'ENABLE_PII_ENCRYPTION', passphrase: 'kedai runcit 2025' });
+  const encrypted = (await bg.orders()).find(order => order.order_id === ORDER_B);
+  assertSame([encrypted.address_line1, encrypted.address_postcode, encrypted.address_state], ['', '50000', 'Kuala Lumpur']);
+  assert.ok(!JSON.stringify(await bg.orders()).includes('Jalan 1'));
+});
@@ -0,0 +1,284 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  ORDER_A, ORDER_B, ORDER_C, assertSame, loadBackground, restartBackground, extracted, startAndCollect, loadAndExtract
+} = require('./helpers/background');
+
+const MASKED = { hasData: false, isMasked: true, error: 'Data masked' };
+const BLOCKED = { hasData: false, skipRetry: true, privacyBlocked: true, error: 'Privacy blocked - TikTok restricts access to this order' };
+
+/**
+ * Answer every attempt at the worker's current order with the same result
+ * @returns {number} - Attempts made until the worker moved on
+ */
+async function failEveryAttempt(bg, data, tabId = bg.tabId()) {
+  const orderId = bg.worker(tabId).orderId;
+  let attempts = 0;
+  while (bg.worker(tabId).orderId === orderId) {
+    await loadAndExtract(bg, data, tabId);
+    attempts++;
+    if (bg.worker(tabId).orderId === orderId) {
+      await bg.clock.tick(bg.worker(tabId).machine.context.delayMs);
+    }
+  }
+  return attempts;
+}
+
+function detailNavigations(bg, orderId) {
+  return bg.chrome._navigations.filter(entry => entry.url.includes(`order_no=${orderId}`)).length;
+}
+
+test('a failure storm retries every order with growing backoff, then fails it', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B, ORDER_C]);
+
+  for (const orderId of [ORDER_A, ORDER_B, ORDER_C]) {
+    assert.strictEqual(bg.worker().orderId, orderId);
+    const delays = [];
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      await loadAndExtract(bg, MASKED);
+      delays.push(bg.worker().machine.context.delayMs);
+      await bg.clock.tick(bg.worker().machine.context.delayMs);
+    }
+    // Three retries, then the 4s delay before the next order
+    assertSame(delays, [3000, 5000, 7000, 4000]);
+  }
+
+  assert.strictEqual(bg.runState(), 'done');
+  assertSame([bg.state().success, bg.state().failed, bg.state().retried], [0, 3, 0]);
+  assertSame([ORDER_A, ORDER_B, ORDER_C].map(id => detailNavigations(bg, id)), [4, 4, 4]);
+  assertSame(bg.chrome._storage.failedOrders.map(o => [o.order_id, o.attempts, o.reason]), [
+    [ORDER_C, 4, 'Data masked'],
+    [ORDER_B, 4, 'Data masked'],
+    [ORDER_A, 4, 'Data masked']
+  ]);
+  assertSame(await bg.orders(), []);
+
+  const [notification] = bg.chrome._notifications;
+  assert.match(notification.options.message, /^0 orders exported successfully!\n3 failed, 0 skipped$/);
+  assert.strictEqual(bg.chrome._runtimeMessages.find(m => m.type === 'PLAY_SOUND').sound, 'warning');
+});
+
+test('an order that succeeds on its last retry is counted as recovered', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A]);
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    await loadAndExtract(bg, MASKED);
+    await bg.clock.tick(bg.worker().machine.context.delayMs);
+  }
+  await loadAndExtract(bg, extracted('Aina'));
+  await bg.clock.tick(4000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  assertSame([bg.state().success, bg.state().failed, bg.state().retried], [1, 0, 1]);
+  assert.strictEqual(bg.chrome._storage.failedOrders, undefined);
+  assert.match(bg.chrome._notifications[0].options.message, /, 1 recovered$/);
+});
+
+test('a content script that does not answer fails every attempt of its orders', async () => {
+  const bg = await loadBackground({
+    respond: (tabId, message) => {
+      if (message.type === 'EXTRACT_ORDER_DATA') throw new Error('Could not establish connection. Receiving end does not exist.');
+      return { received: true };
+    }
+  });
+  await startAndCollect(bg, [ORDER_A, ORDER_B], { workers: 2 });
+  const [mainTab, extraTab] = bg.workerTabIds();
+
+  // Both tabs load their order, the extraction request fails, and they back off on their own
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    bg.chrome._completeTab(mainTab);
+    bg.chrome._completeTab(extraTab);
+    await bg.clock.tick(2000 + 1500);
+    if (attempt <= 3) {
+      assertSame([bg.state().retryCount[ORDER_A], bg.state().retryCount[ORDER_B]], [attempt, attempt]);
+      await bg.clock.tick(3000 + (attempt - 1) * 2000);
+    }
+  }
+  await bg.clock.tick(1000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  assert.strictEqual(bg.state().failed, 2);
+  assertSame(bg.chrome._storage.failedOrders.map(o => [o.order_id, o.attempts, o.blocked]).sort(), [
+    [ORDER_A, 4, false],
+    [ORDER_B, 4, false]
+  ]);
+  assert.match(bg.chrome._storage.failedOrders[0].reason, /Receiving end does not exist/);
+});
+
+test('a stalled order is failed with the time it really took', async () => {
+  const startedAt = '2025-01-20T09:00:00.000Z';
+  const bg = await loadBackground({ now: startedAt });
+  await startAndCollect(bg, [ORDER_A]);
+
+  // The detail page never loads: 4 watchdog timeouts with 3s, 5s and 7s of backoff between them
+  await bg.clock.tick(4 * 30000 + 3000 + 5000 + 7000);
+
+  const [failed] = bg.chrome._storage.failedOrders;
+  assertSame([failed.order_id, failed.reason, failed.attempts], [ORDER_A, 'Processing timeout (30s)', 4]);
+  assert.strictEqual(Date.parse(failed.lastFailedAt) - Date.parse(startedAt), 2000 + 4 * 30000 + 15000);
+
+  await bg.clock.tick(1000);
+  assert.strictEqual(bg.runState(), 'done');
+});
+
+test('privacy-blocked orders fail at once while masked ones are retried', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B, ORDER_C]);
+
+  // A: blocked straight away
+  assert.strictEqual(await failEveryAttempt(bg, BLOCKED), 1);
+  await bg.clock.tick(4000);
+
+  // B: masked once, then the privacy modal shows up on the retry
+  await loadAndExtract(bg, MASKED);
+  await bg.clock.tick(3000);
+  await loadAndExtract(bg, BLOCKED);
+  await bg.clock.tick(4000);
+
+  // C: unaffected
+  await loadAndExtract(bg, extracted('Chong'));
+  await bg.clock.tick(4000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  assertSame([ORDER_A, ORDER_B, ORDER_C].map(id => detailNavigations(bg, id)), [1, 2, 1]);
+  assertSame(bg.chrome._storage.failedOrders.map(o => [o.order_id, o.attempts, o.blocked]), [
+    [ORDER_B, 2, true],
+    [ORDER_A, 1, true]
+  ]);
+  assertSame((await bg.orders()).map(o => o.order_id), [ORDER_C]);
+  assertSame([bg.state().success, bg.state().failed, bg.state().retried], [1, 2, 0]);
+});
+
+test('a privacy block in one worker tab does not hold up the others', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B, ORDER_C], { workers: 2 });
+  const [mainTab, extraTab] = bg.workerTabIds();
+
+  await loadAndExtract(bg, BLOCKED, mainTab);
+  await bg.clock.tick(4000);
+  assert.strictEqual(bg.worker(mainTab).orderId, ORDER_C);
+  assert.strictEqual(bg.worker(extraTab).orderId, ORDER_B);
+
+  await loadAndExtract(bg, extracted('Badrul'), extraTab);
+  await loadAndExtract(bg, extracted('Chong'), mainTab);
+  await bg.clock.tick(4000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  assertSame([bg.worker(mainTab).success, bg.worker(mainTab).failed], [1, 1]);
+  assertSame((await bg.orders()).map(o => o.order_id).sort(), [ORDER_B, ORDER_C]);
+});
+
+test('a service worker restart mid-retry keeps the order and its retry count', async () => {
+  let bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B]);
+
+  await loadAndExtract(bg, MASKED);
+  await bg.clock.tick(3000);
+  await loadAndExtract(bg, MASKED);
+  assert.strictEqual(bg.worker().machine.state, 'waiting'); // Backing off before retry 3
+
+  bg = await restartBackground(bg);
+  assert.strictEqual(bg.runState(), 'extracting');
+  assert.strictEqual(bg.worker().orderId, ORDER_A);
+  assert.strictEqual(bg.state().retryCount[ORDER_A], 2);
+
+  // Only the retries left before the restart are made
+  assert.strictEqual(await failEveryAttempt(bg, MASKED), 2);
+  await bg.clock.tick(4000);
+  assert.strictEqual(bg.worker().orderId, ORDER_B);
+  await loadAndExtract(bg, extracted('Badrul'));
+  await bg.clock.tick(4000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  assertSame(bg.chrome._storage.failedOrders.map(o => [o.order_id, o.attempts]), [[ORDER_A, 4]]);
+  assertSame((await bg.orders()).map(o => o.order_id), [ORDER_B]);
+});
+
+test('restarts between every order still export each order once', async () => {
+  let bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B, ORDER_C]);
+
+  for (const name of ['Aina', 'Badrul', 'Chong']) {
+    bg = await restartBackground(bg);
+    await loadAndExtract(bg, extracted(name));
+    await bg.clock.tick(4000);
+  }
+
+  assert.strictEqual(bg.runState(), 'done');
+  assertSame((await bg.orders()).map(o => [o.order_id, o.customer_name]), [
+    [ORDER_A, 'Aina'],
+    [ORDER_B, 'Badrul'],
+    [ORDER_C, 'Chong']
+  ]);
+  assertSame([bg.state().success, bg.state().skipped], [3, 0]);
+  assert.strictEqual(bg.chrome._storage.sessionState, undefined);
+});
+
+test('a restart while collecting reloads the order list and collects again', async () => {
+  let bg = await loadBackground();
+  await bg.chrome._dispatch({ type: 'START_EXPORT', startPage: 1, endPage: 1 });
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000);
+  assert.strictEqual(bg.runState(), 'collecting');
+
+  // The content script's answer went to the old worker
+  bg = await restartBackground(bg);
+  assert.strictEqual(bg.runState(), 'navigating');
+  assertSame(bg.runContext(), { page: 'list' });
+
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000);
+  assert.strictEqual(bg.chrome._sent('COLLECT_ORDER_IDS').length, 1);
+
+  await bg.chrome._dispatch({ type: 'ORDER_IDS_COLLECTED', orderIds: [ORDER_A], actualMaxPages: 1 });
+  await bg.clock.flush();
+  await loadAndExtract(bg, extracted('Aina'));
+  await bg.clock.tick(4000);
+  assert.strictEqual(bg.runState(), 'done');
+});
+
+test('a restart replaces the worker tabs and hands their orders out first', async () => {
+  let bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B, ORDER_C], { workers: 2 });
+  const [mainTab, oldExtraTab] = bg.workerTabIds();
+
+  bg = await restartBackground(bg);
+  await bg.clock.flush();
+
+  const [restoredMain, newExtraTab] = bg.workerTabIds();
+  assert.strictEqual(restoredMain, mainTab);
+  assert.notStrictEqual(newExtraTab, oldExtraTab);
+  assert.ok(!bg.chrome._tabs.has(oldExtraTab), 'old worker tab is closed');
+  assertSame([bg.worker(mainTab).orderId, bg.worker(newExtraTab).orderId], [ORDER_A, ORDER_B]);
+
+  await loadAndExtract(bg, extracted('Aina'), mainTab);
+  await loadAndExtract(bg, extracted('Badrul'), newExtraTab);
+  await bg.clock.tick(4000);
+  await loadAndExtract(bg, extracted('Chong'), mainTab);
+  await bg.clock.tick(4000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  assertSame((await bg.orders()).map(o => o.order_id).sort(), [ORDER_A, ORDER_B, ORDER_C]);
+});
+
+test('a paused run stays paused across a restart until it is resumed', async () => {
+  let bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B]);
+  await loadAndExtract(bg, extracted('Aina'));
+  await bg.chrome._dispatch({ type: 'PAUSE_EXPORT' });
+
+  bg = await restartBackground(bg);
+  await bg.clock.tick(60000);
+  assert.strictEqual(bg.runState(), 'paused');
+  assertSame(bg.workerTabIds(), []);
+
+  assertSame(await bg.chrome._dispatch({ type: 'RESUME_PAUSED' }), { success: true });
+  assert.strictEqual(bg.worker().orderId, ORDER_B);
+  await loadAndExtract(bg, extracted('Badrul'));
+  await bg.clock.tick(4000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  assertSame((await bg.orders()).map(o => o.customer_name), ['Aina', 'Badrul']);
+});
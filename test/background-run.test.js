@@ -0,0 +1,665 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluate, toPlain } = require('./helpers/load-scripts');
+const {
+  ORDER_A, ORDER_B, ORDER_C, assertSame, loadBackground, extracted, startAndCollect, loadAndExtract
+} = require('./helpers/background');
+
+test('a run goes through every state and exports all orders', async () => {
+  const bg = await loadBackground();
+
+  await bg.chrome._dispatch({ type: 'START_EXPORT', startPage: 1, endPage: 1 });
+  assert.strictEqual(bg.runState(), 'navigating');
+  assertSame(bg.runContext(), { page: 'list' });
+
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000);
+  assert.strictEqual(bg.runState(), 'collecting');
+  assert.strictEqual(bg.chrome._sent('COLLECT_ORDER_IDS').length, 1);
+
+  await bg.chrome._dispatch({ type: 'ORDER_IDS_COLLECTED', orderIds: [ORDER_A, ORDER_B], actualMaxPages: 1 });
+  await bg.clock.flush();
+  assert.strictEqual(bg.runState(), 'extracting');
+  assert.strictEqual(bg.worker().machine.state, 'navigating');
+  assert.strictEqual(bg.worker().orderId, ORDER_A);
+  assert.match(bg.chrome._tabs.get(bg.tabId()).url, new RegExp(`order_no=${ORDER_A}`));
+
+  await loadAndExtract(bg, extracted('Aina'));
+  assert.strictEqual(bg.worker().machine.state, 'waiting');
+
+  await bg.clock.tick(4000);
+  assert.strictEqual(bg.worker().orderId, ORDER_B);
+
+  await loadAndExtract(bg, extracted('Badrul'));
+  await bg.clock.tick(4000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  assertSame((await bg.orders()).map(o => o.customer_name), ['Aina', 'Badrul']);
+  assert.strictEqual(bg.chrome._storage.sessionState, undefined);
+
+  const status = await bg.chrome._dispatch({ type: 'GET_STATUS' });
+  assert.strictEqual(status.completed, true);
+  assert.strictEqual(status.isRunning, false);
+
+  const { transitions, workers } = await bg.chrome._dispatch({ type: 'GET_RUN_LOG' });
+  assertSame(transitions.map(entry => entry.to), ['navigating', 'collecting', 'extracting', 'done']);
+  assertSame(workers[0].transitions.map(entry => entry.to), [
+    'navigating', 'extracting', 'waiting', 'navigating', 'extracting', 'waiting', 'idle'
+  ]);
+});
+
+test('duplicate tab "complete" events collect the page only once', async () => {
+  const bg = await loadBackground();
+  await bg.chrome._dispatch({ type: 'START_EXPORT', startPage: 1, endPage: 1 });
+
+  bg.chrome._completeTab(bg.tabId());
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000);
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000);
+
+  assert.strictEqual(bg.chrome._sent('COLLECT_ORDER_IDS').length, 1);
+});
+
+test('results that arrive in the wrong state are ignored', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A]);
+
+  // Still navigating to the order - a stray result must not count
+  await bg.chrome._dispatch({ type: 'ORDER_DATA_EXTRACTED', tabId: bg.tabId(), data: extracted('Stray') });
+  await bg.clock.flush();
+
+  assert.strictEqual(bg.worker().machine.state, 'navigating');
+  assert.strictEqual(bg.state().success, 0);
+
+  // A result for another order (e.g. from before a watchdog retry) must not count either
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000 + 1500);
+  await bg.chrome._dispatch({ type: 'ORDER_DATA_EXTRACTED', tabId: bg.tabId(), orderId: ORDER_B, data: extracted('Other') });
+  await bg.clock.flush();
+
+  assert.strictEqual(bg.worker().machine.state, 'extracting');
+  assert.strictEqual(bg.state().success, 0);
+});
+
+test('pausing while waiting cancels the next step until resumed', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B]);
+  await loadAndExtract(bg, extracted('Aina'));
+  assert.strictEqual(bg.worker().machine.state, 'waiting');
+
+  await bg.chrome._dispatch({ type: 'PAUSE_EXPORT' });
+  const navigationsBefore = bg.chrome._navigations.length;
+  await bg.clock.tick(60000);
+
+  assert.strictEqual(bg.runState(), 'paused');
+  assert.strictEqual(bg.worker().machine.state, 'idle');
+  assert.strictEqual(bg.chrome._navigations.length, navigationsBefore);
+  assert.strictEqual(bg.chrome._storage.sessionState.runState, 'paused');
+  assert.strictEqual(bg.chrome._storage.sessionState.pausedByHuman, true);
+
+  const response = await bg.chrome._dispatch({ type: 'RESUME_PAUSED' });
+  assertSame(response, { success: true });
+  assert.strictEqual(bg.runState(), 'extracting');
+  assert.strictEqual(bg.worker().machine.state, 'navigating');
+  assert.strictEqual(bg.worker().orderId, ORDER_B);
+});
+
+test('pausing mid-order puts the order back in the queue', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B]);
+
+  await bg.chrome._dispatch({ type: 'PAUSE_EXPORT' });
+  assertSame(bg.state().pendingOrderIds, [ORDER_A]);
+  assertSame(bg.chrome._storage.sessionState.pendingOrderIds, [ORDER_A]);
+
+  await bg.chrome._dispatch({ type: 'RESUME_PAUSED' });
+  assert.strictEqual(bg.worker().orderId, ORDER_A);
+});
+
+test('a stalled order is retried by the watchdog and then failed', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A]);
+
+  // The detail page never loads
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    await bg.clock.tick(30000);
+    assert.strictEqual(bg.worker().machine.state, 'waiting');
+    assert.strictEqual(bg.state().retryCount[ORDER_A], attempt);
+    await bg.clock.tick(3000 + (attempt - 1) * 2000);
+    assert.strictEqual(bg.worker().machine.state, 'navigating');
+  }
+
+  await bg.clock.tick(30000);
+  assert.strictEqual(bg.state().failed, 1);
+  await bg.clock.tick(1000);
+  assert.strictEqual(bg.runState(), 'done');
+});
+
+test('stop returns to idle and clears the session', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A]);
+  assert.ok(bg.chrome._storage.sessionState);
+
+  await bg.chrome._dispatch({ type: 'STOP_EXPORT' });
+  await bg.clock.tick(60000);
+
+  assert.strictEqual(bg.runState(), 'idle');
+  assert.strictEqual(bg.chrome._storage.sessionState, undefined);
+  const status = await bg.chrome._dispatch({ type: 'GET_STATUS' });
+  assert.strictEqual(status.stopped, true);
+});
+
+test('a restarted service worker continues the run in its open tab', async () => {
+  const tab = { id: 7, url: 'https://seller-sg.tiktok.com/order?tab=delivered' };
+  const bg = await loadBackground({
+    tabs: [tab],
+    storage: {
+      sessionState: {
+        runState: 'waiting',
+        currentTabId: 7,
+        region: 'SG',
+        tab: 'delivered',
+        startPage: 2,
+        currentPage: 3,
+        endPage: 4,
+        orderIds: [ORDER_A, ORDER_B],
+        currentOrderIndex: 1,
+        success: 1,
+        dateFilter: { startDate: '2025-01-01', endDate: '2025-01-07', preset: 'custom' }
+      }
+    }
+  });
+
+  assert.strictEqual(bg.runState(), 'extracting');
+  assert.strictEqual(bg.worker(7).machine.state, 'navigating');
+  assert.strictEqual(bg.worker(7).orderId, ORDER_B);
+  assert.strictEqual(bg.chrome._tabs.get(7).url, `https://seller-sg.tiktok.com/order/detail?order_no=${ORDER_B}&shop_region=SG`);
+
+  const state = bg.state();
+  assertSame([state.startPage, state.currentPage, state.endPage], [2, 3, 4]);
+  assert.strictEqual(state.tab, 'delivered');
+  assert.strictEqual(state.dateFilter.endDate, '2025-01-07');
+  assert.strictEqual(bg.chrome._storage.sessionState.runState, 'extracting');
+});
+
+test('a session whose tab is gone is left for the popup to resume', async () => {
+  const bg = await loadBackground({
+    storage: {
+      sessionState: { runState: 'extracting', currentTabId: 7, orderIds: [ORDER_A], currentOrderIndex: 0 }
+    }
+  });
+
+  assert.strictEqual(bg.runState(), 'idle');
+  assert.strictEqual(bg.chrome._navigations.length, 0);
+  assert.ok(bg.chrome._storage.sessionState);
+});
+
+test('a pool of worker tabs shares the page queue', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B, ORDER_C], { workers: 2 });
+
+  const [mainTab, extraTab] = bg.workerTabIds();
+  assert.strictEqual(mainTab, bg.tabId());
+  assert.strictEqual(bg.worker(mainTab).orderId, ORDER_A);
+  assert.strictEqual(bg.worker(extraTab).orderId, ORDER_B);
+  assert.strictEqual(bg.chrome._tabs.get(extraTab).active, false);
+
+  // The extra tab answers first and takes the next order
+  await loadAndExtract(bg, extracted('Badrul'), extraTab);
+  assert.strictEqual(bg.worker(extraTab).success, 1);
+  await bg.clock.tick(4000);
+  assert.strictEqual(bg.worker(extraTab).orderId, ORDER_C);
+
+  // Results are matched to the tab they came from
+  const extractRequests = bg.chrome._sent('EXTRACT_ORDER_DATA');
+  assertSame(extractRequests.map(message => [message.tabId, message.orderId]), [[extraTab, ORDER_B]]);
+
+  await loadAndExtract(bg, extracted('Aina'), mainTab);
+  await loadAndExtract(bg, extracted('Chong'), extraTab);
+
+  const status = await bg.chrome._dispatch({ type: 'GET_STATUS' });
+  assertSame(status.workers.map(worker => [worker.number, worker.success]), [[1, 1], [2, 2]]);
+  assertSame(status.remaining, 0);
+
+  await bg.clock.tick(4000);
+  assert.strictEqual(bg.runState(), 'done');
+  assertSame((await bg.orders()).map(o => o.customer_name).sort(), ['Aina', 'Badrul', 'Chong']);
+  assert.ok(!bg.chrome._tabs.has(extraTab), 'extra worker tab is closed');
+  assert.ok(bg.chrome._tabs.has(mainTab));
+});
+
+test('worker tabs retry on their own', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B], { workers: 2 });
+  const [mainTab, extraTab] = bg.workerTabIds();
+
+  // Order B's page never loads - only the extra tab retries
+  await loadAndExtract(bg, extracted('Aina'), mainTab);
+  await bg.clock.tick(30000 - 3500);
+  assert.strictEqual(bg.worker(extraTab).machine.state, 'waiting');
+  assert.strictEqual(bg.state().retryCount[ORDER_B], 1);
+  assert.strictEqual(bg.state().retryCount[ORDER_A], undefined);
+  assert.strictEqual(bg.worker(mainTab).machine.state, 'idle');
+
+  await bg.clock.tick(3000);
+  assert.strictEqual(bg.worker(extraTab).machine.state, 'navigating');
+  assert.strictEqual(bg.worker(extraTab).retries, 1);
+
+  await loadAndExtract(bg, extracted('Badrul'), extraTab);
+  await bg.clock.tick(4000);
+  assert.strictEqual(bg.runState(), 'done');
+  assert.strictEqual(bg.state().retried, 1);
+});
+
+test('closing a worker tab hands its order to another tab', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B, ORDER_C], { workers: 2 });
+  const [mainTab, extraTab] = bg.workerTabIds();
+
+  bg.chrome._closeTab(extraTab);
+  assertSame(bg.workerTabIds(), [mainTab]);
+  assertSame(bg.state().pendingOrderIds, [ORDER_B]);
+
+  await loadAndExtract(bg, extracted('Aina'), mainTab);
+  await bg.clock.tick(4000);
+  assert.strictEqual(bg.worker(mainTab).orderId, ORDER_B);
+});
+
+test('closing the export tab fails the run but keeps the session', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B], { workers: 2 });
+  const [mainTab] = bg.workerTabIds();
+
+  bg.chrome._closeTab(mainTab);
+  assert.strictEqual(bg.runState(), 'failed');
+  assertSame(bg.workerTabIds(), []);
+  assertSame(bg.chrome._storage.sessionState.activeOrderIds.sort(), [ORDER_A, ORDER_B]);
+});
+
+const SCHEDULE = { enabled: true, frequency: 'daily', time: '09:00', tab: 'shipped', datePreset: 'yesterday', downloadCsv: true, downloadXlsx: false };
+
+test('a scheduled export runs the saved job and downloads its orders', async () => {
+  const bg = await loadBackground({ storage: { scheduledExport: SCHEDULE } });
+
+  // Updates clear alarms - the schedule is armed again
+  bg.chrome.runtime.onInstalled.listeners.forEach(listener => listener({ reason: 'update' }));
+  await bg.clock.flush();
+  assert.ok(bg.chrome._alarms.has('scheduled-export'));
+
+  bg.chrome._fireAlarm('scheduled-export');
+  await bg.clock.flush();
+  assert.strictEqual(bg.runState(), 'navigating');
+  assert.strictEqual(bg.state().trigger, 'schedule');
+  assertSame(bg.state().dateFilter, toPlain(evaluate(bg.context, "resolveDatePreset('yesterday')")));
+
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000);
+  await bg.chrome._dispatch({ type: 'ORDER_IDS_COLLECTED', orderIds: [ORDER_A], actualMaxPages: 1 });
+  await bg.clock.flush();
+  await loadAndExtract(bg, extracted('Aina'));
+  await bg.clock.tick(4000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  assert.strictEqual(bg.chrome._downloads.length, 1);
+  assert.strictEqual(bg.chrome._downloads[0].saveAs, false);
+  assert.match(bg.chrome._downloads[0].filename, /_shipped_1orders\.csv$/);
+
+  const [outcome] = bg.chrome._storage.scheduleLog;
+  assert.strictEqual(outcome.status, 'completed');
+  assert.strictEqual(outcome.success, 1);
+  assert.strictEqual(outcome.downloads[0].filename, bg.chrome._downloads[0].filename);
+  assertSame(bg.chrome._notifications.map(n => n.id), ['tiktok-scheduled-export']);
+});
+
+test('a scheduled export is skipped while another run is in progress', async () => {
+  const bg = await loadBackground({ storage: { scheduledExport: SCHEDULE } });
+  await startAndCollect(bg, [ORDER_A]);
+
+  bg.chrome._fireAlarm('scheduled-export');
+  await bg.clock.flush();
+
+  assert.strictEqual(bg.state().trigger, 'manual');
+  assert.strictEqual(bg.chrome._storage.scheduleLog[0].status, 'skipped');
+  assert.ok(bg.chrome._alarms.has('scheduled-export'), 'next run is still armed');
+});
+
+/**
+ * Order IDs for a list page (stored as already exported, so the page completes at once)
+ */
+function pageOfOrders(page, count) {
+  return Array.from({ length: count }, (_, i) => `57700000000${String(page).padStart(3, '0')}${String(i).padStart(5, '0')}`);
+}
+
+test('all pages mode follows the pagination until the last page', async () => {
+  const pages = [pageOfOrders(1, 20), pageOfOrders(2, 20), pageOfOrders(3, 5)];
+  const bg = await loadBackground({
+    storage: { exportedOrders: pages.flat().map(id => ({ order_id: id })) }
+  });
+
+  await bg.chrome._dispatch({ type: 'START_EXPORT', startPage: 1, endPage: 1, allPages: true });
+  assert.strictEqual(bg.state().endPage, 1);
+
+  // The pagination only shows the pages around the current one
+  const reportedMaxPages = [2, 3, 3];
+  for (let i = 0; i < pages.length; i++) {
+    bg.chrome._completeTab(bg.tabId());
+    await bg.clock.tick(2000);
+    assert.strictEqual(bg.runState(), 'collecting');
+    await bg.chrome._dispatch({ type: 'ORDER_IDS_COLLECTED', orderIds: pages[i], actualMaxPages: reportedMaxPages[i], totalOrders: 45 });
+    await bg.clock.tick(1500);
+  }
+
+  assert.strictEqual(bg.runState(), 'done');
+  assertSame([bg.state().currentPage, bg.state().endPage, bg.state().skipped], [3, 3, 45]);
+  assert.strictEqual(bg.state().projectedOrders, 45);
+  assertSame(bg.chrome._sent('COLLECT_ORDER_IDS').map(message => message.pageNumber), [1, 2, 3]);
+  assert.ok(bg.chrome._runtimeMessages.some(message => message.type === 'LOG' && /~45 orders on 3 pages/.test(message.text)));
+});
+
+test('all pages mode keeps going past the pages the pagination showed while pages are full', async () => {
+  const pages = [pageOfOrders(1, 20), pageOfOrders(2, 20), pageOfOrders(3, 0)];
+  const bg = await loadBackground({
+    storage: { exportedOrders: pages.flat().map(id => ({ order_id: id })) }
+  });
+
+  await bg.chrome._dispatch({ type: 'START_EXPORT', startPage: 1, allPages: true });
+  for (const orderIds of pages) {
+    bg.chrome._completeTab(bg.tabId());
+    await bg.clock.tick(2000);
+    await bg.chrome._dispatch({ type: 'ORDER_IDS_COLLECTED', orderIds, actualMaxPages: 1 });
+    await bg.clock.tick(1500);
+  }
+
+  assert.strictEqual(bg.runState(), 'done');
+  assert.strictEqual(bg.chrome._sent('COLLECT_ORDER_IDS').length, 3);
+});
+
+test('an all pages run can be projected from the open order list', async () => {
+  const bg = await loadBackground({
+    tabs: [{ id: 5, url: 'https://seller-my.tiktok.com/order?tab=shipped' }],
+    respond: (tabId, message) => message.type === 'GET_LIST_SUMMARY' ? { totalOrders: 45, maxPages: 3 } : { received: true }
+  });
+
+  const preview = await bg.chrome._dispatch({ type: 'PREVIEW_EXPORT', region: 'MY', tab: 'shipped', startPage: 1, workers: 1 });
+  // 45 orders x (4s average delay + 9s per order) + 3 pages x 20s
+  assertSame(preview, { success: true, totalOrders: 45, pages: 3, estimatedMs: 645000 });
+  assert.strictEqual(bg.chrome._sent('GET_LIST_SUMMARY')[0].tab, 'shipped');
+});
+
+
+test('orders that fail for good are kept in the failed-orders store', async () => {
+  const bg = await loadBackground();
+  await startAndCollect(bg, [ORDER_A, ORDER_B], { tab: 'delivered' });
+
+  await loadAndExtract(bg, { hasData: false, skipRetry: true, error: 'Privacy blocked' });
+  await bg.clock.tick(4000);
+  await loadAndExtract(bg, extracted('Badrul'));
+  await bg.clock.tick(4000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  const [failed] = bg.chrome._storage.failedOrders;
+  assertSame(
+    [failed.order_id, failed.reason, failed.blocked, failed.attempts, failed.region, failed.tab, failed.page],
+    [ORDER_A, 'Privacy blocked', true, 1, 'MY', 'delivered', 1]
+  );
+  assert.strictEqual(failed.firstFailedAt, failed.lastFailedAt);
+
+  const { failedOrders } = await bg.chrome._dispatch({ type: 'GET_FAILED_ORDERS' });
+  assert.strictEqual(failedOrders.length, 1);
+});
+
+test('a retry failed run only processes the stored failures of its region', async () => {
+  const failedAt = '2025-01-15T08:00:00.000Z';
+  const bg = await loadBackground({
+    storage: {
+      failedOrders: [
+        { order_id: ORDER_A, reason: 'Data masked', blocked: false, attempts: 4, firstFailedAt: failedAt, lastFailedAt: failedAt, region: 'MY', tab: 'completed', page: 3 },
+        { order_id: ORDER_B, reason: 'Data masked', blocked: false, attempts: 4, firstFailedAt: failedAt, lastFailedAt: failedAt, region: 'SG', tab: 'shipped', page: 1 }
+      ]
+    }
+  });
+
+  const response = await bg.chrome._dispatch({ type: 'START_EXPORT', mode: 'retry-failed', region: 'MY' });
+  assertSame(response, { success: true });
+
+  // The order list is never collected - the failed order is opened straight away
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000);
+  assert.strictEqual(bg.chrome._sent('COLLECT_ORDER_IDS').length, 0);
+  assert.strictEqual(bg.worker().orderId, ORDER_A);
+
+  await loadAndExtract(bg, extracted('Aina'));
+  await bg.clock.tick(4000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  const [order] = await bg.orders();
+  assertSame([order.order_id, order.page, order.source_tab], [ORDER_A, 3, 'completed']);
+  assertSame(bg.chrome._storage.failedOrders.map(o => o.order_id), [ORDER_B]);
+});
+
+test('failed orders can be retried one at a time and dismissed', async () => {
+  const failedAt = '2025-01-15T08:00:00.000Z';
+  const record = (orderId) => ({ order_id: orderId, reason: 'Data masked', blocked: false, attempts: 4, firstFailedAt: failedAt, lastFailedAt: failedAt, region: 'MY', tab: 'shipped', page: 1 });
+  const bg = await loadBackground({ storage: { failedOrders: [record(ORDER_A), record(ORDER_B)] } });
+
+  await bg.chrome._dispatch({ type: 'START_EXPORT', mode: 'retry-failed', region: 'MY', orderIds: [ORDER_B] });
+  assertSame(bg.state().orderIds, [ORDER_B]);
+
+  // Failing again adds to the attempts of the stored record
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000);
+  await loadAndExtract(bg, { hasData: false, skipRetry: true, error: 'Privacy blocked' });
+  await bg.clock.tick(4000);
+  assert.strictEqual(bg.runState(), 'done');
+
+  const stored = bg.chrome._storage.failedOrders.find(o => o.order_id === ORDER_B);
+  assertSame([stored.attempts, stored.reason, stored.firstFailedAt], [5, 'Privacy blocked', failedAt]);
+
+  await bg.chrome._dispatch({ type: 'DISMISS_FAILED_ORDERS', orderIds: [ORDER_A, ORDER_B] });
+  assertSame(bg.chrome._storage.failedOrders, []);
+
+  const empty = await bg.chrome._dispatch({ type: 'START_EXPORT', mode: 'retry-failed', region: 'MY' });
+  assertSame(empty, { error: 'No failed orders to retry' });
+});
+
+test('a refresh run updates the status of stored orders and keeps their history', async () => {
+  const exportedAt = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+  const stored = (orderId, fields) => ({
+    order_id: orderId, customer_name: 'Aina', order_status: 'AWAITING_COLLECTION', total_amount: 10,
+    region: 'MY', source_tab: 'shipped', extracted_at: exportedAt, ...fields
+  });
+  const bg = await loadBackground({
+    storage: {
+      exportedOrders: [
+        stored(ORDER_A),
+        stored(ORDER_B, { order_status: 'COMPLETED' }),
+        stored('5770000000000000003', { region: 'SG' }),
+        stored('5770000000000000004', { extracted_at: '2020-01-01T00:00:00.000Z' })
+      ]
+    }
+  });
+
+  await bg.chrome._dispatch({ type: 'START_EXPORT', mode: 'refresh', region: 'MY', refreshFilter: { maxAgeDays: 14, status: 'open' } });
+  assertSame(bg.state().orderIds, [ORDER_A]);
+
+  // Stored orders are not skipped and the list is never collected
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000);
+  assert.strictEqual(bg.chrome._sent('COLLECT_ORDER_IDS').length, 0);
+
+  await loadAndExtract(bg, { hasData: true, isMasked: false, status: 'IN_TRANSIT', tracking_number: 'JT0123456789MY', total_amount: 0 });
+  await bg.clock.tick(4000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  assert.strictEqual(bg.chrome._sent('EXTRACT_ORDER_DATA')[0].refresh, true);
+  assertSame([bg.state().success, bg.state().updated, bg.state().skipped], [1, 1, 0]);
+
+  const order = (await bg.orders())[0];
+  assertSame([order.order_status, order.tracking_number, order.total_amount, order.customer_name], ['IN_TRANSIT', 'JT0123456789MY', 10, 'Aina']);
+  assertSame(order.status_history.map(entry => [entry.at === exportedAt, entry.order_status, entry.tracking_number]), [
+    [true, 'AWAITING_COLLECTION', ''],
+    [false, 'IN_TRANSIT', 'JT0123456789MY']
+  ]);
+  assert.strictEqual((await bg.orders()).length, 4);
+  assert.strictEqual(bg.chrome._storage.failedOrders, undefined);
+});
+
+test('a refresh run needs stored orders that match its filter', async () => {
+  const bg = await loadBackground({
+    storage: { exportedOrders: [{ order_id: ORDER_A, order_status: 'CANCELLED', region: 'MY', extracted_at: new Date().toISOString() }] }
+  });
+
+  const response = await bg.chrome._dispatch({ type: 'START_EXPORT', mode: 'refresh', region: 'MY' });
+  assertSame(response, { error: 'No stored orders match the refresh filter' });
+
+  const anyStatus = await bg.chrome._dispatch({ type: 'START_EXPORT', mode: 'refresh', region: 'MY', refreshFilter: { status: '' } });
+  assertSame(anyStatus, { success: true });
+});
+
+test('incremental runs stop at the last sync and move the shop watermark', async () => {
+  const times = { [ORDER_C]: Date.UTC(2025, 0, 15, 12), [ORDER_A]: Date.UTC(2025, 0, 15, 10), [ORDER_B]: Date.UTC(2025, 0, 14, 9) };
+  const bg = await loadBackground({
+    storage: {
+      exportedOrders: [{ order_id: ORDER_A }, { order_id: ORDER_B }],
+      syncWatermarks: { 'MY:MYLCV9LW9B': { shipped: { time: times[ORDER_A], orderId: ORDER_A, syncedAt: '2025-01-15T10:30:00.000Z' } } }
+    }
+  });
+
+  await bg.chrome._dispatch({ type: 'START_EXPORT', mode: 'incremental', region: 'MY', tab: 'shipped', startPage: 4, endPage: 9 });
+  assertSame([bg.state().currentPage, bg.state().allPages, bg.state().dateFilter], [1, true, null]);
+
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000);
+  await bg.chrome._dispatch({
+    type: 'ORDER_IDS_COLLECTED', orderIds: [ORDER_C, ORDER_A, ORDER_B], actualMaxPages: 5, orderTimes: times, shopCode: 'MYLCV9LW9B'
+  });
+  await bg.clock.flush();
+
+  // Only the order newer than the last sync is queued, and page 1 is the last page
+  assertSame(bg.state().orderIds, [ORDER_C]);
+  assert.strictEqual(bg.state().endPage, 1);
+
+  await loadAndExtract(bg, extracted('Chong'));
+  await bg.clock.tick(4000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  assert.strictEqual(bg.chrome._sent('COLLECT_ORDER_IDS').length, 1);
+  const watermark = bg.chrome._storage.syncWatermarks['MY:MYLCV9LW9B'].shipped;
+  assertSame([watermark.orderId, watermark.time], [ORDER_C, times[ORDER_C]]);
+});
+
+test('the first incremental sync of a shop walks every page', async () => {
+  const pages = [pageOfOrders(1, 20), pageOfOrders(2, 3)];
+  const bg = await loadBackground({ storage: { exportedOrders: pages.flat().map(id => ({ order_id: id })) } });
+
+  await bg.chrome._dispatch({ type: 'START_EXPORT', mode: 'incremental', region: 'MY', tab: 'shipped' });
+  for (const orderIds of pages) {
+    bg.chrome._completeTab(bg.tabId());
+    await bg.clock.tick(2000);
+    await bg.chrome._dispatch({ type: 'ORDER_IDS_COLLECTED', orderIds, actualMaxPages: 1, orderTimes: {}, shopCode: null });
+    await bg.clock.tick(1500);
+  }
+
+  assert.strictEqual(bg.runState(), 'done');
+  assert.strictEqual(bg.state().skipped, 23);
+  // Without list times the first order of the list is the newest
+  const watermark = bg.chrome._storage.syncWatermarks.MY.shipped;
+  assertSame([watermark.orderId, watermark.time], [pages[0][0], null]);
+});
+
+test('list-only runs store the list rows without opening any order', async () => {
+  const bg = await loadBackground({ storage: { exportedOrders: [{ order_id: ORDER_B }] } });
+
+  await bg.chrome._dispatch({ type: 'START_EXPORT', mode: 'list-only', region: 'MY', tab: 'shipped', startPage: 1, endPage: 1 });
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000);
+  assert.strictEqual(bg.chrome._sent('COLLECT_ORDER_IDS')[0].listOnly, true);
+
+  const orderRows = {
+    [ORDER_A]: { order_status: 'IN_TRANSIT', total_amount: 25, currency: 'MYR', items: 'Herbal Tea 500g', order_date: '14/01/2025 09:05' }
+  };
+  await bg.chrome._dispatch({ type: 'ORDER_IDS_COLLECTED', orderIds: [ORDER_A, ORDER_B], actualMaxPages: 1, orderRows });
+  await bg.clock.flush();
+
+  assert.strictEqual(bg.runState(), 'done');
+  assert.strictEqual(bg.chrome._sent('EXTRACT_ORDER_DATA').length, 0);
+  assertSame([bg.state().success, bg.state().skipped], [1, 1]);
+
+  const stored = (await bg.orders())[0]; // Stored by order ID
+  assertSame(
+    [stored.order_id, stored.order_status, stored.total_amount, stored.items, stored.customer_name, stored.customer_revealed],
+    [ORDER_A, 'IN_TRANSIT', 25, 'Herbal Tea 500g', '', false]
+  );
+});
+
+test('a normal run fills in the customer details of list-only records', async () => {
+  const bg = await loadBackground({
+    storage: {
+      exportedOrders: [
+        { order_id: ORDER_A, order_status: 'SHIPPED', customer_name: '', customer_revealed: false },
+        { order_id: ORDER_B, customer_name: 'Ali' }
+      ]
+    }
+  });
+
+  await startAndCollect(bg, [ORDER_A, ORDER_B]);
+  await loadAndExtract(bg, extracted('Aminah'));
+  await bg.clock.tick(4000);
+
+  assert.strictEqual(bg.runState(), 'done');
+  assert.strictEqual(bg.state().skipped, 1);
+  const orders = await bg.orders();
+  assertSame(orders.map(order => [order.order_id, order.customer_name, order.customer_revealed !== false]), [
+    [ORDER_A, 'Aminah', true],
+    [ORDER_B, 'Ali', true]
+  ]);
+});
+
+test('runs store and skip orders per shop, and exports can be limited to one shop', async () => {
+  const bg = await loadBackground({
+    storage: {
+      exportedOrders: [
+        { order_id: ORDER_A, customer_name: 'Other shop', shop_code: 'MYOTHER001' },
+        { order_id: ORDER_B, customer_name: 'Before shops were tracked' }
+      ]
+    }
+  });
+
+  await startAndCollect(bg, [ORDER_B, ORDER_C], { shop: { code: 'mylcv9lw9b', name: 'SYNAX.HQ' } });
+  // The untagged order counts for every shop, the other shop's order for none
+  assertSame(toPlain(evaluate(bg.context, 'Array.from(state.existingOrderIds)')), [ORDER_B]);
+  assertSame(bg.chrome._storage.knownShops.MYLCV9LW9B.name, 'SYNAX.HQ');
+
+  await loadAndExtract(bg, extracted('Chong'));
+  await bg.clock.tick(4000);
+  assert.strictEqual(bg.runState(), 'done');
+  assert.strictEqual(bg.state().skipped, 1);
+
+  const stored = (await bg.orders()).find(order => order.order_id === ORDER_C);
+  assertSame([stored.shop_code, stored.shop_name, stored.schema_version], ['MYLCV9LW9B', 'SYNAX.HQ', 6]);
+
+  const download = await bg.chrome._dispatch({ type: 'DOWNLOAD_CSV', shopCode: 'MYLCV9LW9B' });
+  assert.strictEqual(download.count, 1);
+  assert.match(download.filename, /_MYLCV9LW9B_1orders\.csv$/);
+  assert.strictEqual(bg.chrome._storage.exportHistory[0].shopCode, 'MYLCV9LW9B');
+  assert.strictEqual((await bg.chrome._dispatch({ type: 'DOWNLOAD_CSV' })).count, 3);
+});
+
+test('a run started without a shop takes the one shown on the order list', async () => {
+  const bg = await loadBackground({
+    storage: { exportedOrders: [{ order_id: ORDER_A, customer_name: 'Aina', shop_code: 'MYLCV9LW9B' }] }
+  });
+
+  await bg.chrome._dispatch({ type: 'START_EXPORT', startPage: 1, endPage: 1 });
+  assert.strictEqual(bg.state().shopCode, null);
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000);
+  await bg.chrome._dispatch({ type: 'ORDER_IDS_COLLECTED', orderIds: [ORDER_A, ORDER_B], actualMaxPages: 1, shopCode: 'MYLCV9LW9B' });
+  await bg.clock.flush();
+
+  // The shop's order is skipped as already exported
+  assert.strictEqual(bg.state().shopCode, 'MYLCV9LW9B');
+  assert.strictEqual(bg.worker().orderId, ORDER_B);
+  assert.ok(bg.chrome._storage.knownShops.MYLCV9LW9B);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadFixturePage } = require('./helpers/load-dom');
+
+const DETAIL_URL = 'https://seller-my.tiktok.com/order/detail?order_no=577000000000000001&shop_region=MY';
+const LIST_URL = 'https://seller-my.tiktok.com/order?selected_sort=6&tab=shipped';
+
+test('the field extractors read an order detail page', async () => {
+  const page = loadFixturePage('order-detail-my.html', { url: DETAIL_URL });
+  const profile = 'getRegionProfile("MY")';
+
+  assert.deepStrictEqual(await page.run(`extractTotalAmount(${profile})`), { amount: 25, currency: 'MYR' });
+  assert.strictEqual(await page.run('extractOrderDate()'), '14/01/2025 09:05:42');
+  assert.strictEqual(await page.run('extractShippingMethod()'), 'J&T Express');
+  assert.strictEqual(await page.run('extractPaymentMethod()'), 'Online Banking');
+  assert.deepStrictEqual(await page.run(`extractItemsAndSku(${profile})`), {
+    items: 'Herbal Tea Premium Blend 500g Original Recipe Halal Certified\n4 Botol + FREE 1 Botol',
+    skuId: '1729000000000000001'
+  });
+});
+
+test('a revealed order detail page is extracted into a full record', async () => {
+  const page = loadFixturePage('order-detail-my.html', { url: DETAIL_URL });
+
+  const data = await page.run('extractOrderData("577000000000000001", "MY", "shipped")');
+
+  assert.deepStrictEqual(data, {
+    order_id: '577000000000000001',
+    name: 'Nur Aisyah Binti Ahmad',
+    phone_number: '(+60)123456789',
+    full_address: 'No 12, Jalan Bunga Raya 3, Taman Melati, 53100 Kuala Lumpur, Wilayah Persekutuan Kuala Lumpur, Malaysia',
+    status: 'IN_TRANSIT',
+    total_amount: 25,
+    currency: 'MYR',
+    order_date: '14/01/2025 09:05:42',
+    shipping_method: 'J&T Express',
+    tracking_number: 'JNT7000000001',
+    payment_method: 'Online Banking',
+    items: 'Herbal Tea Premium Blend 500g Original Recipe Halal Certified\n4 Botol + FREE 1 Botol',
+    sku_id: '1729000000000000001',
+    hasData: true,
+    isMasked: false,
+    error: null,
+    privacyBlocked: false,
+    skipRetry: false,
+    field_sources: {
+      customer_name: 'dom',
+      phone_number: 'dom',
+      full_address: 'dom',
+      order_status: 'dom',
+      total_amount: 'dom',
+      currency: 'dom',
+      order_date: 'dom',
+      shipping_method: 'dom',
+      tracking_number: 'dom',
+      payment_method: 'dom',
+      items: 'dom',
+      sku_id: 'dom'
+    }
+  });
+});
+
+test('a privacy-blocked order detail page is flagged and not retried', async () => {
+  const page = loadFixturePage('order-detail-privacy-blocked.html', { url: DETAIL_URL.replace('0001', '0009') });
+
+  const data = await page.run('extractOrderData("577000000000000009", "MY", "shipped")');
+
+  assert.strictEqual(data.privacyBlocked, true);
+  assert.strictEqual(data.skipRetry, true);
+  assert.strictEqual(data.hasData, false);
+  assert.match(data.error, /Privacy blocked/);
+  assert.deepStrictEqual([data.name, data.phone_number, data.full_address], [null, null, null]);
+});
+
+test('order IDs are collected from a list page once each, up to the limit', async () => {
+  const page = loadFixturePage('order-list-my.html', { url: LIST_URL });
+  const collect = max => page.run(`(() => {
+    const orderIds = [];
+    collectOrdersFromPage(orderIds, new RegExp(getRegionProfile('MY').orderIdPattern.source, 'g'), ${max});
+    return orderIds;
+  })()`);
+
+  assert.deepStrictEqual(await collect(20), ['577000000000000001', '577000000000000002', '577000000000000003']);
+  assert.deepStrictEqual(await collect(2), ['577000000000000001', '577000000000000002']);
+  assert.strictEqual(await page.run('getShopCode()'), 'MYTEST0001');
+});
+
+test('list-only runs read each order from its own list row', async () => {
+  const page = loadFixturePage('order-list-my.html', { url: LIST_URL });
+
+  const rows = await page.run('getOrderListRows(["577000000000000002", "577000000000000003"], "MY", "shipped")');
+
+  assert.deepStrictEqual(rows, {
+    '577000000000000002': {
+      order_status: 'DELIVERED',
+      total_amount: 1049.9,
+      currency: 'MYR',
+      items: 'Ginger Honey Drink 20 sachets',
+      order_date: '14/01/2025 11:20',
+      field_sources: { order_status: 'dom', total_amount: 'dom', currency: 'dom', items: 'dom', order_date: 'dom' }
+    },
+    '577000000000000003': {
+      order_status: 'SHIPPED', // No status badge - the tab's status
+      total_amount: 89.7,
+      currency: 'MYR',
+      items: 'Black Seed Oil Capsules 60s',
+      order_date: '15/01/2025 08:02',
+      field_sources: { order_status: 'dom', total_amount: 'dom', currency: 'dom', items: 'dom', order_date: 'dom' }
+    }
+  });
+});
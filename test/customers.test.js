@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluate, toPlain } = require('./helpers/load-scripts');
+const { ORDER_A, ORDER_B, ORDER_C, assertSame, loadBackground } = require('./helpers/background');
+
+const ORDER_D = '5770000000000000004';
+const ORDER_E = '5770000000000000005';
+const ORDER_F = '5770000000000000006';
+
+const customers = async (bg) => toPlain(await evaluate(bg.context, 'getCustomers()'));
+
+test('orders are linked to customers by phone in any form, with per-customer aggregates', async () => {
+  const bg = await loadBackground({
+    storage: {
+      exportedOrders: [
+        { order_id: ORDER_A, customer_name: 'Aina', phone_number: '+60 12-345 6789', order_date: '01/01/2025 10:00', currency: 'MYR', total_amount: 10, items: 'Baju Kurung Moden\nSize M | Tudung Bawal', customer_id: 'CUS-OLD1' },
+        { order_id: ORDER_B, customer_name: 'AINA', phone_number: '012-345 6789', order_date: '05/02/2025 10:00', currency: 'MYR', total_amount: 20.5, items: 'Baju Kurung Moden\nSize L', customer_id: 'CUS-OLD2' },
+        { order_id: ORDER_C, customer_name: 'Aina.', phone_number: '', order_date: '10/03/2025 10:00', currency: 'MYR', total_amount: 5, items: 'Tudung Bawal' }, // Name only
+        { order_id: ORDER_D, customer_name: 'Badrul', phone_number: '60198765432', order_date: '02/01/2025 10:00', currency: 'MYR', total_amount: 7 },
+        { order_id: ORDER_E, customer_name: '', phone_number: '', full_address: '', customer_revealed: false } // List-only
+      ]
+    }
+  });
+
+  // Linked by an older version before the phone forms were compared as one
+  const book = await bg.chrome._dispatch({ type: 'UPDATE_CUSTOMER_BOOK' });
+  assertSame([book.customers, book.linked, book.merged], [2, 4, 1]);
+
+  const orders = await bg.orders();
+  assertSame(orders.map(order => order.customer_id || null), ['CUS-OLD1', 'CUS-OLD1', 'CUS-OLD1', `CUS-${ORDER_D}`, null]);
+  assert.match(orders[0].customer_keys.phone, /^P-[0-9a-f]{16}$/);
+  const storage = await bg.chrome.storage.local.get(['customerMatchKey', 'exportHashKey']);
+  assertSame([!!storage.customerMatchKey, !!storage.exportHashKey], [true, false]); // Hashed exports have a key of their own
+
+  const [aina, badrul] = await customers(bg); // Most recent order first
+  assertSame(aina, {
+    customer_id: 'CUS-OLD1',
+    shop_codes: [''],
+    order_count: 3,
+    first_order_at: orders[0].order_time,
+    first_order_date: '01/01/2025 10:00',
+    last_order_at: orders[2].order_time,
+    last_order_date: '10/03/2025 10:00',
+    total_spend: { MYR: 35.5 },
+    favorite_products: [{ name: 'Baju Kurung Moden', count: 2 }, { name: 'Tudung Bawal', count: 2 }],
+    latest_order_id: ORDER_C,
+    updated_at: aina.updated_at
+  });
+  assertSame([badrul.order_count, badrul.favorite_products], [1, []]);
+
+  // With encryption on, the match key is kept in the vault
+  await bg.chrome._dispatch({ type: 'ENABLE_PII_ENCRYPTION', passphrase: 'kedai runcit 2025' });
+  assertSame([!!bg.chrome._storage.customerMatchKey, !!bg.chrome._storage.piiEncryption.matchKey], [false, true]);
+  assertSame((await bg.orders())[0].customer_keys, orders[0].customer_keys);
+
+  // Orders saved while locked wait for the key
+  evaluate(bg.context, `state.collectedData.push({ order_id: '${ORDER_F}', customer_name: 'Aina', phone_number: '(+60)123456789', total_amount: 4, currency: 'MYR' })`);
+  await evaluate(bg.context, 'saveToStorage()');
+  await evaluate(bg.context, 'updateCustomerBook()');
+  const pending = (await bg.orders())[5];
+  assertSame([!!pending.pii, pending.customer_pending, !!pending.customer_keys, pending.customer_id || null], [true, 1, false, null]);
+  assertSame((await customers(bg)).map(customer => customer.order_count).sort(), [1, 3]);
+
+  // Unlocking links them - reading only the orders of the same customer
+  evaluate(bg.context, 'var readOrders = []; var readAll = getOrders; getOrders = (ids) => { readOrders.push(...ids); return readAll(ids); }');
+  await bg.chrome._dispatch({ type: 'UNLOCK_PII', passphrase: 'kedai runcit 2025' });
+  await evaluate(bg.context, 'updateCustomerBook()');
+  const saved = (await bg.orders())[5];
+  assertSame([!!saved.pii, saved.customer_id, saved.customer_keys.phone, saved.customer_pending || null],
+    [true, 'CUS-OLD1', orders[0].customer_keys.phone, null]);
+  assertSame((await customers(bg)).map(customer => customer.order_count).sort(), [1, 4]);
+  const read = toPlain(evaluate(bg.context, 'readOrders'));
+  assert.ok(!read.includes(ORDER_D) && !read.includes(ORDER_E), read.join());
+});
+
+test('the customers export follows the privacy profile, and erased orders leave their customer', async () => {
+  const bg = await loadBackground({
+    storage: {
+      exportedOrders: [
+        { order_id: ORDER_A, customer_name: 'Aina Binti Ali', phone_number: '60123456789', order_date: '01/01/2025 10:00', currency: 'MYR', total_amount: 10, items: 'Tudung Bawal', shop_code: 'MYLCV9LW9B' },
+        { order_id: ORDER_B, customer_name: 'Aina Binti Ali', phone_number: '0123456789', order_date: '02/02/2025 10:00', currency: 'MYR', total_amount: 15, items: 'Tudung Bawal', shop_code: 'MYLCV9LW9B' },
+        { order_id: ORDER_C, customer_name: 'Chong Wei', phone_number: '60111111111', order_date: '03/03/2025 10:00', currency: 'MYR', total_amount: 3, shop_code: 'MYLCV9LW9B' }
+      ]
+    }
+  });
+  await bg.chrome._dispatch({ type: 'UPDATE_CUSTOMER_BOOK' });
+
+  const download = await bg.chrome._dispatch({ type: 'DOWNLOAD_CUSTOMERS_CSV', shopCode: 'MYLCV9LW9B', profile: 'masked' });
+  assert.match(download.filename, /^tiktok_customers_\d{4}-\d{2}-\d{2}_MYLCV9LW9B_masked_2customers\.csv$/);
+  const csv = Buffer.from(bg.chrome._downloads[0].url.split(',')[1], 'base64').toString('utf8').replace(/^﻿/, '');
+  assertSame(csv.split('\n'), [
+    '"Customer ID","Customer Name (masked)","Customer Phone (masked)","Orders","First Order","Last Order","Total Spend","Favorite Products","Shops"',
+    `"CUS-${ORDER_C}","C**** W**","60*****1111","1","03/03/2025 10:00","03/03/2025 10:00","MYR 3","","MYLCV9LW9B"`,
+    `"CUS-${ORDER_A}","A*** B**** A**","60*****6789","2","01/01/2025 10:00","02/02/2025 10:00","MYR 25","Tudung Bawal (2)","MYLCV9LW9B"`
+  ]);
+
+  const { history } = await bg.chrome._dispatch({ type: 'GET_EXPORT_HISTORY' });
+  assertSame([history[0].kind, history[0].count, history[0].profile], ['customers', 2, 'masked']);
+
+  await bg.chrome._dispatch({ type: 'ERASE_CUSTOMER', phone: '0123456789' });
+  const orders = await bg.orders();
+  assertSame(orders.map(order => [order.customer_id || null, !!order.customer_keys]), [
+    [null, false],
+    [null, false],
+    [`CUS-${ORDER_C}`, true]
+  ]);
+  assertSame((await customers(bg)).map(customer => customer.customer_id), [`CUS-${ORDER_C}`]);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, loadScript, evaluate, toPlain } = require('./helpers/load-scripts');
+
+function dateRange() {
+  const context = createSandbox();
+  loadScript(context, 'date-range.js');
+  return context;
+}
+
+function parse(text) {
+  const context = dateRange();
+  context.text = text;
+  return evaluate(context, 'parseNewestListTime(text)');
+}
+
+// Presets resolved at a fixed time, e.g. '2025-03-03 15:00'
+function resolve(preset, now) {
+  const context = dateRange();
+  context.preset = preset;
+  context.now = now;
+  const range = toPlain(evaluate(context, 'resolveDatePreset(preset, new Date(now))'));
+  return range && [range.startDate, range.endDate, range.preset];
+}
+
+function normalize(filter) {
+  const context = dateRange();
+  context.filter = filter;
+  return toPlain(evaluate(context, 'normalizeDateFilter(filter)'));
+}
+
+test('the newest time of an order row is found', () => {
+  const row = 'Order ID 577000000000000001\nCreated 14/01/2025 09:05\nShipped 15/01/2025 10:32:07\nRM 25.00';
+  assert.strictEqual(parse(row), new Date(2025, 0, 15, 10, 32, 7).getTime());
+  assert.strictEqual(parse('Shipped 2025-01-15 08:00:00, created 2025-01-13 21:15'), new Date(2025, 0, 15, 8, 0).getTime());
+});
+
+test('rows without a date-time have no list time', () => {
+  assert.strictEqual(parse('Awaiting collection · RM 25.00'), null);
+  assert.strictEqual(parse('15/01/2025'), null);
+  assert.strictEqual(parse(undefined), null);
+});
+
+test('presets resolve to the days around the start time', () => {
+  const now = '2025-03-03T15:00:00';
+  assert.deepStrictEqual(resolve('today', now), ['2025-03-03', '2025-03-03', 'today']);
+  assert.deepStrictEqual(resolve('yesterday', now), ['2025-03-02', '2025-03-02', 'yesterday']);
+  assert.deepStrictEqual(resolve('last7Days', now), ['2025-02-25', '2025-03-03', 'last7Days']); // Today included
+  assert.deepStrictEqual(resolve('last30Days', now), ['2025-02-02', '2025-03-03', 'last30Days']);
+  assert.deepStrictEqual(resolve('thisMonth', now), ['2025-03-01', '2025-03-03', 'thisMonth']);
+  assert.deepStrictEqual(resolve('yesterday', '2025-01-01T00:30:00'), ['2024-12-31', '2024-12-31', 'yesterday']);
+  assert.deepStrictEqual(resolve('thisMonth', '2025-03-01T08:00:00'), ['2025-03-01', '2025-03-01', 'thisMonth']);
+});
+
+test('custom and unknown presets have no range of their own', () => {
+  assert.strictEqual(resolve('custom', '2025-03-03T15:00:00'), null);
+  assert.strictEqual(resolve('lastYear', '2025-03-03T15:00:00'), null);
+});
+
+test('date filters are normalized into an ordered start and end', () => {
+  assert.deepStrictEqual(normalize({ startDate: '2025-01-01', endDate: '2025-01-07', preset: 'last7Days' }),
+    { startDate: '2025-01-01', endDate: '2025-01-07', preset: 'last7Days' });
+  assert.deepStrictEqual(normalize({ startDate: '2025-01-07', endDate: '2025-01-01' }), // Reversed
+    { startDate: '2025-01-01', endDate: '2025-01-07', preset: 'custom' });
+  assert.deepStrictEqual(normalize({ startDate: '2025-01-07' }), { startDate: '2025-01-07', endDate: '2025-01-07', preset: 'custom' });
+  assert.deepStrictEqual(normalize({ date: '2025-01-14' }), // Saved by older versions
+    { startDate: '2025-01-14', endDate: '2025-01-14', preset: 'custom' });
+});
+
+test('date filters without a start date are no filter', () => {
+  assert.strictEqual(normalize(null), null);
+  assert.strictEqual(normalize({}), null);
+  assert.strictEqual(normalize({ endDate: '2025-01-07' }), null);
+  assert.strictEqual(normalize({ startDate: '', endDate: '', preset: 'custom' }), null);
+
+  const context = dateRange();
+  assert.strictEqual(evaluate(context, 'describeDateFilter(null)'), 'All dates');
+  assert.strictEqual(evaluate(context, "describeDateFilter({ startDate: '2025-01-01', endDate: '2025-01-07' })"), '2025-01-01 to 2025-01-07');
+});
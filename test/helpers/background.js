@@ -0,0 +1,132 @@
+/**
+ * Drive background.js through simulated export runs
+ *
+ * background.js is loaded into a sandbox with the chrome mock and the manual
+ * clock. Tests play the browser's and the content script's part: complete
+ * tab loads, answer COLLECT_ORDER_IDS / EXTRACT_ORDER_DATA and advance the
+ * clock through the delays, retries and watchdogs.
+ */
+
+const assert = require('node:assert');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { createSandbox, loadScript, evaluate, toPlain } = require('./load-scripts');
+const { createChromeMock } = require('./chrome-mock');
+const { createFakeClock } = require('./fake-clock');
+
+const ORDER_A = '5770000000000000001';
+const ORDER_B = '5770000000000000002';
+const ORDER_C = '5770000000000000003';
+
+const quietConsole = { log() {}, info() {}, warn() {}, error: console.error };
+
+function assertSame(actual, expected, message) {
+  assert.deepStrictEqual(toPlain(actual), expected, message);
+}
+
+/**
+ * Load background.js with a mocked chrome API and a manual clock
+ * @param {Object} options - Chrome mock options ({ storage, session, tabs, respond }), plus
+ *   now: wall-clock start time (ms or ISO string) - Date then follows the clock
+ *   indexedDB: IndexedDB of the order store (a fresh, empty one by default)
+ */
+async function loadBackground(options = {}) {
+  const chrome = createChromeMock(options);
+  const indexedDB = options.indexedDB || new IDBFactory();
+  const clock = createFakeClock(options.now !== undefined ? new Date(options.now).getTime() : 0);
+  const context = createSandbox({
+    chrome,
+    console: quietConsole,
+    setTimeout: clock.setTimeout,
+    clearTimeout: clock.clearTimeout,
+    ...(options.now !== undefined ? { Date: clock.Date } : {}),
+    indexedDB,
+    IDBKeyRange,
+    btoa,
+    atob,
+    crypto,
+    TextEncoder,
+    TextDecoder
+  });
+  loadScript(context, 'background.js');
+  evaluate(context, 'Math.random = () => 0.5'); // Fixed human-like delays (4s between orders)
+  await evaluate(context, 'stateRestored');
+
+  return {
+    chrome,
+    clock,
+    context,
+    options,
+    indexedDB,
+    runState: () => evaluate(context, 'runMachine.state'),
+    runContext: () => evaluate(context, 'runMachine.context'),
+    state: () => evaluate(context, 'state'),
+    tabId: () => evaluate(context, 'state.currentTabId'),
+    // Worker of a tab (defaults to the export tab)
+    worker: (tabId = evaluate(context, 'state.currentTabId')) => evaluate(context, `workers.get(${tabId})`),
+    workerTabIds: () => evaluate(context, 'Array.from(workers.keys())'),
+    // Records in the order store, by order ID
+    orders: async () => toPlain(await evaluate(context, 'queryOrders()'))
+  };
+}
+
+/**
+ * Simulate Chrome shutting the service worker down and starting it again
+ * The new background starts from what the old one left in storage, the
+ * order store and the tabs that are still open; its pending timers die with it
+ * @param {Object} bg - Background from loadBackground()
+ * @param {Object} options - Extra loadBackground() options
+ */
+function restartBackground(bg, options = {}) {
+  return loadBackground({
+    ...bg.options,
+    storage: bg.chrome._storage,
+    session: bg.chrome._session, // Kept until the browser closes
+    tabs: Array.from(bg.chrome._tabs.values()),
+    indexedDB: bg.indexedDB,
+    ...(bg.options.now !== undefined ? { now: bg.clock.Date.now() } : {}),
+    ...options
+  });
+}
+
+function extracted(name) {
+  return { hasData: true, isMasked: false, name, phone_number: '60123456789', full_address: 'Jalan 1, 50000 Kuala Lumpur', total_amount: 10 };
+}
+
+/**
+ * Start a run and let it collect the given order IDs from page 1
+ */
+async function startAndCollect(bg, orderIds, message = {}) {
+  const response = await bg.chrome._dispatch({ type: 'START_EXPORT', startPage: 1, endPage: 1, ...message });
+  assertSame(response, { success: true });
+
+  bg.chrome._completeTab(bg.tabId());
+  await bg.clock.tick(2000);
+  assert.strictEqual(bg.runState(), 'collecting');
+
+  await bg.chrome._dispatch({ type: 'ORDER_IDS_COLLECTED', orderIds, actualMaxPages: 1 });
+  await bg.clock.flush();
+}
+
+/**
+ * Let a worker's detail page load and its content script answer
+ */
+async function loadAndExtract(bg, data, tabId = bg.tabId()) {
+  bg.chrome._completeTab(tabId);
+  await bg.clock.tick(2000 + 1500);
+  assert.strictEqual(bg.worker(tabId).machine.state, 'extracting');
+  const orderId = bg.worker(tabId).orderId;
+  await bg.chrome._dispatch({ type: 'ORDER_DATA_EXTRACTED', tabId, orderId, data });
+  await bg.clock.flush();
+}
+
+module.exports = {
+  ORDER_A,
+  ORDER_B,
+  ORDER_C,
+  assertSame,
+  loadBackground,
+  restartBackground,
+  extracted,
+  startAndCollect,
+  loadAndExtract
+};
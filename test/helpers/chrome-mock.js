@@ -0,0 +1,193 @@
+/**
+ * In-memory mock of the chrome.* APIs used by the extension
+ *
+ * Records what the extension did (tabs opened and navigated, messages sent
+ * to content scripts) and lets tests play the browser's part: fire tab
+ * "complete" events and deliver runtime messages to the background listener.
+ */
+
+function createEvent() {
+  const listeners = [];
+  return {
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    listeners
+  };
+}
+
+/**
+ * Create a chrome.storage area (local or session) over a plain object
+ * Values are copied in and out like the real storage does
+ */
+function createStorageArea(data) {
+  return {
+    get: async (keys) => {
+      const list = keys === null || keys === undefined ? Object.keys(data) : [].concat(keys);
+      const result = {};
+      list.forEach(key => {
+        if (key in data) result[key] = JSON.parse(JSON.stringify(data[key]));
+      });
+      return result;
+    },
+    set: async (items) => {
+      Object.assign(data, JSON.parse(JSON.stringify(items)));
+    },
+    remove: async (keys) => {
+      [].concat(keys).forEach(key => delete data[key]);
+    }
+  };
+}
+
+/**
+ * Create a chrome mock
+ * @param {Object} options - { storage: initial chrome.storage.local data, session: initial
+ *   chrome.storage.session data, tabs: [{ id, url }],
+ *   respond(tabId, message): content script reply to tabs.sendMessage (optional) }
+ * @returns {Object} - chrome object plus test helpers (prefixed with _)
+ */
+function createChromeMock(options = {}) {
+  const localData = JSON.parse(JSON.stringify(options.storage || {}));
+  const sessionData = JSON.parse(JSON.stringify(options.session || {}));
+  const tabs = new Map((options.tabs || []).map(tab => [tab.id, { ...tab }]));
+  let nextTabId = Math.max(100, ...Array.from(tabs.keys(), id => id + 1));
+
+  const tabMessages = []; // { tabId, message } sent to content scripts
+  const runtimeMessages = []; // Messages sent to the popup (STATUS_UPDATE, LOG, ...)
+  const navigations = []; // { tabId, url } for every create/update
+  const alarms = new Map(); // name -> { name, scheduledTime }
+  const downloads = []; // chrome.downloads.download() options
+  const notifications = []; // { id, options }
+
+  const chrome = {
+    runtime: {
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      sendMessage: async (message) => {
+        runtimeMessages.push(message);
+      }
+    },
+
+    tabs: {
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      create: async (props) => {
+        const tab = { id: nextTabId++, url: props.url, active: !!props.active };
+        tabs.set(tab.id, tab);
+        navigations.push({ tabId: tab.id, url: props.url });
+        return { ...tab };
+      },
+      update: async (tabId, props) => {
+        const tab = tabs.get(tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+        if (props.url) {
+          tab.url = props.url;
+          navigations.push({ tabId, url: props.url });
+        }
+        return { ...tab };
+      },
+      get: async (tabId) => {
+        const tab = tabs.get(tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+        return { ...tab };
+      },
+      query: async () => Array.from(tabs.values()).map(tab => ({ ...tab })),
+      remove: async (tabId) => {
+        tabs.delete(tabId);
+      },
+      reload: async () => {},
+      sendMessage: async (tabId, message) => {
+        if (!tabs.has(tabId)) throw new Error('Could not establish connection. Receiving end does not exist.');
+        tabMessages.push({ tabId, message });
+        return options.respond ? options.respond(tabId, message) : { received: true };
+      }
+    },
+
+    storage: {
+      onChanged: createEvent(),
+      local: createStorageArea(localData),
+      session: createStorageArea(sessionData)
+    },
+
+    alarms: {
+      onAlarm: createEvent(),
+      create: async (name, info) => {
+        alarms.set(name, { name, scheduledTime: info.when });
+      },
+      clear: async (name) => alarms.delete(name),
+      get: async (name) => alarms.get(name)
+    },
+
+    downloads: {
+      download: async (options) => {
+        downloads.push(options);
+        return downloads.length;
+      }
+    },
+
+    notifications: {
+      create: (id, options) => {
+        notifications.push({ id, options });
+      }
+    },
+
+    // Test helpers
+
+    _storage: localData,
+    _session: sessionData,
+    _tabs: tabs,
+    _tabMessages: tabMessages,
+    _runtimeMessages: runtimeMessages,
+    _navigations: navigations,
+    _alarms: alarms,
+    _downloads: downloads,
+    _notifications: notifications,
+
+    /**
+     * Deliver a runtime message to the background listeners
+     * @returns {Promise<*>} - Value passed to sendResponse
+     */
+    _dispatch(message, sender = {}) {
+      return new Promise(resolve => {
+        chrome.runtime.onMessage.listeners.forEach(listener => listener(message, sender, resolve));
+      });
+    },
+
+    /**
+     * Fire tabs.onUpdated with status "complete" for a tab's current URL
+     */
+    _completeTab(tabId) {
+      const tab = tabs.get(tabId);
+      chrome.tabs.onUpdated.listeners.forEach(listener => listener(tabId, { status: 'complete' }, { ...tab }));
+    },
+
+    /**
+     * Fire a chrome.alarms alarm
+     */
+    _fireAlarm(name) {
+      chrome.alarms.onAlarm.listeners.forEach(listener => listener({ name, scheduledTime: Date.now() }));
+    },
+
+    /**
+     * Close a tab the way the user would (fires tabs.onRemoved)
+     */
+    _closeTab(tabId) {
+      tabs.delete(tabId);
+      chrome.tabs.onRemoved.listeners.forEach(listener => listener(tabId, { isWindowClosing: false }));
+    },
+
+    /**
+     * Messages of one type sent to content scripts
+     */
+    _sent(type) {
+      return tabMessages.filter(entry => entry.message.type === type).map(entry => entry.message);
+    }
+  };
+
+  return chrome;
+}
+
+module.exports = { createChromeMock };
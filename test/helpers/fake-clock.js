@@ -0,0 +1,95 @@
+/**
+ * Manual clock for driving the background timers in tests
+ *
+ * Pass clock.setTimeout / clock.clearTimeout into the sandbox, then call
+ * clock.tick(ms) to fire everything due in that window in order. Pending
+ * promise chains are flushed after each timer, so async steps triggered by a
+ * timer (storage writes, order store transactions, tab messages) complete
+ * before the next one fires.
+ *
+ * clock.Date is a Date whose "now" follows the clock (pass it in as Date
+ * when a test needs elapsed times or timestamps to move with the timers).
+ */
+
+// IndexedDB (fake-indexeddb) runs each request step in its own setImmediate,
+// so a flush lets enough of them run for a few transactions to finish
+const FLUSH_ROUNDS = 20;
+
+async function flushPromises() {
+  for (let round = 0; round < FLUSH_ROUNDS; round++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Create a manual clock
+ * @param {number} epoch - Wall-clock time (ms) clock.Date reports at tick 0
+ */
+function createFakeClock(epoch = 0) {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+
+  function setTimeout(callback, ms = 0, ...args) {
+    const id = nextId++;
+    timers.set(id, { id, at: now + Math.max(0, ms), callback, args });
+    return id;
+  }
+
+  function clearTimeout(id) {
+    timers.delete(id);
+  }
+
+  function nextDue(until) {
+    let due = null;
+    for (const timer of timers.values()) {
+      if (timer.at <= until && (!due || timer.at < due.at || (timer.at === due.at && timer.id < due.id))) {
+        due = timer;
+      }
+    }
+    return due;
+  }
+
+  /**
+   * Advance the clock, firing due timers in order
+   * @param {number} ms - Milliseconds to advance
+   */
+  async function tick(ms) {
+    const until = now + ms;
+    await flushPromises();
+
+    let timer = nextDue(until);
+    while (timer) {
+      timers.delete(timer.id);
+      now = timer.at;
+      timer.callback(...timer.args);
+      await flushPromises();
+      await flushPromises();
+      timer = nextDue(until);
+    }
+
+    now = until;
+  }
+
+  class FakeDate extends Date {
+    constructor(...args) {
+      super(...(args.length > 0 ? args : [epoch + now]));
+    }
+
+    static now() {
+      return epoch + now;
+    }
+  }
+
+  return {
+    setTimeout,
+    clearTimeout,
+    Date: FakeDate,
+    tick,
+    flush: flushPromises,
+    now: () => now,
+    pending: () => timers.size
+  };
+}
+
+module.exports = { createFakeClock, flushPromises };
@@ -0,0 +1,92 @@
+/**
+ * Load the content script into a jsdom page
+ *
+ * Extractor tests run content.js against saved Seller Center HTML
+ * (test/fixtures/). The shared scripts and content.js are evaluated in the
+ * page's window in manifest.json order, so their globals share one scope
+ * just like in the extension's isolated world.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { createChromeMock } = require('./chrome-mock');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+// Content scripts of manifest.json, in load order
+const CONTENT_SCRIPTS = ['regions.js', 'date-range.js', 'order-tabs.js', 'selector-pack.js', 'order-api.js', 'content.js'];
+
+// Elements that start a new line in innerText
+const BLOCK_ELEMENTS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET', 'FOOTER', 'FORM',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'SECTION', 'TABLE', 'TR', 'UL'
+]);
+
+/**
+ * Approximate HTMLElement.innerText, which jsdom does not implement
+ * Text of block elements goes on its own lines; script and style text is left out
+ * @param {Node} node
+ * @returns {string}
+ */
+function renderInnerText(node) {
+  if (node.nodeType === 3) return node.textContent.replace(/\s+/g, ' ');
+  if (node.nodeType !== 1 || node.tagName === 'SCRIPT' || node.tagName === 'STYLE') return '';
+
+  const text = Array.from(node.childNodes).map(renderInnerText).join('');
+  return BLOCK_ELEMENTS.has(node.tagName) ? `\n${text}\n` : text;
+}
+
+/**
+ * Open a fixture page with the content script loaded
+ * @param {string} fixture - File name in test/fixtures/
+ * @param {Object} options - { url, storage } (storage is passed to the chrome mock)
+ * @returns {Object} - { window, chrome, run(expression) }
+ */
+function loadFixturePage(fixture, options = {}) {
+  const html = fs.readFileSync(path.join(FIXTURES, fixture), 'utf8');
+  const dom = new JSDOM(html, {
+    url: options.url || 'https://seller-my.tiktok.com/order',
+    runScripts: 'outside-only'
+  });
+  const { window } = dom;
+
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() {
+      return renderInnerText(this).split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+    }
+  });
+  window.scrollTo = () => {};
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+
+  const chrome = createChromeMock({ storage: options.storage });
+  window.chrome = chrome;
+
+  // Run as scripts (not eval) so top-level consts are shared between files
+  const context = dom.getInternalVMContext();
+  CONTENT_SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  // The extractors wait for the page to settle - fixtures are already settled
+  vm.runInContext('sleep = () => Promise.resolve()', context);
+
+  return {
+    window,
+    chrome,
+    /**
+     * Evaluate an expression in the page (content script globals are in scope)
+     * Results are copied out as JSON, like a message to the background would be
+     * @param {string} expression
+     * @returns {Promise<*>}
+     */
+    async run(expression) {
+      const value = await vm.runInContext(expression, context);
+      return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+  };
+}
+
+module.exports = { loadFixturePage };
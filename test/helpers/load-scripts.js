@@ -0,0 +1,63 @@
+/**
+ * Load the extension's plain scripts into a sandbox
+ *
+ * The extension has no module system: background.js pulls shared scripts in
+ * with importScripts() and every script declares globals. Tests run them the
+ * same way inside a vm context, so top-level consts and functions of all
+ * loaded scripts share one global scope - just like in the browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Create a sandbox with the given globals
+ * importScripts() is provided and loads files relative to the extension root
+ * @param {Object} globals - e.g. { chrome, setTimeout, clearTimeout }
+ * @returns {Object} - vm context
+ */
+function createSandbox(globals = {}) {
+  const context = vm.createContext({ console, ...globals });
+  context.importScripts = (...files) => {
+    files.forEach(file => loadScript(context, file));
+  };
+  return context;
+}
+
+/**
+ * Run an extension script inside a sandbox
+ * Vendored libraries (lib/) are skipped - tests do not need them
+ * @param {Object} context - vm context from createSandbox()
+ * @param {string} file - Path relative to the extension root
+ */
+function loadScript(context, file) {
+  if (file.startsWith('lib/')) return;
+  const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  vm.runInContext(code, context, { filename: file });
+}
+
+/**
+ * Read a global (including top-level const/let) from a sandbox
+ * @param {Object} context - vm context
+ * @param {string} expression - Global name or expression
+ * @returns {*}
+ */
+function evaluate(context, expression) {
+  return vm.runInContext(expression, context);
+}
+
+/**
+ * Copy a value out of a sandbox
+ * Objects created inside the vm have the sandbox's Object/Array prototypes,
+ * which assert.deepStrictEqual treats as different from the test's own
+ * @param {*} value - JSON-compatible value
+ * @returns {*}
+ */
+function toPlain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createSandbox, loadScript, evaluate, toPlain };
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluate, toPlain } = require('./helpers/load-scripts');
+const { ORDER_A, ORDER_B, assertSame, loadBackground } = require('./helpers/background');
+
+// Record shape of the first versions - no page, region, tab or shop
+const FIRST_VERSION_ORDER = {
+  order_id: ORDER_A,
+  customer_name: 'Aina',
+  phone_number: '9123 4567',
+  full_address: '10 Anson Road, #05-12, Singapore 079903',
+  total_amount: 12.5,
+  currency: 'SGD',
+  order_status: '',
+  order_date: '14/01/2025 09:05:42',
+  extracted_at: '2025-01-14T02:00:00.000Z'
+};
+
+test('old order records are upgraded step by step', async () => {
+  const bg = await loadBackground();
+
+  const { order, steps } = toPlain(evaluate(bg.context, `migrateOrderRecord(${JSON.stringify(FIRST_VERSION_ORDER)})`));
+
+  assertSame(steps, [1, 2, 3, 4, 5, 6]);
+  assertSame(order, {
+    ...FIRST_VERSION_ORDER,
+    page: 1,
+    region: 'SG', // From the currency
+    source_tab: 'shipped',
+    order_status: 'SHIPPED', // The tab's status
+    tracking_number: '',
+    field_sources: null,
+    customer_revealed: true,
+    shop_code: '',
+    shop_name: null,
+    run_id: null,
+    phone_number: '+6591234567', // E.164 of the region
+    phone_raw: '9123 4567',
+    phone_type: 'mobile',
+    phone_flags: [],
+    address_line1: '10 Anson Road',
+    address_line2: '#05-12',
+    address_postcode: '079903',
+    address_city: 'Singapore',
+    address_state: '', // No states
+    address_country: 'Singapore',
+    address_confidence: 'high',
+    address_flags: [],
+    schema_version: 6
+  });
+
+  const current = toPlain(evaluate(bg.context, `migrateOrderRecord({ order_id: '${ORDER_B}', schema_version: 6 })`));
+  assertSame(current.steps, []);
+});
+
+test('install and update migrate stored orders and settings and report it', async () => {
+  const bg = await loadBackground({
+    storage: {
+      exportedOrders: [FIRST_VERSION_ORDER, { order_id: ORDER_B, page: 2, region: 'MY', source_tab: 'to_ship', schema_version: 6 }],
+      filterDate: '2025-01-14',
+      scheduledExport: { enabled: true, time: '07:30' }
+    }
+  });
+
+  bg.chrome.runtime.onInstalled.listeners.forEach(listener => listener({ reason: 'update' }));
+  await bg.clock.flush();
+
+  const [upgraded, current] = await bg.orders();
+  assertSame([upgraded.schema_version, upgraded.region, upgraded.page], [6, 'SG', 1]);
+  assertSame([current.page, current.source_tab], [2, 'to_ship']);
+
+  const storage = bg.chrome._storage;
+  assert.strictEqual(storage.filterDate, undefined);
+  assertSame([storage.filterStartDate, storage.filterEndDate, storage.datePreset], ['2025-01-14', '2025-01-14', 'custom']);
+  assertSame([storage.scheduledExport.time, storage.scheduledExport.frequency], ['07:30', 'daily']);
+  assert.strictEqual(storage.settingsSchemaVersion, 2);
+
+  const { report, orderVersion } = await bg.chrome._dispatch({ type: 'GET_MIGRATION_REPORT' });
+  assert.strictEqual(orderVersion, 6);
+  assert.strictEqual(report.reason, 'update');
+  assert.strictEqual(report.orders.migrated, 1);
+  assertSame(report.orders.steps.map(step => [step.version, step.count]), [[1, 1], [2, 1], [3, 1], [4, 1], [5, 1], [6, 1]]);
+  assertSame(report.settings.steps.map(step => [step.version, step.changed]), [
+    [1, ['filterStartDate', 'filterEndDate', 'datePreset', 'filterDate']],
+    [2, ['scheduledExport']]
+  ]);
+
+  // Nothing is left to upgrade the next time
+  bg.chrome.runtime.onInstalled.listeners.forEach(listener => listener({ reason: 'update' }));
+  await bg.clock.flush();
+  const again = bg.chrome._storage.migrationReport;
+  assertSame([again.orders.migrated, again.settings.from, again.settings.steps], [0, 2, []]);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, loadScript, evaluate, toPlain } = require('./helpers/load-scripts');
+
+function loadOrderApi() {
+  const context = createSandbox();
+  loadScript(context, 'regions.js');
+  loadScript(context, 'order-tabs.js');
+  loadScript(context, 'order-api.js');
+  return context;
+}
+
+const DETAIL_RESPONSE = {
+  code: 0,
+  data: {
+    main_order: {
+      main_order_id: '577000000000000001',
+      order_status: 121,
+      create_time: 1736908320,
+      payment_info: { total_amount: '25.00', currency: 'MYR' },
+      delivery_option_name: 'Standard shipping',
+      recipient_address: { name: 'Aminah', phone_number: '(+60)12****789', full_address: 'Jalan 1, 50000 Kuala Lumpur' },
+      line_items: [
+        { id: '577000000000000001', product_name: 'Herbal Tea 500g', sku_name: '2 Botol', sku_id: '1729000000000000001' }
+      ],
+      packages: [{ tracking_number: 'MY123456789' }]
+    }
+  }
+};
+
+test('orders in an API response are mapped to record fields, without masked values', () => {
+  const context = loadOrderApi();
+  context.body = DETAIL_RESPONSE;
+  const orders = toPlain(evaluate(context, 'findApiOrders(body, getRegionProfile("MY")).map(raw => mapApiOrder(raw, getRegionProfile("MY")))'));
+
+  assert.strictEqual(orders.length, 1);
+  const date = new Date(1736908320 * 1000);
+  const pad = part => String(part).padStart(2, '0');
+  assert.deepStrictEqual(orders[0], {
+    order_id: '577000000000000001',
+    fields: {
+      customer_name: 'Aminah',
+      full_address: 'Jalan 1, 50000 Kuala Lumpur',
+      order_status: 'IN_TRANSIT',
+      total_amount: 25,
+      currency: 'MYR',
+      order_date: `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`,
+      shipping_method: 'Standard shipping',
+      tracking_number: 'MY123456789',
+      items: 'Herbal Tea 500g\n2 Botol',
+      sku_id: '1729000000000000001'
+    }
+  });
+});
+
+test('API fields win and the DOM values fill the gaps, with the source of each field', () => {
+  const context = loadOrderApi();
+  context.data = { name: 'AMINAH (dom)', phone_number: '60123456789', status: 'SHIPPED', items: '' };
+  context.api = { customer_name: 'Aminah', order_status: 'IN_TRANSIT' };
+  const sources = toPlain(evaluate(context, `mergeApiFields(data, api, {
+    name: 'customer_name', phone_number: 'phone_number', status: 'order_status', items: 'items'
+  })`));
+
+  assert.deepStrictEqual(sources, { customer_name: 'api', phone_number: 'dom', order_status: 'api' });
+  assert.deepStrictEqual(toPlain(context.data), { name: 'Aminah', phone_number: '60123456789', status: 'IN_TRANSIT', items: '' });
+  // Without captured fields every value stays from the DOM
+  assert.deepStrictEqual(toPlain(evaluate(context, "mergeApiFields({ status: 'SHIPPED' }, undefined, { status: 'order_status' })")), { order_status: 'dom' });
+});
+
+test('only order API responses of the page hook are taken from window messages', () => {
+  const context = loadOrderApi();
+  const message = { source: 'tiktok-order-exporter:page-hook', type: 'ORDER_API_RESPONSE', url: 'https://seller-my.tiktok.com/api/fulfillment/order/get', body: DETAIL_RESPONSE };
+  const accepted = (data) => {
+    context.data = data;
+    return evaluate(context, 'isOrderApiMessage(data)');
+  };
+
+  assert.strictEqual(accepted(message), true);
+  assert.strictEqual(accepted({ ...message, type: 'ORDER_API_REPLAY' }), false);
+  assert.strictEqual(accepted({ ...message, source: 'another-extension' }), false);
+  assert.strictEqual(accepted({ ...message, url: 'https://seller-my.tiktok.com/api/user/profile' }), false);
+  assert.strictEqual(accepted({ ...message, body: '{"order_id":"577000000000000001"}' }), false);
+  assert.strictEqual(accepted(null), false);
+});
+
+test('API values not shaped like their field are left for the DOM', () => {
+  const context = loadOrderApi();
+  context.raw = {
+    order_id: '577000000000000001',
+    recipient_address: { name: 'x'.repeat(501), phone_number: 'call me', full_address: { line: 'Jalan 1' } },
+    payment: { total_amount: '-5', currency: 'RINGGIT' },
+    tracking_number: 'MY 123 <b>',
+    line_items: [null, 'Herbal Tea', { product_name: 'Herbal Tea 500g', sku_id: '1729<script>' }]
+  };
+  assert.deepStrictEqual(toPlain(evaluate(context, 'mapApiOrder(raw, getRegionProfile("MY"))')), {
+    order_id: '577000000000000001',
+    fields: { items: 'Herbal Tea 500g' }
+  });
+});
+
+test('the page hook forwards only the fields the content script reads, and keeps them until it is listening', async () => {
+  const posted = [];
+  const listeners = [];
+  const body = {
+    data: {
+      main_order: { ...DETAIL_RESPONSE.data.main_order, buyer_email: 'aminah@example.com', buyer_message: 'Leave at the door' }
+    }
+  };
+  const window = {
+    location: { origin: 'https://seller-my.tiktok.com' },
+    fetch: async (url) => ({ url, clone: () => ({ text: async () => JSON.stringify(body) }) }),
+    addEventListener: (type, listener) => listeners.push(listener),
+    postMessage: (data) => posted.push(data)
+  };
+  class XMLHttpRequest {}
+  XMLHttpRequest.prototype.open = () => {};
+  const context = createSandbox({ window, XMLHttpRequest });
+  loadScript(context, 'page-hook.js');
+
+  await window.fetch('https://seller-my.tiktok.com/api/fulfillment/order/get');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(posted.length, 1);
+  const forwarded = JSON.stringify(posted[0].body);
+  assert.ok(!forwarded.includes('aminah@example.com') && !forwarded.includes('Leave at the door'));
+  // Nothing the content script reads is lost
+  const api = loadOrderApi();
+  api.forwarded = posted[0].body;
+  api.original = body;
+  assert.deepStrictEqual(toPlain(evaluate(api, 'findApiOrders(forwarded, getRegionProfile("MY")).map(raw => mapApiOrder(raw, getRegionProfile("MY")))')),
+    toPlain(evaluate(api, 'findApiOrders(original, getRegionProfile("MY")).map(raw => mapApiOrder(raw, getRegionProfile("MY")))')));
+
+  // The content script asks for what it missed once - after that nothing is kept
+  const replay = { source: window, data: { source: 'tiktok-order-exporter:page-hook', type: 'ORDER_API_REPLAY' } };
+  listeners.forEach(listener => listener(replay));
+  listeners.forEach(listener => listener(replay));
+  assert.strictEqual(posted.length, 2);
+  assert.deepStrictEqual(Object.keys(window).sort(), ['addEventListener', 'fetch', 'location', 'postMessage']);
+});
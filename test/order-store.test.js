@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { createSandbox, loadScript, evaluate, toPlain } = require('./helpers/load-scripts');
+const { createChromeMock } = require('./helpers/chrome-mock');
+
+function loadOrderStore(storage = {}, indexedDB = new IDBFactory()) {
+  const chrome = createChromeMock({ storage });
+  const context = createSandbox({ chrome, indexedDB, IDBKeyRange });
+  loadScript(context, 'date-range.js');
+  loadScript(context, 'order-store.js');
+  return { chrome, run: async expression => toPlain(await evaluate(context, expression)) };
+}
+
+function order(id, fields = {}) {
+  return { order_id: `57700000000000000${id}`, customer_name: `Customer ${id}`, ...fields };
+}
+
+test('orders of earlier versions are moved into the store once', async () => {
+  const legacy = [
+    order(1, { order_date: '14/01/2025 09:05:42' }),
+    order(2, { customer_name: '', customer_revealed: false }),
+    { customer_name: 'No order ID' }
+  ];
+  const store = loadOrderStore({ exportedOrders: legacy });
+
+  assert.strictEqual(await store.run('countOrders()'), 2);
+  assert.strictEqual(store.chrome._storage.exportedOrders, undefined);
+
+  const [first, second] = await store.run('queryOrders()');
+  assert.strictEqual(first.order_time, new Date(2025, 0, 14, 9, 5, 42).getTime());
+  assert.strictEqual(second.list_only, 1);
+  assert.deepStrictEqual(await store.run('getStoredOrderIds(false)'), ['577000000000000001']);
+});
+
+test('saving keeps stored orders unless a list-only record gets its customer', async () => {
+  const store = loadOrderStore({ exportedOrders: [order(1), order(2, { customer_name: '', customer_revealed: false })] });
+
+  const result = await store.run(`saveOrders([
+    { order_id: '577000000000000001', customer_name: 'Someone else' },
+    { order_id: '577000000000000002', customer_name: 'Badrul' },
+    { order_id: '577000000000000003', customer_name: 'Chong' }
+  ])`);
+
+  assert.deepStrictEqual(result, { added: ['577000000000000003'], revealed: ['577000000000000002'] });
+  assert.deepStrictEqual((await store.run('queryOrders()')).map(o => [o.customer_name, o.list_only]), [
+    ['Customer 1', undefined],
+    ['Badrul', undefined],
+    ['Chong', undefined]
+  ]);
+});
+
+test('pages are read from an index after the filter', async () => {
+  const store = loadOrderStore({
+    exportedOrders: [
+      order(1, { order_date: '14/01/2025 09:05', source_tab: 'shipped' }),
+      order(2, { order_date: '16/01/2025 10:00', source_tab: 'to_ship' }),
+      order(3, { order_date: '15/01/2025 11:20', source_tab: 'shipped' }),
+      order(4, { order_date: '17/01/2025 08:00', source_tab: 'shipped' }),
+      order(5, { source_tab: 'shipped' }) // No order date - sorted as the oldest
+    ]
+  });
+  const page = (offset, limit) => store.run(`queryOrders({
+    index: 'orderTime', direction: 'prev', offset: ${offset}, limit: ${limit},
+    filter: order => order.source_tab === 'shipped'
+  }).then(orders => orders.map(order => order.customer_name))`);
+
+  assert.deepStrictEqual(await page(0, 2), ['Customer 4', 'Customer 3']);
+  assert.deepStrictEqual(await page(2, 2), ['Customer 1', 'Customer 5']);
+  assert.strictEqual(await store.run('countOrders({ index: "orderTime" })'), 5);
+  assert.strictEqual(
+    await store.run(`countOrders({ index: 'orderTime', range: IDBKeyRange.lowerBound(new Date(2025, 0, 16).getTime()) })`),
+    2
+  );
+
+  await store.run('clearOrders()');
+  assert.strictEqual(await store.run('countOrders()'), 0);
+});
+
+test('orders are kept apart by shop', async () => {
+  const store = loadOrderStore({
+    exportedOrders: [
+      order(1, { order_date: '14/01/2025 09:05', shop_code: 'MYSHOPA001' }),
+      order(2, { order_date: '16/01/2025 10:00', shop_code: 'MYSHOPB001' }),
+      order(3, { order_date: '15/01/2025 11:20', shop_code: 'MYSHOPA001' }),
+      order(4, { order_date: '17/01/2025 08:00' })
+    ]
+  });
+
+  assert.deepStrictEqual(
+    (await store.run('queryOrders(shopOrdersQuery("MYSHOPA001"))')).map(o => o.customer_name),
+    ['Customer 3', 'Customer 1']
+  );
+  assert.deepStrictEqual(
+    await store.run('getStoredOrderIds(true, "MYSHOPB001")'),
+    ['577000000000000002', '577000000000000004'] // With the orders of no known shop
+  );
+
+  await store.run('rememberShop({ code: "MYSHOPA001", name: "Shop A" }, "MY")');
+  await store.run('rememberShop({ code: "MYSHOPA001", name: null }, "MY")');
+  const [shop] = await store.run('getKnownShops()');
+  assert.deepStrictEqual([shop.code, shop.name, shop.region], ['MYSHOPA001', 'Shop A', 'MY']);
+  assert.strictEqual(await store.run('formatShopLabel({ code: "MYSHOPA001", name: "Shop A" })'), 'Shop A (MYSHOPA001)');
+});
+
+test('version 1 databases get the shop indexes, with their orders in the unknown shop', async () => {
+  const indexedDB = new IDBFactory();
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.open('tiktokOrderExporter', 1);
+    request.onupgradeneeded = () => {
+      const orders = request.result.createObjectStore('orders', { keyPath: 'order_id' });
+      orders.createIndex('shop', 'shop_code');
+      orders.put(order(1, { order_time: 0 }));
+    };
+    request.onsuccess = () => { request.result.close(); resolve(); };
+    request.onerror = () => reject(request.error);
+  });
+
+  const store = loadOrderStore({}, indexedDB);
+
+  assert.strictEqual(await store.run('countOrders({ index: "shop", range: IDBKeyRange.only(UNKNOWN_SHOP) })'), 1);
+});
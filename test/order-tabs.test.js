@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, loadScript, evaluate, toPlain } = require('./helpers/load-scripts');
+
+function parseRow(text, region = 'MY', tab = 'shipped') {
+  const context = createSandbox();
+  loadScript(context, 'regions.js');
+  loadScript(context, 'order-tabs.js');
+  context.args = [text, region, tab];
+  return toPlain(evaluate(context, 'parseOrderListRow(args[0], getRegionProfile(args[1]), getOrderTab(args[2]))'));
+}
+
+test('an order list row is read into a partial order record', () => {
+  const row = [
+    'Order ID: 577000000000000001',
+    'Herbal Tea Premium Blend 500g',
+    'x 2',
+    'RM 12.50',
+    'RM 25.00',
+    'In transit',
+    'Created 14/01/2025 09:05',
+    'Shipped 15/01/2025 10:32'
+  ].join('\n');
+
+  assert.deepStrictEqual(parseRow(row), {
+    order_status: 'IN_TRANSIT',
+    total_amount: 25,
+    currency: 'MYR',
+    items: 'Herbal Tea Premium Blend 500g',
+    order_date: '14/01/2025 09:05'
+  });
+});
+
+test('a row without a status badge has the status of its tab', () => {
+  const record = parseRow('Order ID: 577000000000000001\nRp 150.000', 'ID', 'delivered');
+  assert.deepStrictEqual([record.order_status, record.total_amount, record.currency, record.items], ['DELIVERED', 150000, 'IDR', '']);
+});
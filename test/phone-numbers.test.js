@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, loadScript, evaluate, toPlain } = require('./helpers/load-scripts');
+const {
+  ORDER_A, ORDER_B, assertSame, loadBackground, extracted, startAndCollect, loadAndExtract
+} = require('./helpers/background');
+
+function parse(raw, region) {
+  const context = createSandbox();
+  loadScript(context, 'regions.js');
+  loadScript(context, 'phone-numbers.js');
+  context.raw = raw;
+  context.region = region;
+  const { e164, type, flags } = toPlain(evaluate(context, 'parsePhoneNumber(raw, region)'));
+  return [e164, type, flags];
+}
+
+test('phone numbers in every form the order page shows become E.164', () => {
+  for (const raw of ['+60 12-345 6789', '(+60)123456789', '60123456789', '012-345 6789', '0060123456789', '(+60)0123456789', '+60 012-345 6789']) {
+    assertSame(parse(raw, 'MY'), ['+60123456789', 'mobile', []], raw);
+  }
+  assertSame(parse('03-1234 5678', 'MY'), ['+60312345678', 'landline', []]);
+  assertSame(parse('9123 4567', 'SG'), ['+6591234567', 'mobile', []]); // No trunk prefix
+  assertSame(parse('081-234-5678', 'TH'), ['+66812345678', 'mobile', []]);
+  assertSame(parse('0917 123 4567', 'PH'), ['+639171234567', 'mobile', []]);
+  assertSame(parse('0812-3456-7890', 'ID'), ['+6281234567890', 'mobile', []]);
+});
+
+test('numbers that do not fit the region are converted and flagged', () => {
+  assertSame(parse('012345', 'MY'), ['+6012345', null, ['too_short']]);
+  assertSame(parse('0123456789012', 'MY'), ['+60123456789012', null, ['too_long']]);
+  assertSame(parse('0212345678', 'MY'), ['+60212345678', null, ['unknown_prefix']]);
+  assertSame(parse('+65 9123 4567', 'MY'), ['+6591234567', null, ['other_country']]);
+  assertSame(parse('', 'MY'), ['', null, []]);
+});
+
+test('orders keep the number as shown, and exports have its type and check', async () => {
+  const bg = await loadBackground({
+    storage: {
+      exportedOrders: [{ order_id: ORDER_A, customer_name: 'Aina', phone_number: '012345', region: 'MY' }] // Stored before numbers were normalized
+    }
+  });
+
+  await startAndCollect(bg, [ORDER_B]);
+  await loadAndExtract(bg, { ...extracted('Badrul'), phone_number: '(+60)123456789' });
+  await bg.clock.tick(4000);
+  assert.strictEqual(bg.runState(), 'done');
+
+  const stored = (await bg.orders()).find(order => order.order_id === ORDER_B);
+  assertSame([stored.phone_number, stored.phone_raw, stored.phone_type, stored.phone_flags], ['+60123456789', '(+60)123456789', 'mobile', []]);
+
+  await bg.chrome._dispatch({ type: 'DOWNLOAD_CSV' });
+  const { url } = bg.chrome._downloads[bg.chrome._downloads.length - 1];
+  const rows = Buffer.from(url.split(',')[1], 'base64').toString('utf8').replace(/^﻿/, '')
+    .split('\n').map(line => line.slice(1, -1).split('","'));
+  const at = rows[0].indexOf('Phone (as shown)');
+  assertSame(rows.map(row => [row[8], ...row.slice(at, at + 3)]), [
+    ['Customer Phone', 'Phone (as shown)', 'Phone Type', 'Phone Check'],
+    ['+6012345', '012345', '', 'Too short'],
+    ['+60123456789', '(+60)123456789', 'Mobile', 'Valid']
+  ]);
+});
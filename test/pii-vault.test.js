@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluate } = require('./helpers/load-scripts');
+const {
+  ORDER_A, ORDER_B, ORDER_C, assertSame, loadBackground, startAndCollect
+} = require('./helpers/background');
+
+const PASSPHRASE = 'kedai runcit 2025';
+
+const STORED_ORDERS = [
+  { order_id: ORDER_A, customer_name: 'Aina', phone_number: '60123456789', full_address: 'Jalan 1, 50000 Kuala Lumpur', total_amount: 12.5 },
+  { order_id: ORDER_B, customer_name: '', phone_number: '', full_address: '', customer_revealed: false } // List-only
+];
+
+// Text of a CSV download (base64 data URL)
+function downloadedCsv(bg) {
+  const { url } = bg.chrome._downloads[bg.chrome._downloads.length - 1];
+  return Buffer.from(url.split(',')[1], 'base64').toString('utf8');
+}
+
+test('customer details are encrypted at rest and exports need the vault unlocked', async () => {
+  const bg = await loadBackground({ storage: { exportedOrders: STORED_ORDERS } });
+
+  const short = await bg.chrome._dispatch({ type: 'ENABLE_PII_ENCRYPTION', passphrase: 'short' });
+  assert.match(short.error, /at least 8 characters/);
+
+  const enabled = await bg.chrome._dispatch({ type: 'ENABLE_PII_ENCRYPTION', passphrase: PASSPHRASE, autoLockMinutes: 5 });
+  assertSame([enabled.enabled, enabled.unlocked, enabled.autoLockMinutes, enabled.encrypted], [true, false, 5, 1]);
+
+  const [first, listOnly] = await bg.orders();
+  assertSame([first.customer_name, first.phone_number, first.full_address], ['', '', '']);
+  assert.ok(first.pii.key && first.pii.iv && first.pii.data);
+  assert.strictEqual(listOnly.pii, undefined); // Nothing to hide
+
+  // Runs encrypt new orders without the passphrase
+  evaluate(bg.context, `state.collectedData.push({ order_id: '${ORDER_C}', customer_name: 'Badrul', phone_number: '60198765432' })`);
+  await evaluate(bg.context, 'saveToStorage()');
+  const saved = (await bg.orders())[2];
+  assertSame([saved.customer_name, !!saved.pii], ['', true]);
+  assert.ok(!JSON.stringify(await bg.orders()).includes('Badrul'));
+
+  const locked = await bg.chrome._dispatch({ type: 'DOWNLOAD_CSV' });
+  assertSame([locked.locked, bg.chrome._downloads.length], [true, 0]);
+  assert.match(locked.error, /locked/);
+
+  const wrong = await bg.chrome._dispatch({ type: 'UNLOCK_PII', passphrase: 'not the passphrase' });
+  assert.strictEqual(wrong.error, 'Wrong passphrase');
+
+  const unlocked = await bg.chrome._dispatch({ type: 'UNLOCK_PII', passphrase: PASSPHRASE });
+  assert.strictEqual(unlocked.unlocked, true);
+  assert.ok(bg.chrome._session.piiUnlocked); // Only for this browser session
+
+  const download = await bg.chrome._dispatch({ type: 'DOWNLOAD_CSV' });
+  assert.strictEqual(download.count, 3);
+  const csv = downloadedCsv(bg);
+  assert.ok(csv.includes('"Aina","+60123456789","Jalan 1, 50000 Kuala Lumpur"')); // Stored before numbers were normalized
+  assert.ok(csv.includes('"Badrul","+60198765432"'));
+});
+
+test('the vault locks itself, and turning encryption off decrypts every order', async () => {
+  const bg = await loadBackground({ storage: { exportedOrders: STORED_ORDERS } });
+  await bg.chrome._dispatch({ type: 'ENABLE_PII_ENCRYPTION', passphrase: PASSPHRASE, autoLockMinutes: 30 });
+
+  const unlocked = await bg.chrome._dispatch({ type: 'UNLOCK_PII', passphrase: PASSPHRASE });
+  const alarm = await bg.chrome.alarms.get('pii-auto-lock');
+  assert.strictEqual(alarm.scheduledTime, unlocked.lockAt);
+  assert.ok(Math.abs(unlocked.lockAt - Date.now() - 30 * 60 * 1000) < 5000);
+
+  bg.chrome._fireAlarm('pii-auto-lock');
+  await bg.clock.flush();
+  const status = await bg.chrome._dispatch({ type: 'GET_PII_STATUS' });
+  assertSame([status.enabled, status.unlocked], [true, false]);
+  assert.strictEqual(bg.chrome._session.piiUnlocked, undefined);
+
+  const wrong = await bg.chrome._dispatch({ type: 'DISABLE_PII_ENCRYPTION', passphrase: 'not the passphrase' });
+  assert.strictEqual(wrong.error, 'Wrong passphrase');
+
+  const disabled = await bg.chrome._dispatch({ type: 'DISABLE_PII_ENCRYPTION', passphrase: PASSPHRASE });
+  assertSame([disabled.enabled, disabled.decrypted], [false, 1]);
+  assert.strictEqual(bg.chrome._storage.piiEncryption, undefined);
+
+  const [first] = await bg.orders();
+  assertSame([first.customer_name, first.phone_number], ['Aina', '60123456789']);
+  assert.strictEqual(first.pii, undefined);
+});
+
+test('orders not saved yet reach the saved run state only encrypted', async () => {
+  const bg = await loadBackground();
+  await bg.chrome._dispatch({ type: 'ENABLE_PII_ENCRYPTION', passphrase: PASSPHRASE });
+  await startAndCollect(bg, [ORDER_A, ORDER_B]);
+
+  // e.g. left over from a failed save
+  evaluate(bg.context, `state.collectedData.push({ order_id: '${ORDER_C}', customer_name: 'Badrul', phone_number: '+60198765432', phone_raw: '0198765432', full_address: 'Jalan 2, 50000 Kuala Lumpur', address_line1: 'Jalan 2' })`);
+  await evaluate(bg.context, 'saveSessionState()');
+
+  const { sessionState } = bg.chrome._storage;
+  const [saved] = sessionState.collectedData;
+  assertSame([saved.order_id, !!saved.pii, saved.customer_name], [ORDER_C, true, '']);
+  const text = JSON.stringify(sessionState);
+  ['Badrul', '198765432', 'Jalan 2'].forEach(detail => assert.ok(!text.includes(detail), detail));
+  // The run keeps its plain copy to save
+  assert.strictEqual(evaluate(bg.context, 'state.collectedData[0].customer_name'), 'Badrul');
+});
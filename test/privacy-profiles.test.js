@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ORDER_A, ORDER_B, assertSame, loadBackground } = require('./helpers/background');
+
+const ADDRESS = 'No 1, Jalan Mawar, 50000 Kuala Lumpur, Wilayah Persekutuan';
+
+// Rows of the last CSV download, without the quotes
+function downloadedRows(bg) {
+  const { url } = bg.chrome._downloads[bg.chrome._downloads.length - 1];
+  const csv = Buffer.from(url.split(',')[1], 'base64').toString('utf8').replace(/^﻿/, '');
+  return csv.split('\n').map(line => line.slice(1, -1).split('","'));
+}
+
+test('downloads apply the privacy profile and record it in the export history', async () => {
+  const bg = await loadBackground({
+    storage: {
+      exportedOrders: [
+        { order_id: ORDER_A, customer_name: 'Aina Binti Ali', phone_number: '+60 12-345 6789', full_address: ADDRESS },
+        { order_id: ORDER_B, customer_name: 'aina binti  ali', phone_number: '60123456789', full_address: ADDRESS } // Same customer
+      ]
+    }
+  });
+  const columns = rows => rows.map(row => row.slice(7, 10));
+
+  const masked = await bg.chrome._dispatch({ type: 'DOWNLOAD_CSV', profile: 'masked' });
+  assert.match(masked.filename, /_masked_2orders\.csv$/);
+  const maskedRows = downloadedRows(bg);
+  assertSame(columns(maskedRows), [
+    ['Customer Name (masked)', 'Customer Phone (masked)', 'Customer Address (masked)'],
+    ['A*** B**** A**', '60*****6789', '***, 50000 Kuala Lumpur, Wilayah Persekutuan'],
+    ['a*** b**** a**', '60*****6789', '***, 50000 Kuala Lumpur, Wilayah Persekutuan']
+  ]);
+
+  await bg.chrome._dispatch({ type: 'DOWNLOAD_CSV', profile: 'hashed' });
+  const [, first, second] = columns(downloadedRows(bg));
+  assert.match(first[0], /^N-[0-9a-f]{16}$/);
+  assert.match(first[1], /^P-[0-9a-f]{16}$/);
+  assertSame(second, first); // One customer, one set of IDs
+
+  // Stable across exports (the key is kept)
+  await bg.chrome._dispatch({ type: 'DOWNLOAD_CSV', profile: 'hashed' });
+  assertSame(columns(downloadedRows(bg))[1], first);
+
+  // Leaving the customer details out needs no unlock
+  await bg.chrome._dispatch({ type: 'ENABLE_PII_ENCRYPTION', passphrase: 'kedai runcit 2025' });
+  const none = await bg.chrome._dispatch({ type: 'DOWNLOAD_CSV', profile: 'none' });
+  assert.match(none.filename, /_nopii_/);
+  assertSame(columns(downloadedRows(bg)), [
+    ['Customer Name (removed)', 'Customer Phone (removed)', 'Customer Address (removed)'],
+    ['', '', ''],
+    ['', '', '']
+  ]);
+  const locked = await bg.chrome._dispatch({ type: 'DOWNLOAD_CSV', profile: 'masked' });
+  assert.strictEqual(locked.locked, true);
+
+  // Exports of the dashboard's table buttons are recorded too
+  await bg.chrome._dispatch({ type: 'RECORD_EXPORT', format: 'XLSX', count: 2, filename: 'tiktok_orders_2025-01-31_hashed.xlsx', profile: 'hashed' });
+
+  const { history } = await bg.chrome._dispatch({ type: 'GET_EXPORT_HISTORY' });
+  assertSame(history.map(entry => [entry.format, entry.profile]), [
+    ['XLSX', 'hashed'],
+    ['CSV', 'none'],
+    ['CSV', 'hashed'],
+    ['CSV', 'hashed'],
+    ['CSV', 'masked']
+  ]);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, loadScript, evaluate } = require('./helpers/load-scripts');
+
+function regions() {
+  const context = createSandbox();
+  loadScript(context, 'regions.js');
+  return context;
+}
+
+function amount(text, region) {
+  const context = regions();
+  context.text = text;
+  context.region = region;
+  return evaluate(context, 'parseRegionAmount(text, getRegionProfile(region))');
+}
+
+function phone(text, region) {
+  const context = regions();
+  context.text = text;
+  context.region = region;
+  return evaluate(context, 'matchRegionPhone(text, getRegionProfile(region))');
+}
+
+function address(text, region) {
+  const context = regions();
+  context.text = text;
+  context.region = region;
+  return evaluate(context, 'isLikelyRegionAddress(text, getRegionProfile(region))');
+}
+
+test('amounts are read with the currency and separators of each region', () => {
+  assert.strictEqual(amount('Total RM 1,234.50', 'MY'), 1234.5);
+  assert.strictEqual(amount('Subtotal S$ 12.90', 'SG'), 12.9);
+  assert.strictEqual(amount('Total $1,200', 'SG'), 1200);
+  assert.strictEqual(amount('ยอดรวม ฿1,250', 'TH'), 1250);
+  assert.strictEqual(amount('Total ₱ 2,499.00', 'PH'), 2499);
+  assert.strictEqual(amount('Total Rp 125.000', 'ID'), 125000); // Dots for thousands
+  assert.strictEqual(amount('Total Rp 1.250.000,50', 'ID'), 1250000.5);
+  assert.strictEqual(amount('Total RM 5', 'MY'), 5);
+  assert.strictEqual(amount('Total ฿1,250', 'MY'), null); // Another region's currency
+  assert.strictEqual(amount('', 'MY'), null);
+});
+
+test('phone numbers are found in the forms each region shows them', () => {
+  assert.strictEqual(phone('Phone (+60)123456789', 'MY'), '(+60)123456789');
+  assert.strictEqual(phone('Phone +60123456789', 'MY'), '+60123456789');
+  assert.strictEqual(phone('Phone 0123456789', 'MY'), '0123456789');
+  assert.strictEqual(phone('HP 91234567', 'SG'), '91234567');
+  assert.strictEqual(phone('HP 71234567', 'SG'), null); // Not a Singapore number
+  assert.strictEqual(phone('โทร 0812345678', 'TH'), '0812345678');
+  assert.strictEqual(phone('Mobile 09171234567', 'PH'), '09171234567');
+  assert.strictEqual(phone('HP 081234567890', 'ID'), '081234567890');
+  assert.strictEqual(phone('No phone', 'MY'), null);
+});
+
+test('addresses are recognized by postcode, country or street keywords', () => {
+  assert.strictEqual(address('Shah Alam 40000', 'MY'), true);
+  assert.strictEqual(address('Ang Mo Kio 560123', 'SG'), true);
+  assert.strictEqual(address('Shah Alam 40000', 'SG'), false); // Singapore postcodes have 6 digits
+  assert.strictEqual(address('Manila 1000', 'PH'), true);
+  assert.strictEqual(address('Blk 123', 'SG'), true);
+  assert.strictEqual(address('ซอย 5', 'TH'), true);
+  assert.strictEqual(address('RT 05', 'ID'), true);
+  assert.strictEqual(address('Smart', 'ID'), false); // Short keywords match whole words only
+  assert.strictEqual(address('Pasir Ris, Singapore', 'SG'), true);
+});
+
+test('profiles are found by code, host and currency, with Malaysia as the default', () => {
+  const context = regions();
+  assert.strictEqual(evaluate(context, "getRegionProfile('sg').code"), 'SG');
+  assert.strictEqual(evaluate(context, "getRegionProfile('XX').code"), 'MY');
+  assert.strictEqual(evaluate(context, 'getRegionProfile(undefined).code'), 'MY');
+  assert.strictEqual(evaluate(context, "getRegionByHost('seller-th.tiktok.com').code"), 'TH');
+  assert.strictEqual(evaluate(context, "getRegionByHost('seller-us.tiktok.com')"), null);
+  assert.strictEqual(evaluate(context, "getRegionByCurrency('IDR').code"), 'ID');
+
+  assert.strictEqual(evaluate(context, "buildOrderListUrl('PH', 'unpaid')"), 'https://seller-ph.tiktok.com/order?selected_sort=6&tab=unpaid');
+  assert.strictEqual(evaluate(context, "buildOrderDetailUrl('ID', '5770000000000000001')"),
+    'https://seller-id.tiktok.com/order/detail?order_no=5770000000000000001&shop_region=ID');
+  assert.strictEqual(evaluate(context, "buildRegionMatchPattern('SG')"), '*://seller-sg.tiktok.com/*');
+  assert.strictEqual(evaluate(context, "TIKTOK_ORDER_ID_PATTERN.exec('Order 5770000000000000001')[0]"), '5770000000000000001');
+
+  assert.strictEqual(evaluate(context, "formatRegionAmount(12.5, 'MYR')"), 'RM 12.50');
+  assert.strictEqual(evaluate(context, "formatRegionAmount('3', 'THB')"), '฿ 3.00');
+  assert.strictEqual(evaluate(context, "formatRegionAmount(3, 'USD')"), 'USD 3.00'); // Unknown codes are shown as-is
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ORDER_A, ORDER_B, ORDER_C, assertSame, loadBackground } = require('./helpers/background');
+
+const ORDER_D = '5770000000000000004';
+
+function customer(name, phone) {
+  return { customer_name: name, phone_number: phone, full_address: `${name}'s house, 50000 Kuala Lumpur` };
+}
+
+test('the retention policy redacts old customer details on its daily alarm', async () => {
+  const bg = await loadBackground({
+    now: '2025-06-01T00:00:00Z',
+    storage: {
+      exportedOrders: [
+        { order_id: ORDER_A, order_date: '01/01/2025 10:00', ...customer('Aina', '60123456789') },
+        { order_id: ORDER_B, order_date: '20/05/2025 10:00', ...customer('Badrul', '60198765432') },
+        { order_id: ORDER_C, extracted_at: '2025-01-02T00:00:00.000Z', ...customer('Chong', '60111111111') }, // No order date
+        { order_id: ORDER_D, order_date: '01/01/2025 11:00', customer_revealed: false } // List-only, nothing to redact
+      ]
+    }
+  });
+
+  const off = await bg.chrome._dispatch({ type: 'RUN_RETENTION_PURGE' });
+  assert.match(off.error, /off/);
+
+  const saved = await bg.chrome._dispatch({ type: 'SAVE_RETENTION_POLICY', policy: { enabled: true, days: '90' } });
+  assertSame(saved.policy, { enabled: true, days: 90 });
+  assert.ok(bg.chrome._alarms.has('retention-purge'));
+
+  bg.chrome._fireAlarm('retention-purge');
+  await bg.clock.flush();
+  await bg.clock.flush();
+
+  const [a, b, c, d] = await bg.orders();
+  assertSame([a.customer_name, a.phone_number, a.full_address, a.pii_redaction], ['', '', '', 'retention']);
+  assert.strictEqual(b.customer_name, 'Badrul'); // Ordered 12 days ago
+  assert.strictEqual(b.pii_redacted_at, undefined);
+  assertSame([c.customer_name, c.pii_redaction], ['', 'retention']);
+  assert.strictEqual(d.pii_redacted_at, undefined);
+
+  const { audit, lastRun } = await bg.chrome._dispatch({ type: 'GET_RETENTION' });
+  assertSame(audit.map(entry => [entry.action, entry.trigger, entry.count, entry.orderIds]), [
+    ['retention', 'schedule', 2, [ORDER_C, ORDER_A]] // Oldest first - C has no order date
+  ]);
+  assert.strictEqual(audit[0].description, 'Customer details older than 90 days');
+  assertSame(lastRun.count, 2);
+
+  // The next day finds nothing new - no audit entry for it
+  bg.chrome._fireAlarm('retention-purge');
+  await bg.clock.flush();
+  await bg.clock.flush();
+  const again = await bg.chrome._dispatch({ type: 'GET_RETENTION' });
+  assertSame([again.audit.length, again.lastRun.count], [1, 0]);
+
+  await bg.chrome._dispatch({ type: 'DOWNLOAD_CSV' });
+  const csv = Buffer.from(bg.chrome._downloads[0].url.split(',')[1], 'base64').toString('utf8');
+  assert.ok(csv.includes('"Redacted 2025-06-01 (retention policy)"'));
+  assert.ok(!csv.includes('Aina'));
+});
+
+test('an erase request redacts every order of one customer, encrypted ones while unlocked', async () => {
+  const bg = await loadBackground({
+    storage: {
+      exportedOrders: [
+        { order_id: ORDER_A, ...customer('Aina', '60123456789') },
+        { order_id: ORDER_B, ...customer('AINA ', '60100000000') }, // Same name, other phone
+        { order_id: ORDER_C, ...customer('Chong', '012-345 6789') }, // Same phone without the country code
+        { order_id: ORDER_D, ...customer('Devi', '60199999999') }
+      ]
+    }
+  });
+
+  const short = await bg.chrome._dispatch({ type: 'ERASE_CUSTOMER', phone: '6789' });
+  assert.match(short.error, /at least 7 digits/);
+
+  await bg.chrome._dispatch({ type: 'ENABLE_PII_ENCRYPTION', passphrase: 'kedai runcit 2025' });
+  const locked = await bg.chrome._dispatch({ type: 'ERASE_CUSTOMER', phone: '+60 12-345 6789', name: 'aina' });
+  assert.strictEqual(locked.locked, true);
+
+  await bg.chrome._dispatch({ type: 'UNLOCK_PII', passphrase: 'kedai runcit 2025' });
+  const erased = await bg.chrome._dispatch({ type: 'ERASE_CUSTOMER', phone: '+60 12-345 6789', name: 'aina' });
+  assertSame([erased.count, erased.entry.orderIds], [3, [ORDER_A, ORDER_B, ORDER_C]]);
+
+  const orders = await bg.orders();
+  assertSame(orders.map(order => [order.pii_redaction || null, !!order.pii]), [
+    ['erase', false],
+    ['erase', false],
+    ['erase', false],
+    [null, true] // Devi stays encrypted
+  ]);
+
+  // The audit does not keep what it erased
+  const { audit } = await bg.chrome._dispatch({ type: 'GET_RETENTION' });
+  assert.strictEqual(audit[0].description, 'Customer with phone ending 6789 or name A***');
+  assert.ok(!/Aina|123456789/i.test(JSON.stringify(audit)));
+});
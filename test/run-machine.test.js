@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, loadScript, evaluate, toPlain } = require('./helpers/load-scripts');
+
+function assertSame(actual, expected, message) {
+  assert.deepStrictEqual(toPlain(actual), expected, message);
+}
+
+function loadRunMachine() {
+  const context = createSandbox();
+  loadScript(context, 'run-machine.js');
+  return context;
+}
+
+test('run machine starts idle and follows the export flow', () => {
+  const context = loadRunMachine();
+  const machine = evaluate(context, 'createRunMachine()');
+
+  assert.strictEqual(machine.state, 'idle');
+  assert.ok(machine.transition('navigating', { page: 'list' }, 'start'));
+  assert.ok(machine.transition('collecting', { page: 1 }));
+  assertSame(machine.context, { page: 1 });
+  assert.ok(machine.transition('extracting'));
+  assert.ok(machine.transition('waiting'));
+  assert.ok(machine.transition('navigating', { page: 'list' }));
+  assert.ok(machine.transition('collecting'));
+  assert.ok(machine.transition('extracting'));
+  assert.ok(machine.transition('done'));
+  assert.strictEqual(machine.state, 'done');
+});
+
+test('invalid transitions are rejected and logged without changing state', () => {
+  const context = loadRunMachine();
+  const machine = evaluate(context, 'createRunMachine()');
+
+  assert.strictEqual(machine.transition('collecting'), false);
+  assert.strictEqual(machine.state, 'idle');
+
+  machine.transition('navigating', { page: 'list' });
+  machine.transition('paused', {}, 'user');
+  // A late "next page" timer must not unpause the run
+  assert.strictEqual(machine.transition('waiting'), false);
+  assert.strictEqual(machine.state, 'paused');
+
+  const log = machine.getLog();
+  assert.strictEqual(log.length, 4);
+  assertSame(log.filter(entry => entry.rejected).map(entry => entry.to), ['collecting', 'waiting']);
+});
+
+test('every active state can be paused and stopped', () => {
+  const context = loadRunMachine();
+  const transitions = evaluate(context, 'RUN_TRANSITIONS');
+  const activeStates = evaluate(context, 'RUN_ACTIVE_STATES');
+
+  activeStates.forEach(state => {
+    assert.ok(transitions[state].includes('paused'), `${state} -> paused`);
+    assert.ok(transitions[state].includes('idle'), `${state} -> idle`);
+  });
+  assertSame(transitions.paused.sort(), ['extracting', 'idle', 'navigating']);
+});
+
+test('every transition target is a known state', () => {
+  const context = loadRunMachine();
+  const transitions = evaluate(context, 'RUN_TRANSITIONS');
+  const states = Object.values(evaluate(context, 'RUN_STATES'));
+
+  Object.entries(transitions).forEach(([from, targets]) => {
+    assert.ok(states.includes(from), from);
+    targets.forEach(to => assert.ok(states.includes(to), `${from} -> ${to}`));
+  });
+});
+
+test('transition log records reasons and timestamps and is bounded', () => {
+  const context = loadRunMachine();
+  let now = 1000;
+  context.now = () => now;
+  const machine = evaluate(context, 'createRunMachine({ logLimit: 3, now })');
+
+  machine.transition('navigating', { page: 'list' }, 'start');
+  now = 2000;
+  machine.transition('collecting', {}, 'page 1');
+  machine.transition('waiting', {}, 'empty page');
+  machine.transition('navigating', { page: 'list' }, 'page 2');
+
+  const log = machine.getLog();
+  assert.strictEqual(log.length, 3);
+  assertSame(log[0], { from: 'navigating', to: 'collecting', reason: 'page 1', at: 2000 });
+  assert.strictEqual(log[2].reason, 'page 2');
+});
+
+test('listeners are told about each accepted transition', () => {
+  const context = loadRunMachine();
+  const machine = evaluate(context, 'createRunMachine()');
+  const seen = [];
+
+  machine.onTransition((entry, data) => seen.push(`${entry.from}>${entry.to}:${data.page || ''}`));
+  machine.transition('navigating', { page: 'list' });
+  machine.transition('extracting');
+  machine.transition('navigating'); // Rejected: the next page is loaded after a delay
+
+  assertSame(seen, ['idle>navigating:list', 'navigating>extracting:']);
+});
+
+test('worker machines load, extract and wait for each order', () => {
+  const context = loadRunMachine();
+  const worker = evaluate(context, 'createWorkerMachine()');
+  const states = Object.values(evaluate(context, 'WORKER_STATES'));
+
+  assert.strictEqual(worker.state, 'idle');
+  assert.strictEqual(worker.transition('extracting'), false);
+  assert.ok(worker.transition('navigating', { orderId: '577000000000000001' }));
+  assert.ok(worker.transition('extracting'));
+  assert.ok(worker.transition('waiting', { delayMs: 4000 }));
+  assert.ok(worker.transition('navigating', { orderId: '577000000000000002' }));
+  assert.ok(worker.transition('idle'));
+
+  Object.entries(evaluate(context, 'WORKER_TRANSITIONS')).forEach(([from, targets]) => {
+    assert.ok(states.includes(from), from);
+    targets.forEach(to => assert.ok(states.includes(to), `${from} -> ${to}`));
+  });
+});
+
+test('createStateMachine works with any transition table', () => {
+  const context = loadRunMachine();
+  const machine = evaluate(context, "createStateMachine({ off: ['on'], on: ['off'] }, 'off')");
+
+  assert.ok(machine.is('off'));
+  assert.ok(machine.can('on'));
+  assert.ok(!machine.can('off'));
+  machine.transition('on');
+  assert.ok(machine.is('on', 'broken'));
+});
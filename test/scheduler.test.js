@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, loadScript, evaluate } = require('./helpers/load-scripts');
+
+function loadScheduler() {
+  const context = createSandbox();
+  ['regions.js', 'date-range.js', 'order-tabs.js', 'scheduler.js'].forEach(file => loadScript(context, file));
+  return context;
+}
+
+function nextRun(context, schedule, now) {
+  context.schedule = schedule;
+  context.now = now;
+  const time = evaluate(context, 'getNextScheduleTime(normalizeSchedule(schedule), now)');
+  return time === null ? null : new Date(time);
+}
+
+test('daily schedules run later today or tomorrow', () => {
+  const context = loadScheduler();
+  const schedule = { enabled: true, frequency: 'daily', time: '09:00' };
+
+  const early = nextRun(context, schedule, new Date(2025, 0, 15, 8, 59));
+  assert.strictEqual(early.getTime(), new Date(2025, 0, 15, 9, 0).getTime());
+
+  const late = nextRun(context, schedule, new Date(2025, 0, 15, 9, 0));
+  assert.strictEqual(late.getTime(), new Date(2025, 0, 16, 9, 0).getTime());
+});
+
+test('weekly schedules run on their weekday', () => {
+  const context = loadScheduler();
+  const monday = { enabled: true, frequency: 'weekly', weekday: 1, time: '07:30' };
+
+  // Wednesday 15 Jan 2025 -> Monday 20 Jan
+  assert.strictEqual(nextRun(context, monday, new Date(2025, 0, 15, 12, 0)).getTime(), new Date(2025, 0, 20, 7, 30).getTime());
+  // Monday after the run time -> next Monday
+  assert.strictEqual(nextRun(context, monday, new Date(2025, 0, 20, 8, 0)).getTime(), new Date(2025, 0, 27, 7, 30).getTime());
+});
+
+test('disabled schedules never run', () => {
+  const context = loadScheduler();
+  assert.strictEqual(nextRun(context, { enabled: false, time: '09:00' }, new Date(2025, 0, 15)), null);
+  assert.strictEqual(nextRun(context, undefined, new Date(2025, 0, 15)), null);
+});
+
+test('saved schedules are normalized', () => {
+  const context = loadScheduler();
+  context.input = { enabled: 1, frequency: 'hourly', time: '25:00', region: 'sg', tab: 'nope', datePreset: 'custom', startPage: '3', endPage: '2', workers: '2' };
+  const schedule = evaluate(context, 'normalizeSchedule(input)');
+
+  assert.strictEqual(schedule.enabled, true);
+  assert.strictEqual(schedule.frequency, 'daily');
+  assert.strictEqual(schedule.time, '09:00');
+  assert.strictEqual(schedule.region, 'SG');
+  assert.strictEqual(schedule.tab, 'shipped');
+  assert.strictEqual(schedule.datePreset, 'yesterday');
+  assert.strictEqual(schedule.startPage, 3);
+  assert.strictEqual(schedule.endPage, 3);
+  assert.strictEqual(schedule.workers, 2);
+  assert.strictEqual(evaluate(context, 'describeSchedule(normalizeSchedule({ enabled: true, frequency: "weekly", weekday: 5, time: "18:15" }))'), 'Every Friday at 18:15');
+});
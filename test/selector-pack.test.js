@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { createSandbox, loadScript, evaluate, toPlain } = require('./helpers/load-scripts');
+
+// globals: e.g. { document } of a page - the background has none
+function loadSelectorPack(globals = {}) {
+  const context = createSandbox(globals);
+  loadScript(context, 'regions.js');
+  loadScript(context, 'order-tabs.js');
+  loadScript(context, 'selector-pack.js');
+  return context;
+}
+
+test('the bundled pack has a selector and labels for every order tab', () => {
+  const context = loadSelectorPack();
+  const pack = toPlain(evaluate(context, 'buildSelectorPack(null)'));
+
+  assert.strictEqual(pack.source, 'bundled');
+  assert.strictEqual(pack.selectors['tab.returns'], '[data-log_click_for="return_refund"]');
+  assert.strictEqual(pack.labels['timeFilter.shipped'], 'Time shipped');
+  assert.strictEqual(evaluate(context, `formatSelector(BUNDLED_SELECTOR_PACK.selectors['pagination.page'], { page: 4 })`), '[aria-label="Page 4"]');
+});
+
+test('an imported pack overrides only the keys it lists', () => {
+  const context = loadSelectorPack();
+  context.override = {
+    format: 1,
+    version: '1.0.1',
+    selectors: { 'filter.button': '[data-log_click_for="filter_btn"]' },
+    labels: { 'detail.total': 'Order total' }
+  };
+  const pack = toPlain(evaluate(context, 'buildSelectorPack(override)'));
+
+  assert.deepStrictEqual([pack.version, pack.source, pack.overriddenKeys], ['1.0.1', 'imported', ['filter.button', 'detail.total']]);
+  assert.strictEqual(pack.selectors['filter.button'], '[data-log_click_for="filter_btn"]');
+  assert.strictEqual(pack.selectors['pagination.item'], '.core-pagination-item');
+  assert.strictEqual(pack.labels['detail.total'], 'Order total');
+});
+
+test('invalid packs are rejected and never replace the bundled pack', () => {
+  const context = loadSelectorPack();
+  context.bad = {
+    format: 2,
+    selectors: { 'filter.buton': '.x', 'pagination.item': '' },
+    labels: { 'modal.privacy': 'Create ticket' }
+  };
+
+  assert.deepStrictEqual(toPlain(evaluate(context, 'validateSelectorPack(bad)')), [
+    'Unsupported format 2 (expected 1)',
+    'Missing version',
+    'Unknown selector key "filter.buton"',
+    '"pagination.item" must be a non-empty string',
+    '"modal.privacy" must be a list of texts'
+  ]);
+  assert.strictEqual(evaluate(context, 'buildSelectorPack(bad).source'), 'bundled');
+  assert.deepStrictEqual(toPlain(evaluate(context, 'validateSelectorPack({ format: 1, version: "1", selectors: { constructor: ".x" } })')), [
+    'Unknown selector key "constructor"'
+  ]);
+});
+
+test('selectors that do not parse are rejected where there is a DOM', () => {
+  const context = loadSelectorPack({ document: new JSDOM('').window.document });
+  context.typo = {
+    format: 1,
+    version: '1.0.1',
+    selectors: { 'list.orderRow': 'div[class*=foo]]', 'list.orderLink': 'a[href*=]', 'pagination.page': '[aria-label="Page {page}"]' }
+  };
+
+  assert.deepStrictEqual(toPlain(evaluate(context, 'validateSelectorPack(typo)')), [
+    '"list.orderRow" is not a valid CSS selector',
+    '"list.orderLink" is not a valid CSS selector'
+  ]);
+  // A stored pack with the typo leaves the content script on the bundled selectors
+  assert.strictEqual(evaluate(context, 'buildSelectorPack(typo).source'), 'bundled');
+});